@@ -21,6 +21,18 @@ try {
   console.error('Failed to import GenealogyDataUtils:', error);
 }
 
+let GedcomParser;
+
+try {
+  if (typeof require !== 'undefined') {
+    GedcomParser = require('./gedcom-parser.js');
+  } else if (typeof window !== 'undefined' && window.GedcomParser) {
+    GedcomParser = window.GedcomParser;
+  }
+} catch (error) {
+  console.error('Failed to import GedcomParser:', error);
+}
+
 const DataProcessor = (function() {
   const ERROR_TYPES = {
     DATA_LOADING: 'data-loading-error',
@@ -42,7 +54,8 @@ const DataProcessor = (function() {
     fetchTimeout: 8000,
     progressCallback: null,
     errorCallback: null,
-    performanceTracking: true
+    performanceTracking: true,
+    processing: {} // data.processing section of settings.json
   };
 
   // In-memory cache storage
@@ -374,7 +387,7 @@ const DataProcessor = (function() {
       
       // Use GenealogyDataUtils processing if available (preferred)
       if (GenealogyDataUtils && typeof GenealogyDataUtils.processGenealogyData === 'function') {
-        const processedData = GenealogyDataUtils.processGenealogyData(data);
+        const processedData = GenealogyDataUtils.processGenealogyData(data, config.processing || {});
         
         // Apply any application-specific processing 
         const enhancedData = applyCustomProcessing(processedData, config);
@@ -497,8 +510,7 @@ const DataProcessor = (function() {
         data.statistics = {
           nodeCount: data.nodes.length,
           linkCount: data.links.length,
-          density: calculateNetworkDensity(data.nodes.length, data.links.length),
-          communityCount: detectCommunities(data).length
+          density: calculateNetworkDensity(data.nodes.length, data.links.length)
         };
       }
       
@@ -552,18 +564,25 @@ const DataProcessor = (function() {
   }
   
   /**
-   * Simple community detection (placeholder - would use more sophisticated algorithm)
+   * Detect communities (clans) in the relationship graph with the Louvain
+   * method, weighting links by relationship strength. Each node gets the id
+   * of its community in the configured attribute, so hulls and the cluster
+   * layout can group by it.
    * @param {Object} data - Network data with nodes and links
-   * @returns {Array} - Array of community assignments
+   * @param {Object} options - { attribute, resolution }
+   * @returns {Object|null} - { communities, modularity }, or null without GenealogyDataUtils
    */
-  function detectCommunities(data) {
-    // This is a simplified placeholder - a real implementation would use
-    // a proper community detection algorithm
-    return [{ id: 'community-1', nodes: data.nodes.map(n => n.id) }];
+  function detectCommunities(data, options = {}) {
+    if (!GenealogyDataUtils || typeof GenealogyDataUtils.detectCommunities !== 'function') {
+      console.warn('GenealogyDataUtils not available, skipping community detection');
+      return null;
+    }
+    
+    return GenealogyDataUtils.detectCommunities(data, options);
   }
   
   /**
-   * Read genealogy data from a local file
+   * Read genealogy data from a local JSON or GEDCOM (.ged) file
    * @param {File} file - File object to read
    * @returns {Promise<Object>} - The parsed data
    */
@@ -575,14 +594,37 @@ const DataProcessor = (function() {
       }
       
       // Verify file type
-      if (!file.name.endsWith('.json') && file.type !== 'application/json') {
-        reject(new Error('File must be JSON format'));
+      const fileName = file.name.toLowerCase();
+      const isGedcom = fileName.endsWith('.ged');
+      
+      if (!isGedcom && !fileName.endsWith('.json') && file.type !== 'application/json') {
+        reject(new Error('File must be JSON or GEDCOM (.ged) format'));
+        return;
+      }
+      
+      if (isGedcom && !GedcomParser) {
+        reject(new Error('GEDCOM import requires gedcom-parser.js'));
         return;
       }
       
       const reader = new FileReader();
       
       reader.onload = function(event) {
+        if (isGedcom) {
+          try {
+            const data = GedcomParser.parseGedcom(event.target.result);
+            
+            if (data.importReport.warnings.length > 0) {
+              console.warn(`GEDCOM import produced ${data.importReport.warnings.length} warnings`, data.importReport);
+            }
+            
+            resolve(data);
+          } catch (error) {
+            reject(new Error(`Failed to parse GEDCOM: ${error.message}`));
+          }
+          return;
+        }
+        
         try {
           const data = JSON.parse(event.target.result);
           resolve(data);
@@ -634,6 +676,7 @@ const DataProcessor = (function() {
     loadGenealogyData: withPerformanceTracking(loadGenealogyData, 'loadGenealogyData'),
     processGenealogyData: withPerformanceTracking(processGenealogyData, 'processGenealogyData'),
     readGenealogyFile: withPerformanceTracking(readGenealogyFile, 'readGenealogyFile'),
+    detectCommunities,
     getPerformanceMetrics,
     ERROR_TYPES
   };
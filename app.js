@@ -14,6 +14,7 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     data: null,
     visualization: null,
     renderer: null,
+    editor: null,
     ui: {
       isLoading: false,
       loadingMessage: '',
@@ -40,7 +41,9 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
         labelSize: 12
       }
     },
-    // Track history for undo/redo functionality
+    // Track history for undo/redo functionality. Entries are snapshots of
+    // ui and settings, or { dataEdit: true } markers for edits the dataset
+    // editor records as patches
     history: {
       past: [],
       future: []
@@ -186,6 +189,29 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
    * State management functions
    */
   const StateManager = {
+    /**
+     * Copy the parts of state that undo restores. The dataset is left out:
+     * its edits are undone through the dataset editor's patches.
+     * @returns {Object} Snapshot of ui and settings
+     */
+    snapshot: function() {
+      return JSON.parse(JSON.stringify({ ui: state.ui, settings: state.settings }));
+    },
+    
+    /**
+     * Add an entry to the undo history, dropping the oldest past the limit
+     * @param {Object} entry - Snapshot or data edit marker
+     */
+    pushHistory: function(entry) {
+      state.history.past.push(entry);
+      state.history.future = [];
+      
+      // Limit history size
+      if (state.history.past.length > 20) {
+        state.history.past.shift();
+      }
+    },
+    
     /**
      * Update application state with changes
      * @param {Object} changes - Object with changes to apply
@@ -194,13 +220,7 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     updateState: function(changes, addToHistory = true) {
       // Add current state to history if needed
       if (addToHistory) {
-        state.history.past.push(JSON.parse(JSON.stringify(state)));
-        state.history.future = [];
-        
-        // Limit history size
-        if (state.history.past.length > 20) {
-          state.history.past.shift();
-        }
+        this.pushHistory(this.snapshot());
       }
       
       // Apply changes
@@ -210,17 +230,30 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       this.notifyStateChanged(changes);
     },
     
+    /**
+     * Record a dataset edit so undo and redo reach it in order with other changes
+     */
+    recordDataEdit: function() {
+      this.pushHistory({ dataEdit: true });
+    },
+    
     /**
      * Undo last state change
      */
     undo: function() {
       if (state.history.past.length === 0) return;
       
+      const previousState = state.history.past.pop();
+      if (previousState.dataEdit) {
+        state.history.future.push(previousState);
+        if (state.editor) state.editor.undo();
+        return;
+      }
+      
       // Save current state to future
-      state.history.future.push(JSON.parse(JSON.stringify(state)));
+      state.history.future.push(this.snapshot());
       
       // Restore previous state
-      const previousState = state.history.past.pop();
       Object.assign(state, previousState);
       
       // Update UI
@@ -233,11 +266,17 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     redo: function() {
       if (state.history.future.length === 0) return;
       
+      const futureState = state.history.future.pop();
+      if (futureState.dataEdit) {
+        state.history.past.push(futureState);
+        if (state.editor) state.editor.redo();
+        return;
+      }
+      
       // Save current state to past
-      state.history.past.push(JSON.parse(JSON.stringify(state)));
+      state.history.past.push(this.snapshot());
       
       // Apply future state
-      const futureState = state.history.future.pop();
       Object.assign(state, futureState);
       
       // Update UI
@@ -304,16 +343,40 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
         Utils.markUserVisited();
       }
       
-      // Load genealogy data
+      // Load genealogy data, merging every configured source
       updateLoadingState(true, 'Loading genealogy data...');
-      const rawData = await GenealogyDataUtils.loadGenealogyData('./Genealogy-dataset.json', state.settings.dataLoadingLevel);
+      const sources = state.settings.data && state.settings.data.sources;
+      let rawData;
+      let sourceReport = null;
+      if (sources && sources.primary) {
+        const loaded = await GenealogyDataUtils.loadGenealogySources(sources);
+        rawData = loaded.data;
+        sourceReport = {
+          sources: loaded.sources,
+          conflicts: loaded.conflicts,
+          matches: loaded.matches,
+          warnings: loaded.warnings
+        };
+      } else {
+        rawData = await GenealogyDataUtils.loadGenealogyData('./Genealogy-dataset.json', state.settings.dataLoadingLevel);
+      }
       
       // Process and transform the data
       updateLoadingState(true, 'Processing data...');
-      const transformedData = GenealogyDataUtils.processGenealogyData(rawData);
+      const processingSettings = (state.settings.data && state.settings.data.processing) || {};
+      if (state.settings.data && state.settings.data.eras) {
+        GenealogyDataUtils.configureEras(state.settings.data.eras);
+      }
+      if (state.settings.data && state.settings.data.lineages) {
+        GenealogyDataUtils.configureLineages(state.settings.data.lineages);
+      }
+      const transformedData = GenealogyDataUtils.processGenealogyData(rawData, processingSettings);
       if (!transformedData) {
         throw new Error('Data transformation failed');
       }
+      if (sourceReport) {
+        transformedData.sourceReport = sourceReport;
+      }
       
       // Further enrich the dataset with additional metadata
       updateLoadingState(true, 'Enriching dataset...');
@@ -322,6 +385,11 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       // Store the data in application state
       state.data = enrichedData;
       
+      // Edits go through the dataset editor so they can be undone
+      if (window.DatasetEditor) {
+        state.editor = window.DatasetEditor.createEditor(enrichedData, { onChange: handleDataChanged });
+      }
+      
       // Initialize the visualization with the data
       updateLoadingState(true, 'Initializing visualization...');
       initializeVisualization(enrichedData);
@@ -361,6 +429,14 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       
       const settingsData = await response.json();
       
+      // Report settings that do not match the settings schema
+      if (window.DatasetSchema) {
+        const validation = window.DatasetSchema.validateSettings(settingsData);
+        if (!validation.valid) {
+          console.warn('settings.json does not match its schema:', validation.errors.map(issue => issue.message));
+        }
+      }
+      
       // Merge with default settings
       StateManager.updateState({
         settings: Utils.deepMerge(state.settings, settingsData)
@@ -415,9 +491,48 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     state.visualization.on('nodeHovered', handleNodeHovered);
     state.visualization.on('viewChanged', handleViewChanged);
     
+    // The sidebar filter controls in index.html talk to this facade
+    window.BiblicalVisualization = { applyFilters, resetFilters, setTradition, exportData, highlightLineage };
+    
+    populateTraditionSelect(data);
+    populateEraSelect();
+    populateLineageSelect();
+    
     Performance.endTimer('visualization-init');
   }
 
+  /**
+   * Update the views after the dataset editor changed the data
+   * @param {Object} change - Change summary from DatasetEditor
+   */
+  function handleDataChanged(change) {
+    if (change.type === 'edit') {
+      StateManager.recordDataEdit();
+    }
+    
+    // Birth years, eras, inferred links, lineage flags, generations and
+    // clans follow the whole family tree, so they are derived again
+    const processingSettings = (state.settings.data && state.settings.data.processing) || {};
+    GenealogyDataUtils.deriveGenealogyData(state.data, processingSettings);
+    
+    if (state.visualization && state.renderer) {
+      state.renderer.updateData(state.visualization.applyDataChange(change, state.data.inferredLinks));
+    }
+    analyzeDataset(state.data);
+    
+    const selected = state.ui.selectedNode &&
+      state.data.nodes.find(node => node.id === state.ui.selectedNode);
+    if (selected) {
+      renderNodeDetails(selected);
+    } else if (state.ui.selectedNode) {
+      StateManager.updateState({ ui: { selectedNode: null } }, false);
+    }
+    
+    if (change.type !== 'edit') {
+      showNotification(`${change.type === 'undo' ? 'Undid' : 'Redid'}: ${change.label}`, 'info');
+    }
+  }
+
   /**
    * Analyze the dataset to extract interesting patterns and statistics
    * @param {Object} data - The processed genealogy dataset
@@ -438,6 +553,7 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
         unknown: data.nodes.filter(n => n.gender !== 'male' && n.gender !== 'female').length
       },
       keyFigures: data.nodes.filter(n => n.isKeyFigure).length,
+      communityCount: (data.communities || []).length,
       tribes: {}
     };
     
@@ -812,6 +928,28 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     Performance.endTimer('search');
   }
 
+  /**
+   * Append text to an element, wrapping highlighted ranges in <mark>
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text to append
+   * @param {Array} offsets - Highlight ranges as { start, end }
+   */
+  function appendHighlightedText(element, text, offsets) {
+    let position = 0;
+    
+    (offsets || []).forEach(({ start, end }) => {
+      if (start < position) return;
+      
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+
   /**
    * Display search results in the UI
    * @param {Array} results - Search results
@@ -839,8 +977,11 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       listItem.className = 'search-result-item';
       listItem.setAttribute('data-id', result.id);
       
+      const matches = result.matches || [];
+      const nameMatch = matches.find(match => match.field === 'fullName');
+      
       const nameElement = document.createElement('strong');
-      nameElement.textContent = result.name;
+      appendHighlightedText(nameElement, result.name, nameMatch ? nameMatch.offsets : []);
       
       const detailsElement = document.createElement('span');
       detailsElement.className = 'search-result-details';
@@ -859,6 +1000,16 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       listItem.appendChild(document.createElement('br'));
       listItem.appendChild(detailsElement);
       
+      // Show where the match was found when it was not the name
+      const otherMatch = !nameMatch && matches[0];
+      if (otherMatch) {
+        const matchElement = document.createElement('span');
+        matchElement.className = 'search-result-match';
+        appendHighlightedText(matchElement, otherMatch.value, otherMatch.offsets);
+        listItem.appendChild(document.createElement('br'));
+        listItem.appendChild(matchElement);
+      }
+      
       // Add click handler to select this node
       listItem.addEventListener('click', () => {
         selectNode(result.id);
@@ -971,6 +1122,10 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
           <h3>Time Span</h3>
           <div class="stat-value">${stats.earliestYear} to ${stats.latestYear}</div>
         </div>
+        <div class="stat-box">
+          <h3>Clans</h3>
+          <div class="stat-value">${stats.communityCount}</div>
+        </div>
       </div>
       
       <div class="statistics-details">
@@ -1281,6 +1436,38 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       .attr('transform', `translate(0, ${height})`)
       .call(d3.axisBottom(x).tickFormat(d => d));
     
+    // Era bands from the era registry, drawn behind the events
+    const eraBands = svg.append('g')
+      .attr('class', 'era-bands');
+    
+    GenealogyDataUtils.getEras()
+      .filter(era => era.endYear >= minYear && era.startYear <= maxYear)
+      .forEach(era => {
+        const start = x(Math.max(era.startYear, minYear));
+        const end = x(Math.min(era.endYear, maxYear));
+        const band = eraBands.append('g')
+          .attr('class', 'era-band')
+          .attr('data-era', era.id);
+        
+        band.append('rect')
+          .attr('x', start)
+          .attr('y', 0)
+          .attr('width', Math.max(end - start, 1))
+          .attr('height', height)
+          .attr('fill', era.color || '#607D8B')
+          .attr('opacity', 0.12);
+        
+        band.append('text')
+          .attr('x', start + 4)
+          .attr('y', 12)
+          .attr('font-size', '10px')
+          .attr('fill', '#555')
+          .text(era.name);
+        
+        band.append('title')
+          .text(`${era.name}: ${era.startYear} to ${era.endYear}`);
+      });
+    
     // Add timeline line
     svg.append('line')
       .attr('x1', 0)
@@ -1658,6 +1845,124 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     }, false); // Don't add reset to history
   }
 
+  /**
+   * Apply sidebar filters and redraw the visible subset
+   * @param {Object} filters - Filter values (lineage, generation, timePeriod)
+   */
+  function applyFilters(filters = {}) {
+    state.ui.filters = { ...filters };
+    
+    if (!state.visualization || !state.renderer) {
+      return;
+    }
+    
+    const visible = state.visualization.applyFilters(state.ui.filters);
+    state.renderer.updateData(visible);
+  }
+
+  /**
+   * Show facts and links as one tradition gives them, or every alternative
+   * @param {string} [tradition='all'] - Tradition id (see FactClaims)
+   */
+  function setTradition(tradition = 'all') {
+    StateManager.updateState({
+      ui: { tradition }
+    }, false);
+    
+    if (!state.data || !window.FactClaims) {
+      return;
+    }
+    
+    window.FactClaims.applyTradition(state.data, tradition);
+    if (state.renderer && typeof state.renderer.setTradition === 'function') {
+      state.renderer.setTradition(tradition);
+    }
+    if (state.ui.selectedNode) {
+      const person = state.data.nodes.find(node => node.id === state.ui.selectedNode);
+      if (person) renderNodeDetails(person);
+    }
+  }
+
+  /**
+   * Fill the tradition selector with the traditions the data cites
+   * @param {Object} data - Processed genealogy data
+   */
+  function populateTraditionSelect(data) {
+    const select = document.getElementById('tradition-select');
+    if (!select || !window.FactClaims) return;
+    
+    const traditions = window.FactClaims.getTraditions(data);
+    select.innerHTML = '<option value="all">All (show alternatives)</option>';
+    traditions.forEach(tradition => {
+      const option = document.createElement('option');
+      option.value = tradition.id;
+      option.textContent = tradition.name;
+      select.appendChild(option);
+    });
+    select.disabled = traditions.length === 0;
+    select.onchange = () => setTradition(select.value);
+  }
+
+  /**
+   * Fill the time period filter with the eras of the era registry
+   */
+  function populateEraSelect() {
+    const select = document.getElementById('time-filter');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '<option value="all">All Time</option>';
+    GenealogyDataUtils.getEras().forEach(era => {
+      const option = document.createElement('option');
+      option.value = era.id;
+      option.textContent = era.name;
+      select.appendChild(option);
+    });
+    select.value = GenealogyDataUtils.resolveEra(selected) || 'all';
+  }
+
+  /**
+   * Fill the lineage filter with the named lineages
+   */
+  function populateLineageSelect() {
+    const select = document.getElementById('lineage-filter');
+    if (!select) return;
+    
+    const selected = select.value;
+    const lineages = GenealogyDataUtils.getLineages();
+    select.innerHTML = '<option value="all">All Lineages</option>';
+    lineages.forEach(lineage => {
+      const option = document.createElement('option');
+      option.value = lineage.id;
+      option.textContent = lineage.name;
+      select.appendChild(option);
+    });
+    select.value = lineages.some(lineage => lineage.id === selected) ? selected : 'all';
+  }
+
+  /**
+   * Highlight the members of a named lineage
+   * @param {string} lineageId - Lineage id (see GenealogyDataUtils.getLineages)
+   * @return {Array<string>} Highlighted person ids
+   */
+  function highlightLineage(lineageId) {
+    const lineage = state.data && GenealogyDataUtils.getLineageMembers(state.data, lineageId);
+    if (!lineage || !state.visualization) return [];
+    
+    state.visualization.highlightNodes(lineage.members);
+    if (lineage.warnings.length > 0) {
+      showNotification(lineage.warnings[0], 'warning');
+    }
+    return lineage.members;
+  }
+
+  /**
+   * Clear all sidebar filters
+   */
+  function resetFilters() {
+    applyFilters({});
+  }
+
   /**
    * Toggle settings panel visibility
    */
@@ -1752,6 +2057,780 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     }, true); // Add selection to history
   }
 
+  /**
+   * Handle node selection from the visualization by showing the details panel
+   * @param {Object} event - Selection event with selectedNodes
+   */
+  function handleNodeSelected(event) {
+    const selectedNodes = (event && event.selectedNodes) || [];
+    const panel = document.getElementById('node-details');
+    
+    if (!panel) return;
+    
+    if (selectedNodes.length === 0 || !state.data || !state.data.indices) {
+      panel.style.display = 'none';
+      return;
+    }
+    
+    const person = state.data.indices.byId[selectedNodes[selectedNodes.length - 1]];
+    if (!person) return;
+    
+    renderNodeDetails(person);
+    panel.style.display = 'block';
+  }
+
+  /**
+   * Format a birth or death date as recorded ("c. 1800 BC"), showing the
+   * range and Anno Mundi year when it was derived by the chronology engine
+   * @param {Object} person - Person node
+   * @param {string} event - 'birth' or 'death'
+   * @return {string|number|null} Display value
+   */
+  function formatLifeYear(person, event) {
+    const year = event === 'birth' ? person.birthYear : person.deathYear;
+    const date = event === 'birth' ? person.birthDate : person.deathDate;
+    const isDerived = event === 'birth' ? person.birthYearDerived : person.deathYearDerived;
+    const derived = person.chronology && person.chronology[event];
+    
+    if (!isDerived || !derived || !window.Chronology) {
+      return GenealogyDataUtils.formatDisplayDate(date || year) || year;
+    }
+    
+    const am = derived.am ? `, AM ${derived.am.year}` : '';
+    return `${window.Chronology.formatDerivedDate(derived)} (derived${am})`;
+  }
+
+  /**
+   * Render a person's details, including structured scripture references
+   * @param {Object} person - Person to show
+   */
+  function renderNodeDetails(person) {
+    const nameElement = document.getElementById('node-name');
+    const infoElement = document.getElementById('node-info');
+    
+    if (!nameElement || !infoElement) return;
+    
+    nameElement.textContent = person.fullName || person.name || person.id;
+    infoElement.innerHTML = '';
+    
+    if (state.editor) {
+      const actions = document.createElement('div');
+      actions.className = 'node-actions';
+    
+      const editButton = document.createElement('button');
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => renderPersonEditor(person));
+    
+      const deleteButton = document.createElement('button');
+      deleteButton.textContent = 'Delete…';
+      deleteButton.addEventListener('click', () => renderDeletePreview(person));
+    
+      actions.appendChild(editButton);
+      actions.appendChild(deleteButton);
+      infoElement.appendChild(actions);
+    }
+    
+    const facts = [
+      ['Also known as', (person.alternateNames || []).join(', ')],
+      ['Era', person.era],
+      ['Generation', person.generation],
+      ['Born', formatLifeYear(person, 'birth')],
+      ['Died', formatLifeYear(person, 'death')],
+      ['Birthplace', person.birthplace],
+      ['Occupation', [].concat(person.occupation || []).join(', ')],
+      ['Significance', person.significance]
+    ];
+    
+    const factList = document.createElement('dl');
+    factList.className = 'node-facts';
+    
+    facts.forEach(([label, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      factList.appendChild(term);
+      factList.appendChild(description);
+    });
+    
+    infoElement.appendChild(factList);
+    
+    // Named lineages the person belongs to; each one can be highlighted
+    const lineages = GenealogyDataUtils.getLineages().filter(lineage => {
+      const result = GenealogyDataUtils.getLineageMembers(state.data, lineage.id);
+      return result && result.members.includes(person.id);
+    });
+    if (lineages.length > 0) {
+      const lineageList = document.createElement('div');
+      lineageList.className = 'node-lineages';
+      lineages.forEach(lineage => {
+        const button = document.createElement('button');
+        button.className = 'lineage-highlight';
+        button.title = 'Highlight this lineage';
+        button.textContent = lineage.name;
+        button.addEventListener('click', () => highlightLineage(lineage.id));
+        lineageList.appendChild(button);
+      });
+      infoElement.appendChild(lineageList);
+    }
+    
+    // Competing claims, each with the passage or source behind it
+    if (window.FactClaims) {
+      const claimList = document.createElement('dl');
+      claimList.className = 'node-claims';
+      Object.keys(window.FactClaims.CLAIM_FIELDS).forEach(field => {
+        if (!window.FactClaims.isDisputed(person, field)) return;
+        
+        const term = document.createElement('dt');
+        term.textContent = field;
+        const description = document.createElement('dd');
+        description.textContent = window.FactClaims.getClaims(person, field)
+          .filter(claim => !claim.stated || claim.citations.length > 0)
+          .map(claim => {
+            const attribution = [claim.tradition && (window.FactClaims.TRADITIONS[claim.tradition] || claim.tradition),
+              claim.source, ...claim.citations].filter(Boolean).join(', ');
+            return `${claim.value}${attribution ? ` (${attribution})` : ''}`;
+          })
+          .join('; ');
+        claimList.appendChild(term);
+        claimList.appendChild(description);
+      });
+      
+      if (claimList.children.length > 0) {
+        const claimHeading = document.createElement('h3');
+        claimHeading.textContent = 'Competing claims';
+        infoElement.appendChild(claimHeading);
+        infoElement.appendChild(claimList);
+      }
+    }
+    
+    // Values the merged sources disagree on, the displayed one first;
+    // fields already listed under competing claims are left out
+    const alternatives = Object.entries(person.alternatives || {})
+      .filter(([field]) => !(window.FactClaims && field in window.FactClaims.CLAIM_FIELDS));
+    if (alternatives.length > 0) {
+      const conflictList = document.createElement('dl');
+      conflictList.className = 'node-alternatives';
+      alternatives.forEach(([field, values]) => {
+        const term = document.createElement('dt');
+        term.textContent = field;
+        const description = document.createElement('dd');
+        description.textContent = values
+          .map(alternative => `${[].concat(alternative.value).join(', ')} (${alternative.source})`)
+          .join('; ');
+        conflictList.appendChild(term);
+        conflictList.appendChild(description);
+      });
+      
+      const conflictHeading = document.createElement('h3');
+      conflictHeading.textContent = 'Sources disagree';
+      infoElement.appendChild(conflictHeading);
+      infoElement.appendChild(conflictList);
+    }
+    
+    renderPedigreeAnalysis(person, infoElement);
+    
+    const scriptureIndex = state.data.indices.byScripture;
+    const references = scriptureIndex && window.ScriptureReferences ?
+      window.ScriptureReferences.getPersonReferences(scriptureIndex, person.id) : [];
+    
+    if (references.length === 0) return;
+    
+    const heading = document.createElement('h3');
+    heading.textContent = 'Scripture references';
+    
+    const sortButton = document.createElement('button');
+    sortButton.className = 'reference-sort';
+    
+    const list = document.createElement('ol');
+    list.className = 'scripture-references';
+    
+    // Toggle between canonical order and the order the references were recorded
+    let canonical = true;
+    const recorded = [].concat(person.biblicalReferences || []);
+    
+    const renderList = () => {
+      const sorted = canonical ? references : references.slice().sort((a, b) =>
+        recorded.indexOf(a.text) - recorded.indexOf(b.text));
+      
+      list.innerHTML = '';
+      sorted.forEach(reference => {
+        const item = document.createElement('li');
+        item.setAttribute('data-osis', reference.osis);
+        item.title = reference.text;
+        item.textContent = reference.display;
+        list.appendChild(item);
+      });
+      
+      sortButton.textContent = canonical ? 'Canonical order' : 'Recorded order';
+    };
+    
+    sortButton.addEventListener('click', () => {
+      canonical = !canonical;
+      renderList();
+    });
+    
+    renderList();
+    heading.appendChild(sortButton);
+    infoElement.appendChild(heading);
+    infoElement.appendChild(list);
+  }
+
+  // Fields offered by the person editor. 'list' inputs are comma-separated,
+  // 'lines' inputs hold one entry per line, and 'date' inputs take anything
+  // DateValue parses ("c. 1800 BC", "before the Flood").
+  const PERSON_EDITOR_FIELDS = [
+    { field: 'fullName', label: 'Name', kind: 'text' },
+    { field: 'alternateNames', label: 'Also known as', kind: 'list' },
+    { field: 'birthDate', label: 'Born', kind: 'date', yearField: 'birthYear' },
+    { field: 'deathDate', label: 'Died', kind: 'date', yearField: 'deathYear' },
+    { field: 'age', label: 'Age', kind: 'number' },
+    { field: 'birthplace', label: 'Birthplace', kind: 'text' },
+    { field: 'deathplace', label: 'Place of death', kind: 'text' },
+    { field: 'occupation', label: 'Occupation', kind: 'list' },
+    { field: 'biblicalReferences', label: 'References', kind: 'lines' }
+  ];
+
+  // Relatives that can be added from the editor
+  const RELATIVE_ROLES = {
+    father: 'Father',
+    mother: 'Mother',
+    spouse: 'Spouse',
+    child: 'Child'
+  };
+
+  /**
+   * Get the id of a link endpoint, which is a node once the layout has run
+   * @param {Object|string} endpoint - Link source or target
+   * @return {string} Person id
+   */
+  function getEndpointId(endpoint) {
+    return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+  }
+
+  /**
+   * Get the text an editor input starts with
+   * @param {Object} record - Person record from GenealogyDataUtils.toPersonRecord
+   * @param {Object} spec - Entry of PERSON_EDITOR_FIELDS
+   * @return {string} Input text
+   */
+  function getEditorText(record, spec) {
+    const value = record[spec.field];
+    switch (spec.kind) {
+      case 'list':
+        return [].concat(value || []).join(', ');
+      case 'lines':
+        return [].concat(value || []).join('\n');
+      case 'date':
+        return value || GenealogyDataUtils.formatDisplayDate(record[spec.yearField]) || '';
+      default:
+        return value === null || value === undefined ? '' : String(value);
+    }
+  }
+
+  /**
+   * Read an editor input as person fields. A date also sets its year and
+   * drops the chronology engine's estimate, since the year is now stated.
+   * @param {Object} spec - Entry of PERSON_EDITOR_FIELDS
+   * @param {string} text - Input text
+   * @return {Object} Fields for the dataset editor
+   */
+  function readEditorField(spec, text) {
+    const value = text.trim();
+    switch (spec.kind) {
+      case 'list':
+        return { [spec.field]: value.split(',').map(item => item.trim()).filter(Boolean) };
+      case 'lines':
+        return { [spec.field]: value.split('\n').map(item => item.trim()).filter(Boolean) };
+      case 'number':
+        return { [spec.field]: value === '' ? null : Number(value) };
+      case 'date': {
+        const date = GenealogyDataUtils.toDateValue(value || null);
+        return {
+          [spec.field]: date,
+          [spec.yearField]: GenealogyDataUtils.getDateYear(date),
+          [`${spec.yearField}Derived`]: undefined
+        };
+      }
+      default:
+        return spec.field === 'fullName' ?
+          { fullName: value || null, name: value || null } :
+          { [spec.field]: value || null };
+    }
+  }
+
+  /**
+   * Show a list of messages in the person editor
+   * @param {HTMLElement} container - Message container
+   * @param {Array<string>} messages - Messages
+   * @param {string} type - 'error' or 'warning'
+   */
+  function showEditorMessages(container, messages, type) {
+    container.innerHTML = '';
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.className = `editor-${type}`;
+      item.textContent = message;
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the editor for a person's details and relatives in the details panel
+   * @param {Object} person - Person to edit
+   */
+  function renderPersonEditor(person) {
+    const infoElement = document.getElementById('node-info');
+    if (!infoElement || !state.editor) return;
+    
+    const record = GenealogyDataUtils.toPersonRecord(person);
+    infoElement.innerHTML = '';
+    
+    const form = document.createElement('form');
+    form.className = 'person-editor';
+    
+    const messages = document.createElement('ul');
+    messages.className = 'editor-messages';
+    
+    const inputs = PERSON_EDITOR_FIELDS.map(spec => {
+      const label = document.createElement('label');
+      label.textContent = spec.label;
+      
+      const input = document.createElement(spec.kind === 'lines' ? 'textarea' : 'input');
+      if (spec.kind === 'number') {
+        input.type = 'number';
+        input.min = '0';
+      } else if (spec.kind !== 'lines') {
+        input.type = 'text';
+      }
+      input.name = spec.field;
+      input.defaultValue = getEditorText(record, spec);
+      if (spec.kind === 'lines') {
+        input.value = input.defaultValue;
+        input.rows = 3;
+      }
+      
+      label.appendChild(input);
+      form.appendChild(label);
+      return { spec, input };
+    });
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'node-actions';
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.textContent = 'Save';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => renderNodeDetails(person));
+    
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.textContent = 'Export dataset';
+    exportButton.addEventListener('click', exportData);
+    
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(exportButton);
+    form.appendChild(buttons);
+    form.appendChild(messages);
+    
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      
+      // Only fields that were changed are saved
+      const fields = {};
+      inputs.forEach(({ spec, input }) => {
+        if (input.value !== input.defaultValue) {
+          Object.assign(fields, readEditorField(spec, input.value));
+        }
+      });
+      
+      if (Object.keys(fields).length === 0) {
+        renderNodeDetails(person);
+        return;
+      }
+      
+      // Check the record as it would be saved before changing anything
+      const candidate = GenealogyDataUtils.toPersonRecord({ ...person, ...fields });
+      const validation = GenealogyDataUtils.validateGenealogyData([candidate]);
+      if (validation.errors.length > 0) {
+        showEditorMessages(messages, validation.errors, 'error');
+        return;
+      }
+      
+      try {
+        state.editor.updatePerson(person.id, fields);
+      } catch (error) {
+        showEditorMessages(messages, [error.message], 'error');
+        return;
+      }
+      
+      const updated = state.data.indices.byId[person.id] || person;
+      const findings = GenealogyDataUtils.checkConsistency(state.data)
+        .filter(finding => finding.ids.includes(person.id))
+        .map(finding => finding.message);
+      const warnings = [...validation.warnings, ...findings];
+      
+      renderNodeDetails(updated);
+      if (warnings.length > 0) {
+        const warningList = document.createElement('ul');
+        warningList.className = 'editor-messages';
+        showEditorMessages(warningList, warnings, 'warning');
+        document.getElementById('node-info').insertBefore(warningList, document.querySelector('#node-info .node-facts'));
+      }
+      showNotification(`Saved ${updated.fullName || updated.name || updated.id}`, 'success');
+    });
+    
+    infoElement.appendChild(form);
+    infoElement.appendChild(renderRelativesEditor(person));
+  }
+
+  /**
+   * Render the relatives section of the person editor: the current parents,
+   * spouses and children, and a people picker for adding one
+   * @param {Object} person - Person being edited
+   * @return {HTMLElement} Relatives section
+   */
+  function renderRelativesEditor(person) {
+    const section = document.createElement('div');
+    section.className = 'relatives-editor';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = 'Relatives';
+    section.appendChild(heading);
+    
+    const messages = document.createElement('ul');
+    messages.className = 'editor-messages';
+    
+    const rerender = () => {
+      const updated = state.data.indices.byId[person.id];
+      if (updated) renderPersonEditor(updated);
+    };
+    
+    const relatives = [
+      ...['father', 'mother'].filter(role => person[role]).map(role => ({ role, id: person[role] })),
+      ...(person.spouses || []).map(id => ({ role: 'spouse', id })),
+      ...(person.children || []).map(id => ({ role: 'child', id }))
+    ];
+    
+    const list = document.createElement('ul');
+    list.className = 'relatives-list';
+    relatives.forEach(({ role, id }) => {
+      const relative = state.data.indices.byId[id];
+      const item = document.createElement('li');
+      item.textContent = `${RELATIVE_ROLES[role]}: ${relative ? relative.fullName || relative.name : id}`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.title = `Remove ${RELATIVE_ROLES[role].toLowerCase()}`;
+      removeButton.textContent = '×';
+      removeButton.addEventListener('click', () => {
+        const fields = role === 'spouse' ? { spouses: person.spouses.filter(other => other !== id) } :
+          role === 'child' ? { children: person.children.filter(other => other !== id) } :
+          { [role]: null };
+        try {
+          state.editor.updatePerson(person.id, fields);
+          rerender();
+        } catch (error) {
+          showEditorMessages(messages, [error.message], 'error');
+        }
+      });
+      
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    
+    // People picker: the datalist offers ids labelled with names, and
+    // text that names nobody adds a new person
+    const picker = document.createElement('div');
+    picker.className = 'relative-picker';
+    
+    const roleSelect = document.createElement('select');
+    Object.entries(RELATIVE_ROLES).forEach(([role, label]) => {
+      const option = document.createElement('option');
+      option.value = role;
+      option.textContent = label;
+      roleSelect.appendChild(option);
+    });
+    
+    const options = document.createElement('datalist');
+    options.id = 'relative-picker-options';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Name or id';
+    input.setAttribute('list', options.id);
+    
+    const fillOptions = Utils.debounce(() => {
+      const term = input.value.trim();
+      const people = term.length >= 2 ?
+        GenealogyDataUtils.searchGenealogyData(state.data, term, { limit: 20 }).map(result => state.data.indices.byId[result.id]) :
+        state.data.nodes;
+      options.innerHTML = '';
+      people.filter(other => other && other.id !== person.id).forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.label = other.fullName || other.name || other.id;
+        options.appendChild(option);
+      });
+    }, state.settings.performance.debounceDelay);
+    input.addEventListener('input', fillOptions);
+    fillOptions();
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = 'Add';
+    addButton.addEventListener('click', () => {
+      try {
+        addRelative(person, roleSelect.value, input.value);
+        rerender();
+      } catch (error) {
+        showEditorMessages(messages, [error.message], 'error');
+      }
+    });
+    
+    picker.appendChild(roleSelect);
+    picker.appendChild(input);
+    picker.appendChild(options);
+    picker.appendChild(addButton);
+    section.appendChild(picker);
+    section.appendChild(messages);
+    
+    return section;
+  }
+
+  /**
+   * Find the person a picker entry names: an id, or a name or alternate
+   * name that only one person has
+   * @param {string} text - Picker text
+   * @return {Object|null} Person, or null if nobody has that name
+   */
+  function findPickedPerson(text) {
+    if (state.data.indices.byId[text]) {
+      return state.data.indices.byId[text];
+    }
+    
+    const key = text.toLowerCase();
+    const matches = state.data.nodes.filter(node =>
+      [node.fullName, node.name, ...(node.alternateNames || [])].some(name => name && name.toLowerCase() === key));
+    if (matches.length > 1) {
+      throw new Error(`"${text}" could be ${matches.map(node => node.id).join(' or ')}; pick one from the list`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Add a relative to a person, creating the relative first if nobody by
+   * that name exists. Both steps are undone together.
+   * @param {Object} person - Person being edited
+   * @param {string} role - Key of RELATIVE_ROLES
+   * @param {string} text - Picker text: an id or a name
+   */
+  function addRelative(person, role, text) {
+    const value = text.trim();
+    if (!value) {
+      throw new Error('Choose a person or type a new name');
+    }
+    
+    const existing = findPickedPerson(value);
+    let relativeId = existing && existing.id;
+    if (!existing) {
+      const base = value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'person';
+      relativeId = base;
+      for (let suffix = 2; state.data.indices.byId[relativeId]; suffix++) {
+        relativeId = `${base}-${suffix}`;
+      }
+    }
+    
+    const name = person.fullName || person.name || person.id;
+    state.editor.batch(`Add ${RELATIVE_ROLES[role].toLowerCase()} of ${name}`, () => {
+      if (!existing) {
+        state.editor.addPerson({ id: relativeId, fullName: value });
+      }
+      
+      if (role === 'father' || role === 'mother') {
+        state.editor.updatePerson(person.id, { [role]: relativeId });
+      } else if (role === 'spouse') {
+        state.editor.linkPeople(person.id, relativeId, 'spouse');
+      } else {
+        // The parent's gender says whether they are the child's father or mother
+        const parentRole = person.gender === 'male' ? 'father' : person.gender === 'female' ? 'mother' : null;
+        const child = state.data.indices.byId[relativeId];
+        const canSetRole = parentRole && !(child && child[parentRole]);
+        state.editor.linkPeople(person.id, relativeId, 'parent', canSetRole ? { role: parentRole } : {});
+      }
+    });
+  }
+
+  /**
+   * Show what deleting a person would change, with a button to go ahead
+   * @param {Object} person - Person to delete
+   */
+  function renderDeletePreview(person) {
+    const infoElement = document.getElementById('node-info');
+    if (!infoElement || !state.editor) return;
+    
+    const id = person.id;
+    const name = person.fullName || person.name || id;
+    const linkCounts = {};
+    state.data.links
+      .filter(link => getEndpointId(link.source) === id || getEndpointId(link.target) === id)
+      .forEach(link => {
+        linkCounts[link.type] = (linkCounts[link.type] || 0) + 1;
+      });
+    const affected = state.data.nodes.filter(node => node.id !== id && (
+      node.father === id || node.mother === id ||
+      (node.spouses || []).includes(id) || (node.children || []).includes(id) ||
+      (node.relationships || []).some(rel => rel && rel.target === id)));
+    
+    infoElement.innerHTML = '';
+    
+    const preview = document.createElement('div');
+    preview.className = 'delete-preview';
+    
+    const summary = document.createElement('p');
+    const linkSummary = Object.entries(linkCounts).map(([type, count]) => `${count} ${type}`).join(', ');
+    summary.textContent = `Deleting ${name} also removes ` +
+      (linkSummary ? `their links (${linkSummary})` : 'no links') +
+      ` and updates ${affected.length} ${affected.length === 1 ? 'person' : 'people'}.`;
+    preview.appendChild(summary);
+    
+    if (affected.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'relatives-list';
+      affected.forEach(node => {
+        const item = document.createElement('li');
+        item.textContent = node.fullName || node.name || node.id;
+        list.appendChild(item);
+      });
+      preview.appendChild(list);
+    }
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'node-actions';
+    
+    const confirmButton = document.createElement('button');
+    confirmButton.className = 'danger';
+    confirmButton.textContent = `Delete ${name}`;
+    confirmButton.addEventListener('click', () => {
+      state.editor.removePerson(id);
+      const panel = document.getElementById('node-details');
+      if (panel) panel.style.display = 'none';
+      showNotification(`Deleted ${name}`, 'success');
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => renderNodeDetails(person));
+    
+    buttons.appendChild(confirmButton);
+    buttons.appendChild(cancelButton);
+    preview.appendChild(buttons);
+    infoElement.appendChild(preview);
+  }
+
+  /**
+   * Show a person's pedigree analysis: inbreeding, pedigree collapse and
+   * the relationship to each spouse through their closest common ancestors
+   * @param {Object} person - Person whose details are shown
+   * @param {HTMLElement} container - Details panel element
+   */
+  function renderPedigreeAnalysis(person, container) {
+    const analysis = GenealogyDataUtils.analyzePedigree(state.data, person.id);
+    if (!analysis || analysis.collapse.totals.known === 0) return;
+    
+    const formatPercent = value => `${(value * 100).toFixed(value > 0 && value < 0.01 ? 2 : 1)}%`;
+    const facts = [];
+    
+    if (analysis.inbreeding.coefficient > 0) {
+      facts.push(['Inbreeding', `F = ${analysis.inbreeding.coefficient.toFixed(4)}`]);
+    }
+    
+    const totals = analysis.collapse.totals;
+    facts.push(['Pedigree collapse',
+      `${totals.unique} unique of ${totals.known} known ancestors (${formatPercent(totals.collapse)})`]);
+    
+    analysis.spouses.forEach(spouse => {
+      const through = spouse.commonAncestors
+        .map(ancestor => `${ancestor.name} (${Object.values(ancestor.pathCounts).join(' × ')} lines)`)
+        .join(', ');
+      facts.push([`Related to ${spouse.name}`,
+        `r = ${spouse.coefficient.toFixed(4)}${through ? ` through ${through}` : ''}`]);
+    });
+    
+    const list = document.createElement('dl');
+    list.className = 'node-pedigree';
+    facts.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
+    });
+    
+    if (analysis.inbreeding.truncated || analysis.collapse.truncated) {
+      const note = document.createElement('p');
+      note.className = 'editor-warning';
+      note.textContent = 'The pedigree has more lines of descent than were counted; figures are lower bounds.';
+      list.appendChild(note);
+    }
+    
+    const exportButton = document.createElement('button');
+    exportButton.className = 'pedigree-export';
+    exportButton.textContent = 'Export analysis';
+    exportButton.addEventListener('click', () => {
+      downloadFile(`Pedigree-${person.id}.json`, JSON.stringify(analysis, null, 2), 'application/json');
+    });
+    
+    const heading = document.createElement('h3');
+    heading.textContent = 'Pedigree';
+    container.appendChild(heading);
+    container.appendChild(list);
+    container.appendChild(exportButton);
+  }
+
+  /**
+   * Download generated content as a file
+   * @param {string} filename - Name to save the file under
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   */
+  function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+
+  /**
+   * Download the dataset, with any edits, as a file that can replace
+   * Genealogy-dataset.json
+   */
+  function exportData() {
+    if (!state.data) {
+      showNotification('No data to export', 'warning');
+      return;
+    }
+    
+    const json = GenealogyDataUtils.exportGenealogyData(state.data, 'records');
+    downloadFile('Genealogy-dataset.json', json, 'application/json');
+  }
+
   /**
    * Highlight a node in the timeline
    * @param {string} nodeId - ID of the node to highlight
@@ -1933,6 +3012,15 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
       state.visualization.updateSettings(settings);
     }
     
+    // Re-date people when the text tradition changes
+    if (settings.biblicalModel && state.data && window.Chronology &&
+        (!state.data.chronology || window.Chronology.resolveTradition(settings.biblicalModel) !== state.data.chronology.tradition)) {
+      GenealogyDataUtils.deriveChronology(state.data, settings.biblicalModel);
+      if (state.renderer) {
+        state.renderer.updateData(state.data);
+      }
+    }
+    
     // Show/hide controls
     const controlsContainer = document.getElementById('controls-container');
     if (controlsContainer) {
@@ -2034,6 +3122,13 @@ window.BiblicalGenealogyApp = window.BiblicalGenealogyApp || (function() {
     resetView: resetVisualization,
     showSettings: toggleSettingsPanel,
     showHelp,
+    applyFilters,
+    resetFilters,
+    highlightLineage,
+    getEditor: () => state.editor,
+    exportData,
+    undo: () => StateManager.undo(),
+    redo: () => StateManager.redo(),
     getState: () => ({...state})
   };
 })();
\ No newline at end of file
@@ -0,0 +1,812 @@
+/**
+ * Biblical Genealogy Chronology Engine
+ * Derives birth and death years Anno Mundi (years from creation) and BC by
+ * walking the begetting ages of Genesis 5 and 11 and the patriarchal
+ * narratives. Begetting ages, lifespans, anchors (the Flood, the Exodus,
+ * reign starts, the exile) and recorded dates are solved together as
+ * constraints, so contradictions between them are reported rather than
+ * hidden. Every derived date carries an uncertainty range and the chain of
+ * scripture references it was reckoned from, and the begetting ages can be
+ * read from the Masoretic, Septuagint or Samaritan text.
+ *
+ * Years are signed: negative values are BC and positive values AD, matching
+ * birthYear/deathYear elsewhere in the dataset.
+ */
+const Chronology = (function() {
+    /**
+     * Begetting ages and lifespans that differ between text traditions.
+     * Keyed by child id: `age` is the father's age at the child's birth,
+     * `lifespans` the total years where the tradition gives its own, and
+     * `anchors` the tradition's own reading of an anchor.
+     * Septuagint Arphaxad includes the second Cainan (Luke 3:36) who is not
+     * in the dataset, so his 135 + 130 years are carried on Shelah.
+     */
+    const TRADITIONS = {
+        masoretic: {
+            name: 'Masoretic Text',
+            begetting: {
+                seth: { parent: 'adam', age: 130, reference: 'Genesis 5:3' },
+                enosh: { parent: 'seth', age: 105, reference: 'Genesis 5:6' },
+                kenan: { parent: 'enosh', age: 90, reference: 'Genesis 5:9' },
+                mahalalel: { parent: 'kenan', age: 70, reference: 'Genesis 5:12' },
+                jared: { parent: 'mahalalel', age: 65, reference: 'Genesis 5:15' },
+                enoch: { parent: 'jared', age: 162, reference: 'Genesis 5:18' },
+                methuselah: { parent: 'enoch', age: 65, reference: 'Genesis 5:21' },
+                lamech: { parent: 'methuselah', age: 187, reference: 'Genesis 5:25' },
+                noah: { parent: 'lamech', age: 182, reference: 'Genesis 5:28' },
+                arphaxad: { parent: 'shem', age: 100, reference: 'Genesis 11:10' },
+                shelah: { parent: 'arphaxad', age: 35, reference: 'Genesis 11:12' },
+                eber: { parent: 'shelah', age: 30, reference: 'Genesis 11:14' },
+                peleg: { parent: 'eber', age: 34, reference: 'Genesis 11:16' },
+                reu: { parent: 'peleg', age: 30, reference: 'Genesis 11:18' },
+                serug: { parent: 'reu', age: 32, reference: 'Genesis 11:20' },
+                nahor: { parent: 'serug', age: 30, reference: 'Genesis 11:22' },
+                terah: { parent: 'nahor', age: 29, reference: 'Genesis 11:24' }
+            },
+            lifespans: {}
+        },
+        septuagint: {
+            name: 'Septuagint',
+            begetting: {
+                seth: { parent: 'adam', age: 230, reference: 'Genesis 5:3 (LXX)' },
+                enosh: { parent: 'seth', age: 205, reference: 'Genesis 5:6 (LXX)' },
+                kenan: { parent: 'enosh', age: 190, reference: 'Genesis 5:9 (LXX)' },
+                mahalalel: { parent: 'kenan', age: 170, reference: 'Genesis 5:12 (LXX)' },
+                jared: { parent: 'mahalalel', age: 165, reference: 'Genesis 5:15 (LXX)' },
+                enoch: { parent: 'jared', age: 162, reference: 'Genesis 5:18 (LXX)' },
+                methuselah: { parent: 'enoch', age: 165, reference: 'Genesis 5:21 (LXX)' },
+                lamech: { parent: 'methuselah', age: 167, reference: 'Genesis 5:25 (LXX)' },
+                noah: { parent: 'lamech', age: 188, reference: 'Genesis 5:28 (LXX)' },
+                arphaxad: { parent: 'shem', age: 100, reference: 'Genesis 11:10 (LXX)' },
+                shelah: { parent: 'arphaxad', age: 265, reference: 'Genesis 11:12-13 (LXX)', note: 'Includes Cainan, 135 + 130 years' },
+                eber: { parent: 'shelah', age: 130, reference: 'Genesis 11:14 (LXX)' },
+                peleg: { parent: 'eber', age: 134, reference: 'Genesis 11:16 (LXX)' },
+                reu: { parent: 'peleg', age: 130, reference: 'Genesis 11:18 (LXX)' },
+                serug: { parent: 'reu', age: 132, reference: 'Genesis 11:20 (LXX)' },
+                nahor: { parent: 'serug', age: 130, reference: 'Genesis 11:22 (LXX)' },
+                terah: { parent: 'nahor', age: 79, reference: 'Genesis 11:24 (LXX)' }
+            },
+            lifespans: {
+                lamech: { years: 753, reference: 'Genesis 5:31 (LXX)' },
+                arphaxad: { years: 565, reference: 'Genesis 11:13 (LXX)' },
+                shelah: { years: 460, reference: 'Genesis 11:15 (LXX)' },
+                eber: { years: 504, reference: 'Genesis 11:17 (LXX)' },
+                peleg: { years: 339, reference: 'Genesis 11:19 (LXX)' },
+                reu: { years: 339, reference: 'Genesis 11:21 (LXX)' },
+                serug: { years: 330, reference: 'Genesis 11:23 (LXX)' },
+                nahor: { years: 208, reference: 'Genesis 11:25 (LXX)' }
+            },
+            anchors: {
+                'descent-to-egypt': {
+                    name: "Jacob's descent into Egypt",
+                    kind: 'event',
+                    constraints: [{ relativeTo: 'exodus', offset: -215, reference: 'Exodus 12:40 (LXX); Galatians 3:17', note: 'The 430 years include the sojourn in Canaan' }]
+                }
+            }
+        },
+        samaritan: {
+            name: 'Samaritan Pentateuch',
+            begetting: {
+                seth: { parent: 'adam', age: 130, reference: 'Genesis 5:3 (SP)' },
+                enosh: { parent: 'seth', age: 105, reference: 'Genesis 5:6 (SP)' },
+                kenan: { parent: 'enosh', age: 90, reference: 'Genesis 5:9 (SP)' },
+                mahalalel: { parent: 'kenan', age: 70, reference: 'Genesis 5:12 (SP)' },
+                jared: { parent: 'mahalalel', age: 65, reference: 'Genesis 5:15 (SP)' },
+                enoch: { parent: 'jared', age: 62, reference: 'Genesis 5:18 (SP)' },
+                methuselah: { parent: 'enoch', age: 65, reference: 'Genesis 5:21 (SP)' },
+                lamech: { parent: 'methuselah', age: 67, reference: 'Genesis 5:25 (SP)' },
+                noah: { parent: 'lamech', age: 53, reference: 'Genesis 5:28 (SP)' },
+                arphaxad: { parent: 'shem', age: 100, reference: 'Genesis 11:10 (SP)' },
+                shelah: { parent: 'arphaxad', age: 135, reference: 'Genesis 11:12 (SP)' },
+                eber: { parent: 'shelah', age: 130, reference: 'Genesis 11:14 (SP)' },
+                peleg: { parent: 'eber', age: 134, reference: 'Genesis 11:16 (SP)' },
+                reu: { parent: 'peleg', age: 130, reference: 'Genesis 11:18 (SP)' },
+                serug: { parent: 'reu', age: 132, reference: 'Genesis 11:20 (SP)' },
+                nahor: { parent: 'serug', age: 130, reference: 'Genesis 11:22 (SP)' },
+                terah: { parent: 'nahor', age: 79, reference: 'Genesis 11:24 (SP)' }
+            },
+            lifespans: {
+                jared: { years: 847, reference: 'Genesis 5:20 (SP)' },
+                methuselah: { years: 720, reference: 'Genesis 5:27 (SP)' },
+                lamech: { years: 653, reference: 'Genesis 5:31 (SP)' },
+                eber: { years: 404, reference: 'Genesis 11:17 (SP)' },
+                terah: { years: 145, reference: 'Genesis 11:32 (SP)' }
+            },
+            anchors: {
+                'descent-to-egypt': {
+                    name: "Jacob's descent into Egypt",
+                    kind: 'event',
+                    constraints: [{ relativeTo: 'exodus', offset: -215, reference: 'Exodus 12:40 (SP)', note: 'The 430 years include the sojourn in Canaan' }]
+                }
+            }
+        }
+    };
+
+    /**
+     * Begetting ages shared by every tradition. `minAge`/`maxAge` bound ages
+     * the text leaves open: Shem was born when Noah was 500 (Genesis 5:32)
+     * yet was 100 two years after the flood (Genesis 11:10), and Abraham left
+     * Haran at 75 after Terah died at 205 (Genesis 11:32, 12:4; Acts 7:4).
+     */
+    const COMMON_BEGETTING = {
+        shem: { parent: 'noah', age: 502, minAge: 500, maxAge: 502, reference: 'Genesis 5:32; 11:10' },
+        ham: { parent: 'noah', age: 500, minAge: 500, maxAge: 502, reference: 'Genesis 5:32' },
+        japheth: { parent: 'noah', age: 500, minAge: 500, maxAge: 502, reference: 'Genesis 5:32' },
+        abraham: { parent: 'terah', age: 70, minAge: 70, maxAge: 130, reference: 'Genesis 11:26, 32; 12:4' },
+        ishmael: { parent: 'abraham', age: 86, reference: 'Genesis 16:16' },
+        isaac: { parent: 'abraham', age: 100, reference: 'Genesis 21:5' },
+        esau: { parent: 'isaac', age: 60, reference: 'Genesis 25:26' },
+        jacob: { parent: 'isaac', age: 60, reference: 'Genesis 25:26' },
+        joseph: { parent: 'jacob', age: 91, reference: 'Genesis 41:46; 45:6; 47:9', note: 'Jacob was 130 when Joseph was 39' }
+    };
+
+    /**
+     * Births fixed relative to someone other than a parent
+     */
+    const RELATIVE_BIRTHS = {
+        sarah: { relativeTo: 'abraham', offset: 10, reference: 'Genesis 17:17' }
+    };
+
+    const TRADITION_ALIASES = {
+        masoretic: 'masoretic', mt: 'masoretic', hebrew: 'masoretic',
+        septuagint: 'septuagint', lxx: 'septuagint', greek: 'septuagint',
+        samaritan: 'samaritan', sp: 'samaritan'
+    };
+
+    /**
+     * Events and reigns dates can be stated relative to. An anchor is either
+     * fixed to a year or defined by constraints relative to other anchors and
+     * to people's births ("birth:noah"). Reign starts are read from
+     * DateValue.REIGNS as "reign:<id>" when date-value.js is available.
+     */
+    const ANCHORS = {
+        flood: {
+            name: 'the Flood',
+            kind: 'event',
+            constraints: [{ relativeTo: 'birth:noah', offset: 600, reference: 'Genesis 7:6' }]
+        },
+        temple: {
+            name: 'the founding of the Temple',
+            kind: 'event',
+            constraints: [{ relativeTo: 'reign:solomon', offset: 3, minOffset: 3, maxOffset: 4, reference: '1 Kings 6:1' }]
+        },
+        exodus: {
+            name: 'the Exodus',
+            kind: 'event',
+            constraints: [{ relativeTo: 'temple', offset: -479, reference: '1 Kings 6:1' }]
+        },
+        'descent-to-egypt': {
+            name: "Jacob's descent into Egypt",
+            kind: 'event',
+            constraints: [{ relativeTo: 'exodus', offset: -430, reference: 'Exodus 12:40-41' }]
+        },
+        exile: {
+            name: 'the Babylonian exile',
+            kind: 'event',
+            constraints: [
+                { relativeTo: 'reign:nebuchadnezzar', offset: 18, minOffset: 18, maxOffset: 19, reference: '2 Kings 25:8' },
+                { relativeTo: 'reign:zedekiah', offset: 10, minOffset: 10, maxOffset: 11, reference: '2 Kings 25:2' }
+            ]
+        }
+    };
+
+    /**
+     * People dated relative to an anchor rather than a parent
+     */
+    const PERSON_ANCHORS = [
+        { subject: 'birth:arphaxad', relativeTo: 'flood', offset: 2, reference: 'Genesis 11:10' },
+        { subject: 'birth:jacob', relativeTo: 'descent-to-egypt', offset: -130, reference: 'Genesis 47:9' },
+        { subject: 'birth:joseph', relativeTo: 'descent-to-egypt', offset: -39, reference: 'Genesis 41:46; 45:6' }
+    ];
+
+    /**
+     * Gets the DateValue module if it is loaded
+     * @returns {Object|null} DateValue module
+     */
+    function getDateValue() {
+        if (typeof window !== 'undefined' && window.DateValue) {
+            return window.DateValue;
+        }
+        if (typeof require === 'function') {
+            try {
+                return require('./date-value.js');
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds or replaces an anchor in the registry
+     * @param {string} id - Anchor id ("flood", "reign:uzziah")
+     * @param {Object} anchor - { name, kind, year, reference } for a fixed
+     *   anchor, or { name, kind, constraints: [{ relativeTo, offset, minOffset, maxOffset, reference }] }
+     */
+    function registerAnchor(id, anchor) {
+        if (!id || !anchor || (anchor.year === undefined && !Array.isArray(anchor.constraints))) {
+            throw new Error('An anchor needs an id and either a year or constraints');
+        }
+        ANCHORS[id] = { kind: 'event', ...anchor };
+    }
+
+    /**
+     * Lists the anchors for a tradition: reign starts, the registry and the
+     * tradition's own overrides
+     * @param {string} [tradition='masoretic'] - Tradition key
+     * @returns {Object} Anchor definitions keyed by id
+     */
+    function getAnchors(tradition = 'masoretic') {
+        const anchors = {};
+        const dateValue = getDateValue();
+
+        if (dateValue) {
+            Object.keys(dateValue.REIGNS).forEach(id => {
+                const reign = dateValue.REIGNS[id];
+                anchors[`reign:${id}`] = { name: `reign of ${reign.name}`, kind: 'reign', year: reign.start, reference: reign.reference };
+            });
+        }
+
+        return { ...anchors, ...ANCHORS, ...((TRADITIONS[tradition] && TRADITIONS[tradition].anchors) || {}) };
+    }
+
+    /**
+     * Resolves a tradition name or alias ("hebrew", "lxx") to its key
+     * @param {string} tradition - Tradition name or alias
+     * @returns {string|null} Tradition key, or null if unknown
+     */
+    function resolveTradition(tradition) {
+        if (!tradition) {
+            return 'masoretic';
+        }
+        return TRADITION_ALIASES[String(tradition).toLowerCase()] || null;
+    }
+
+    /**
+     * Lists the available text traditions
+     * @returns {Array<Object>} { id, name } for each tradition
+     */
+    function getTraditions() {
+        return Object.keys(TRADITIONS).map(id => ({ id, name: TRADITIONS[id].name }));
+    }
+
+    /**
+     * Gets the begetting age entries for a tradition, keyed by child id
+     * @param {string} tradition - Tradition key
+     * @returns {Object} Begetting entries
+     */
+    function getBegettingTable(tradition) {
+        return { ...TRADITIONS[tradition].begetting, ...COMMON_BEGETTING };
+    }
+
+    /**
+     * Formats a signed year for display
+     * @param {number} year - Signed year (negative is BC)
+     * @param {string} [era='common'] - 'common' for BC/AD, 'am' for Anno Mundi
+     * @returns {string} Formatted year
+     */
+    function formatYear(year, era = 'common') {
+        if (typeof year !== 'number' || isNaN(year)) {
+            return '';
+        }
+        if (era === 'am') {
+            return `AM ${year}`;
+        }
+        return year < 0 ? `${-year} BC` : `AD ${year}`;
+    }
+
+    /**
+     * Formats a derived date with its range, e.g. "c. 2166 BC" or
+     * "3996-3936 BC"
+     * @param {Object} date - Derived date with year, min and max
+     * @returns {string} Formatted date
+     */
+    function formatDerivedDate(date) {
+        if (!date) {
+            return '';
+        }
+        if (date.min === date.max) {
+            return formatYear(date.year);
+        }
+        if (date.min < 0 && date.max < 0) {
+            return `${-date.min}-${-date.max} BC`;
+        }
+        return `${formatYear(date.min)} - ${formatYear(date.max)}`;
+    }
+
+    /**
+     * Normalizes a relative constraint so it always has offset bounds
+     * @param {Object} constraint - { subject, relativeTo, offset, minOffset, maxOffset }
+     * @returns {Object} Constraint with minOffset and maxOffset
+     */
+    function relative(constraint) {
+        const minOffset = constraint.minOffset !== undefined ? constraint.minOffset : constraint.offset;
+        const maxOffset = constraint.maxOffset !== undefined ? constraint.maxOffset : constraint.offset;
+        return { ...constraint, minOffset, maxOffset };
+    }
+
+    /**
+     * Turns a recorded birth or death date into a constraint: regnal dates
+     * hang off the reign, "before the Flood" off the event and anything else
+     * is fixed to its year bounds
+     * @param {string} subject - Variable id ("birth:eve")
+     * @param {Object} date - DateValue
+     * @returns {Object|null} Constraint, or null if the date says nothing
+     */
+    function recordedDateConstraint(subject, date) {
+        const reference = `recorded ${subject.split(':')[0]} date`;
+
+        if (date.reign && date.reign.id) {
+            const years = date.reign.year;
+            return relative({ subject, relativeTo: `reign:${date.reign.id}`, minOffset: years - 1, maxOffset: years, reference });
+        }
+        if (date.event && date.event.id) {
+            return date.type === 'before' ?
+                relative({ subject, relativeTo: date.event.id, minOffset: -Infinity, maxOffset: 0, reference }) :
+                relative({ subject, relativeTo: date.event.id, minOffset: 0, maxOffset: Infinity, reference });
+        }
+        if (date.min === null && date.max === null) {
+            return null;
+        }
+        return {
+            subject,
+            min: date.min !== null ? date.min : -Infinity,
+            max: date.max !== null ? date.max : Infinity,
+            year: date.year,
+            reference
+        };
+    }
+
+    /**
+     * Collects every constraint on births, deaths and anchors for a tradition.
+     * Constraints from the data rather than the text (recorded dates, person
+     * anchors, caller constraints) are marked `soft`.
+     * @param {Object} data - Genealogy data with nodes
+     * @param {string} tradition - Tradition key
+     * @param {Object} [options={}] - { constraints } adds caller constraints
+     * @returns {Array<Object>} Constraints
+     */
+    function buildConstraints(data, tradition, options = {}) {
+        const constraints = [];
+        const nodes = data.nodes || [];
+
+        const begetting = getBegettingTable(tradition);
+        Object.keys(begetting).forEach(childId => {
+            const edge = begetting[childId];
+            constraints.push(relative({
+                subject: `birth:${childId}`,
+                relativeTo: `birth:${edge.parent}`,
+                offset: edge.age,
+                minOffset: edge.minAge,
+                maxOffset: edge.maxAge,
+                reference: edge.reference,
+                note: edge.note
+            }));
+        });
+
+        Object.keys(RELATIVE_BIRTHS).forEach(id => {
+            const entry = RELATIVE_BIRTHS[id];
+            constraints.push(relative({ subject: `birth:${id}`, relativeTo: `birth:${entry.relativeTo}`, offset: entry.offset, reference: entry.reference }));
+        });
+
+        const lifespans = TRADITIONS[tradition].lifespans;
+        nodes.forEach(node => {
+            const override = lifespans[node.id];
+            const years = override ? override.years : node.age;
+            if (typeof years === 'number' && years > 0) {
+                constraints.push(relative({
+                    subject: `death:${node.id}`,
+                    relativeTo: `birth:${node.id}`,
+                    offset: years,
+                    reference: override ? override.reference : 'recorded lifespan',
+                    lifespan: true
+                }));
+            }
+        });
+
+        const anchors = getAnchors(tradition);
+        Object.keys(anchors).forEach(id => {
+            const anchor = anchors[id];
+            if (anchor.year !== undefined) {
+                constraints.push({ subject: id, min: anchor.year, max: anchor.year, year: anchor.year, reference: anchor.reference });
+            }
+            (anchor.constraints || []).forEach(constraint => {
+                constraints.push(relative({ subject: id, ...constraint }));
+            });
+        });
+
+        PERSON_ANCHORS.forEach(constraint => constraints.push(relative(constraint)));
+
+        // People in the data may be dated relative to anchors, and recorded
+        // dates constrain everything chained to them
+        const dateValue = getDateValue();
+        nodes.forEach(node => {
+            (node.anchors || []).forEach(anchor => {
+                constraints.push(relative({
+                    soft: true,
+                    subject: `${anchor.event || 'birth'}:${node.id}`,
+                    relativeTo: anchor.anchor,
+                    offset: anchor.offset || 0,
+                    minOffset: anchor.minOffset,
+                    maxOffset: anchor.maxOffset,
+                    reference: anchor.reference || `${node.id} anchors`
+                }));
+            });
+
+            [['birth', 'birthDate', 'birthYear', 'birthYearDerived'], ['death', 'deathDate', 'deathYear', 'deathYearDerived']].forEach(([event, dateField, yearField, derivedFlag]) => {
+                if (node[derivedFlag] || (node[dateField] && node[dateField].derived)) {
+                    return;
+                }
+                const recorded = node[dateField] || node[yearField];
+                if (recorded === null || recorded === undefined) {
+                    return;
+                }
+                const date = dateValue ? dateValue.parse(recorded) :
+                    (typeof recorded === 'number' ? { type: 'exact', year: recorded, min: recorded, max: recorded } : null);
+                const constraint = date && recordedDateConstraint(`${event}:${node.id}`, date);
+                if (constraint) {
+                    constraints.push({ ...constraint, soft: true });
+                }
+            });
+        });
+
+        (options.constraints || []).forEach(constraint => {
+            constraints.push({ ...(constraint.relativeTo !== undefined ? relative(constraint) : constraint), soft: true });
+        });
+
+        return constraints;
+    }
+
+    /**
+     * Narrows every variable to the years all constraints allow. A variable
+     * whose earliest year passes its latest is a contradiction: it is
+     * reported with the two constraints that set those bounds and left out
+     * of further narrowing.
+     * @param {Array<Object>} constraints - Fixed { subject, min, max } and
+     *   relative { subject, relativeTo, minOffset, maxOffset } constraints
+     * @returns {Object} { values: { id: { min, max, minBy, maxBy } }, contradictions, converged }
+     */
+    function solveConstraints(constraints) {
+        const values = {};
+        const contradictions = [];
+        const broken = new Set();
+
+        const get = id => values[id] || (values[id] = { min: -Infinity, max: Infinity, minBy: null, maxBy: null });
+
+        const tighten = (id, min, max, constraint) => {
+            if (broken.has(id)) {
+                return false;
+            }
+
+            const value = get(id);
+            let changed = false;
+            if (min > value.min) {
+                value.min = min;
+                value.minBy = constraint;
+                changed = true;
+            }
+            if (max < value.max) {
+                value.max = max;
+                value.maxBy = constraint;
+                changed = true;
+            }
+
+            if (value.min > value.max) {
+                broken.add(id);
+                contradictions.push({
+                    id,
+                    min: value.min,
+                    max: value.max,
+                    constraints: [value.minBy, value.maxBy]
+                });
+            }
+            return changed;
+        };
+
+        // Bounded: a consistent system settles well within this many passes
+        const maxPasses = constraints.length + 10;
+        let passes = 0;
+        let changed = true;
+
+        // Stop at the first pass with a contradiction: narrowing past it only
+        // spreads the same conflict around every cycle it sits on
+        while (changed && passes < maxPasses && contradictions.length === 0) {
+            changed = false;
+            passes++;
+
+            constraints.forEach(constraint => {
+                if (constraint.relativeTo === undefined) {
+                    changed = tighten(constraint.subject, constraint.min, constraint.max, constraint) || changed;
+                    return;
+                }
+
+                const base = get(constraint.relativeTo);
+                const subject = get(constraint.subject);
+                changed = tighten(constraint.subject, base.min + constraint.minOffset, base.max + constraint.maxOffset, constraint) || changed;
+                changed = tighten(constraint.relativeTo, subject.min - constraint.maxOffset, subject.max - constraint.minOffset, constraint) || changed;
+            });
+        }
+
+        return { values, contradictions, converged: !changed || contradictions.length > 0 };
+    }
+
+    /**
+     * Picks a preferred year for every variable by walking preferred offsets
+     * out from the fixed constraints, recording the chain of references
+     * @param {Array<Object>} constraints - Constraints
+     * @returns {Object} { id: { year, steps } }
+     */
+    function preferredYears(constraints) {
+        const preferred = {};
+
+        constraints.forEach(constraint => {
+            if (constraint.relativeTo === undefined && !preferred[constraint.subject] &&
+                isFinite(constraint.min) && isFinite(constraint.max)) {
+                const year = typeof constraint.year === 'number' ? constraint.year : Math.round((constraint.min + constraint.max) / 2);
+                preferred[constraint.subject] = { year, steps: [{ from: null, years: 0, reference: constraint.reference }] };
+            }
+        });
+
+        const edges = constraints.filter(constraint =>
+            constraint.relativeTo !== undefined && isFinite(constraint.minOffset) && isFinite(constraint.maxOffset));
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            edges.forEach(edge => {
+                const offset = edge.offset !== undefined ? edge.offset : Math.round((edge.minOffset + edge.maxOffset) / 2);
+                const step = { years: offset, minYears: edge.minOffset, maxYears: edge.maxOffset, reference: edge.reference, note: edge.note };
+                const base = preferred[edge.relativeTo];
+                const subject = preferred[edge.subject];
+
+                if (base && !subject) {
+                    preferred[edge.subject] = { year: base.year + offset, steps: [...base.steps, { from: edge.relativeTo, ...step }] };
+                    changed = true;
+                } else if (subject && !base) {
+                    preferred[edge.relativeTo] = { year: subject.year - offset, steps: [...subject.steps, { from: edge.subject, ...step, years: -offset }] };
+                    changed = true;
+                }
+            });
+        }
+
+        return preferred;
+    }
+
+    /**
+     * Resolves constraints into dated entries with ranges and provenance
+     * @param {Array<Object>} constraints - Constraints
+     * @param {Object} [solved] - Result of solveConstraints, if already run
+     * @returns {Object} { dates: { id: { year, min, max, exact, derivation, sources, boundedBy } }, contradictions, converged }
+     */
+    function resolve(constraints, solved = solveConstraints(constraints)) {
+        const preferred = preferredYears(constraints);
+        const dates = {};
+
+        Object.keys(solved.values).forEach(id => {
+            const value = solved.values[id];
+            if (!isFinite(value.min) || !isFinite(value.max) || value.min > value.max) {
+                return;
+            }
+
+            const path = preferred[id] || { year: Math.round((value.min + value.max) / 2), steps: [] };
+            const year = Math.min(Math.max(path.year, value.min), value.max);
+            const sources = [];
+            path.steps.concat([value.minBy, value.maxBy]).forEach(step => {
+                if (step && step.reference && !sources.includes(step.reference)) {
+                    sources.push(step.reference);
+                }
+            });
+
+            dates[id] = {
+                year,
+                min: value.min,
+                max: value.max,
+                exact: value.min === value.max,
+                derivation: path.steps,
+                sources,
+                boundedBy: {
+                    min: value.minBy ? value.minBy.reference : null,
+                    max: value.maxBy ? value.maxBy.reference : null
+                }
+            };
+        });
+
+        return { dates, contradictions: solved.contradictions, converged: solved.converged };
+    }
+
+    /**
+     * Describes a contradiction for display
+     * @param {Object} contradiction - From solveConstraints
+     * @returns {string} Message
+     */
+    function describeContradiction(contradiction) {
+        const references = [];
+        contradiction.constraints.filter(Boolean).forEach(constraint => {
+            if (!references.includes(constraint.reference)) {
+                references.push(constraint.reference);
+            }
+        });
+
+        if (contradiction.rejected) {
+            const range = formatDerivedDate({ year: contradiction.min, min: contradiction.min, max: contradiction.max });
+            return `Ignored ${contradiction.rejected.reference} for ${contradiction.id}: ` +
+                `the text places it at ${range} (${references.join('; ')})`;
+        }
+        return `${contradiction.id} would have to be no earlier than ${formatYear(contradiction.min)} ` +
+            `and no later than ${formatYear(contradiction.max)} (${references.join(' vs ')})`;
+    }
+
+    /**
+     * Derives birth and death years for everyone the constraints reach.
+     * Begetting ages, lifespans, anchors and recorded dates are solved
+     * together; dates they cannot all satisfy are reported as contradictions.
+     * @param {Object} data - Genealogy data with nodes (id, age, birthDate, anchors)
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.tradition='masoretic'] - Text tradition or alias
+     * @param {Array<Object>} [options.constraints] - Extra constraints
+     * @returns {Object} { tradition, traditionName, anchors, people, contradictions, warnings }
+     */
+    function deriveChronology(data, options = {}) {
+        const tradition = resolveTradition(options.tradition);
+        if (!tradition) {
+            throw new Error(`Unknown text tradition: ${options.tradition}`);
+        }
+
+        const all = buildConstraints(data, tradition, options);
+        const constraints = all.filter(constraint => !constraint.soft);
+        const textSolution = solveConstraints(constraints);
+        const contradictions = textSolution.contradictions.slice();
+        const textConflicts = new Set(contradictions.map(contradiction => contradiction.id));
+
+        // Add what the data records one constraint at a time, so a bad record
+        // is reported against the text instead of unsettling everything else
+        let solution = textSolution;
+        all.filter(constraint => constraint.soft).forEach(candidate => {
+            const attempt = solveConstraints(constraints.concat([candidate]));
+            const conflict = attempt.contradictions.find(contradiction => !textConflicts.has(contradiction.id));
+            if (conflict) {
+                const current = solution.values[candidate.subject];
+                contradictions.push({
+                    id: candidate.subject,
+                    min: current ? current.min : -Infinity,
+                    max: current ? current.max : Infinity,
+                    constraints: current ? [current.minBy, current.maxBy] : [conflict.constraints[0], conflict.constraints[1]],
+                    rejected: candidate
+                });
+                return;
+            }
+            constraints.push(candidate);
+            solution = attempt;
+        });
+
+        const solved = resolve(constraints, solution);
+        const warnings = [];
+
+        if (!solved.converged) {
+            warnings.push({ id: null, message: 'Chronology constraints did not settle; ranges may be wider than the data allows' });
+        }
+
+        // Anno Mundi: the same chain counted from Adam's creation as year 0,
+        // without the fixed reign years and recorded dates
+        const amConstraints = constraints
+            .filter(constraint => constraint.relativeTo !== undefined)
+            .concat([{ subject: 'birth:adam', min: 0, max: 0, year: 0, reference: 'Creation (AM 0)' }]);
+        const am = resolve(amConstraints).dates;
+
+        const anchorDefinitions = getAnchors(tradition);
+        const anchors = {};
+        Object.keys(anchorDefinitions).forEach(id => {
+            if (solved.dates[id]) {
+                const { name, kind } = anchorDefinitions[id];
+                anchors[id] = { id, name, kind, ...solved.dates[id], am: am[id] ? { year: am[id].year, min: am[id].min, max: am[id].max } : null };
+            }
+        });
+
+        const withAm = (id) => {
+            const date = solved.dates[id];
+            const amDate = am[id];
+            return date ? { ...date, am: amDate ? { year: amDate.year, min: amDate.min, max: amDate.max } : null } : null;
+        };
+
+        const people = {};
+        (data.nodes || []).forEach(node => {
+            const birth = withAm(`birth:${node.id}`);
+            if (!birth) {
+                return;
+            }
+
+            const death = withAm(`death:${node.id}`);
+            const lifespan = constraints.find(constraint => constraint.lifespan && constraint.subject === `death:${node.id}`);
+            if (death && lifespan) {
+                death.lifespan = lifespan.offset;
+            }
+
+            people[node.id] = { id: node.id, birth, death };
+        });
+
+        const reported = contradictions.map(contradiction => {
+            const subject = contradiction.rejected ? contradiction.rejected.subject : contradiction.id;
+            const [event, person] = subject.includes(':') ? subject.split(':') : [null, null];
+            return {
+                ...contradiction,
+                person: event === 'birth' || event === 'death' ? person : null,
+                event,
+                message: describeContradiction(contradiction)
+            };
+        });
+
+        return {
+            tradition,
+            traditionName: TRADITIONS[tradition].name,
+            anchors,
+            people,
+            contradictions: reported,
+            warnings
+        };
+    }
+
+    /**
+     * Writes derived years onto the nodes. Recorded years are kept; the
+     * derivation is attached as node.chronology either way.
+     * @param {Object} data - Genealogy data with nodes
+     * @param {Object} chronology - Result of deriveChronology
+     * @returns {Object} The same data
+     */
+    function applyChronology(data, chronology) {
+        (data.nodes || []).forEach(node => {
+            const entry = chronology.people[node.id];
+
+            // Clear years derived under a previously applied tradition
+            if (node.birthYearDerived && !entry) {
+                node.birthYear = null;
+                delete node.birthYearDerived;
+            }
+            if (node.deathYearDerived && !(entry && entry.death)) {
+                node.deathYear = null;
+                delete node.deathYearDerived;
+            }
+
+            if (!entry) {
+                delete node.chronology;
+                return;
+            }
+
+            node.chronology = { tradition: chronology.tradition, ...entry };
+            if (node.birthYear === null || node.birthYear === undefined || node.birthYearDerived) {
+                node.birthYear = entry.birth.year;
+                node.birthYearDerived = true;
+            }
+            if (entry.death && (node.deathYear === null || node.deathYear === undefined || node.deathYearDerived)) {
+                node.deathYear = entry.death.year;
+                node.deathYearDerived = true;
+            }
+        });
+
+        return data;
+    }
+
+    return {
+        TRADITIONS,
+        ANCHORS,
+        registerAnchor,
+        getAnchors,
+        buildConstraints,
+        solveConstraints,
+        resolveTradition,
+        getTraditions,
+        getBegettingTable,
+        formatYear,
+        formatDerivedDate,
+        deriveChronology,
+        applyChronology
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Chronology;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Chronology; });
+} else if (typeof window !== 'undefined') {
+    window.Chronology = Chronology;
+}
@@ -0,0 +1,254 @@
+/**
+ * Biblical Genealogy Community Detection
+ * Groups people into communities (clans) with the Louvain method over the
+ * relationship graph, each link weighted by its relationship strength:
+ *
+ *     const result = Communities.detectCommunities(data, { weight: link => link.strength });
+ *     result.communities[0];   // { id: 'community-1', name: "Isaac's clan", size, nodes }
+ *
+ * Each person gets the id of their community in a node field
+ * ('community' by default), which hulls and the cluster layout group by.
+ */
+const Communities = (function() {
+    const DEFAULT_OPTIONS = {
+        attribute: 'community', // node field the community id is written to
+        resolution: 1, // above 1 favours smaller communities, below 1 larger ones
+        weight: link => link.strength || 1,
+        excludeLink: null // link => boolean, e.g. links that only restate others
+    };
+
+    /**
+     * Gets the id of a link endpoint, which D3 may have replaced with the node
+     * @param {string|Object} endpoint - Link source or target
+     * @returns {string} Node id
+     */
+    function endpointId(endpoint) {
+        return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+    }
+
+    /**
+     * Builds a weighted, undirected adjacency list from the relationship links
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} options - { weight, excludeLink }
+     * @returns {Object} { ids, adjacency } where adjacency[i] maps neighbour index to weight
+     */
+    function buildWeightedGraph(data, options) {
+        const ids = data.nodes.map(node => node.id);
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const adjacency = ids.map(() => new Map());
+
+        (data.links || []).forEach(link => {
+            if (options.excludeLink && options.excludeLink(link)) {
+                return;
+            }
+            const source = index.get(endpointId(link.source));
+            const target = index.get(endpointId(link.target));
+            if (source === undefined || target === undefined || source === target) {
+                return;
+            }
+            const weight = options.weight(link);
+            adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+            adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+        });
+
+        return { ids, adjacency };
+    }
+
+    /**
+     * Sums each row of an adjacency list (weighted degree, self-loops included)
+     * @param {Array<Map>} adjacency - Adjacency list
+     * @returns {Array<number>} Weighted degree of each node
+     */
+    function weightedDegrees(adjacency) {
+        return adjacency.map(row => {
+            let degree = 0;
+            row.forEach(weight => {
+                degree += weight;
+            });
+            return degree;
+        });
+    }
+
+    /**
+     * One Louvain local-moving phase: moves each node to the neighbouring
+     * community with the largest modularity gain until no move improves it
+     * @param {Array<Map>} adjacency - Adjacency list
+     * @param {number} resolution - Modularity resolution
+     * @returns {Object} { community, improved } with a community index per node
+     */
+    function moveNodes(adjacency, resolution) {
+        const degrees = weightedDegrees(adjacency);
+        const total = degrees.reduce((sum, degree) => sum + degree, 0);
+        const community = degrees.map((degree, i) => i);
+        const communityTotals = degrees.slice();
+        let improved = false;
+        let moved = total > 0;
+
+        for (let pass = 0; moved && pass < 100; pass++) {
+            moved = false;
+
+            for (let i = 0; i < adjacency.length; i++) {
+                const current = community[i];
+                const weightTo = new Map();
+                adjacency[i].forEach((weight, j) => {
+                    if (j !== i) {
+                        weightTo.set(community[j], (weightTo.get(community[j]) || 0) + weight);
+                    }
+                });
+
+                communityTotals[current] -= degrees[i];
+                let best = current;
+                let bestGain = (weightTo.get(current) || 0) - resolution * communityTotals[current] * degrees[i] / total;
+                weightTo.forEach((weight, candidate) => {
+                    const gain = weight - resolution * communityTotals[candidate] * degrees[i] / total;
+                    if (gain > bestGain + 1e-12) {
+                        best = candidate;
+                        bestGain = gain;
+                    }
+                });
+                communityTotals[best] += degrees[i];
+
+                if (best !== current) {
+                    community[i] = best;
+                    moved = true;
+                    improved = true;
+                }
+            }
+        }
+
+        return { community, improved };
+    }
+
+    /**
+     * Collapses each community into a single node whose edges carry the
+     * summed weights between communities (internal weight becomes a self-loop)
+     * @param {Array<Map>} adjacency - Adjacency list
+     * @param {Array<number>} community - Community index per node
+     * @returns {Object} { labels, adjacency } where labels maps old community indices to new nodes
+     */
+    function aggregateCommunities(adjacency, community) {
+        const labels = new Map();
+        community.forEach(c => {
+            if (!labels.has(c)) {
+                labels.set(c, labels.size);
+            }
+        });
+
+        const aggregated = Array.from(labels.keys(), () => new Map());
+        adjacency.forEach((row, i) => {
+            const from = labels.get(community[i]);
+            row.forEach((weight, j) => {
+                const to = labels.get(community[j]);
+                aggregated[from].set(to, (aggregated[from].get(to) || 0) + weight);
+            });
+        });
+
+        return { labels, adjacency: aggregated };
+    }
+
+    /**
+     * Computes the modularity of a partition of the graph
+     * @param {Array<Map>} adjacency - Adjacency list
+     * @param {Array<number>} membership - Community index per node
+     * @param {number} resolution - Modularity resolution
+     * @returns {number} Modularity, from -0.5 to 1
+     */
+    function calculateModularity(adjacency, membership, resolution) {
+        const degrees = weightedDegrees(adjacency);
+        const total = degrees.reduce((sum, degree) => sum + degree, 0);
+        if (total === 0) {
+            return 0;
+        }
+
+        const internal = new Map();
+        const totals = new Map();
+        adjacency.forEach((row, i) => {
+            const c = membership[i];
+            totals.set(c, (totals.get(c) || 0) + degrees[i]);
+            row.forEach((weight, j) => {
+                if (membership[j] === c) {
+                    internal.set(c, (internal.get(c) || 0) + weight);
+                }
+            });
+        });
+
+        let modularity = 0;
+        totals.forEach((communityTotal, c) => {
+            modularity += (internal.get(c) || 0) / total - resolution * Math.pow(communityTotal / total, 2);
+        });
+        return modularity;
+    }
+
+    /**
+     * Detects communities with the Louvain method and writes each person's
+     * community id to options.attribute. Communities are numbered largest
+     * first and named after their best-connected member.
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} [options={}] - { attribute, resolution, weight, excludeLink }
+     * @returns {Object} { communities: [{ id, name, size, nodes }], modularity }
+     */
+    function detectCommunities(data, options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const resolution = settings.resolution > 0 ? settings.resolution : 1;
+        const { ids, adjacency } = buildWeightedGraph(data, settings);
+
+        // Repeat local moving and aggregation until no node changes community
+        let membership = ids.map((id, i) => i);
+        let graph = adjacency;
+        for (let level = 0; level < 32; level++) {
+            const { community, improved } = moveNodes(graph, resolution);
+            if (!improved) {
+                break;
+            }
+            const aggregated = aggregateCommunities(graph, community);
+            membership = membership.map(node => aggregated.labels.get(community[node]));
+            graph = aggregated.adjacency;
+        }
+
+        const degrees = weightedDegrees(adjacency);
+        const groups = new Map();
+        membership.forEach((c, i) => {
+            if (!groups.has(c)) {
+                groups.set(c, []);
+            }
+            groups.get(c).push(i);
+        });
+
+        const communities = Array.from(groups.values())
+            .sort((a, b) => b.length - a.length || a[0] - b[0])
+            .map((members, i) => {
+                const id = `community-${i + 1}`;
+                const central = data.nodes[members.reduce((best, member) => (degrees[member] > degrees[best] ? member : best))];
+
+                members.forEach(member => {
+                    data.nodes[member][settings.attribute] = id;
+                });
+
+                return {
+                    id,
+                    name: `${central.name || central.id}'s clan`,
+                    size: members.length,
+                    nodes: members.map(member => ids[member])
+                };
+            });
+
+        return {
+            communities,
+            modularity: calculateModularity(adjacency, membership, resolution)
+        };
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        detectCommunities
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Communities;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Communities; });
+} else if (typeof window !== 'undefined') {
+    window.Communities = Communities;
+}
@@ -18,6 +18,7 @@ window.D3Renderer = window.D3Renderer || (function() {
     let transform = { x: 0, y: 0, k: 1 };
     let tooltipDiv = null;
     let dataCache = { nodes: [], links: [] };
+    let sourceData = null;
     
     // Container for rendered elements
     let renderedElements = {
@@ -164,6 +165,7 @@ window.D3Renderer = window.D3Renderer || (function() {
             svg: svg,
             updateData: updateData,
             updateConfig: updateConfig,
+            setTradition: setTradition,
             getNodeById: getNodeById,
             getLinkById: getLinkById,
             centerOnNode: centerOnNode,
@@ -188,7 +190,20 @@ window.D3Renderer = window.D3Renderer || (function() {
                 type: LAYOUT_TYPES.FORCE,
                 levelSpacing: 100,
                 nodeSpacing: 30,
-                sortMethod: 'chronological'
+                sortMethod: 'chronological',
+                // Node field the radial and cluster layouts group by; DataProcessor
+                // writes detected communities to `community`
+                groupAttribute: 'community'
+            },
+            // Hulls drawn around each group of nodes
+            hulls: {
+                enabled: true,
+                groupAttribute: 'community',
+                padding: 15,
+                opacity: 0.12,
+                strokeColor: '#999',
+                strokeWidth: 1,
+                colorScheme: d3.schemeCategory10
             },
             // Visual styling
             style: {
@@ -268,6 +283,20 @@ window.D3Renderer = window.D3Renderer || (function() {
                     dasharray: null
                 }
             },
+            // Links derived by GenealogyDataUtils.inferRelationships
+            inferredLinks: {
+                visible: true,
+                hiddenRules: ['ancestor-closure', 'reciprocal-spouse'],
+                dasharray: '2,3',
+                opacity: 0.35
+            },
+            // Links only some traditions support (see FactClaims): 'all'
+            // draws every alternative, a tradition id shows only its own
+            disputedLinks: {
+                tradition: 'all',
+                stroke: '#d95f0e',
+                dasharray: '8,4'
+            },
             // Custom node styling by type
             nodeTypes: {
                 'male': {
@@ -402,6 +431,9 @@ window.D3Renderer = window.D3Renderer || (function() {
             window.DebugUtils.startTimer('d3-renderer-update');
         }
         
+        // Keep the unfiltered data so a tradition change can re-filter it
+        sourceData = data;
+        
         // Preprocess data
         const processedData = preprocessData(data);
         
@@ -440,6 +472,9 @@ window.D3Renderer = window.D3Renderer || (function() {
             return { nodes: [], links: [] };
         }
         
+        // Nodes already on screen keep their place when the data is edited
+        const previousPositions = new Map((dataCache ? dataCache.nodes : []).map(node => [node.id, node]));
+        
         // Ensure nodes exist
         const nodes = (clonedData.nodes || []).map(node => ({
             // Ensure all required properties exist
@@ -454,20 +489,43 @@ window.D3Renderer = window.D3Renderer || (function() {
             // Preserve all original properties
             ...node
         }));
+        nodes.forEach(node => {
+            const previous = previousPositions.get(node.id);
+            if (previous && typeof previous.x === 'number') {
+                Object.assign(node, { x: previous.x, y: previous.y, vx: previous.vx, vy: previous.vy });
+            }
+        });
         
         // Create a map of nodes by ID for faster lookup
         const nodeMap = new Map(nodes.map(node => [node.id, node]));
         
-        // Ensure links exist and reference valid nodes
-        const links = (clonedData.links || []).map((link, index) => ({
-            // Ensure all required properties exist
-            id: link.id || `link-${index}`,
+        // Ensure links exist and reference valid nodes; derived links are
+        // kept apart in inferredLinks and drawn only when configured
+        const inferredConfig = currentConfig.inferredLinks || {};
+        const sourceLinks = (clonedData.links || [])
+            .concat(inferredConfig.visible ? clonedData.inferredLinks || [] : []);
+        const links = sourceLinks.map(link => ({
+            // Ensure all required properties exist; the id stays the same
+            // when other links are added or removed
+            id: link.id || `${link.source}-${link.target}-${link.type || 'default'}`,
             source: link.source,
             target: link.target,
             type: link.type || 'default',
             // Preserve all original properties
             ...link
         })).filter(link => {
+            // Leave out inferred links the configuration hides
+            if (link.inferred && (!inferredConfig.visible ||
+                (inferredConfig.hiddenRules || []).includes(link.rule))) {
+                return false;
+            }
+            
+            // Leave out disputed links the chosen tradition does not support
+            const tradition = (currentConfig.disputedLinks || {}).tradition || 'all';
+            if (link.disputed && tradition !== 'all' && !(link.traditions || []).includes(tradition)) {
+                return false;
+            }
+            
             // Filter out links with invalid source or target
             const sourceExists = nodeMap.has(link.source);
             const targetExists = nodeMap.has(link.target);
@@ -835,6 +893,34 @@ window.D3Renderer = window.D3Renderer || (function() {
             window.DebugUtils.info(`Rendered ${data.nodes.length} nodes and ${data.links.length} links in ${renderTime.toFixed(2)}ms`);
         }
     }
+    /**
+     * Get the stroke style for a link from its type, dimming inferred links
+     * and marking disputed ones
+     * @param {Object} link - Link data
+     * @returns {Object} Style with stroke, strokeWidth, dasharray and opacity
+     */
+    function getLinkStyle(link) {
+        const linkTypes = currentConfig.linkTypes || {};
+        const style = {
+            opacity: currentConfig.style.linkOpacity,
+            ...(linkTypes[link.type] || linkTypes['default'])
+        };
+        
+        if (link.inferred) {
+            const inferredConfig = currentConfig.inferredLinks || {};
+            style.dasharray = inferredConfig.dasharray || style.dasharray;
+            style.opacity = inferredConfig.opacity !== undefined ? inferredConfig.opacity : style.opacity;
+        }
+        
+        if (link.disputed) {
+            const disputedConfig = currentConfig.disputedLinks || {};
+            style.stroke = disputedConfig.stroke || style.stroke;
+            style.dasharray = disputedConfig.dasharray || style.dasharray;
+        }
+        
+        return style;
+    }
+    
     /**
      * Render links with improved performance
      * @param {Array} links - Links array
@@ -863,7 +949,7 @@ window.D3Renderer = window.D3Renderer || (function() {
             .attr('stroke-opacity', 0)
             .attr('data-id', d => d.id || `${d.source}-${d.target}`)
             .attr('data-type', d => d.type || 'default')
-            .attr('class', d => `link link-${d.type || 'default'}`)
+            .attr('class', d => `link link-${d.type || 'default'}${d.inferred ? ' link-inferred' : ''}${d.disputed ? ' link-disputed' : ''}`)
             .on('mouseover', handleLinkMouseover)
             .on('mouseout', handleLinkMouseout)
             .on('click', handleLinkClick);
@@ -1608,8 +1694,19 @@ function showLinkTooltip(event, link) {
         <span style="color: ${currentConfig.tooltips.valueColor}">${targetNode ? (targetNode.name || targetNode.id) : 'Unknown'}</span>
     </div>`;
     
+    // Traditions and passages behind a disputed link
+    if (link.disputed) {
+        const claimText = (link.claims || [])
+            .map(claim => `${claim.tradition || claim.source || 'stated'}${claim.citations.length ? ` (${claim.citations.join('; ')})` : ''}`)
+            .join(', ');
+        tooltipContent += `<div style="margin-top: 3px;">
+            <span style="color: ${currentConfig.tooltips.keyColor}">Disputed, according to:</span> 
+            <span style="color: ${currentConfig.tooltips.valueColor}">${claimText || (link.traditions || []).join(', ')}</span>
+        </div>`;
+    }
+    
     // Add all other properties
-    const excludedProps = ['source', 'target', 'index', 'relationship', 'type'];
+    const excludedProps = ['source', 'target', 'index', 'relationship', 'type', 'claims', 'disputed'];
     Object.entries(link).forEach(([key, value]) => {
         if (!excludedProps.includes(key)) {
             tooltipContent += `<div style="margin-top: 3px;">
@@ -3952,11 +4049,23 @@ function destroy() {
     contextMenu = null;
 }
 
+/**
+ * Show the links of one tradition, or every alternative with 'all'
+ * @param {string} tradition - Tradition id (see FactClaims)
+ */
+function setTradition(tradition) {
+    currentConfig.disputedLinks = { ...(currentConfig.disputedLinks || {}), tradition: tradition || 'all' };
+    if (sourceData) {
+        updateData(sourceData);
+    }
+}
+
 // Return public API
 return {
     initialize,
     render,
     updateData,
+    setTradition,
     getNodeById,
     getLinkById,
     centerOnNode,
@@ -0,0 +1,400 @@
+/**
+ * Biblical Genealogy Dataset Diff
+ * Compares two versions of the dataset: people added, removed and modified
+ * field by field, relationships added and removed, and ids that were
+ * renamed (a removed id and an added id whose names or alternate names
+ * match only each other). The result is plain JSON and can be written out
+ * as a readable changelog ("What's new in 2.2").
+ *
+ * Headless use: node dataset-diff.js old.json new.json [--json]
+ */
+const DatasetDiff = (function() {
+    // Fields that hold person ids; renamed ids are mapped before comparing them
+    const REFERENCE_FIELDS = ['father', 'mother', 'spouses', 'children'];
+
+    // Fields not compared per person: the id itself, and the relationship
+    // list, which is reported in the relationship section instead
+    const IGNORED_FIELDS = ['id', 'relationships'];
+
+    // Relationship types that read the same in both directions
+    const SYMMETRIC_TYPES = ['spouse', 'sibling', 'half-sibling', 'twin-sibling', 'cousin'];
+
+    /**
+     * Splits a dataset into its metadata and person records. Accepts the
+     * per-person record array (with embedded people blocks) or { metadata, people }.
+     * @param {Array|Object} data - Dataset
+     * @returns {Object} { metadata, records, duplicates }
+     */
+    function collectDataset(data) {
+        const metadata = {};
+        const records = new Map();
+        const duplicates = [];
+        const visit = (items) => {
+            items.forEach(item => {
+                if (!item || typeof item !== 'object') {
+                    return;
+                }
+                if (item.metadata && typeof item.metadata === 'object') {
+                    Object.assign(metadata, item.metadata);
+                }
+                if (Array.isArray(item.people)) {
+                    visit(item.people);
+                }
+                if (item.id) {
+                    if (records.has(item.id)) {
+                        duplicates.push(item.id);
+                    } else {
+                        records.set(item.id, item);
+                    }
+                }
+            });
+        };
+
+        if (Array.isArray(data)) {
+            visit(data);
+        } else if (data && typeof data === 'object') {
+            Object.assign(metadata, data.metadata || {});
+            visit(data.people || data.nodes || []);
+        }
+        return { metadata, records, duplicates };
+    }
+
+    /**
+     * Normalizes a name for alias matching ("Abram" and "abram " match)
+     * @param {string} name - Name
+     * @returns {string} Lowercase letters and digits only
+     */
+    function nameKey(name) {
+        return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+    }
+
+    /**
+     * Gets the display name of a record
+     * @param {Object} record - Person record
+     * @returns {string} Name
+     */
+    function displayName(record) {
+        return record.fullName || record.name || record.id;
+    }
+
+    /**
+     * Pairs removed ids with added ids that share a name or alternate name
+     * and match nothing else on either side
+     * @param {Map} oldRecords - Old records by id
+     * @param {Map} newRecords - New records by id
+     * @returns {Array<Object>} Renames of { from, to, name, matchedBy }
+     */
+    function detectRenames(oldRecords, newRecords) {
+        const removed = [...oldRecords.keys()].filter(id => !newRecords.has(id));
+        const added = [...newRecords.keys()].filter(id => !oldRecords.has(id));
+        const aliases = (record) => new Set([record.fullName, record.name, ...(record.alternateNames || [])]
+            .map(nameKey)
+            .filter(Boolean));
+
+        const candidates = (id, records, pool) => {
+            const keys = aliases(records.get(id));
+            return pool.filter(other => {
+                const otherRecords = records === oldRecords ? newRecords : oldRecords;
+                return [...aliases(otherRecords.get(other))].some(key => keys.has(key));
+            });
+        };
+
+        const renames = [];
+        removed.forEach(oldId => {
+            const matches = candidates(oldId, oldRecords, added);
+            if (matches.length !== 1) {
+                return;
+            }
+            const newId = matches[0];
+            if (candidates(newId, newRecords, removed).length !== 1) {
+                return;
+            }
+            const oldKeys = aliases(oldRecords.get(oldId));
+            const shared = [...aliases(newRecords.get(newId))].filter(key => oldKeys.has(key));
+            renames.push({
+                from: oldId,
+                to: newId,
+                name: displayName(newRecords.get(newId)),
+                matchedBy: shared
+            });
+        });
+        return renames;
+    }
+
+    /**
+     * Lists the relationships a set of records states, deduplicated
+     * @param {Map} records - Records by id
+     * @param {Function} mapId - Maps an id onto the new version's ids
+     * @returns {Map} Relationships of { from, to, type } by key
+     */
+    function collectRelationships(records, mapId) {
+        const relationships = new Map();
+        const add = (from, to, type) => {
+            if (!from || !to) {
+                return;
+            }
+            [from, to] = [mapId(from), mapId(to)];
+            if (SYMMETRIC_TYPES.includes(type) && from > to) {
+                [from, to] = [to, from];
+            }
+            if (type === 'child') {
+                [from, to, type] = [to, from, 'parent'];
+            }
+            const key = `${type}:${from}:${to}`;
+            if (!relationships.has(key)) {
+                relationships.set(key, { from, to, type });
+            }
+        };
+
+        records.forEach((record, id) => {
+            ['father', 'mother'].forEach(field => {
+                if (typeof record[field] === 'string') {
+                    add(record[field], id, 'parent');
+                }
+            });
+            (Array.isArray(record.children) ? record.children : []).forEach(child => add(id, child, 'parent'));
+            (Array.isArray(record.spouses) ? record.spouses : []).forEach(spouse => add(id, spouse, 'spouse'));
+            (Array.isArray(record.relationships) ? record.relationships : []).forEach(rel => {
+                if (rel && rel.target && rel.type) {
+                    add(id, rel.target, rel.type);
+                }
+            });
+        });
+        return relationships;
+    }
+
+    /**
+     * Checks whether a value is a list of plain values, compared as a set
+     * @param {*} value - Field value
+     * @returns {boolean} True for arrays of strings and numbers
+     */
+    function isPlainList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number');
+    }
+
+    /**
+     * Compares the fields of two versions of a record
+     * @param {Object} oldRecord - Old record
+     * @param {Object} newRecord - New record
+     * @param {Function} mapId - Maps an old id onto the new version's ids
+     * @returns {Array<Object>} Changes of { field, from, to }, with
+     *     { added, removed } instead for plain lists
+     */
+    function diffFields(oldRecord, newRecord, mapId) {
+        const fields = [...new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)])]
+            .filter(field => !IGNORED_FIELDS.includes(field));
+        const changes = [];
+
+        fields.forEach(field => {
+            let before = oldRecord[field];
+            const after = newRecord[field];
+            if (REFERENCE_FIELDS.includes(field)) {
+                before = Array.isArray(before) ? before.map(mapId) : (typeof before === 'string' ? mapId(before) : before);
+            }
+
+            if ((isPlainList(before) || before === undefined || before === null) && isPlainList(after) ||
+                isPlainList(before) && (after === undefined || after === null)) {
+                const beforeList = before || [];
+                const afterList = after || [];
+                const added = afterList.filter(item => !beforeList.includes(item));
+                const removed = beforeList.filter(item => !afterList.includes(item));
+                if (added.length > 0 || removed.length > 0) {
+                    changes.push({ field, added, removed });
+                }
+                return;
+            }
+
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes.push({
+                    field,
+                    from: before === undefined ? null : before,
+                    to: after === undefined ? null : after
+                });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Compares two versions of the dataset
+     * @param {Array|Object} oldData - Earlier dataset
+     * @param {Array|Object} newData - Later dataset
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.detectRenames=true] - Pair removed and added ids by name
+     * @returns {Object} { from, to, metadata, people: { added, removed, renamed,
+     *     modified }, relationships: { added, removed }, warnings, summary }
+     */
+    function diffDatasets(oldData, newData, options = {}) {
+        const before = collectDataset(oldData);
+        const after = collectDataset(newData);
+        const warnings = [
+            ...before.duplicates.map(id => `Earlier dataset uses id "${id}" more than once; the first record was compared`),
+            ...after.duplicates.map(id => `Later dataset uses id "${id}" more than once; the first record was compared`)
+        ];
+
+        const renamed = options.detectRenames === false ? [] : detectRenames(before.records, after.records);
+        const renameMap = new Map(renamed.map(rename => [rename.from, rename.to]));
+        const mapId = id => renameMap.get(id) || id;
+
+        const added = [];
+        const removed = [];
+        const modified = [];
+
+        before.records.forEach((record, id) => {
+            const newId = mapId(id);
+            if (!after.records.has(newId)) {
+                removed.push({ id, name: displayName(record) });
+                return;
+            }
+            const changes = diffFields(record, after.records.get(newId), mapId);
+            if (changes.length > 0) {
+                modified.push({ id: newId, name: displayName(after.records.get(newId)), changes });
+            }
+        });
+
+        const renamedTo = new Set(renamed.map(rename => rename.to));
+        after.records.forEach((record, id) => {
+            if (!before.records.has(id) && !renamedTo.has(id)) {
+                added.push({ id, name: displayName(record) });
+            }
+        });
+
+        const oldRelationships = collectRelationships(before.records, mapId);
+        const newRelationships = collectRelationships(after.records, id => id);
+        const relationships = {
+            added: [...newRelationships].filter(([key]) => !oldRelationships.has(key)).map(([, rel]) => rel),
+            removed: [...oldRelationships].filter(([key]) => !newRelationships.has(key)).map(([, rel]) => rel)
+        };
+
+        const metadataChanges = diffFields(before.metadata, after.metadata, id => id);
+
+        return {
+            from: { version: before.metadata.version || null, lastUpdated: before.metadata.lastUpdated || null },
+            to: { version: after.metadata.version || null, lastUpdated: after.metadata.lastUpdated || null },
+            metadata: metadataChanges,
+            people: { added, removed, renamed, modified },
+            relationships,
+            warnings,
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                renamed: renamed.length,
+                modified: modified.length,
+                relationshipsAdded: relationships.added.length,
+                relationshipsRemoved: relationships.removed.length
+            }
+        };
+    }
+
+    /**
+     * Formats a field value for the changelog
+     * @param {*} value - Value
+     * @returns {string} Text
+     */
+    function formatValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '(none)';
+        }
+        if (Array.isArray(value)) {
+            return value.map(formatValue).join(', ');
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Formats a diff as a Markdown changelog
+     * @param {Object} diff - Result of diffDatasets
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.title] - Heading; defaults to "What's new in <version>"
+     * @returns {string} Changelog
+     */
+    function formatChangelog(diff, options = {}) {
+        const lines = [];
+        const version = diff.to.version ? `version ${diff.to.version}` : 'this version';
+        lines.push(`# ${options.title || `What's new in ${version}`}`);
+        lines.push('');
+        if (diff.from.version || diff.to.version) {
+            const dated = (side) => `${side.version || '?'}${side.lastUpdated ? ` (${side.lastUpdated})` : ''}`;
+            lines.push(`Changes from ${dated(diff.from)} to ${dated(diff.to)}.`);
+            lines.push('');
+        }
+
+        const section = (heading, items, format) => {
+            if (items.length === 0) {
+                return;
+            }
+            lines.push(`## ${heading}`);
+            lines.push('');
+            items.forEach(item => lines.push(...[].concat(format(item))));
+            lines.push('');
+        };
+
+        section('Added people', diff.people.added, person => `- ${person.name} (\`${person.id}\`)`);
+        section('Removed people', diff.people.removed, person => `- ${person.name} (\`${person.id}\`)`);
+        section('Renamed ids', diff.people.renamed, rename => `- ${rename.name}: \`${rename.from}\` is now \`${rename.to}\``);
+        section('Updated people', diff.people.modified, person => [
+            `- ${person.name} (\`${person.id}\`)`,
+            ...person.changes.map(change => 'added' in change ?
+                `  - ${change.field}: ${[
+                    change.added.length > 0 ? `added ${formatValue(change.added)}` : null,
+                    change.removed.length > 0 ? `removed ${formatValue(change.removed)}` : null
+                ].filter(Boolean).join('; ')}` :
+                `  - ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`)
+        ]);
+        section('New relationships', diff.relationships.added, rel => `- ${rel.from} ${rel.type} ${rel.to}`);
+        section('Removed relationships', diff.relationships.removed, rel => `- ${rel.from} ${rel.type} ${rel.to}`);
+
+        const metadata = diff.metadata.filter(change => !['version', 'lastUpdated'].includes(change.field));
+        section('Dataset information', metadata, change => 'added' in change ?
+            `- ${change.field}: ${[
+                change.added.length > 0 ? `added ${formatValue(change.added)}` : null,
+                change.removed.length > 0 ? `removed ${formatValue(change.removed)}` : null
+            ].filter(Boolean).join('; ')}` :
+            `- ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+
+        const total = Object.values(diff.summary).reduce((sum, count) => sum + count, 0) + metadata.length;
+        if (total === 0) {
+            lines.push('No changes.');
+            lines.push('');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Command-line entry point
+     * @param {Array<string>} args - Arguments after the script name
+     * @returns {number} Exit code
+     */
+    function runCli(args) {
+        const fs = require('fs');
+        const files = args.filter(arg => !arg.startsWith('--'));
+        if (files.length !== 2) {
+            console.error('Usage: node dataset-diff.js old.json new.json [--json]');
+            return 2;
+        }
+
+        const [oldData, newData] = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+        const diff = diffDatasets(oldData, newData);
+        diff.warnings.forEach(warning => console.error(`warning\t${warning}`));
+        console.log(args.includes('--json') ? JSON.stringify(diff, null, 2) : formatChangelog(diff));
+        return 0;
+    }
+
+    return {
+        diffDatasets,
+        formatChangelog,
+        runCli
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetDiff;
+    if (require.main === module) {
+        process.exitCode = DatasetDiff.runCli(process.argv.slice(2));
+    }
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return DatasetDiff; });
+} else if (typeof window !== 'undefined') {
+    window.DatasetDiff = DatasetDiff;
+}
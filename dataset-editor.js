@@ -0,0 +1,917 @@
+/**
+ * Biblical Genealogy Dataset Editor
+ * Edits processed genealogy data ({ nodes, links }) in place. Every edit is
+ * recorded as a JSON Patch (RFC 6902) together with its inverse, so it can
+ * be undone and redone. A patch is applied atomically: if an operation
+ * fails, or the result breaks an invariant (duplicate ids, links to missing
+ * people, a person that fails the dataset schema), the operations already
+ * applied are reverted and the edit is rejected.
+ *
+ * After each change the data's indices are updated for the people it
+ * touched, and the onChange callback receives a summary that views can use
+ * to update without reloading the dataset.
+ */
+const DatasetEditor = (function() {
+    // Person fields that hold links to other people
+    const LINK_FIELDS = {
+        father: 'parent',
+        mother: 'parent',
+        spouses: 'spouse',
+        children: 'parent'
+    };
+
+    // Relationship types that read the same in both directions
+    const SYMMETRIC_TYPES = ['spouse', 'sibling', 'ally'];
+
+    // Recorded on links the editor creates, alongside the fields
+    // adaptPersonRecordDataset records ('father', 'children', ...)
+    const EDITOR_FIELD = 'editor';
+
+    /**
+     * Gets a companion module (loaded as a browser global or via require) if available
+     * @param {string} globalName - Name of the browser global
+     * @param {string} path - Module path for require
+     * @returns {Object|null} Module
+     */
+    function getOptionalModule(globalName, path) {
+        if (typeof window !== 'undefined' && window[globalName]) {
+            return window[globalName];
+        }
+        if (typeof require === 'function') {
+            try {
+                return require(path);
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Copies a JSON value so patches and data never share objects
+     * @param {*} value - Value
+     * @returns {*} Copy
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Escapes a JSON Pointer reference token
+     * @param {string|number} token - Object key or array index
+     * @returns {string} Escaped token
+     */
+    function escapePointer(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Splits a JSON Pointer into unescaped reference tokens
+     * @param {string} pointer - JSON Pointer such as "/nodes/3/spouses/-"
+     * @returns {Array<string>} Tokens
+     */
+    function parsePointer(pointer) {
+        if (pointer === '') {
+            return [];
+        }
+        if (typeof pointer !== 'string' || pointer[0] !== '/') {
+            throw new Error(`Invalid JSON Pointer: ${pointer}`);
+        }
+        return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    /**
+     * Gets the id of a link endpoint, which D3 may have replaced with the node
+     * @param {string|Object} endpoint - Link source or target
+     * @returns {string} Person id
+     */
+    function endpointId(endpoint) {
+        return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+    }
+
+    /**
+     * Finds the container a pointer refers into
+     * @param {Object} document - Document
+     * @param {Array<string>} tokens - Pointer tokens
+     * @param {string} pointer - Pointer, for error messages
+     * @returns {Object} { parent, key } where key is a property name or array index
+     */
+    function resolveParent(document, tokens, pointer) {
+        if (tokens.length === 0) {
+            throw new Error('Patches cannot replace the whole dataset');
+        }
+        let parent = document;
+        tokens.slice(0, -1).forEach(token => {
+            const next = Array.isArray(parent) ? parent[Number(token)] : parent && parent[token];
+            if (next === undefined || next === null || typeof next !== 'object') {
+                throw new Error(`Path not found: ${pointer}`);
+            }
+            parent = next;
+        });
+        return { parent, key: tokens[tokens.length - 1] };
+    }
+
+    /**
+     * Gets an array index from a pointer token
+     * @param {Array} array - Array
+     * @param {string} token - Token
+     * @param {boolean} allowEnd - Whether "-" and the array length are allowed (for add)
+     * @param {string} pointer - Pointer, for error messages
+     * @returns {number} Index
+     */
+    function arrayIndex(array, token, allowEnd, pointer) {
+        if (token === '-' && allowEnd) {
+            return array.length;
+        }
+        if (!/^(0|[1-9]\d*)$/.test(token)) {
+            throw new Error(`Invalid array index in ${pointer}`);
+        }
+        const index = Number(token);
+        if (index > array.length || (index === array.length && !allowEnd)) {
+            throw new Error(`Path not found: ${pointer}`);
+        }
+        return index;
+    }
+
+    /**
+     * Reads the value a pointer refers to
+     * @param {Object} document - Document
+     * @param {string} pointer - JSON Pointer
+     * @returns {*} Value
+     */
+    function getValue(document, pointer) {
+        const tokens = parsePointer(pointer);
+        if (tokens.length === 0) {
+            return document;
+        }
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        const value = Array.isArray(parent) ? parent[arrayIndex(parent, key, false, pointer)] : parent[key];
+        if (value === undefined) {
+            throw new Error(`Path not found: ${pointer}`);
+        }
+        return value;
+    }
+
+    /**
+     * Adds a value at a pointer
+     * @param {Object} document - Document
+     * @param {string} pointer - JSON Pointer
+     * @param {*} value - Value (not copied)
+     * @returns {Object} Inverse operation
+     */
+    function addValue(document, pointer, value) {
+        const tokens = parsePointer(pointer);
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        if (Array.isArray(parent)) {
+            const index = arrayIndex(parent, key, true, pointer);
+            parent.splice(index, 0, value);
+            return { op: 'remove', path: [...tokens.slice(0, -1), index].map(escapePointer).map(token => `/${token}`).join('') };
+        }
+        const inverse = key in parent ?
+            { op: 'replace', path: pointer, value: parent[key] } :
+            { op: 'remove', path: pointer };
+        parent[key] = value;
+        return inverse;
+    }
+
+    /**
+     * Removes the value at a pointer
+     * @param {Object} document - Document
+     * @param {string} pointer - JSON Pointer
+     * @returns {Object} { value, inverse }
+     */
+    function removeValue(document, pointer) {
+        const tokens = parsePointer(pointer);
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        if (Array.isArray(parent)) {
+            const index = arrayIndex(parent, key, false, pointer);
+            const [value] = parent.splice(index, 1);
+            return { value, inverse: { op: 'add', path: pointer, value } };
+        }
+        if (!(key in parent)) {
+            throw new Error(`Path not found: ${pointer}`);
+        }
+        const value = parent[key];
+        delete parent[key];
+        return { value, inverse: { op: 'add', path: pointer, value } };
+    }
+
+    /**
+     * Replaces the value at a pointer, keeping its place among its siblings
+     * @param {Object} document - Document
+     * @param {string} pointer - JSON Pointer
+     * @param {*} value - Value (not copied)
+     * @returns {Object} Inverse operation
+     */
+    function replaceValue(document, pointer, value) {
+        const tokens = parsePointer(pointer);
+        const { parent, key } = resolveParent(document, tokens, pointer);
+        const index = Array.isArray(parent) ? arrayIndex(parent, key, false, pointer) : key;
+        if (!Array.isArray(parent) && !(key in parent)) {
+            throw new Error(`Path not found: ${pointer}`);
+        }
+        const inverse = { op: 'replace', path: pointer, value: parent[index] };
+        parent[index] = value;
+        return inverse;
+    }
+
+    /**
+     * Applies one patch operation. The operations that undo it hold the
+     * removed values themselves, so undoing puts back the same objects.
+     * @param {Object} document - Document, changed in place
+     * @param {Object} operation - { op, path, value, from }
+     * @param {boolean} [copyValues=true] - Copy added values; false when
+     *     applying operations returned by this function
+     * @returns {Array<Object>} Operations that undo it, in order
+     */
+    function applyOperation(document, operation, copyValues = true) {
+        const { op, path, from } = operation;
+        const value = copyValues ? clone(operation.value) : operation.value;
+        switch (op) {
+            case 'add':
+                return [addValue(document, path, value)];
+            case 'remove':
+                return [removeValue(document, path).inverse];
+            case 'replace':
+                return [replaceValue(document, path, value)];
+            case 'move': {
+                if (path === from) {
+                    return [];
+                }
+                if (path.startsWith(`${from}/`)) {
+                    throw new Error(`Cannot move ${from} into itself`);
+                }
+                const removed = removeValue(document, from);
+                const added = addValue(document, path, removed.value);
+                const back = { op: 'move', from: added.op === 'remove' ? added.path : path, path: from };
+                return added.op === 'remove' ? [back] : [back, { op: 'add', path, value: added.value }];
+            }
+            case 'copy':
+                return [addValue(document, path, clone(getValue(document, from)))];
+            case 'test':
+                if (JSON.stringify(getValue(document, path)) !== JSON.stringify(operation.value)) {
+                    throw new Error(`Test failed at ${path}`);
+                }
+                return [];
+            default:
+                throw new Error(`Unsupported patch operation: ${op}`);
+        }
+    }
+
+    /**
+     * Creates an editor for processed genealogy data
+     * @param {Object} data - Processed data with nodes and links, edited in place
+     * @param {Object} [options={}] - Options
+     * @param {Function} [options.onChange] - Called with each change summary
+     *     (see applyPatch) after an edit, undo or redo
+     * @param {number} [options.historyLimit=100] - Edits kept for undo
+     * @returns {Object} Editor interface
+     */
+    function createEditor(data, options = {}) {
+        const historyLimit = options.historyLimit || 100;
+        const past = [];
+        const future = [];
+        // Patches collected while batch() runs
+        let pending = null;
+
+        if (!Array.isArray(data.nodes)) {
+            data.nodes = [];
+        }
+        if (!Array.isArray(data.links)) {
+            data.links = [];
+        }
+
+        // Person records are checked against the dataset schema when it is loaded
+        const schemaModule = getOptionalModule('DatasetSchema', './dataset-schema.js');
+        const personSchema = schemaModule ? schemaModule.getSchema('dataset').$defs.person : null;
+
+        const findNodeIndex = id => data.nodes.findIndex(node => node.id === id);
+
+        /**
+         * Gets a person by id
+         * @param {string} id - Person id
+         * @returns {Object} Node
+         */
+        function requirePerson(id) {
+            const node = data.nodes[findNodeIndex(id)];
+            if (!node) {
+                throw new Error(`Unknown person: ${id}`);
+            }
+            return node;
+        }
+
+        /**
+         * Finds the links of a type between two people, in either direction
+         * for symmetric types
+         * @param {string} fromId - Source id
+         * @param {string} toId - Target id
+         * @param {string} type - Relationship type
+         * @returns {Array<number>} Link indices, highest first
+         */
+        function findLinks(fromId, toId, type) {
+            const indices = [];
+            data.links.forEach((link, index) => {
+                const source = endpointId(link.source);
+                const target = endpointId(link.target);
+                if (link.type === type && ((source === fromId && target === toId) ||
+                    (SYMMETRIC_TYPES.includes(type) && source === toId && target === fromId))) {
+                    indices.push(index);
+                }
+            });
+            return indices.reverse();
+        }
+
+        /**
+         * Checks the invariants for what a patch touched
+         * @param {Object} tracked - Tracking state from runPatch
+         * @returns {Array<string>} Problems
+         */
+        function checkInvariants(tracked) {
+            const errors = [];
+            const ids = new Map();
+            data.nodes.forEach(node => ids.set(node.id, (ids.get(node.id) || 0) + 1));
+
+            tracked.people.forEach(({ after }) => {
+                if (!after) {
+                    return;
+                }
+                if (typeof after.id !== 'string' || after.id === '') {
+                    errors.push('Every person needs an id');
+                    return;
+                }
+                if (ids.get(after.id) > 1) {
+                    errors.push(`Person id "${after.id}" is already in use`);
+                }
+                if (personSchema) {
+                    schemaModule.validate(clone(after), personSchema, { warningKeywords: ['enum'] }).errors
+                        .forEach(issue => errors.push(`${after.id}: ${issue.message}`));
+                }
+            });
+
+            const removed = new Set(tracked.people.filter(change => !change.after).map(change => change.before.id));
+            const stillLinked = new Set();
+            data.links.forEach(link => {
+                const source = endpointId(link.source);
+                const target = endpointId(link.target);
+                if (removed.has(source) || removed.has(target)) {
+                    stillLinked.add(removed.has(source) ? source : target);
+                } else if (tracked.links.has(link) && (!ids.has(source) || !ids.has(target))) {
+                    errors.push(`Link ${source} → ${target} refers to a missing person`);
+                }
+            });
+            stillLinked.forEach(id => errors.push(`${id} was removed but is still linked`));
+            return errors;
+        }
+
+        /**
+         * Applies a patch atomically while tracking the people and links it touches
+         * @param {Array<Object>} patch - Operations
+         * @param {boolean} [copyValues=true] - Copy added values (false for recorded inverses)
+         * @returns {Object} { inverse, people: [{ id, before, after }], links: { added, removed } }
+         */
+        function runPatch(patch, copyValues = true) {
+            if (!Array.isArray(patch)) {
+                throw new Error('A patch must be an array of operations');
+            }
+
+            const inverse = [];
+            const before = new Map();
+            const touchedNodes = new Set();
+            const addedLinks = new Set();
+            const removedLinks = [];
+
+            // Records the node or link an operation changes or removes;
+            // inserting at an index leaves the item already there unchanged
+            const track = (pointer, isInsert) => {
+                const tokens = parsePointer(pointer);
+                if (tokens.length < 2 || !/^\d+$/.test(tokens[1]) || (isInsert && tokens.length === 2)) {
+                    return;
+                }
+                const collection = tokens[0] === 'nodes' ? data.nodes : (tokens[0] === 'links' ? data.links : null);
+                const item = collection && collection[Number(tokens[1])];
+                if (!item) {
+                    return;
+                }
+                if (collection === data.nodes) {
+                    if (!before.has(item.id) && !touchedNodes.has(item)) {
+                        before.set(item.id, clone(item));
+                    }
+                    touchedNodes.add(item);
+                } else if (!addedLinks.has(item)) {
+                    // A changed link counts as the old one removed and the new one added
+                    removedLinks.push(clone(item));
+                    if (tokens.length > 2) {
+                        addedLinks.add(item);
+                    }
+                }
+            };
+
+            // Records what a whole node or link added at a pointer now is
+            const trackAdded = (pointer) => {
+                const tokens = parsePointer(pointer);
+                if (tokens.length !== 2) {
+                    return;
+                }
+                const collection = tokens[0] === 'nodes' ? data.nodes : (tokens[0] === 'links' ? data.links : null);
+                if (!collection) {
+                    return;
+                }
+                const item = collection[tokens[1] === '-' ? collection.length - 1 : Number(tokens[1])];
+                if (collection === data.nodes) {
+                    touchedNodes.add(item);
+                } else {
+                    addedLinks.add(item);
+                }
+            };
+
+            try {
+                patch.forEach(operation => {
+                    if (!operation || typeof operation.op !== 'string' || typeof operation.path !== 'string') {
+                        throw new Error('Each patch operation needs op and path');
+                    }
+                    if (operation.from !== undefined) {
+                        track(operation.from, false);
+                    }
+                    if (operation.op !== 'test') {
+                        track(operation.path, ['add', 'copy', 'move'].includes(operation.op));
+                    }
+                    inverse.unshift(...applyOperation(data, operation, copyValues));
+                    if (['add', 'replace', 'move', 'copy'].includes(operation.op)) {
+                        trackAdded(operation.path);
+                    }
+                });
+
+                const people = [];
+                const live = new Set(data.nodes);
+                before.forEach((snapshot, id) => {
+                    const after = data.nodes.find(node => node.id === id && touchedNodes.has(node)) || null;
+                    people.push({ id, before: snapshot, after });
+                });
+                touchedNodes.forEach(node => {
+                    if (live.has(node) && !before.has(node.id)) {
+                        people.push({ id: node.id, before: null, after: node });
+                    }
+                });
+
+                const tracked = {
+                    people,
+                    links: addedLinks
+                };
+                const errors = checkInvariants(tracked);
+                if (errors.length > 0) {
+                    throw new Error(`Edit rejected: ${errors.join('; ')}`);
+                }
+
+                const liveLinks = new Set(data.links);
+                return {
+                    inverse,
+                    people,
+                    links: {
+                        added: [...addedLinks].filter(link => liveLinks.has(link)),
+                        removed: removedLinks
+                    }
+                };
+            } catch (error) {
+                inverse.forEach(operation => applyOperation(data, operation, false));
+                throw error;
+            }
+        }
+
+        /**
+         * Brings the indices up to date and notifies the listener
+         * @param {Object} change - Change summary
+         * @returns {Object} The same change
+         */
+        function publish(change) {
+            const utils = getOptionalModule('GenealogyDataUtils', './genealogy-data-utils.js');
+            if (data.indices && utils && typeof utils.updateIndices === 'function') {
+                utils.updateIndices(data.indices, change.people);
+            }
+            if (typeof options.onChange === 'function') {
+                options.onChange(change);
+            }
+            return change;
+        }
+
+        /**
+         * Applies a JSON Patch to the data and records it for undo
+         * @param {Array<Object>} patch - RFC 6902 operations against { nodes, links }
+         * @param {string} [label='Edit'] - Description shown in the history
+         * @returns {Object} Change summary { type: 'edit', label, patch, people:
+         *     [{ id, before, after }], links: { added, removed } }
+         * @throws {Error} If the patch cannot be applied or breaks an invariant; nothing is changed
+         */
+        function applyPatch(patch, label = 'Edit') {
+            const result = runPatch(patch);
+            if (pending) {
+                pending.patch.push(...clone(patch));
+                pending.inverse.unshift(...result.inverse);
+                pending.results.push(result);
+                return { type: 'edit', label, patch: clone(patch), people: result.people, links: result.links };
+            }
+            return record(label, clone(patch), result);
+        }
+
+        /**
+         * Adds an applied patch to the history and publishes it
+         * @param {string} label - History label
+         * @param {Array<Object>} patch - Applied operations
+         * @param {Object} result - Result of runPatch
+         * @returns {Object} Change summary
+         */
+        function record(label, patch, result) {
+            past.push({ label, patch, inverse: result.inverse });
+            if (past.length > historyLimit) {
+                past.shift();
+            }
+            future.length = 0;
+            return publish({ type: 'edit', label, patch: clone(patch), people: result.people, links: result.links });
+        }
+
+        /**
+         * Runs several edits as one: they are undone together and published
+         * as a single change. If any of them fails, all are reverted.
+         * @param {string} label - History label
+         * @param {Function} run - Calls editor methods
+         * @returns {Object|null} Change summary, or null if nothing changed
+         */
+        function batch(label, run) {
+            if (pending) {
+                run();
+                return null;
+            }
+
+            const current = pending = { patch: [], inverse: [], results: [] };
+            try {
+                run();
+            } catch (error) {
+                current.inverse.forEach(operation => applyOperation(data, operation, false));
+                throw error;
+            } finally {
+                pending = null;
+            }
+            if (current.patch.length === 0) {
+                return null;
+            }
+
+            // The first snapshot of each person, and how they are now
+            const people = new Map();
+            current.results.forEach(result => result.people.forEach(change => {
+                const first = people.get(change.id);
+                people.set(change.id, { id: change.id, before: first ? first.before : change.before, after: change.after });
+            }));
+            const liveLinks = new Set(data.links);
+            const added = new Set(current.results.flatMap(result => result.links.added));
+            return record(label, current.patch, {
+                inverse: current.inverse,
+                people: [...people.values()].filter(change => change.before || change.after),
+                links: {
+                    added: [...added].filter(link => liveLinks.has(link)),
+                    removed: current.results.flatMap(result => result.links.removed)
+                }
+            });
+        }
+
+        /**
+         * Builds and applies a patch one operation at a time, so later
+         * operations can use indices that earlier ones changed
+         * @param {string} label - History label
+         * @param {Function} build - Called with add(operation); runs the operation
+         *     straight away and records it
+         * @returns {Object|null} Change summary, or null if there was nothing to change
+         */
+        function edit(label, build) {
+            const patch = [];
+            const inverse = [];
+            try {
+                build(operation => {
+                    inverse.unshift(...applyOperation(data, operation));
+                    patch.push(operation);
+                });
+            } finally {
+                inverse.forEach(operation => applyOperation(data, operation, false));
+            }
+            return patch.length > 0 ? applyPatch(patch, label) : null;
+        }
+
+        /**
+         * Adds the operations that link two people, and the matching entries
+         * in their relationship fields
+         * @param {Function} add - Operation collector from edit()
+         * @param {string} fromId - Parent, or first person
+         * @param {string} toId - Child, or second person
+         * @param {string} type - Relationship type
+         * @param {string} [role] - 'father' or 'mother' for parent links
+         */
+        function addLinkOperations(add, fromId, toId, type, role) {
+            if (fromId === toId) {
+                throw new Error('A person cannot be linked to themselves');
+            }
+            const from = requirePerson(fromId);
+            const to = requirePerson(toId);
+            if (findLinks(fromId, toId, type).length > 0) {
+                throw new Error(`${fromId} and ${toId} are already linked as ${type}`);
+            }
+
+            const [source, target] = SYMMETRIC_TYPES.includes(type) && fromId > toId ? [toId, fromId] : [fromId, toId];
+            add({
+                op: 'add',
+                path: '/links/-',
+                value: { source, target, from: source, to: target, type, statedIn: [EDITOR_FIELD] }
+            });
+
+            const appendTo = (person, field, value) => {
+                const path = `/nodes/${findNodeIndex(person.id)}/${field}`;
+                if (!Array.isArray(person[field])) {
+                    add({ op: 'add', path, value: [value] });
+                } else if (!person[field].includes(value)) {
+                    add({ op: 'add', path: `${path}/-`, value });
+                }
+            };
+
+            if (type === 'parent') {
+                appendTo(from, 'children', toId);
+                if (role) {
+                    if (role !== 'father' && role !== 'mother') {
+                        throw new Error(`Unknown parent role: ${role}`);
+                    }
+                    if (to[role] && to[role] !== fromId) {
+                        throw new Error(`${toId} already has a ${role} (${to[role]})`);
+                    }
+                    add({ op: 'add', path: `/nodes/${findNodeIndex(toId)}/${role}`, value: fromId });
+                }
+            } else if (type === 'spouse') {
+                appendTo(from, 'spouses', toId);
+                appendTo(to, 'spouses', fromId);
+            }
+        }
+
+        /**
+         * Adds the operations that unlink two people and clear the matching
+         * entries in their relationship fields
+         * @param {Function} add - Operation collector from edit()
+         * @param {string} fromId - Parent, or first person
+         * @param {string} toId - Child, or second person
+         * @param {string} type - Relationship type
+         */
+        function addUnlinkOperations(add, fromId, toId, type) {
+            const from = requirePerson(fromId);
+            const to = requirePerson(toId);
+            const links = findLinks(fromId, toId, type);
+            if (links.length === 0) {
+                throw new Error(`${fromId} and ${toId} are not linked as ${type}`);
+            }
+            links.forEach(index => add({ op: 'remove', path: `/links/${index}` }));
+
+            const removeFrom = (person, field, value) => {
+                const index = Array.isArray(person[field]) ? person[field].indexOf(value) : -1;
+                if (index >= 0) {
+                    add({ op: 'remove', path: `/nodes/${findNodeIndex(person.id)}/${field}/${index}` });
+                }
+            };
+
+            if (type === 'parent') {
+                removeFrom(from, 'children', toId);
+                ['father', 'mother'].forEach(role => {
+                    if (to[role] === fromId) {
+                        add({ op: 'replace', path: `/nodes/${findNodeIndex(toId)}/${role}`, value: null });
+                    }
+                });
+            } else if (type === 'spouse') {
+                removeFrom(from, 'spouses', toId);
+                removeFrom(to, 'spouses', fromId);
+            }
+        }
+
+        /**
+         * Adds a person, and links them to the people their father, mother,
+         * spouses and children fields name
+         * @param {Object} person - Person record with an unused id
+         * @returns {Object} Change summary
+         */
+        function addPerson(person) {
+            if (!person || typeof person.id !== 'string' || person.id === '') {
+                throw new Error('A new person needs an id');
+            }
+            if (findNodeIndex(person.id) >= 0) {
+                throw new Error(`Person id "${person.id}" is already in use`);
+            }
+
+            // Relationship fields are filled in as the links are made
+            const record = { name: person.fullName || person.name || person.id, ...clone(person) };
+            Object.keys(LINK_FIELDS).forEach(field => {
+                delete record[field];
+            });
+
+            return edit(`Add ${record.name}`, add => {
+                add({ op: 'add', path: '/nodes/-', value: record });
+                ['father', 'mother'].forEach(role => {
+                    if (person[role]) {
+                        addLinkOperations(add, person[role], person.id, 'parent', role);
+                    }
+                });
+                (person.spouses || []).forEach(spouseId => addLinkOperations(add, person.id, spouseId, 'spouse'));
+                (person.children || []).forEach(childId => addLinkOperations(add, person.id, childId, 'parent'));
+            });
+        }
+
+        /**
+         * Changes fields of a person. Changing father, mother, spouses or
+         * children relinks them; a field set to undefined is removed.
+         * @param {string} id - Person id
+         * @param {Object} fields - New field values
+         * @returns {Object|null} Change summary, or null if nothing changed
+         */
+        function updatePerson(id, fields) {
+            const person = requirePerson(id);
+            if ('id' in fields && fields.id !== id) {
+                throw new Error('Person ids cannot be changed');
+            }
+
+            return edit(`Edit ${person.name || id}`, add => {
+                Object.entries(fields).forEach(([field, value]) => {
+                    if (field === 'id') {
+                        return;
+                    }
+
+                    if (field === 'father' || field === 'mother') {
+                        const current = person[field] || null;
+                        const path = `/nodes/${findNodeIndex(id)}/${field}`;
+                        if ((value || null) === current) {
+                            return;
+                        }
+                        if (current && findLinks(current, id, 'parent').length > 0) {
+                            addUnlinkOperations(add, current, id, 'parent');
+                        } else if (current) {
+                            add({ op: 'replace', path, value: null });
+                        }
+                        if (value && findLinks(value, id, 'parent').length > 0) {
+                            add({ op: 'add', path, value });
+                        } else if (value) {
+                            addLinkOperations(add, value, id, 'parent', field);
+                        }
+                        return;
+                    }
+
+                    if (field === 'spouses' || field === 'children') {
+                        const type = LINK_FIELDS[field];
+                        const current = person[field] || [];
+                        const next = value || [];
+                        current.filter(other => !next.includes(other)).forEach(other => {
+                            if (findLinks(id, other, type).length > 0) {
+                                addUnlinkOperations(add, id, other, type);
+                            } else {
+                                add({ op: 'remove', path: `/nodes/${findNodeIndex(id)}/${field}/${person[field].indexOf(other)}` });
+                            }
+                        });
+                        next.filter(other => !current.includes(other)).forEach(other => {
+                            addLinkOperations(add, id, other, type);
+                        });
+                        return;
+                    }
+
+                    const path = `/nodes/${findNodeIndex(id)}/${escapePointer(field)}`;
+                    if (value === undefined) {
+                        if (field in person) {
+                            add({ op: 'remove', path });
+                        }
+                    } else if (JSON.stringify(person[field]) !== JSON.stringify(value)) {
+                        add({ op: 'add', path, value });
+                    }
+                });
+            });
+        }
+
+        /**
+         * Removes a person, their links, and references to them in other
+         * people's relationship fields
+         * @param {string} id - Person id
+         * @returns {Object} Change summary
+         */
+        function removePerson(id) {
+            const person = requirePerson(id);
+
+            return edit(`Remove ${person.name || id}`, add => {
+                for (let index = data.links.length - 1; index >= 0; index--) {
+                    const link = data.links[index];
+                    if (endpointId(link.source) === id || endpointId(link.target) === id) {
+                        add({ op: 'remove', path: `/links/${index}` });
+                    }
+                }
+
+                data.nodes.forEach((node, nodeIndex) => {
+                    if (node.id === id) {
+                        return;
+                    }
+                    ['father', 'mother'].forEach(role => {
+                        if (node[role] === id) {
+                            add({ op: 'replace', path: `/nodes/${nodeIndex}/${role}`, value: null });
+                        }
+                    });
+                    ['spouses', 'children'].forEach(field => {
+                        const index = Array.isArray(node[field]) ? node[field].indexOf(id) : -1;
+                        if (index >= 0) {
+                            add({ op: 'remove', path: `/nodes/${nodeIndex}/${field}/${index}` });
+                        }
+                    });
+                    if (Array.isArray(node.relationships)) {
+                        for (let index = node.relationships.length - 1; index >= 0; index--) {
+                            if (node.relationships[index] && node.relationships[index].target === id) {
+                                add({ op: 'remove', path: `/nodes/${nodeIndex}/relationships/${index}` });
+                            }
+                        }
+                    }
+                });
+
+                add({ op: 'remove', path: `/nodes/${findNodeIndex(id)}` });
+            });
+        }
+
+        /**
+         * Links two people
+         * @param {string} fromId - Parent, or first person
+         * @param {string} toId - Child, or second person
+         * @param {string} type - Relationship type ('parent', 'spouse', ...)
+         * @param {Object} [linkOptions={}] - Options
+         * @param {string} [linkOptions.role] - 'father' or 'mother' to also set
+         *     the child's field for a parent link
+         * @returns {Object} Change summary
+         */
+        function linkPeople(fromId, toId, type, linkOptions = {}) {
+            return edit(`Link ${fromId} ${type} ${toId}`, add => addLinkOperations(add, fromId, toId, type, linkOptions.role));
+        }
+
+        /**
+         * Unlinks two people
+         * @param {string} fromId - Parent, or first person
+         * @param {string} toId - Child, or second person
+         * @param {string} type - Relationship type
+         * @returns {Object} Change summary
+         */
+        function unlinkPeople(fromId, toId, type) {
+            return edit(`Unlink ${fromId} ${type} ${toId}`, add => addUnlinkOperations(add, fromId, toId, type));
+        }
+
+        /**
+         * Reverts the most recent edit
+         * @returns {Object|null} Change summary with type 'undo', or null if there is nothing to undo
+         */
+        function undo() {
+            const entry = past.pop();
+            if (!entry) {
+                return null;
+            }
+            const result = runPatch(entry.inverse, false);
+            future.push(entry);
+            return publish({ type: 'undo', label: entry.label, patch: clone(entry.inverse), people: result.people, links: result.links });
+        }
+
+        /**
+         * Reapplies the most recently undone edit
+         * @returns {Object|null} Change summary with type 'redo', or null if there is nothing to redo
+         */
+        function redo() {
+            const entry = future.pop();
+            if (!entry) {
+                return null;
+            }
+            const result = runPatch(entry.patch);
+            entry.inverse = result.inverse;
+            past.push(entry);
+            return publish({ type: 'redo', label: entry.label, patch: clone(entry.patch), people: result.people, links: result.links });
+        }
+
+        return {
+            applyPatch,
+            addPerson,
+            updatePerson,
+            removePerson,
+            linkPeople,
+            unlinkPeople,
+            batch,
+            undo,
+            redo,
+            canUndo: () => past.length > 0,
+            canRedo: () => future.length > 0,
+            getHistory: () => ({
+                past: past.map(entry => ({ label: entry.label, patch: clone(entry.patch) })),
+                future: future.map(entry => ({ label: entry.label, patch: clone(entry.patch) })).reverse()
+            })
+        };
+    }
+
+    return {
+        applyOperation,
+        getValue,
+        createEditor
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetEditor;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return DatasetEditor; });
+} else if (typeof window !== 'undefined') {
+    window.DatasetEditor = DatasetEditor;
+}
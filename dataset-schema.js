@@ -0,0 +1,753 @@
+/**
+ * Biblical Genealogy Dataset Schema
+ * Versioned JSON Schemas (draft 2020-12) for the genealogy dataset and
+ * settings.json, and a validator for the subset of keywords they use that
+ * reports each problem with its JSON Pointer path, the expected type and
+ * the allowed values.
+ *
+ * Headless use: node dataset-schema.js [file.json] [--settings] [--strict] [--print-schema]
+ */
+const DatasetSchema = (function() {
+    const SCHEMA_VERSION = '1.0.0';
+    const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+    // Vocabularies the schemas check against. GenealogyDataUtils passes its
+    // own RELATIONSHIP_TYPES and eras in, so these are only the defaults.
+    const DEFAULT_VOCABULARY = {
+        relationshipTypes: ['parent', 'child', 'spouse', 'sibling', 'ancestor', 'descendant',
+            'extended-family', 'mentor', 'disciple', 'ally', 'rival'],
+        personRelationshipTypes: ['parent', 'child', 'spouse', 'sibling', 'half-sibling', 'twin-sibling',
+            'nephew', 'niece', 'uncle', 'aunt', 'cousin'],
+        eras: ['antediluvian', 'postdiluvian', 'patriarchal', 'exodus-conquest', 'judges-kings',
+            'exile-return', 'intertestamental', 'new-testament', 'pre-flood', 'post-flood',
+            'patriarchs', 'unknown'],
+        textTraditions: ['masoretic', 'septuagint', 'samaritan']
+    };
+
+    // Required fields that another field can stand in for
+    const FIELD_ALIASES = {
+        name: ['fullName']
+    };
+
+    const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+    const stringList = { type: 'array', items: { type: 'string' } };
+    const idRef = { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]*$' };
+    const dateField = nullable({ anyOf: [{ type: 'string' }, { type: 'integer' }, { type: 'object' }] });
+
+    /**
+     * Builds the person record schema
+     * @param {Object} vocabulary - Allowed values
+     * @param {Object} options - { strict, requiredFields }
+     * @returns {Object} Schema
+     */
+    function personSchema(vocabulary, options) {
+        const schema = {
+            type: 'object',
+            properties: {
+                id: idRef,
+                name: { type: 'string' },
+                fullName: { type: 'string' },
+                alternateNames: stringList,
+                gender: { enum: ['male', 'female', 'unknown'] },
+                birthYear: nullable({ type: 'integer' }),
+                deathYear: nullable({ type: 'integer' }),
+                birthDate: dateField,
+                deathDate: dateField,
+                age: nullable({ type: 'integer', minimum: 0 }),
+                birthplace: nullable({ type: 'string' }),
+                deathplace: nullable({ type: 'string' }),
+                location: nullable({ type: 'string' }),
+                occupation: nullable({ anyOf: [{ type: 'string' }, stringList] }),
+                tribe: nullable({ type: 'string' }),
+                father: nullable(idRef),
+                mother: nullable(idRef),
+                spouses: { type: 'array', items: idRef },
+                children: { type: 'array', items: idRef },
+                biblicalReferences: stringList,
+                significance: { type: 'string' },
+                isAncestorOfDavid: { type: 'boolean' },
+                isAncestorOfJesus: { type: 'boolean' },
+                era: nullable({ enum: vocabulary.eras }),
+                relationships: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['target', 'type'],
+                        properties: {
+                            target: idRef,
+                            type: { enum: vocabulary.personRelationshipTypes }
+                        },
+                        additionalProperties: !options.strict
+                    }
+                },
+                citations: {
+                    type: 'object',
+                    additionalProperties: { anyOf: [{ type: 'string' }, stringList] }
+                },
+                claims: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['field', 'value'],
+                        properties: {
+                            field: { type: 'string' },
+                            value: {},
+                            citation: { anyOf: [{ type: 'string' }, stringList] },
+                            tradition: { type: 'string' },
+                            source: { type: 'string' }
+                        },
+                        additionalProperties: !options.strict
+                    }
+                }
+            },
+            additionalProperties: !options.strict
+        };
+
+        const required = [];
+        const alternatives = [];
+        (options.requiredFields || ['id']).forEach(field => {
+            if (FIELD_ALIASES[field]) {
+                alternatives.push({ anyOf: [field, ...FIELD_ALIASES[field]].map(name => ({ required: [name] })) });
+            } else {
+                required.push(field);
+            }
+        });
+        schema.required = required;
+        if (alternatives.length > 0) {
+            schema.allOf = alternatives;
+        }
+        return schema;
+    }
+
+    /**
+     * Gets a schema by name
+     * @param {string} name - 'dataset' or 'settings'
+     * @param {Object} [options={}] - Options
+     * @param {Object} [options.vocabulary] - Overrides for DEFAULT_VOCABULARY
+     * @param {boolean} [options.strict=false] - Reject properties the schema does not declare
+     * @param {Array<string>} [options.requiredFields=['id']] - Fields every person must have
+     * @returns {Object} JSON Schema
+     */
+    function getSchema(name, options = {}) {
+        const vocabulary = { ...DEFAULT_VOCABULARY, ...(options.vocabulary || {}) };
+
+        if (name === 'settings') {
+            return settingsSchema(vocabulary);
+        }
+        if (name !== 'dataset') {
+            throw new Error(`Unknown schema: ${name}`);
+        }
+
+        const person = personSchema(vocabulary, options);
+        const metadata = {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                version: { type: 'string' },
+                lastUpdated: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+                author: { type: 'string' },
+                license: { type: 'string' },
+                sources: stringList
+            }
+        };
+        const relationship = {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: vocabulary.relationshipTypes },
+                subtype: { type: 'string' }
+            }
+        };
+
+        return {
+            $schema: DRAFT,
+            $id: `urn:biblical-genealogy:dataset:${SCHEMA_VERSION}`,
+            title: 'Biblical Genealogy Dataset',
+            version: SCHEMA_VERSION,
+            anyOf: [
+                { $ref: '#/$defs/recordDataset' },
+                { $ref: '#/$defs/peopleDataset' },
+                { $ref: '#/$defs/graphDataset' }
+            ],
+            $defs: {
+                person,
+                metadata,
+                // A leading record carrying the dataset metadata and a batch of people
+                recordBlock: {
+                    type: 'object',
+                    required: ['people'],
+                    properties: {
+                        metadata: { $ref: '#/$defs/metadata' },
+                        people: { type: 'array', items: { $ref: '#/$defs/person' } }
+                    }
+                },
+                // Genealogy-dataset.json: a top-level array of person records
+                recordDataset: {
+                    type: 'array',
+                    items: {
+                        if: { type: 'object', required: ['people'] },
+                        then: { $ref: '#/$defs/recordBlock' },
+                        else: { $ref: '#/$defs/person' }
+                    }
+                },
+                peopleDataset: {
+                    type: 'object',
+                    required: ['people', 'relationships'],
+                    properties: {
+                        metadata: { $ref: '#/$defs/metadata' },
+                        people: { type: 'array', items: { $ref: '#/$defs/person' } },
+                        relationships: {
+                            type: 'array',
+                            items: { ...relationship, required: ['from', 'to', 'type'], properties: { ...relationship.properties, from: idRef, to: idRef } }
+                        }
+                    }
+                },
+                graphDataset: {
+                    type: 'object',
+                    required: ['nodes', 'links'],
+                    properties: {
+                        metadata: { $ref: '#/$defs/metadata' },
+                        nodes: { type: 'array', items: { $ref: '#/$defs/person' } },
+                        links: {
+                            type: 'array',
+                            items: {
+                                ...relationship,
+                                required: ['source', 'target', 'type'],
+                                properties: {
+                                    ...relationship.properties,
+                                    source: { anyOf: [idRef, { type: 'object', required: ['id'] }] },
+                                    target: { anyOf: [idRef, { type: 'object', required: ['id'] }] }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Builds the settings.json schema. Sections the application does not
+     * read yet are only checked for being objects.
+     * @param {Object} vocabulary - Allowed values
+     * @returns {Object} JSON Schema
+     */
+    function settingsSchema(vocabulary) {
+        const flags = (...names) => {
+            const properties = {};
+            names.forEach(name => {
+                properties[name] = { type: 'boolean' };
+            });
+            return properties;
+        };
+        const range = { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 };
+        const layouts = ['hierarchical', 'force-directed', 'radial', 'timeline'];
+
+        return {
+            $schema: DRAFT,
+            $id: `urn:biblical-genealogy:settings:${SCHEMA_VERSION}`,
+            title: 'Biblical Genealogy Settings',
+            version: SCHEMA_VERSION,
+            type: 'object',
+            required: ['version'],
+            properties: {
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                application: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        defaultLanguage: { type: 'string' },
+                        supportedLanguages: stringList,
+                        themeMode: { enum: ['auto', 'light', 'dark'] },
+                        availableThemes: stringList
+                    }
+                },
+                data: {
+                    type: 'object',
+                    properties: {
+                        sources: { type: 'object' },
+                        processing: {
+                            type: 'object',
+                            properties: {
+                                validation: {
+                                    type: 'object',
+                                    properties: {
+                                        ...flags('enabled', 'strictMode', 'warnOnMissingDates', 'allowEstimatedDates'),
+                                        requiredFields: stringList
+                                    }
+                                },
+                                transformation: {
+                                    type: 'object',
+                                    properties: {
+                                        ...flags('dateRangeExpansion', 'relationshipInference', 'generationCalculation', 'communityDetection'),
+                                        generationRoots: { type: 'array', items: idRef },
+                                        textTradition: { enum: vocabulary.textTraditions }
+                                    }
+                                }
+                            }
+                        },
+                        eras: {
+                            type: 'object',
+                            properties: {
+                                default: { type: 'string' },
+                                definitions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id'],
+                                        properties: {
+                                            id: idRef,
+                                            name: { type: 'string' },
+                                            startYear: { type: 'integer' },
+                                            endYear: { type: 'integer' },
+                                            startAnchor: { type: 'string' },
+                                            endAnchor: { type: 'string' },
+                                            aliases: stringList,
+                                            color: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        lineages: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'root'],
+                                properties: {
+                                    id: idRef,
+                                    name: { type: 'string' },
+                                    root: idRef,
+                                    direction: { enum: ['ancestors', 'descendants'] },
+                                    via: { type: 'array', items: idRef },
+                                    flag: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                visualization: {
+                    type: 'object',
+                    properties: {
+                        layout: {
+                            type: 'object',
+                            properties: {
+                                type: { enum: layouts },
+                                alternativeLayouts: { type: 'array', items: { enum: layouts } },
+                                orientation: { enum: ['horizontal', 'vertical'] },
+                                nodeSeparation: { type: 'number', minimum: 0 },
+                                levelSeparation: { type: 'number', minimum: 0 }
+                            }
+                        },
+                        nodes: {
+                            type: 'object',
+                            properties: {
+                                defaultSize: { type: 'number', minimum: 0 },
+                                sizeRange: range,
+                                sizeAttribute: { type: 'string' },
+                                colorAttribute: { type: 'string' }
+                            }
+                        },
+                        links: {
+                            type: 'object',
+                            properties: {
+                                defaultWidth: { type: 'number', minimum: 0 },
+                                widthRange: range,
+                                style: { enum: ['curved', 'straight', 'stepped', 'bezier'] }
+                            }
+                        }
+                    }
+                },
+                debug: {
+                    type: 'object',
+                    properties: {
+                        ...flags('enabled', 'verboseLogging', 'showDebugPanel', 'trackPerformance'),
+                        logLevel: { enum: ['debug', 'info', 'warn', 'error'] },
+                        maxLogEntries: { type: 'integer', minimum: 0 }
+                    }
+                },
+                advanced: { type: 'object' },
+                experimental: { type: 'object' }
+            }
+        };
+    }
+
+    /**
+     * Escapes a JSON Pointer reference token
+     * @param {string|number} token - Object key or array index
+     * @returns {string} Escaped token
+     */
+    function escapePointer(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Gets the JSON type name of a value
+     * @param {*} value - Value
+     * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+     */
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Resolves a local "#/$defs/..." reference
+     * @param {Object} root - Root schema
+     * @param {string} ref - Reference
+     * @returns {Object} Referenced schema
+     */
+    function resolveRef(root, ref) {
+        return ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+            .reduce((node, token) => node[token.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    }
+
+    /**
+     * Validates a value against a schema node, collecting issues
+     * @param {*} value - Value
+     * @param {Object} schema - Schema node
+     * @param {string} path - JSON Pointer of the value
+     * @param {Object} root - Root schema, for $ref
+     * @returns {Array<Object>} Issues of { path, keyword, message, expected, allowed, actual }
+     */
+    function check(value, schema, path, root) {
+        if (schema === true || schema === undefined) {
+            return [];
+        }
+        if (schema.$ref) {
+            return check(value, resolveRef(root, schema.$ref), path, root);
+        }
+
+        const issues = [];
+        const where = path || '/';
+        const actual = typeOf(value);
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+            if (!matches) {
+                return [{ path, keyword: 'type', expected: types.join(' or '), actual,
+                    message: `${where}: expected ${types.join(' or ')}, got ${actual}` }];
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            issues.push({ path, keyword: 'enum', allowed: schema.enum, actual: value,
+                message: `${where}: ${JSON.stringify(value)} is not one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+        }
+
+        if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            issues.push({ path, keyword: 'pattern', expected: schema.pattern, actual: value,
+                message: `${where}: ${JSON.stringify(value)} does not match ${schema.pattern}` });
+        }
+
+        if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+            issues.push({ path, keyword: 'minimum', expected: schema.minimum, actual: value,
+                message: `${where}: ${value} is less than ${schema.minimum}` });
+        }
+
+        if (actual === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issues.push({ path, keyword: 'minItems', expected: schema.minItems, actual: value.length,
+                    message: `${where}: expected at least ${schema.minItems} items, got ${value.length}` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                issues.push({ path, keyword: 'maxItems', expected: schema.maxItems, actual: value.length,
+                    message: `${where}: expected at most ${schema.maxItems} items, got ${value.length}` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    issues.push(...check(item, schema.items, `${path}/${index}`, root));
+                });
+            }
+        }
+
+        if (actual === 'object') {
+            (schema.required || []).forEach(name => {
+                if (!(name in value)) {
+                    issues.push({ path: `${path}/${escapePointer(name)}`, keyword: 'required', expected: name,
+                        message: `${where}: missing required property "${name}"` });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(name => {
+                const childPath = `${path}/${escapePointer(name)}`;
+                if (properties[name] !== undefined) {
+                    issues.push(...check(value[name], properties[name], childPath, root));
+                } else if (schema.additionalProperties === false) {
+                    issues.push({ path: childPath, keyword: 'additionalProperties', actual: name,
+                        allowed: Object.keys(properties),
+                        message: `${childPath}: property "${name}" is not allowed` });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    issues.push(...check(value[name], schema.additionalProperties, childPath, root));
+                }
+            });
+        }
+
+        (schema.allOf || []).forEach(branch => {
+            issues.push(...check(value, branch, path, root));
+        });
+
+        if (schema.anyOf) {
+            issues.push(...checkAnyOf(value, schema.anyOf, path, root));
+        }
+
+        if (schema.if) {
+            const branch = check(value, schema.if, path, root).length === 0 ? schema.then : schema.else;
+            issues.push(...check(value, branch, path, root));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks anyOf branches. When none match, reports the branch that came
+     * closest: one whose type and required properties matched, with the
+     * fewest issues.
+     * @param {*} value - Value
+     * @param {Array<Object>} branches - Branch schemas
+     * @param {string} path - JSON Pointer of the value
+     * @param {Object} root - Root schema
+     * @returns {Array<Object>} Issues of the closest branch, or none
+     */
+    function checkAnyOf(value, branches, path, root) {
+        const results = branches.map(branch => check(value, branch, path, root));
+        if (results.some(result => result.length === 0)) {
+            return [];
+        }
+
+        const typeMismatch = result => result.length === 1 && result[0].keyword === 'type' && result[0].path === path;
+        const candidates = results.filter(result => !typeMismatch(result));
+        if (candidates.length === 0) {
+            const expected = [...new Set(results.map(result => result[0].expected))].join(' or ');
+            return [{ path, keyword: 'type', expected, actual: typeOf(value),
+                message: `${path || '/'}: expected ${expected}, got ${typeOf(value)}` }];
+        }
+
+        const missesRequired = result => result.some(issue => issue.keyword === 'required' &&
+            issue.path.slice(0, issue.path.lastIndexOf('/')) === path);
+        const applicable = candidates.filter(result => !missesRequired(result));
+        return (applicable.length > 0 ? applicable : candidates)
+            .reduce((best, result) => result.length < best.length ? result : best);
+    }
+
+    /**
+     * Validates a value against a schema
+     * @param {*} value - Value to validate
+     * @param {Object} schema - JSON Schema
+     * @param {Object} [options={}] - Options
+     * @param {Array<string>} [options.warningKeywords=[]] - Keywords reported as warnings instead of errors
+     * @returns {Object} { valid, errors, warnings } with issues of { path, keyword, message, ... }
+     */
+    function validate(value, schema, options = {}) {
+        const warningKeywords = options.warningKeywords || [];
+        const issues = check(value, schema, '', schema);
+        const errors = issues.filter(issue => !warningKeywords.includes(issue.keyword));
+        const warnings = issues.filter(issue => warningKeywords.includes(issue.keyword));
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Builds the era vocabulary of an era registry (the data.eras section
+     * of settings.json) and a function that reads an era value the way the
+     * registry does: by id, alias or name, ignoring case
+     * @param {Object} [registry={}] - { default, definitions }
+     * @returns {Object} { eras, normalizeEra } where normalizeEra returns the
+     *     era id, or the value unchanged if the registry does not know it
+     */
+    function createEraVocabulary(registry = {}) {
+        const key = value => (typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s_]+/g, '-') : '');
+        const definitions = Array.isArray(registry.definitions) ? registry.definitions : [];
+        const defaultEra = registry.default || 'unknown';
+        const ids = new Map([[key(defaultEra), defaultEra]]);
+
+        definitions.forEach(era => {
+            [era.id, era.name, ...(era.aliases || [])].filter(Boolean).forEach(name => {
+                if (!ids.has(key(name))) {
+                    ids.set(key(name), era.id);
+                }
+            });
+        });
+
+        return {
+            eras: [...new Set([...definitions.flatMap(era => [era.id, ...(era.aliases || [])]), defaultEra])],
+            normalizeEra: value => ids.get(key(value)) || value
+        };
+    }
+
+    /**
+     * Copies a dataset with each person's era read through normalizeEra,
+     * so "Exodus" is checked as the registry's "exodus-conquest". The copy
+     * keeps the dataset's shape, so issue paths point into the original.
+     * @param {Array|Object} data - Dataset
+     * @param {Function} normalizeEra - Maps an era value to its registry id
+     * @returns {Array|Object} Dataset copy
+     */
+    function normalizeDatasetEras(data, normalizeEra) {
+        const normalizePeople = people => (Array.isArray(people) ? people.map(person => {
+            if (!person || typeof person !== 'object' || typeof person.era !== 'string') {
+                return person;
+            }
+            const era = normalizeEra(person.era);
+            return era && era !== person.era ? { ...person, era } : person;
+        }) : people);
+
+        // Array datasets mix person records with record blocks of people,
+        // as the recordDataset schema does
+        if (Array.isArray(data)) {
+            return data.map(record => (record && typeof record === 'object' && 'people' in record ?
+                { ...record, people: normalizePeople(record.people) } : normalizePeople([record])[0]));
+        }
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const copy = { ...data };
+        if (data.people) {
+            copy.people = normalizePeople(data.people);
+        }
+        if (data.nodes) {
+            copy.nodes = normalizePeople(data.nodes);
+        }
+        return copy;
+    }
+
+    /**
+     * Validates a genealogy dataset in any of its three shapes. Outside
+     * strict mode undeclared properties are allowed and values outside an
+     * enum (eras, relationship types) are warnings.
+     * @param {Array|Object} data - Dataset
+     * @param {Object} [options={}] - getSchema options plus strictMode
+     * @param {boolean} [options.strictMode=false] - Treat every issue as an error
+     * @param {Function} [options.normalizeEra] - Maps era values to registry ids
+     *     before the era check (see createEraVocabulary)
+     * @returns {Object} { valid, errors, warnings, schema }
+     */
+    function validateDataset(data, options = {}) {
+        const strict = Boolean(options.strictMode);
+        const schema = getSchema('dataset', { ...options, strict });
+
+        if (typeof options.normalizeEra === 'function') {
+            data = normalizeDatasetEras(data, options.normalizeEra);
+        }
+
+        // Validate against the matching shape so issues point into it
+        let shape = schema;
+        if (Array.isArray(data)) {
+            shape = { ...schema.$defs.recordDataset, $defs: schema.$defs };
+        } else if (data && typeof data === 'object' && (data.people || data.relationships)) {
+            shape = { ...schema.$defs.peopleDataset, $defs: schema.$defs };
+        } else if (data && typeof data === 'object' && (data.nodes || data.links)) {
+            shape = { ...schema.$defs.graphDataset, $defs: schema.$defs };
+        }
+
+        const result = validate(data, shape, { warningKeywords: strict ? [] : ['enum'] });
+        result.schema = schema.$id;
+        return result;
+    }
+
+    /**
+     * Validates settings.json
+     * @param {Object} settings - Settings
+     * @param {Object} [options={}] - getSchema options
+     * @returns {Object} { valid, errors, warnings, schema }
+     */
+    function validateSettings(settings, options = {}) {
+        const schema = getSchema('settings', options);
+        const result = validate(settings, schema);
+        result.schema = schema.$id;
+        return result;
+    }
+
+    /**
+     * Reads the era registry from the settings.json next to this file, so
+     * the command line checks eras as the app does
+     * @returns {Object} { vocabulary, normalizeEra } options, or {} without settings
+     */
+    function settingsEraOptions() {
+        const fs = require('fs');
+        const path = require('path');
+        let settings;
+        try {
+            settings = JSON.parse(fs.readFileSync(path.join(__dirname, 'settings.json'), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+
+        const registry = settings.data && settings.data.eras;
+        if (!registry || !Array.isArray(registry.definitions)) {
+            return {};
+        }
+
+        const { eras, normalizeEra } = createEraVocabulary(registry);
+        return { vocabulary: { eras }, normalizeEra };
+    }
+
+    /**
+     * Runs validation from the command line
+     * @param {Array<string>} args - Command-line arguments
+     * @returns {number} Exit code: 0 if valid
+     */
+    function runCli(args) {
+        const fs = require('fs');
+        const path = require('path');
+        const isSettings = args.includes('--settings');
+
+        if (args.includes('--print-schema')) {
+            console.log(JSON.stringify(getSchema(isSettings ? 'settings' : 'dataset'), null, 2));
+            return 0;
+        }
+
+        const file = args.find(arg => !arg.startsWith('--')) ||
+            path.join(__dirname, isSettings ? 'settings.json' : 'Genealogy-dataset.json');
+        let value;
+        try {
+            value = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+            return 2;
+        }
+
+        const result = isSettings ?
+            validateSettings(value) :
+            validateDataset(value, { strictMode: args.includes('--strict'), ...settingsEraOptions() });
+
+        result.errors.forEach(issue => console.log(`error\t${issue.message}`));
+        result.warnings.forEach(issue => console.log(`warning\t${issue.message}`));
+        console.log(`${file}: ${result.errors.length} error(s), ${result.warnings.length} warning(s) against ${result.schema}`);
+        return result.valid ? 0 : 1;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        DEFAULT_VOCABULARY,
+        getSchema,
+        validate,
+        validateDataset,
+        validateSettings,
+        createEraVocabulary,
+        runCli
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetSchema;
+    if (require.main === module) {
+        process.exitCode = DatasetSchema.runCli(process.argv.slice(2));
+    }
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return DatasetSchema; });
+} else if (typeof window !== 'undefined') {
+    window.DatasetSchema = DatasetSchema;
+}
@@ -0,0 +1,520 @@
+/**
+ * Biblical Genealogy Date Values
+ * A date type for the uncertain and approximate dates scripture gives:
+ * "c. 1800 BC", "between 2000 and 1950 BC", "before the Flood",
+ * "in the 40th year of Uzziah" and "unknown". Every value keeps the text it
+ * was read from and resolves to signed year bounds (negative is BC) so dates
+ * can be compared, tested for overlap and reduced to a midpoint.
+ */
+const DateValue = (function() {
+    // Years either side of an approximate ("c.") date
+    const APPROXIMATE_MARGIN = 10;
+
+    const TYPES = {
+        EXACT: 'exact',
+        APPROXIMATE: 'approximate',
+        RANGE: 'range',
+        BEFORE: 'before',
+        AFTER: 'after',
+        REGNAL: 'regnal',
+        UNKNOWN: 'unknown'
+    };
+
+    /**
+     * Named events dates can be relative to. Years follow the Masoretic
+     * chronology anchored on Abraham's birth in 2166 BC until the chronology
+     * engine resolves its anchors and registers them here.
+     */
+    const EVENTS = {
+        flood: { name: 'the Flood', aliases: ['deluge'], year: -2458, min: -2518, max: -2456, reference: 'Genesis 7:6, 11; 11:10' },
+        exodus: { name: 'the Exodus', aliases: [], year: -1446, min: -1446, max: -1446, reference: '1 Kings 6:1' },
+        temple: { name: 'the founding of the Temple', aliases: ['first temple', "solomon's temple"], year: -966, min: -966, max: -966, reference: '1 Kings 6:1' },
+        exile: { name: 'the Exile', aliases: ['fall of jerusalem', 'babylonian exile'], year: -586, min: -587, max: -586, reference: '2 Kings 25:8' }
+    };
+
+    /**
+     * Reigns for regnal-year dates. `start` is the first regnal year, signed;
+     * dates follow Thiele's chronology of the kings.
+     */
+    const REIGNS = {
+        saul: { name: 'Saul', start: -1050, end: -1010, reference: '1 Samuel 13:1' },
+        david: { name: 'David', start: -1010, end: -970, reference: '2 Samuel 5:4' },
+        solomon: { name: 'Solomon', start: -970, end: -931, reference: '1 Kings 11:42' },
+        rehoboam: { name: 'Rehoboam', start: -931, end: -913, reference: '1 Kings 14:21' },
+        asa: { name: 'Asa', start: -911, end: -870, reference: '1 Kings 15:10' },
+        jehoshaphat: { name: 'Jehoshaphat', start: -873, end: -848, reference: '1 Kings 22:42' },
+        uzziah: { name: 'Uzziah', aliases: ['azariah'], start: -792, end: -740, reference: '2 Kings 15:2' },
+        ahaz: { name: 'Ahaz', start: -735, end: -715, reference: '2 Kings 16:2' },
+        hezekiah: { name: 'Hezekiah', start: -716, end: -687, reference: '2 Kings 18:2' },
+        josiah: { name: 'Josiah', start: -641, end: -609, reference: '2 Kings 22:1' },
+        zedekiah: { name: 'Zedekiah', start: -597, end: -586, reference: '2 Kings 24:18' },
+        nebuchadnezzar: { name: 'Nebuchadnezzar', start: -605, end: -562, reference: 'Jeremiah 25:1' },
+        cyrus: { name: 'Cyrus', start: -539, end: -530, reference: 'Ezra 1:1' },
+        darius: { name: 'Darius', start: -522, end: -486, reference: 'Ezra 4:24' },
+        artaxerxes: { name: 'Artaxerxes', start: -465, end: -424, reference: 'Nehemiah 2:1' },
+        herod: { name: 'Herod', start: -37, end: -4, reference: 'Matthew 2:1' },
+        tiberius: { name: 'Tiberius', aliases: ['tiberius caesar'], start: 14, end: 37, reference: 'Luke 3:1' }
+    };
+
+    /**
+     * Builds a date value
+     * @param {string} type - One of TYPES
+     * @param {Object} [fields={}] - year, min, max, text and any extra fields
+     * @returns {Object} Date value
+     */
+    function create(type, fields = {}) {
+        const value = {
+            type,
+            year: null,
+            min: null,
+            max: null,
+            text: null,
+            ...fields
+        };
+
+        if (value.min !== null && value.max !== null && value.min > value.max) {
+            [value.min, value.max] = [value.max, value.min];
+        }
+
+        return value;
+    }
+
+    /**
+     * An unknown date, keeping the text it was read from
+     * @param {string} [text] - Original text
+     * @returns {Object} Date value
+     */
+    function unknown(text) {
+        return create(TYPES.UNKNOWN, { text: text || null });
+    }
+
+    /**
+     * A date known to the year, or approximately
+     * @param {number} year - Signed year
+     * @param {boolean} [approximate=false] - Whether the year is approximate
+     * @returns {Object} Date value
+     */
+    function fromYear(year, approximate = false) {
+        if (typeof year !== 'number' || isNaN(year)) {
+            return unknown();
+        }
+        if (approximate) {
+            return create(TYPES.APPROXIMATE, { year, min: year - APPROXIMATE_MARGIN, max: year + APPROXIMATE_MARGIN });
+        }
+        return create(TYPES.EXACT, { year, min: year, max: year });
+    }
+
+    /**
+     * A date somewhere between two years
+     * @param {number} min - Earliest signed year
+     * @param {number} max - Latest signed year
+     * @param {Object} [fields={}] - Extra fields such as a preferred year
+     * @returns {Object} Date value
+     */
+    function fromRange(min, max, fields = {}) {
+        if (min === max) {
+            return create(TYPES.EXACT, { year: min, min, max, ...fields });
+        }
+        const value = create(TYPES.RANGE, { min, max, ...fields });
+        if (value.year === null) {
+            value.year = Math.round((value.min + value.max) / 2);
+        }
+        return value;
+    }
+
+    /**
+     * Looks up an event or reign by id, name or alias
+     * @param {Object} table - EVENTS or REIGNS
+     * @param {string} name - Name to look up
+     * @returns {Object|null} { id, ...entry } or null
+     */
+    function lookup(table, name) {
+        const key = String(name || '').toLowerCase()
+            .replace(/^(the|king|queen)\s+/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const id = Object.keys(table).find(candidate => {
+            const entry = table[candidate];
+            return candidate === key ||
+                entry.name.toLowerCase().replace(/^the\s+/, '') === key ||
+                (entry.aliases || []).includes(key);
+        });
+
+        return id ? { id, ...table[id] } : null;
+    }
+
+    /**
+     * Reads a single year such as "1800 BC", "AD 30", "1800 B.C." or "-1800".
+     * A GEDCOM day and month before the year ("3 APR 33") are skipped.
+     * @param {string} text - Year text
+     * @returns {Object|null} { year, hasEra } or null
+     */
+    function parseYear(text) {
+        const value = String(text).trim().toLowerCase()
+            .replace(/^(?:\d{1,2}\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\s+(?=\d)/, '');
+        let match = value.match(/^(-?\d+)\s*(b\.?\s?c\.?(?:e\.?)?|a\.?\s?d\.?|c\.?e\.?)?$/);
+
+        if (match) {
+            const year = parseInt(match[1], 10);
+            const era = (match[2] || '').replace(/[.\s]/g, '');
+            return { year: era.startsWith('b') ? -Math.abs(year) : year, hasEra: era !== '' };
+        }
+
+        match = value.match(/^(a\.?\s?d\.?)\s*(\d+)$/);
+        if (match) {
+            return { year: parseInt(match[2], 10), hasEra: true };
+        }
+
+        return null;
+    }
+
+    /**
+     * Reads a bound that is either a year or a named event
+     * @param {string} text - Year or event text
+     * @returns {Object|null} { year } or { event } or null
+     */
+    function parseBound(text) {
+        const year = parseYear(text);
+        if (year) {
+            return year;
+        }
+        const event = lookup(EVENTS, text);
+        return event ? { event } : null;
+    }
+
+    /**
+     * Parses a date from text, a number, a GEDCOM date or an existing value
+     * @param {*} input - Date input
+     * @returns {Object} Date value (type 'unknown' if it cannot be read)
+     */
+    function parse(input) {
+        if (input === null || input === undefined) {
+            return unknown();
+        }
+
+        if (typeof input === 'number') {
+            return fromYear(input);
+        }
+
+        if (typeof input === 'object') {
+            if (input.type && Object.values(TYPES).includes(input.type)) {
+                return input;
+            }
+            // GEDCOM parser dates keep the original value as raw
+            if (input.raw) {
+                return parse(input.raw);
+            }
+            if (typeof input.min === 'number' && typeof input.max === 'number') {
+                return fromRange(input.min, input.max, typeof input.year === 'number' ? { year: input.year } : {});
+            }
+            return fromYear(input.year, input.qualifier === 'about');
+        }
+
+        const text = String(input).trim();
+        const lower = text.toLowerCase().replace(/\s+/g, ' ');
+
+        if (lower === '' || lower === 'unknown' || lower === '?') {
+            return unknown(text || null);
+        }
+
+        // GEDCOM date phrases: "(before the Flood)", "INT 753 B.C. (40th year of Uzziah)"
+        let match = text.match(/^(?:int\s+[^(]*)?\((.+)\)$/i);
+        if (match) {
+            const phrase = parse(match[1]);
+            return isKnown(phrase) ? phrase : unknown(match[1]);
+        }
+
+        match = lower.match(/^(?:c\.|ca\.?|circa|about|abt\.?|approx\.?|approximately|est\.?|cal\.?|~)\s*(.+)$/);
+        if (match) {
+            const year = parseYear(match[1]);
+            return year ? { ...fromYear(year.year, true), text } : unknown(text);
+        }
+
+        match = lower.match(/^(?:between|bet\.?|from)\s+(.+?)\s+(?:and|to)\s+(.+)$/) ||
+            lower.match(/^(\d+\s*(?:b\.?\s?c\.?(?:e\.?)?|a\.?\s?d\.?)?)\s*[-–—]\s*(\d+\s*(?:b\.?\s?c\.?(?:e\.?)?|a\.?\s?d\.?)?)$/);
+        if (match) {
+            const start = parseYear(match[1]);
+            const end = parseYear(match[2]);
+            if (!start || !end) {
+                return unknown(text);
+            }
+            // "between 2000 and 1950 BC": the era on the end applies to both
+            if (!start.hasEra && end.year < 0) {
+                start.year = -Math.abs(start.year);
+            }
+            return { ...fromRange(start.year, end.year), text };
+        }
+
+        match = lower.match(/^(before|bef\.?|after|aft\.?)\s+(.+)$/);
+        if (match) {
+            const type = match[1].startsWith('b') ? TYPES.BEFORE : TYPES.AFTER;
+            const bound = parseBound(match[2]);
+            if (!bound) {
+                return create(type, { text, event: { id: null, name: match[2] } });
+            }
+            if (bound.event) {
+                const { id, name, min, max } = bound.event;
+                return type === TYPES.BEFORE ?
+                    create(type, { year: max, max, text, event: { id, name } }) :
+                    create(type, { year: min, min, text, event: { id, name } });
+            }
+            return type === TYPES.BEFORE ?
+                create(type, { year: bound.year, max: bound.year, text }) :
+                create(type, { year: bound.year, min: bound.year, text });
+        }
+
+        match = lower.match(/^(?:in\s+)?(?:the\s+)?(\d+)(?:st|nd|rd|th)?\s+year\s+of\s+(?:the\s+reign\s+of\s+)?(.+)$/);
+        if (match) {
+            const regnalYear = parseInt(match[1], 10);
+            const reign = lookup(REIGNS, match[2]);
+            if (!reign) {
+                return create(TYPES.REGNAL, { text, reign: { id: null, name: match[2], year: regnalYear } });
+            }
+            // A regnal year straddles two calendar years
+            const first = reign.start + regnalYear - 1;
+            return create(TYPES.REGNAL, {
+                year: first,
+                min: first,
+                max: first + 1,
+                text,
+                reign: { id: reign.id, name: reign.name, year: regnalYear }
+            });
+        }
+
+        const year = parseYear(lower);
+        return year ? { ...fromYear(year.year), text } : unknown(text);
+    }
+
+    /**
+     * Whether a date resolves to at least one year bound
+     * @param {Object} value - Date value
+     * @returns {boolean} True if known
+     */
+    function isKnown(value) {
+        return !!value && (value.min !== null || value.max !== null);
+    }
+
+    /**
+     * The representative year of a date: the stated or preferred year, the
+     * middle of a range, or the known bound of an open-ended date
+     * @param {Object} value - Date value
+     * @returns {number|null} Signed year, or null if unknown
+     */
+    function midpoint(value) {
+        if (!isKnown(value)) {
+            return null;
+        }
+        if (value.year !== null && value.year !== undefined) {
+            return value.year;
+        }
+        if (value.min !== null && value.max !== null) {
+            return (value.min + value.max) / 2;
+        }
+        return value.min !== null ? value.min : value.max;
+    }
+
+    /**
+     * Orders two dates by midpoint, then by earliest and latest bound.
+     * Unknown dates sort after known ones.
+     * @param {Object} a - First date
+     * @param {Object} b - Second date
+     * @returns {number} Negative, zero or positive
+     */
+    function compare(a, b) {
+        const aMid = midpoint(a);
+        const bMid = midpoint(b);
+
+        if (aMid === null || bMid === null) {
+            return (aMid === null ? 1 : 0) - (bMid === null ? 1 : 0);
+        }
+
+        const lower = value => value.min !== null ? value.min : -Infinity;
+        const upper = value => value.max !== null ? value.max : Infinity;
+
+        return Math.sign(aMid - bMid) || Math.sign(lower(a) - lower(b)) || Math.sign(upper(a) - upper(b));
+    }
+
+    /**
+     * Whether two dates could refer to the same year
+     * @param {Object} a - First date
+     * @param {Object} b - Second date
+     * @returns {boolean} True if their bounds intersect
+     */
+    function overlaps(a, b) {
+        if (!isKnown(a) || !isKnown(b)) {
+            return false;
+        }
+
+        const aMin = a.min !== null ? a.min : -Infinity;
+        const aMax = a.max !== null ? a.max : Infinity;
+        const bMin = b.min !== null ? b.min : -Infinity;
+        const bMax = b.max !== null ? b.max : Infinity;
+
+        return aMin <= bMax && bMin <= aMax;
+    }
+
+    /**
+     * Whether a year falls within a date's bounds
+     * @param {Object} value - Date value
+     * @param {number} year - Signed year
+     * @returns {boolean} True if contained
+     */
+    function contains(value, year) {
+        return overlaps(value, fromYear(year));
+    }
+
+    /**
+     * Years elapsed between two dates, with the range the bounds allow
+     * (for example an age from birth and death dates)
+     * @param {Object} start - Earlier date
+     * @param {Object} end - Later date
+     * @returns {Object|null} { years, min, max } or null if either is unknown
+     */
+    function difference(start, end) {
+        const startMid = midpoint(start);
+        const endMid = midpoint(end);
+
+        if (startMid === null || endMid === null) {
+            return null;
+        }
+
+        return {
+            years: endMid - startMid,
+            min: end.min !== null && start.max !== null ? end.min - start.max : null,
+            max: end.max !== null && start.min !== null ? end.max - start.min : null
+        };
+    }
+
+    /**
+     * Formats a signed year as "1800 BC" or "AD 30"
+     * @param {number} year - Signed year
+     * @returns {string} Formatted year
+     */
+    function formatYear(year) {
+        return year < 0 ? `${-year} BC` : `AD ${year}`;
+    }
+
+    /**
+     * Formats a date for display
+     * @param {Object} value - Date value
+     * @returns {string} Display text
+     */
+    function format(value) {
+        if (!value) {
+            return 'unknown';
+        }
+
+        switch (value.type) {
+            case TYPES.EXACT:
+                return formatYear(value.year);
+            case TYPES.APPROXIMATE:
+                return `c. ${formatYear(value.year)}`;
+            case TYPES.RANGE:
+                return value.min < 0 && value.max < 0 ?
+                    `${-value.min}–${-value.max} BC` :
+                    `${formatYear(value.min)} – ${formatYear(value.max)}`;
+            case TYPES.BEFORE:
+            case TYPES.AFTER:
+                if (value.event) {
+                    return `${value.type} ${value.event.name}`;
+                }
+                return `${value.type} ${formatYear(value.year)}`;
+            case TYPES.REGNAL: {
+                if (!value.reign.id) {
+                    return value.text;
+                }
+                const n = value.reign.year;
+                const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (['th', 'st', 'nd', 'rd'][n % 10] || 'th');
+                return `${n}${suffix} year of ${value.reign.name}`;
+            }
+            default:
+                return value.text || 'unknown';
+        }
+    }
+
+    /**
+     * Formats a date as a GEDCOM DATE value. Dates that only make sense as
+     * words ("before the Flood") are written as GEDCOM date phrases.
+     * @param {Object} value - Date value
+     * @returns {string|null} GEDCOM DATE value, or null for unknown dates
+     */
+    function toGedcom(value) {
+        const year = y => y < 0 ? `${-y} B.C.` : String(y);
+
+        if (!value) {
+            return null;
+        }
+
+        switch (value.type) {
+            case TYPES.EXACT:
+                return year(value.year);
+            case TYPES.APPROXIMATE:
+                return `ABT ${year(value.year)}`;
+            case TYPES.RANGE:
+                return `BET ${year(value.min)} AND ${year(value.max)}`;
+            case TYPES.BEFORE:
+            case TYPES.AFTER:
+                if (value.event) {
+                    return `(${format(value)})`;
+                }
+                return `${value.type === TYPES.BEFORE ? 'BEF' : 'AFT'} ${year(value.year)}`;
+            case TYPES.REGNAL:
+                return value.year !== null ? `INT ${year(value.year)} (${format(value)})` : `(${value.text})`;
+            default:
+                return value.text && value.text.toLowerCase() !== 'unknown' ? `(${value.text})` : null;
+        }
+    }
+
+    /**
+     * Adds or replaces a named event dates can be relative to
+     * @param {string} id - Event id
+     * @param {Object} event - { name, aliases, year, min, max, reference }
+     */
+    function registerEvent(id, event) {
+        const min = event.min !== undefined ? event.min : event.year;
+        const max = event.max !== undefined ? event.max : event.year;
+        EVENTS[id] = { aliases: [], ...event, min, max };
+    }
+
+    /**
+     * Adds or replaces a reign for regnal-year dates
+     * @param {string} id - Reign id
+     * @param {Object} reign - { name, aliases, start, end, reference }
+     */
+    function registerReign(id, reign) {
+        REIGNS[id] = { aliases: [], ...reign };
+    }
+
+    return {
+        TYPES,
+        APPROXIMATE_MARGIN,
+        EVENTS,
+        REIGNS,
+        create,
+        unknown,
+        fromYear,
+        fromRange,
+        parse,
+        isKnown,
+        midpoint,
+        compare,
+        overlaps,
+        contains,
+        difference,
+        format,
+        formatYear,
+        toGedcom,
+        registerEvent,
+        registerReign
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateValue;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return DateValue; });
+} else if (typeof window !== 'undefined') {
+    window.DateValue = DateValue;
+}
@@ -10,15 +10,17 @@
  */
 
 // Import dependencies based on environment
-let GenealogyDataUtils, DataProcessor;
+let GenealogyDataUtils, DataProcessor, ReferenceIntegrity;
 
 try { 
   if (typeof require !== 'undefined') {
     GenealogyDataUtils = require('./genealogy-data-utils.js');
     DataProcessor = require('./DataProcessor.js');
+    ReferenceIntegrity = require('./reference-integrity.js');
   } else if (typeof window !== 'undefined') {
     GenealogyDataUtils = window.GenealogyDataUtils || {};
     DataProcessor = window.DataProcessor || {};
+    ReferenceIntegrity = window.ReferenceIntegrity || {};
   }
 } catch (error) {
   console.warn('Failed to import dependencies, some features may be limited:', error);
@@ -662,6 +664,10 @@ function createDataIntegrityReport(data) {
         debug('GenealogyDataUtils validation passed');
       }
       
+      if (validation.findings && validation.findings.length > 0) {
+        warn(`${validation.findings.length} consistency finding(s) in the dataset`, validation.findings);
+      }
+      
       return validation;
     } catch (error) {
       warn(`Error using GenealogyDataUtils validation: ${error.message}`, error);
@@ -678,6 +684,7 @@ function createDataIntegrityReport(data) {
     missingRequired: [],
     invalidValues: [],
     referencesCheck: { valid: true, errors: [] },
+    findings: [],
     timestamp: new Date().toISOString()
   };
   
@@ -816,6 +823,25 @@ function createDataIntegrityReport(data) {
     }
   }
   
+  // Check records for impossible dates, cycles and mismatched parent fields
+  if (GenealogyDataUtils && typeof GenealogyDataUtils.checkConsistency === 'function') {
+    try {
+      report.findings = GenealogyDataUtils.checkConsistency(data);
+      report.findings.forEach(finding => {
+        if (finding.severity === 'error') {
+          report.valid = false;
+          report.errors.push(finding.message);
+        } else {
+          report.warnings.push(finding.message);
+        }
+      });
+    } catch (error) {
+      warn(`Error checking data consistency: ${error.message}`, error);
+    }
+  } else {
+    report.warnings.push('Consistency checks unavailable: GenealogyDataUtils.checkConsistency not loaded');
+  }
+  
   // Check for metadata
   if (!data.metadata) {
     report.warnings.push('Missing metadata property');
@@ -824,6 +850,39 @@ function createDataIntegrityReport(data) {
   return report;
 }
 
+/**
+ * Check that the per-person records' cross-references agree in both
+ * directions, optionally writing the missing reciprocal entries
+ * @param {Array|Object} data - Per-person record dataset
+ * @param {Object} options - Check options
+ * @param {boolean} [options.repair=false] - Return a repaired copy and its patch
+ * @returns {Object} - Check result, plus data/patch/remaining when repairing
+ */
+function checkReferenceIntegrity(data, options = {}) {
+  if (!ReferenceIntegrity || typeof ReferenceIntegrity.checkReferences !== 'function') {
+    warn('Cannot check references - ReferenceIntegrity not available');
+    return null;
+  }
+  
+  startPerformanceTimer('checkReferenceIntegrity');
+  const result = ReferenceIntegrity.checkReferences(data);
+  
+  if (result.valid) {
+    debug(`Reference integrity check passed for ${result.records} records`);
+  } else {
+    warn(`${result.issues.length} reference issue(s), ${result.summary.repairable} repairable`, result.summary);
+  }
+  
+  if (options.repair) {
+    const repair = ReferenceIntegrity.repairReferences(data);
+    info(`Reference repair wrote ${repair.patch.length} reciprocal entr${repair.patch.length === 1 ? 'y' : 'ies'}`, repair.patch);
+    Object.assign(result, repair);
+  }
+  
+  endPerformanceTimer('checkReferenceIntegrity');
+  return result;
+}
+
 /**
  * Export the current debug state including logs and configuration
  * @param {Object} options - Export options
@@ -1226,6 +1285,7 @@ const DebugUtils = {
   
   // Data validation
   validateData,
+  checkReferenceIntegrity,
   
   // Debug state management
   exportDebugState,
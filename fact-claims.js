@@ -0,0 +1,316 @@
+/**
+ * Biblical Genealogy Fact Claims
+ * Citations for individual facts and competing claims between textual
+ * traditions ("father is Heli according to Luke, Jacob according to
+ * Matthew"). A person record states one value per field as before, with
+ * optional `citations` for those values and a `claims` list for what other
+ * passages say:
+ *
+ *     "citations": { "father": "Matthew 1:16", "age": "Genesis 5:5" },
+ *     "claims": [
+ *         { "field": "father", "value": "heli", "citation": "Luke 3:23", "tradition": "luke" }
+ *     ]
+ *
+ * Values kept by SourceMerge as `alternatives` count as claims attributed
+ * to their source.
+ */
+const FactClaims = (function() {
+    // Fields that can carry citations and claims; list fields gather every
+    // claimed entry instead of choosing one value
+    const CLAIM_FIELDS = {
+        fullName: 'value',
+        father: 'value',
+        mother: 'value',
+        age: 'value',
+        birthYear: 'value',
+        deathYear: 'value',
+        spouses: 'list',
+        children: 'list'
+    };
+
+    // Display names of the traditions used in the dataset
+    const TRADITIONS = {
+        matthew: 'Matthew',
+        luke: 'Luke',
+        chronicles: 'Chronicles',
+        'samuel-kings': 'Samuel–Kings',
+        masoretic: 'Masoretic Text',
+        septuagint: 'Septuagint',
+        samaritan: 'Samaritan Pentateuch'
+    };
+
+    // Chooses every tradition at once
+    const ALL_TRADITIONS = 'all';
+
+    /**
+     * Gets the value a record states for a field, before any tradition was applied
+     * @param {Object} person - Person record or node
+     * @param {string} field - Field name
+     * @returns {*} Stated value
+     */
+    function getStatedValue(person, field) {
+        return person.statedFacts && field in person.statedFacts ? person.statedFacts[field] : person[field];
+    }
+
+    /**
+     * Normalizes a citation to a list of references
+     * @param {string|Array<string>|undefined} citation - Citation
+     * @returns {Array<string>} References
+     */
+    function toCitationList(citation) {
+        return [].concat(citation || []).filter(Boolean);
+    }
+
+    /**
+     * Lists the claims about one field of a person: the stated value with its
+     * citation first, then claims from other passages, then alternatives
+     * kept from other data sources
+     * @param {Object} person - Person record or node
+     * @param {string} field - Field name
+     * @returns {Array<Object>} Claims of { field, value, citations, tradition, source, stated }
+     */
+    function getClaims(person, field) {
+        const claims = [];
+        const stated = getStatedValue(person, field);
+        const statedValues = CLAIM_FIELDS[field] === 'list' ? [].concat(stated || []) : [stated];
+
+        statedValues.forEach(value => {
+            if (value !== null && value !== undefined && value !== '') {
+                claims.push({
+                    field,
+                    value,
+                    citations: toCitationList(person.citations && person.citations[field]),
+                    tradition: null,
+                    source: null,
+                    stated: true
+                });
+            }
+        });
+
+        (person.claims || []).forEach(claim => {
+            if (claim && claim.field === field && claim.value !== undefined) {
+                claims.push({
+                    field,
+                    value: claim.value,
+                    citations: toCitationList(claim.citation),
+                    tradition: claim.tradition || null,
+                    source: claim.source || null,
+                    stated: false
+                });
+            }
+        });
+
+        const alternatives = (person.alternatives && person.alternatives[field]) || [];
+        alternatives.forEach(alternative => {
+            if (!claims.some(claim => JSON.stringify(claim.value) === JSON.stringify(alternative.value))) {
+                claims.push({
+                    field,
+                    value: alternative.value,
+                    citations: [],
+                    tradition: null,
+                    source: alternative.source,
+                    stated: false
+                });
+            }
+        });
+
+        return claims;
+    }
+
+    /**
+     * Checks whether the claims about a field disagree
+     * @param {Object} person - Person record or node
+     * @param {string} field - Field name
+     * @returns {boolean} True if claims give different values (or, for list
+     *     fields, entries the stated value does not include)
+     */
+    function isDisputed(person, field) {
+        const claims = getClaims(person, field);
+        if (CLAIM_FIELDS[field] === 'list') {
+            return claims.some(claim => !claim.stated);
+        }
+        return new Set(claims.map(claim => JSON.stringify(claim.value))).size > 1;
+    }
+
+    /**
+     * Gets a field's value according to a tradition: the tradition's own
+     * claim if it makes one, otherwise the stated value. List fields add the
+     * tradition's entries to the stated list; ALL_TRADITIONS adds every entry.
+     * @param {Object} person - Person record or node
+     * @param {string} field - Field name
+     * @param {string} [tradition=ALL_TRADITIONS] - Tradition id
+     * @returns {*} Value
+     */
+    function resolveFact(person, field, tradition = ALL_TRADITIONS) {
+        const claims = getClaims(person, field);
+        const applies = claim => claim.stated || tradition === ALL_TRADITIONS || claim.tradition === tradition;
+
+        if (CLAIM_FIELDS[field] === 'list') {
+            return [...new Set(claims.filter(applies).map(claim => claim.value))];
+        }
+
+        const own = claims.find(claim => !claim.stated && claim.tradition && claim.tradition === tradition);
+        return own ? own.value : getStatedValue(person, field);
+    }
+
+    /**
+     * Lists the traditions that claims in the dataset are attributed to
+     * @param {Object|Array} data - Data with nodes or people, or a record list
+     * @returns {Array<Object>} Traditions of { id, name }, sorted by name
+     */
+    function getTraditions(data) {
+        const people = Array.isArray(data) ? data : ((data && (data.nodes || data.people)) || []);
+        const ids = new Set();
+        people.forEach(person => {
+            (person && person.claims || []).forEach(claim => {
+                if (claim && claim.tradition) {
+                    ids.add(claim.tradition);
+                }
+            });
+        });
+        return [...ids]
+            .map(id => ({ id, name: TRADITIONS[id] || id }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Shows each person's facts as a tradition gives them. The stated values
+     * are kept in `statedFacts` so another tradition can be applied later.
+     * @param {Object} data - Data with nodes
+     * @param {string} [tradition=ALL_TRADITIONS] - Tradition id; ALL_TRADITIONS restores the stated values
+     * @returns {Object} The same data
+     */
+    function applyTradition(data, tradition = ALL_TRADITIONS) {
+        (data.nodes || []).forEach(node => {
+            if (!node.claims || node.claims.length === 0) {
+                return;
+            }
+            node.statedFacts = node.statedFacts || {};
+            Object.keys(CLAIM_FIELDS).forEach(field => {
+                if (!(field in node.statedFacts)) {
+                    node.statedFacts[field] = node[field];
+                }
+                node[field] = CLAIM_FIELDS[field] === 'list' && tradition === ALL_TRADITIONS ?
+                    node.statedFacts[field] : resolveFact(node, field, tradition);
+            });
+            if (node.fullName) {
+                node.name = node.fullName;
+            }
+        });
+        data.tradition = tradition;
+        return data;
+    }
+
+    /**
+     * Attaches the citations and claims behind each parent and spouse
+     * relationship, and marks relationships that only some traditions
+     * support as disputed, listing those traditions.
+     * @param {Array<Object>} people - Person records
+     * @param {Array<Object>} relationships - Relationships of { from, to, type }, updated in place
+     * @returns {Array<Object>} The same relationships
+     */
+    function annotateRelationships(people, relationships) {
+        const byId = new Map(people.map(person => [person.id, person]));
+        const traditions = getTraditions(people).map(item => item.id);
+
+        relationships.forEach(rel => {
+            const facts = [];
+            const add = (person, field, value) => {
+                if (person) {
+                    getClaims(person, field)
+                        .filter(claim => claim.value === value)
+                        .forEach(claim => facts.push({ ...claim, subject: person.id }));
+                }
+            };
+
+            let disputedField = null;
+            let subject = null;
+            let value = null;
+
+            if (rel.type === 'parent') {
+                const parent = byId.get(rel.from);
+                const child = byId.get(rel.to);
+                ['father', 'mother'].forEach(field => {
+                    add(child, field, rel.from);
+                    if (child && getClaims(child, field).some(claim => claim.value === rel.from) && isDisputed(child, field)) {
+                        disputedField = field;
+                        subject = child;
+                        value = rel.from;
+                    }
+                });
+                add(parent, 'children', rel.to);
+                if (!disputedField && parent && isDisputed(parent, 'children') &&
+                    !getClaims(parent, 'children').some(claim => claim.stated && claim.value === rel.to)) {
+                    disputedField = 'children';
+                    subject = parent;
+                    value = rel.to;
+                }
+            } else if (rel.type === 'spouse') {
+                [[rel.from, rel.to], [rel.to, rel.from]].forEach(([personId, spouseId]) => {
+                    const person = byId.get(personId);
+                    add(person, 'spouses', spouseId);
+                    if (!disputedField && person && !getClaims(person, 'spouses').some(claim => claim.stated && claim.value === spouseId) &&
+                        getClaims(person, 'spouses').some(claim => claim.value === spouseId)) {
+                        disputedField = 'spouses';
+                        subject = person;
+                        value = spouseId;
+                    }
+                });
+            } else {
+                return;
+            }
+
+            const citations = [...new Set(facts.flatMap(fact => fact.citations))];
+            if (citations.length > 0) {
+                rel.citations = citations;
+            }
+            const claims = facts.filter(fact => !fact.stated)
+                .map(fact => ({ field: fact.field, citations: fact.citations, tradition: fact.tradition, source: fact.source }));
+            if (claims.length > 0) {
+                rel.claims = claims;
+            }
+
+            if (disputedField) {
+                rel.disputed = true;
+                rel.traditions = traditions.filter(tradition => {
+                    const resolved = resolveFact(subject, disputedField, tradition);
+                    return Array.isArray(resolved) ? resolved.includes(value) : resolved === value;
+                });
+            }
+        });
+
+        return relationships;
+    }
+
+    /**
+     * Checks whether a relationship is shown under a tradition
+     * @param {Object} link - Link or relationship
+     * @param {string} [tradition=ALL_TRADITIONS] - Tradition id
+     * @returns {boolean} True for undisputed links, and for disputed links the tradition supports
+     */
+    function isLinkInTradition(link, tradition = ALL_TRADITIONS) {
+        return !link.disputed || tradition === ALL_TRADITIONS || (link.traditions || []).includes(tradition);
+    }
+
+    return {
+        CLAIM_FIELDS,
+        TRADITIONS,
+        ALL_TRADITIONS,
+        getClaims,
+        isDisputed,
+        resolveFact,
+        getTraditions,
+        applyTradition,
+        annotateRelationships,
+        isLinkInTradition
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FactClaims;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return FactClaims; });
+} else if (typeof window !== 'undefined') {
+    window.FactClaims = FactClaims;
+}
@@ -0,0 +1,671 @@
+/**
+ * Biblical Genealogy GEDCOM Parser
+ * Reads GEDCOM 5.5.1 and 7.0 files into the nodes/links structure used by
+ * GenealogyDataUtils.processGenealogyData
+ */
+const GedcomParser = (function() {
+    // Line format: level [@xref@] tag [value]
+    const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+    // Tags understood by the importer. Anything else is reported as unsupported.
+    const SUPPORTED_TAGS = {
+        records: ['HEAD', 'TRLR', 'INDI', 'FAM', 'SOUR', 'NOTE', 'SUBM'],
+        individual: ['NAME', 'SEX', 'BIRT', 'DEAT', 'OCCU', 'NOTE', 'SOUR', 'FAMC', 'FAMS', 'ASSO', 'REFN', '_ERA'],
+        family: ['HUSB', 'WIFE', 'CHIL', 'NOTE', 'SOUR'],
+        event: ['DATE', 'PLAC', 'NOTE', 'SOUR'],
+        name: ['GIVN', 'SURN', 'NPFX', 'NSFX', 'SPFX', 'NICK', 'TYPE'],
+        citation: ['PAGE', 'NOTE'],
+        association: ['RELA'],
+        reference: ['TYPE'],
+        source: ['TITL', 'AUTH', 'PUBL', 'TEXT', 'NOTE', 'ABBR']
+    };
+
+    // REFN type GenealogyDataUtils exports dataset ids under; people
+    // carrying one get that id back instead of their cross-reference id
+    const ID_REFERENCE_TYPE = 'Dataset id';
+
+    /**
+     * Splits GEDCOM text into a tree of records
+     * @param {string} text - Raw GEDCOM text
+     * @param {Object} report - Import report receiving warnings
+     * @returns {Array} Level 0 records with nested children
+     */
+    function parseLines(text, report) {
+        const records = [];
+        const stack = [];
+        const lines = text.replace(/^﻿/, '').split(/\r\n|\r|\n/);
+
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+
+            if (rawLine.trim() === '') {
+                return;
+            }
+
+            const match = rawLine.match(LINE_PATTERN);
+            if (!match) {
+                addWarning(report, lineNumber, null, `Malformed line skipped: "${rawLine.trim()}"`);
+                return;
+            }
+
+            const node = {
+                level: parseInt(match[1], 10),
+                xref: match[2] ? match[2].slice(1, -1) : null,
+                tag: match[3].toUpperCase(),
+                value: match[4] !== undefined ? match[4] : '',
+                line: lineNumber,
+                children: []
+            };
+
+            // Continuation lines are folded into their parent value
+            if (node.tag === 'CONC' || node.tag === 'CONT') {
+                const parent = stack[node.level - 1];
+                if (!parent) {
+                    addWarning(report, lineNumber, node.tag, 'Continuation line without a parent');
+                    return;
+                }
+                parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+                return;
+            }
+
+            if (node.level === 0) {
+                records.push(node);
+            } else {
+                const parent = stack[node.level - 1];
+                if (!parent) {
+                    addWarning(report, lineNumber, node.tag, `Level ${node.level} line has no parent at level ${node.level - 1}`);
+                    return;
+                }
+                parent.children.push(node);
+            }
+
+            stack[node.level] = node;
+            stack.length = node.level + 1;
+        });
+
+        return records;
+    }
+
+    /**
+     * Adds a warning to the import report
+     * @param {Object} report - Import report
+     * @param {number} line - Line number
+     * @param {string|null} tag - Tag involved
+     * @param {string} message - Warning message
+     */
+    function addWarning(report, line, tag, message) {
+        report.warnings.push({ line, tag, message });
+    }
+
+    /**
+     * Records a tag that the importer does not understand
+     * @param {Object} report - Import report
+     * @param {Object} node - Parsed line node
+     * @param {string} context - Tag path of the enclosing structure
+     */
+    function reportUnsupported(report, node, context) {
+        const path = context ? `${context}.${node.tag}` : node.tag;
+        report.unsupportedTags[path] = (report.unsupportedTags[path] || 0) + 1;
+        addWarning(report, node.line, node.tag, `Unsupported tag ${path} ignored`);
+    }
+
+    /**
+     * Gets the first child with a given tag
+     * @param {Object} node - Parent node
+     * @param {string} tag - Tag to find
+     * @returns {Object|null} Child node
+     */
+    function findChild(node, tag) {
+        return node.children.find(child => child.tag === tag) || null;
+    }
+
+    /**
+     * Extracts the id from a pointer value such as "@I1@"
+     * @param {string} value - Pointer value
+     * @returns {string|null} Referenced id, or null for void pointers
+     */
+    function parsePointer(value) {
+        const match = (value || '').trim().match(/^@([^@\s]+)@$/);
+        if (!match || match[1] === 'VOID') {
+            return null;
+        }
+        return match[1];
+    }
+
+    // Month codes of the Gregorian, Julian, Hebrew and French republican calendars
+    const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC',
+        'TSH', 'CSH', 'KSL', 'TVT', 'SHV', 'ADR', 'ADS', 'NSN', 'IYR', 'SVN', 'TMZ', 'AAV', 'ELL',
+        'VEND', 'BRUM', 'FRIM', 'NIVO', 'PLUV', 'VENT', 'GERM', 'FLOR', 'PRAI', 'MESS', 'THER', 'FRUC', 'COMP'];
+
+    // One date: [calendar] [[day] month] year [/dual year] [B.C.]
+    const DATE_PATTERN = /^(?:@#D[A-Z ]+@\s*)?(?:(?:(\d{1,2})\s+)?([A-Z]{3,4})\s+)?(\d+)(?:\/\d+)?(?:\s*(B\.?\s?C\.?(?:E\.?)?))?$/;
+
+    /**
+     * Reads the year of a single GEDCOM date. Each date carries its own
+     * B.C. marker, and a day or month before the year is skipped.
+     * @param {string} text - Date such as "3 APR 33" or "1446 B.C."
+     * @returns {number|null} Year (negative for BC), or null if unreadable
+     */
+    function parseDateYear(text) {
+        const match = text.trim().match(DATE_PATTERN);
+        if (!match || (match[2] && !MONTHS.includes(match[2]))) {
+            return null;
+        }
+        const year = parseInt(match[3], 10);
+        return match[4] ? -year : year;
+    }
+
+    /**
+     * Parses a GEDCOM date value into a year-based representation:
+     * a date, ABT/CAL/EST, BEF, AFT, BET ... AND ..., FROM ... TO ... or an
+     * INT date with its phrase. Negative years are BC.
+     * @param {string} value - GEDCOM DATE value
+     * @returns {Object|null} Parsed date with raw text, year, endYear and qualifier
+     */
+    function parseGedcomDate(value) {
+        if (!value || !value.trim()) {
+            return null;
+        }
+
+        const raw = value.trim();
+        const upper = raw.toUpperCase().replace(/\s+/g, ' ');
+        const unreadable = { raw, year: null, endYear: null, qualifier: 'exact' };
+
+        let match = upper.match(/^(?:BET|FROM) (.+?) (?:AND|TO) (.+)$/);
+        if (match) {
+            const year = parseDateYear(match[1]);
+            const endYear = parseDateYear(match[2]);
+            return year === null || endYear === null ? { ...unreadable, qualifier: 'range' } :
+                { raw, year, endYear, qualifier: 'range' };
+        }
+
+        const qualifiers = { ABT: 'about', CAL: 'about', EST: 'about', BEF: 'before', AFT: 'after', FROM: 'after', TO: 'before', INT: 'exact' };
+        match = upper.match(/^(ABT|CAL|EST|BEF|AFT|FROM|TO|INT) (.+)$/);
+        const qualifier = match ? qualifiers[match[1]] : 'exact';
+        // An interpreted date is followed by the phrase it was read from
+        const date = match ? match[2].replace(/\s*\(.*\)$/, '') : upper;
+
+        return { raw, year: parseDateYear(date), endYear: null, qualifier };
+    }
+
+    /**
+     * Converts a GEDCOM personal name ("Given /Surname/") to display form
+     * @param {string} value - NAME value
+     * @returns {string} Display name
+     */
+    function formatName(value) {
+        return (value || '')
+            .replace(/\//g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Reads a source citation structure
+     * @param {Object} node - SOUR node
+     * @param {Object} context - Shared lookup tables (sources, notes) and report
+     * @param {string} path - Enclosing tag path
+     * @returns {Object} Citation
+     */
+    function parseCitation(node, context, path) {
+        const sourceId = parsePointer(node.value);
+        const citation = sourceId ?
+            { sourceId, title: context.sources[sourceId] ? context.sources[sourceId].title : null } :
+            { title: node.value || null };
+
+        node.children.forEach(child => {
+            if (child.tag === 'PAGE') {
+                citation.page = child.value;
+            } else if (child.tag === 'NOTE') {
+                citation.note = resolveNote(child, context.notes);
+            } else {
+                reportUnsupported(context.report, child, `${path}.SOUR`);
+            }
+        });
+
+        return citation;
+    }
+
+    /**
+     * Checks whether a citation points at the Bible, in which case its PAGE
+     * is a scripture reference
+     * @param {Object} citation - Parsed citation
+     * @returns {boolean} True for Bible citations with a page
+     */
+    function isScriptureCitation(citation) {
+        return Boolean(citation.page) && /\b(bible|scriptures?)\b/i.test(citation.title || '');
+    }
+
+    /**
+     * Reads an ASSO structure. The RELA value holds the relationship type,
+     * optionally followed by a subtype in parentheses, e.g. "sibling (half-sibling)".
+     * @param {Object} node - ASSO node
+     * @param {Object} report - Import report
+     * @returns {Object|null} Association with target, type and subtype
+     */
+    function parseAssociation(node, report) {
+        const target = parsePointer(node.value);
+        if (!target) {
+            addWarning(report, node.line, 'ASSO', 'Association without a valid pointer skipped');
+            return null;
+        }
+
+        const association = { target, type: 'associate', subtype: null, line: node.line };
+
+        node.children.forEach(child => {
+            if (child.tag === 'RELA') {
+                const match = child.value.trim().match(/^(.+?)(?:\s*\((.+)\))?$/);
+                if (match) {
+                    association.type = match[1].trim().toLowerCase();
+                    association.subtype = match[2] ? match[2].trim() : null;
+                }
+            } else {
+                reportUnsupported(report, child, 'INDI.ASSO');
+            }
+        });
+
+        return association;
+    }
+
+    /**
+     * Resolves a NOTE value, following pointers to shared NOTE records
+     * @param {Object} node - NOTE node
+     * @param {Object} notes - Note records by id
+     * @returns {string} Note text
+     */
+    function resolveNote(node, notes) {
+        const noteId = parsePointer(node.value);
+        if (noteId) {
+            return notes[noteId] || '';
+        }
+        return node.value;
+    }
+
+    /**
+     * Reads a BIRT or DEAT event structure
+     * @param {Object} node - Event node
+     * @param {Object} context - Shared lookup tables and report
+     * @param {string} path - Enclosing tag path
+     * @returns {Object} Event with date, place, notes and citations
+     */
+    function parseEvent(node, context, path) {
+        const event = { date: null, place: null, notes: [], sources: [] };
+
+        node.children.forEach(child => {
+            switch (child.tag) {
+                case 'DATE':
+                    event.date = parseGedcomDate(child.value);
+                    break;
+                case 'PLAC':
+                    event.place = child.value || null;
+                    break;
+                case 'NOTE':
+                    event.notes.push(resolveNote(child, context.notes));
+                    break;
+                case 'SOUR':
+                    event.sources.push(parseCitation(child, context, `${path}.${node.tag}`));
+                    break;
+                default:
+                    reportUnsupported(context.report, child, `${path}.${node.tag}`);
+            }
+        });
+
+        return event;
+    }
+
+    /**
+     * Converts an INDI record into a node
+     * @param {Object} record - INDI record
+     * @param {Object} context - Shared lookup tables and report
+     * @returns {Object} Person node
+     */
+    function parseIndividual(record, context) {
+        const person = {
+            id: record.xref,
+            name: null,
+            fullName: null,
+            alternateNames: [],
+            occupation: [],
+            biblicalReferences: [],
+            birthYear: null,
+            deathYear: null,
+            notes: [],
+            sources: []
+        };
+
+        record.children.forEach(child => {
+            switch (child.tag) {
+                case 'NAME': {
+                    const name = formatName(child.value);
+                    if (!person.fullName) {
+                        person.fullName = name;
+                        person.name = name;
+                    } else if (name && !person.alternateNames.includes(name)) {
+                        person.alternateNames.push(name);
+                    }
+                    child.children.forEach(part => {
+                        if (part.tag === 'SOUR') {
+                            person.sources.push(parseCitation(part, context, 'INDI.NAME'));
+                        } else if (!SUPPORTED_TAGS.name.includes(part.tag)) {
+                            reportUnsupported(context.report, part, 'INDI.NAME');
+                        }
+                    });
+                    break;
+                }
+                case 'SEX': {
+                    const sex = child.value.trim().toUpperCase();
+                    if (sex === 'M') {
+                        person.gender = 'male';
+                    } else if (sex === 'F') {
+                        person.gender = 'female';
+                    }
+                    break;
+                }
+                case 'BIRT': {
+                    const birth = parseEvent(child, context, 'INDI');
+                    person.birthDate = birth.date;
+                    person.birthYear = birth.date ? birth.date.year : null;
+                    person.birthplace = birth.place;
+                    person.notes.push(...birth.notes);
+                    person.sources.push(...birth.sources);
+                    break;
+                }
+                case 'DEAT': {
+                    const death = parseEvent(child, context, 'INDI');
+                    person.deathDate = death.date;
+                    person.deathYear = death.date ? death.date.year : null;
+                    person.deathplace = death.place;
+                    person.notes.push(...death.notes);
+                    person.sources.push(...death.sources);
+                    break;
+                }
+                case 'OCCU':
+                    if (child.value) {
+                        person.occupation.push(child.value);
+                    }
+                    break;
+                case 'REFN':
+                    child.children.forEach(part => {
+                        if (part.tag === 'TYPE') {
+                            if (part.value.trim() === ID_REFERENCE_TYPE && child.value) {
+                                person.datasetId = child.value;
+                            }
+                        } else {
+                            reportUnsupported(context.report, part, 'INDI.REFN');
+                        }
+                    });
+                    break;
+                case '_ERA':
+                    person.era = child.value || undefined;
+                    break;
+                case 'NOTE':
+                    person.notes.push(resolveNote(child, context.notes));
+                    break;
+                case 'SOUR':
+                    person.sources.push(parseCitation(child, context, 'INDI'));
+                    break;
+                case 'ASSO': {
+                    const association = parseAssociation(child, context.report);
+                    if (association) {
+                        context.associations.push({ source: record.xref, ...association });
+                    }
+                    break;
+                }
+                case 'FAMC':
+                case 'FAMS':
+                    // Family membership is rebuilt from the FAM records themselves
+                    break;
+                default:
+                    reportUnsupported(context.report, child, 'INDI');
+            }
+        });
+
+        if (!person.fullName) {
+            person.fullName = person.name = person.id;
+            addWarning(context.report, record.line, 'INDI', `Individual @${record.xref}@ has no NAME`);
+        }
+
+        if (person.notes.length > 0) {
+            person.description = person.notes.join('\n');
+        }
+
+        // Scripture citations become biblicalReferences; other sources stay as citations
+        person.sources = person.sources.filter(citation => {
+            if (isScriptureCitation(citation)) {
+                if (!person.biblicalReferences.includes(citation.page)) {
+                    person.biblicalReferences.push(citation.page);
+                }
+                return false;
+            }
+            return true;
+        });
+
+        return person;
+    }
+
+    /**
+     * Reads a FAM record
+     * @param {Object} record - FAM record
+     * @param {Object} context - Shared lookup tables and report
+     * @returns {Object} Family with husband, wife and children ids
+     */
+    function parseFamily(record, context) {
+        const family = { id: record.xref, line: record.line, husband: null, wife: null, children: [], sources: [] };
+
+        record.children.forEach(child => {
+            switch (child.tag) {
+                case 'HUSB':
+                    family.husband = parsePointer(child.value);
+                    break;
+                case 'WIFE':
+                    family.wife = parsePointer(child.value);
+                    break;
+                case 'CHIL': {
+                    const childId = parsePointer(child.value);
+                    if (childId) {
+                        family.children.push(childId);
+                    }
+                    break;
+                }
+                case 'SOUR':
+                    family.sources.push(parseCitation(child, context, 'FAM'));
+                    break;
+                case 'NOTE':
+                    break;
+                default:
+                    reportUnsupported(context.report, child, 'FAM');
+            }
+        });
+
+        return family;
+    }
+
+    /**
+     * Parses GEDCOM text into genealogy nodes and links
+     * @param {string} text - GEDCOM file contents
+     * @returns {Object} Data with nodes, links, families, metadata and importReport
+     */
+    function parseGedcom(text) {
+        if (typeof text !== 'string') {
+            throw new Error('GEDCOM input must be a string');
+        }
+
+        const report = {
+            version: null,
+            warnings: [],
+            unsupportedTags: {},
+            recordCounts: {}
+        };
+
+        const records = parseLines(text, report);
+
+        if (records.length === 0 || records[0].tag !== 'HEAD') {
+            throw new Error('Not a GEDCOM file: missing HEAD record');
+        }
+
+        const head = records[0];
+        const gedc = findChild(head, 'GEDC');
+        const vers = gedc ? findChild(gedc, 'VERS') : null;
+        report.version = vers ? vers.value.trim() : null;
+
+        if (report.version && !/^(5\.5(\.1)?|7\.\d+(\.\d+)?)$/.test(report.version)) {
+            addWarning(report, vers.line, 'VERS', `GEDCOM version ${report.version} is not officially supported`);
+        }
+
+        // First pass: shared records that others point to
+        const context = { report, sources: {}, notes: {}, associations: [] };
+
+        records.forEach(record => {
+            report.recordCounts[record.tag] = (report.recordCounts[record.tag] || 0) + 1;
+
+            if (record.tag === 'SOUR' && record.xref) {
+                const title = findChild(record, 'TITL');
+                context.sources[record.xref] = {
+                    id: record.xref,
+                    title: title ? title.value : record.value || record.xref
+                };
+            } else if ((record.tag === 'NOTE' || record.tag === 'SNOTE') && record.xref) {
+                context.notes[record.xref] = record.value;
+            } else if (!SUPPORTED_TAGS.records.includes(record.tag) && record.tag !== 'SNOTE') {
+                reportUnsupported(report, record, '');
+            }
+        });
+
+        // Second pass: individuals and families
+        const nodes = [];
+        const nodeIds = new Set();
+        const nodeLines = {};
+        const families = [];
+
+        records.forEach(record => {
+            if (record.tag === 'INDI') {
+                if (!record.xref) {
+                    addWarning(report, record.line, 'INDI', 'Individual record without a cross-reference id skipped');
+                    return;
+                }
+                if (nodeIds.has(record.xref)) {
+                    addWarning(report, record.line, 'INDI', `Duplicate individual @${record.xref}@ skipped`);
+                    return;
+                }
+                nodeIds.add(record.xref);
+                nodeLines[record.xref] = record.line;
+                nodes.push(parseIndividual(record, context));
+            } else if (record.tag === 'FAM') {
+                families.push(parseFamily(record, context));
+            }
+        });
+
+        // Families become spouse and parent links
+        const links = [];
+        const linkKeys = new Set();
+
+        const addLink = (source, target, type, family) => {
+            if (!nodeIds.has(source) || !nodeIds.has(target)) {
+                const missing = nodeIds.has(source) ? target : source;
+                addWarning(report, family.line, 'FAM', `Family @${family.id}@ points to unknown individual @${missing}@`);
+                return;
+            }
+
+            const key = `${type}:${source}>${target}`;
+            if (linkKeys.has(key)) {
+                return;
+            }
+
+            linkKeys.add(key);
+            links.push({ source, target, type, family: family.id });
+        };
+
+        families.forEach(family => {
+            if (family.husband && family.wife) {
+                addLink(family.husband, family.wife, 'spouse', family);
+            }
+
+            family.children.forEach(childId => {
+                if (family.husband) {
+                    addLink(family.husband, childId, 'parent', family);
+                }
+                if (family.wife) {
+                    addLink(family.wife, childId, 'parent', family);
+                }
+            });
+        });
+
+        // Associations carry the relationships families cannot express
+        context.associations.forEach(association => {
+            if (!nodeIds.has(association.target)) {
+                addWarning(report, association.line, 'ASSO', `Association points to unknown individual @${association.target}@`);
+                return;
+            }
+
+            const key = `${association.type}:${association.subtype || ''}:${association.source}>${association.target}`;
+            if (linkKeys.has(key)) {
+                return;
+            }
+
+            linkKeys.add(key);
+            const link = { source: association.source, target: association.target, type: association.type };
+            if (association.subtype) {
+                link.subtype = association.subtype;
+            }
+            links.push(link);
+        });
+
+        // People exported with a dataset id get it back in place of their
+        // cross-reference id, unless another individual already has it
+        const idByXref = {};
+        const usedIds = new Set(nodes.filter(node => !node.datasetId).map(node => node.id));
+        nodes.forEach(node => {
+            const xref = node.id;
+            if (node.datasetId && usedIds.has(node.datasetId)) {
+                addWarning(report, nodeLines[xref], 'REFN', `Dataset id "${node.datasetId}" of @${xref}@ is already in use; kept @${xref}@`);
+            } else if (node.datasetId) {
+                node.id = node.datasetId;
+            }
+            usedIds.add(node.id);
+            idByXref[xref] = node.id;
+            delete node.datasetId;
+        });
+
+        const toId = xref => (xref && idByXref[xref]) || xref;
+        links.forEach(link => {
+            link.source = toId(link.source);
+            link.target = toId(link.target);
+        });
+        families.forEach(family => {
+            family.husband = toId(family.husband);
+            family.wife = toId(family.wife);
+            family.children = family.children.map(toId);
+        });
+
+        const headSource = findChild(head, 'SOUR');
+
+        return {
+            nodes,
+            links,
+            families,
+            metadata: {
+                format: 'GEDCOM',
+                gedcomVersion: report.version,
+                sourceSystem: headSource ? headSource.value : null,
+                sources: Object.values(context.sources),
+                importedAt: new Date().toISOString()
+            },
+            importReport: report
+        };
+    }
+
+    return {
+        parseGedcom,
+        parseGedcomDate,
+        SUPPORTED_TAGS
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomParser;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return GedcomParser; });
+} else if (typeof window !== 'undefined') {
+    window.GedcomParser = GedcomParser;
+}
@@ -27,23 +27,72 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         defaultEra: 'unknown',
         generations: {
             startYear: -4000,
-            yearSpan: 25
+            yearSpan: 25,
+            roots: ['adam']
         },
+        // Tolerances used by checkConsistency
+        consistency: {
+            // Years a parent may have died before the child's birth
+            posthumousBirthYears: { father: 1, mother: 0 },
+            // Years a stated age may differ from death minus birth
+            ageTolerance: 1
+        },
+        // The era registry, in order. Aliases are the other names records and
+        // filters use for an era; settings.json data.eras can replace it.
         eras: [
-            { id: 'antediluvian', name: 'Antediluvian Period', startYear: -4000, endYear: -2350 },
-            { id: 'postdiluvian', name: 'Post-Flood Period', startYear: -2349, endYear: -2000 },
-            { id: 'patriarchal', name: 'Patriarchal Period', startYear: -1999, endYear: -1500 },
-            { id: 'exodus-conquest', name: 'Exodus & Conquest', startYear: -1499, endYear: -1100 },
-            { id: 'judges-kings', name: 'Judges & Kings', startYear: -1099, endYear: -586 },
-            { id: 'exile-return', name: 'Exile & Return', startYear: -585, endYear: -400 },
-            { id: 'intertestamental', name: 'Intertestamental Period', startYear: -399, endYear: -5 },
-            { id: 'new-testament', name: 'New Testament Era', startYear: -4, endYear: 100 }
+            // startAnchor/endAnchor move a boundary to a resolved chronology anchor
+            { id: 'antediluvian', name: 'Antediluvian Period', startYear: -4000, endYear: -2350, endAnchor: 'flood',
+                aliases: ['pre-flood', 'creation'], color: '#8BC34A' },
+            { id: 'postdiluvian', name: 'Post-Flood Period', startYear: -2349, endYear: -2000, startAnchor: 'flood', endAnchor: 'birth:abraham',
+                aliases: ['post-flood'], color: '#009688' },
+            { id: 'patriarchal', name: 'Patriarchal Period', startYear: -1999, endYear: -1500, startAnchor: 'birth:abraham', endAnchor: 'exodus',
+                aliases: ['patriarchs'], color: '#CDDC39' },
+            { id: 'exodus-conquest', name: 'Exodus & Conquest', startYear: -1499, endYear: -1100, startAnchor: 'exodus',
+                aliases: ['exodus', 'conquest'], color: '#FFC107' },
+            { id: 'judges-kings', name: 'Judges & Kings', startYear: -1099, endYear: -586, endAnchor: 'exile',
+                aliases: ['judges', 'kingdom', 'united-kingdom', 'divided-kingdom'], color: '#F44336' },
+            { id: 'exile-return', name: 'Exile & Return', startYear: -585, endYear: -400, startAnchor: 'exile',
+                aliases: ['exile', 'post-exile'], color: '#9C27B0' },
+            { id: 'intertestamental', name: 'Intertestamental Period', startYear: -399, endYear: -5,
+                aliases: [], color: '#3F51B5' },
+            { id: 'new-testament', name: 'New Testament Era', startYear: -4, endYear: 100,
+                aliases: [], color: '#2196F3' }
+        ],
+        // Named lineages for the lineage filter: a root, a direction and
+        // people the line passes through. A flag names the person field the
+        // lineage's membership derives. settings.json data.lineages can replace them.
+        lineages: [
+            { id: 'seth', name: "Seth's Line", root: 'seth', direction: 'descendants' },
+            { id: 'abraham', name: "Abraham's Line", root: 'abraham', direction: 'descendants' },
+            { id: 'david', name: "David's Line", root: 'david', direction: 'ancestors', flag: 'isAncestorOfDavid' },
+            { id: 'messianic', name: 'Messianic Line', root: 'jesus', direction: 'ancestors', via: ['david'], flag: 'isAncestorOfJesus' }
         ],
+        // Community (clan) detection; the id goes to this node field, which
+        // hulls and the cluster layout group by
+        communities: {
+            attribute: 'community',
+            resolution: 1
+        },
         keyFigures: [
             'adam', 'noah', 'abraham', 'isaac', 'jacob', 'joseph', 'moses', 'joshua', 'samuel',
             'david', 'solomon', 'elijah', 'isaiah', 'jeremiah', 'ezekiel', 'daniel',
             'john_the_baptist', 'jesus', 'peter', 'paul', 'john'
         ],
+        // Mirrors data.processing.transformation in settings.json
+        processing: {
+            transformation: {
+                dateRangeExpansion: true,
+                relationshipInference: true,
+                generationCalculation: true,
+                communityDetection: true,
+                textTradition: 'masoretic'
+            },
+            validation: {
+                enabled: true,
+                strictMode: false,
+                requiredFields: ['id', 'name']
+            }
+        },
         cacheKey: 'biblicalGenealogyData',
         errorLoggingEnabled: true,
         performanceMonitoring: true
@@ -160,18 +209,7 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         }
         
         try {
-            // Set up fetch with timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), opts.timeout);
-            
-            const response = await fetch(source, { signal: controller.signal });
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
-            }
-            
-            const rawData = await response.json();
+            const rawData = await fetchJson(source, opts.timeout);
             
             if (!isValidDataStructure(rawData)) {
                 throw new Error('Invalid data structure');
@@ -211,6 +249,94 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         }
     }
 
+    /**
+     * Fetches and parses a JSON file, giving up after a timeout
+     * @param {string} source - File path or URL
+     * @param {number} [timeout=config.fetchTimeout] - Timeout in milliseconds
+     * @returns {Promise<*>} Parsed JSON
+     */
+    async function fetchJson(source, timeout = config.fetchTimeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        
+        try {
+            const response = await fetch(source, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Loads the data sources listed in settings.json (data.sources) and merges
+     * their person records (see SourceMerge). The primary source is required,
+     * with the fallback used in its place if it fails; additional sources
+     * that fail to load are skipped with a warning. Each additional source is
+     * identified by its file name, e.g. "supplementary-data".
+     * @param {Object} [sources={}] - { primary, fallback, additional: [], precedence }
+     * @param {Object} [options={}] - Loading options
+     * @param {Object} [options.precedence=sources.precedence] - Precedence policy for conflicting values
+     * @returns {Promise<Object>} Unprocessed merged dataset with its conflicts, matches and warnings
+     */
+    async function loadGenealogySources(sources = {}, options = {}) {
+        startPerformanceTracking('loadGenealogySources');
+        
+        const timeout = options.timeout || config.fetchTimeout;
+        const loaded = [];
+        const warnings = [];
+        
+        try {
+            loaded.push({ id: 'primary', data: await fetchJson(sources.primary || config.dataSource, timeout) });
+        } catch (error) {
+            if (!sources.fallback) {
+                throw error;
+            }
+            warnings.push(`Primary source failed (${error.message}), using ${sources.fallback}`);
+            loaded.push({ id: 'fallback', data: await fetchJson(sources.fallback, timeout) });
+        }
+        
+        for (const path of sources.additional || []) {
+            const id = path.split('/').pop().replace(/\.json$/i, '');
+            try {
+                loaded.push({ id, data: await fetchJson(path, timeout) });
+            } catch (error) {
+                warnings.push(`Skipped source ${path}: ${error.message}`);
+            }
+        }
+        
+        const merge = getOptionalModule('SourceMerge', './source-merge.js');
+        if (!merge || loaded.length === 1) {
+            if (loaded.length > 1) {
+                warnings.push('SourceMerge is not loaded, only the first source is used');
+            }
+            if (warnings.length > 0) {
+                console.warn('Some data sources could not be loaded', warnings);
+            }
+            endPerformanceTracking('loadGenealogySources');
+            return { data: loaded[0].data, sources: [loaded[0].id], conflicts: [], matches: [], warnings };
+        }
+        
+        const result = merge.mergeSources(loaded, {
+            precedence: options.precedence || sources.precedence
+        });
+        warnings.push(...result.warnings);
+        if (warnings.length > 0) {
+            console.warn('Some data sources could not be merged cleanly', warnings);
+        }
+        
+        endPerformanceTracking('loadGenealogySources');
+        return {
+            data: result.data,
+            sources: loaded.map(source => source.id),
+            conflicts: result.conflicts,
+            matches: result.matches,
+            warnings
+        };
+    }
+
     /**
      * Loads genealogy data from a file input element
      * @param {HTMLInputElement} fileInput - File input DOM element
@@ -252,15 +378,45 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
     /**
      * Process raw genealogy data into a format usable by the application
      * @param {Object} data - Raw genealogy data
+     * @param {Object} [options={}] - Processing settings, shaped like
+     *     data.processing in settings.json (e.g. { transformation: { relationshipInference } })
      * @returns {Object} Processed genealogy data
      */
-    function processGenealogyData(data) {
+    function processGenealogyData(data, options = {}) {
         startPerformanceTracking('processGenealogyData');
         
         try {
-            // Make a deep copy to avoid modifying the original data
-            const processedData = JSON.parse(JSON.stringify(data));
+            const transformation = {
+                ...config.processing.transformation,
+                ...(options.transformation || {})
+            };
+            
+            const validation = {
+                ...config.processing.validation,
+                ...(options.validation || {})
+            };
             
+            // Make a deep copy to avoid modifying the original data
+            let processedData = JSON.parse(JSON.stringify(data));
+
+            // Check the records against the schema before reshaping them
+            let validationReport = null;
+            if (validation.enabled) {
+                validationReport = validateGenealogyData(processedData, { validation });
+                if (!validationReport.valid && validation.strictMode) {
+                    const more = validationReport.errors.length > 1 ? ` (and ${validationReport.errors.length - 1} more)` : '';
+                    throw new Error(`Dataset failed validation: ${validationReport.errors[0]}${more}`);
+                }
+                if (validationReport.errors.length + validationReport.warnings.length > 0) {
+                    console.warn(`Dataset validation reported ${validationReport.errors.length} error(s) and ${validationReport.warnings.length} warning(s)`, validationReport);
+                }
+            }
+
+            // Normalize the per-person record shape used by the bundled dataset
+            if (isPersonRecordDataset(processedData)) {
+                processedData = adaptPersonRecordDataset(processedData);
+            }
+
             // Validate the data structure
             if (!isValidDataStructure(processedData)) {
                 throw new Error('Invalid data structure');
@@ -289,6 +445,20 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
                 processedData.links = buildRelationships(processedData);
             }
             
+            // Read recorded dates, which may be approximate or relative
+            if (processedData.nodes) {
+                processedData.nodes.forEach(normalizeLifeDates);
+            }
+            
+            // Derive chronology, eras, relationships, generations and clans
+            if (processedData.nodes) {
+                deriveGenealogyData(processedData, { transformation });
+            }
+            
+            if (validationReport) {
+                processedData.validationReport = validationReport;
+            }
+            
             // Add indices for faster lookups
             processedData.indices = indexGenealogyData(processedData);
             
@@ -307,6 +477,87 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         }
     }
 
+    /**
+     * Runs the processing stages that derive values from the whole dataset:
+     * chronology, eras, inferred relationships, lineage flags, generation
+     * numbers and clans. processGenealogyData runs them once; after an edit
+     * they are run again, since a changed parent can move the birth years,
+     * generations and inferred links of everyone descended from them.
+     * @param {Object} data - Data with nodes and links, updated in place
+     * @param {Object} [options={}] - Processing settings, as for processGenealogyData
+     * @returns {Object} The same data
+     */
+    function deriveGenealogyData(data, options = {}) {
+        const transformation = {
+            ...config.processing.transformation,
+            ...(options.transformation || {})
+        };
+        
+        if (!data || !Array.isArray(data.nodes)) {
+            return data;
+        }
+        
+        // Date people from begetting ages in the chosen text tradition
+        if (transformation.dateRangeExpansion) {
+            deriveChronology(data, transformation.textTradition);
+        }
+        
+        // Use registry ids for eras, and place people without one by
+        // their (possibly derived) birth year, flagged eraDerived so that
+        // they are placed again when the year moves; eras the registry
+        // does not know are kept as recorded
+        data.nodes.forEach(node => {
+            const era = resolveEra(node.era);
+            if (era && era !== config.defaultEra && !node.eraDerived) {
+                node.era = era;
+            } else if (!node.era || era === config.defaultEra || node.eraDerived) {
+                node.era = determineEra(node.birthDate || node.birthYear);
+                node.eraDerived = true;
+            }
+        });
+        
+        // Derive implied relationships
+        if (transformation.relationshipInference) {
+            inferRelationships(data);
+        }
+        
+        // Derive lineage membership flags from the parent links
+        deriveLineages(data);
+        
+        // Number generations by depth in the parent graph
+        if (transformation.generationCalculation) {
+            const report = computeGenerations(data, {
+                roots: transformation.generationRoots
+            });
+            data.nodes.forEach(node => {
+                if (report.generations[node.id] !== undefined) {
+                    node.generation = report.generations[node.id];
+                }
+            });
+            data.generationReport = {
+                roots: report.roots,
+                conflicts: report.conflicts,
+                unanchored: report.unanchored
+            };
+            
+            if (report.conflicts.length > 0) {
+                console.warn(`Generation numbering found ${report.conflicts.length} conflicting line(s) of descent`, report.conflicts);
+            }
+        }
+        
+        // Group people into clans for hulls and the cluster layout
+        if (transformation.communityDetection !== false) {
+            detectCommunities(data);
+        }
+        
+        // Eras and generations are indexed, so indices built earlier are rebuilt
+        if (data.indices) {
+            data.indices = indexGenealogyData(data);
+        }
+        
+        return data;
+    }
+
     /**
      * Validates the data structure
      * @param {Object} data - The data to validate
@@ -338,6 +589,283 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         return true;
     }
 
+    // Maps relationship types found in person records onto RELATIONSHIP_TYPES.
+    // `reverse` flips the direction so that e.g. "uncle" and "nephew" entries
+    // collapse onto the same link; the terms the records used ("niece",
+    // "aunt") are kept in the link's statedAs.
+    const PERSON_RELATIONSHIP_TYPES = {
+        'parent': { type: RELATIONSHIP_TYPES.PARENT },
+        'child': { type: RELATIONSHIP_TYPES.PARENT, reverse: true },
+        'spouse': { type: RELATIONSHIP_TYPES.SPOUSE },
+        'sibling': { type: RELATIONSHIP_TYPES.SIBLING },
+        'half-sibling': { type: RELATIONSHIP_TYPES.SIBLING, subtype: 'half-sibling' },
+        'twin-sibling': { type: RELATIONSHIP_TYPES.SIBLING, subtype: 'twin' },
+        'nephew': { type: RELATIONSHIP_TYPES.EXTENDED_FAMILY, subtype: 'nephew' },
+        'niece': { type: RELATIONSHIP_TYPES.EXTENDED_FAMILY, subtype: 'nephew' },
+        'uncle': { type: RELATIONSHIP_TYPES.EXTENDED_FAMILY, subtype: 'nephew', reverse: true },
+        'aunt': { type: RELATIONSHIP_TYPES.EXTENDED_FAMILY, subtype: 'nephew', reverse: true },
+        'cousin': { type: RELATIONSHIP_TYPES.EXTENDED_FAMILY, subtype: 'cousin' }
+    };
+
+    // Relationship types whose direction carries no meaning
+    const SYMMETRIC_RELATIONSHIP_TYPES = [
+        RELATIONSHIP_TYPES.SPOUSE,
+        RELATIONSHIP_TYPES.SIBLING,
+        RELATIONSHIP_TYPES.ALLY,
+        RELATIONSHIP_TYPES.RIVAL
+    ];
+
+    /**
+     * Checks whether data uses the per-person record shape of Genealogy-dataset.json
+     * (a top-level array of people carrying father/mother/spouses/children)
+     * @param {*} data - Data to check
+     * @returns {boolean} Whether the data is a person record array
+     */
+    function isPersonRecordDataset(data) {
+        return Array.isArray(data) &&
+            data.length > 0 &&
+            data.every(record => record && typeof record === 'object' && !Array.isArray(record)) &&
+            data.some(record => record.id || Array.isArray(record.people));
+    }
+
+    /**
+     * Normalizes a per-person record array into the people/relationships shape.
+     * Embedded metadata blocks are hoisted, records without an id are dropped,
+     * and reciprocal edges (a father field plus the father's children array,
+     * both sides of a marriage or sibling pair) are collapsed into one link.
+     * Links from `relationships` entries list the terms they were stated
+     * with in statedAs.
+     * @param {Array} records - Person records, optionally mixed with metadata blocks
+     * @returns {Object} Data with metadata, people, relationships and danglingReferences
+     */
+    function adaptPersonRecordDataset(records) {
+        const metadata = {};
+        const people = [];
+        const peopleById = new Map();
+
+        const addPerson = (record) => {
+            if (!record || !record.id) {
+                return;
+            }
+
+            if (peopleById.has(record.id)) {
+                console.warn(`Duplicate person id "${record.id}" in dataset, keeping the first record`);
+                return;
+            }
+
+            const person = { ...record };
+            delete person.metadata;
+            delete person.people;
+
+            peopleById.set(person.id, person);
+            people.push(person);
+        };
+
+        records.forEach(record => {
+            if (record.metadata && typeof record.metadata === 'object') {
+                Object.assign(metadata, record.metadata);
+            }
+
+            if (Array.isArray(record.people)) {
+                record.people.forEach(addPerson);
+            }
+
+            addPerson(record);
+        });
+
+        const relationships = [];
+        const relationshipsByKey = new Map();
+        const danglingReferences = [];
+
+        const addRelationship = (from, to, type, field, subtype = null, term = null) => {
+            if (!from || !to || from === to) {
+                return;
+            }
+
+            if (!peopleById.has(from) || !peopleById.has(to)) {
+                danglingReferences.push({
+                    from,
+                    to,
+                    field,
+                    missing: peopleById.has(from) ? to : from
+                });
+                return;
+            }
+
+            const [a, b] = SYMMETRIC_RELATIONSHIP_TYPES.includes(type) && from > to ? [to, from] : [from, to];
+            const key = `${type}:${subtype || ''}:${a}>${b}`;
+            const existing = relationshipsByKey.get(key);
+
+            if (existing) {
+                if (!existing.statedIn.includes(field)) {
+                    existing.statedIn.push(field);
+                }
+                if (term && !(existing.statedAs = existing.statedAs || []).includes(term)) {
+                    existing.statedAs.push(term);
+                }
+                return;
+            }
+
+            const relationship = { from: a, to: b, type, statedIn: [field] };
+            if (subtype) {
+                relationship.subtype = subtype;
+            }
+            if (term) {
+                relationship.statedAs = [term];
+            }
+
+            relationshipsByKey.set(key, relationship);
+            relationships.push(relationship);
+        };
+
+        people.forEach(person => {
+            if (person.father) {
+                addRelationship(person.father, person.id, RELATIONSHIP_TYPES.PARENT, 'father');
+            }
+
+            if (person.mother) {
+                addRelationship(person.mother, person.id, RELATIONSHIP_TYPES.PARENT, 'mother');
+            }
+
+            (person.children || []).forEach(childId => {
+                addRelationship(person.id, childId, RELATIONSHIP_TYPES.PARENT, 'children');
+            });
+
+            (person.spouses || []).forEach(spouseId => {
+                addRelationship(person.id, spouseId, RELATIONSHIP_TYPES.SPOUSE, 'spouses');
+            });
+
+            (person.relationships || []).forEach(rel => {
+                if (!rel || !rel.target || !rel.type) {
+                    return;
+                }
+
+                const mapping = PERSON_RELATIONSHIP_TYPES[rel.type] || { type: rel.type };
+                const [from, to] = mapping.reverse ? [rel.target, person.id] : [person.id, rel.target];
+                addRelationship(from, to, mapping.type, 'relationships', mapping.subtype, rel.type);
+            });
+
+            // Competing parentage and marriages claimed by other passages
+            (person.claims || []).forEach(claim => {
+                if (!claim || typeof claim.value !== 'string') {
+                    return;
+                }
+
+                if (claim.field === 'father' || claim.field === 'mother') {
+                    addRelationship(claim.value, person.id, RELATIONSHIP_TYPES.PARENT, 'claims');
+                } else if (claim.field === 'children') {
+                    addRelationship(person.id, claim.value, RELATIONSHIP_TYPES.PARENT, 'claims');
+                } else if (claim.field === 'spouses') {
+                    addRelationship(person.id, claim.value, RELATIONSHIP_TYPES.SPOUSE, 'claims');
+                }
+            });
+        });
+
+        // Citations behind each link, and links only some traditions support
+        const factClaims = getOptionalModule('FactClaims', './fact-claims.js');
+        if (factClaims) {
+            factClaims.annotateRelationships(people, relationships);
+        }
+
+        return {
+            metadata,
+            people,
+            relationships,
+            danglingReferences
+        };
+    }
+
+    // Indices that bucket people by one of their values
+    const BUCKET_INDICES = {
+        byName: person => (person.fullName || person.name || '').toLowerCase(),
+        byEra: person => resolveEra(person.era) || person.era || determineEra(person.birthYear),
+        byGeneration: person => person.generation || calculateGeneration(person.birthYear),
+        byTribe: person => person.tribe,
+        bySignificance: person => person.significance
+    };
+
+    /**
+     * Lists the search tokens of a person by field
+     * @param {Object} person - Person
+     * @returns {Object} Sets of tokens keyed by SEARCH_FIELDS field
+     */
+    function getPersonTokens(person) {
+        const tokensByField = {};
+        Object.keys(SEARCH_FIELDS).forEach(field => {
+            const tokens = new Set();
+            getSearchFieldValues(person, field).forEach(value => {
+                tokenizeSearchText(value).forEach(({ token }) => tokens.add(token));
+            });
+            tokensByField[field] = tokens;
+        });
+        return tokensByField;
+    }
+
+    /**
+     * Adds a person to every index
+     * @param {Object} indices - Indices from indexGenealogyData
+     * @param {Object} person - Person
+     */
+    function addToIndices(indices, person) {
+        // Index by ID
+        indices.byId[person.id] = person;
+        
+        // Index by name (lowercase for case-insensitive lookup), era,
+        // generation, tribe and significance
+        Object.entries(BUCKET_INDICES).forEach(([name, getKey]) => {
+            const key = getKey(person);
+            if (key) {
+                if (!indices[name][key]) {
+                    indices[name][key] = [];
+                }
+                indices[name][key].push(person);
+            }
+        });
+        
+        // Index searchable text by token for searchGenealogyData
+        Object.entries(getPersonTokens(person)).forEach(([field, tokens]) => {
+            tokens.forEach(token => {
+                if (!indices.byToken[token]) {
+                    indices.byToken[token] = [];
+                }
+                indices.byToken[token].push({ id: person.id, field });
+            });
+        });
+    }
+
+    /**
+     * Removes a person from every index. The buckets are found from the
+     * person's values as they were indexed, so pass the record before it changed.
+     * @param {Object} indices - Indices from indexGenealogyData
+     * @param {Object} person - Person as indexed
+     */
+    function removeFromIndices(indices, person) {
+        delete indices.byId[person.id];
+        
+        const removeFrom = (index, key) => {
+            if (!key || !index[key]) {
+                return;
+            }
+            index[key] = index[key].filter(entry => entry.id !== person.id);
+            if (index[key].length === 0) {
+                delete index[key];
+            }
+        };
+        
+        Object.entries(BUCKET_INDICES).forEach(([name, getKey]) => removeFrom(indices[name], getKey(person)));
+        Object.values(getPersonTokens(person)).forEach(tokens => {
+            tokens.forEach(token => removeFrom(indices.byToken, token));
+        });
+        
+        const scripture = indices.byScripture;
+        if (scripture) {
+            getScriptureReferences().getChaptersForPerson(scripture, person.id)
+                .forEach(chapterId => removeFrom(scripture.byChapter, chapterId));
+            delete scripture.byPerson[person.id];
+            scripture.unparsed = scripture.unparsed.filter(entry => entry.id !== person.id);
+        }
+    }
+
     /**
      * Creates indices for faster data lookups
      * @param {Object} data - Genealogy data
@@ -350,927 +878,3012 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
             byEra: {},
             byGeneration: {},
             byTribe: {},
-            bySignificance: {}
+            bySignificance: {},
+            byToken: {}
         };
         
         const nodes = data.nodes || data.people || [];
         
         // Build indices
-        nodes.forEach(person => {
-            // Index by ID
-            indices.byId[person.id] = person;
-            
-            // Index by name (lowercase for case-insensitive lookup)
-            const name = (person.fullName || person.name || '').toLowerCase();
-            if (name) {
-                if (!indices.byName[name]) {
-                    indices.byName[name] = [];
-                }
-                indices.byName[name].push(person);
-            }
-            
-            // Index by era
-            const era = person.era || determineEra(person.birthYear);
-            if (era) {
-                if (!indices.byEra[era]) {
-                    indices.byEra[era] = [];
-                }
-                indices.byEra[era].push(person);
-            }
-            
-            // Index by generation
-            const generation = person.generation || calculateGeneration(person.birthYear);
-            if (generation) {
-                if (!indices.byGeneration[generation]) {
-                    indices.byGeneration[generation] = [];
-                }
-                indices.byGeneration[generation].push(person);
-            }
-            
-            // Index by tribe
-            if (person.tribe) {
-                if (!indices.byTribe[person.tribe]) {
-                    indices.byTribe[person.tribe] = [];
-                }
-                indices.byTribe[person.tribe].push(person);
-            }
-            
-            // Index by significance
-            if (person.significance) {
-                if (!indices.bySignificance[person.significance]) {
-                    indices.bySignificance[person.significance] = [];
-                }
-                indices.bySignificance[person.significance].push(person);
-            }
-        });
+        nodes.forEach(person => addToIndices(indices, person));
+        
+        // Index scripture references by passage when the parser is loaded
+        const scripture = getScriptureReferences();
+        if (scripture) {
+            indices.byScripture = scripture.buildReferenceIndex(nodes);
+        }
         
         return indices;
     }
 
     /**
-     * Builds relationship links from relationship data
-     * @param {Object} data - Genealogy data
-     * @returns {Array} Array of relationship links
+     * Updates the indices of processed data for edited people, touching only
+     * the buckets those people were or are in
+     * @param {Object} indices - Indices from indexGenealogyData (data.indices)
+     * @param {Array<Object>} changes - Changes of { before, after }: the
+     *     person as indexed (null when added) and now (null when removed)
+     * @returns {Object} The same indices
      */
-    function buildRelationships(data) {
-        const relationships = data.relationships || [];
-        const links = [];
+    function updateIndices(indices, changes) {
+        const scripture = indices.byScripture && getScriptureReferences();
         
-        relationships.forEach(rel => {
-            if (!rel.from || !rel.to || !rel.type) {
+        changes.forEach(({ before, after }) => {
+            if (before) {
+                removeFromIndices(indices, before);
+            }
+            if (!after) {
                 return;
             }
             
-            links.push({
-                source: rel.from,
-                target: rel.to,
-                type: rel.type,
-                strength: getRelationshipStrength(rel.type),
-                ...rel
-            });
-            
-            // Add reciprocal relationship if needed
-            if (rel.bidirectional) {
-                links.push({
-                    source: rel.to,
-                    target: rel.from,
-                    type: getReciprocalRelationship(rel.type),
-                    strength: getRelationshipStrength(rel.type),
-                    ...rel
+            addToIndices(indices, after);
+            if (scripture) {
+                const added = scripture.buildReferenceIndex([after]);
+                Object.entries(added.byChapter).forEach(([chapterId, entries]) => {
+                    indices.byScripture.byChapter[chapterId] = (indices.byScripture.byChapter[chapterId] || []).concat(entries);
                 });
+                Object.assign(indices.byScripture.byPerson, added.byPerson);
+                indices.byScripture.unparsed.push(...added.unparsed);
             }
         });
         
-        return links;
+        return indices;
     }
 
     /**
-     * Gets the reciprocal relationship type
-     * @param {string} relationshipType - Original relationship type
-     * @returns {string} Reciprocal relationship type
+     * Gets a companion module (loaded as a browser global or via require) if available
+     * @param {string} globalName - Name of the browser global
+     * @param {string} path - Module path for require
+     * @returns {Object|null} Module
      */
-    function getReciprocalRelationship(relationshipType) {
-        const reciprocals = {
-            [RELATIONSHIP_TYPES.PARENT]: RELATIONSHIP_TYPES.CHILD,
-            [RELATIONSHIP_TYPES.CHILD]: RELATIONSHIP_TYPES.PARENT,
-            [RELATIONSHIP_TYPES.ANCESTOR]: RELATIONSHIP_TYPES.DESCENDANT,
-            [RELATIONSHIP_TYPES.DESCENDANT]: RELATIONSHIP_TYPES.ANCESTOR,
-            [RELATIONSHIP_TYPES.MENTOR]: RELATIONSHIP_TYPES.DISCIPLE,
-            [RELATIONSHIP_TYPES.DISCIPLE]: RELATIONSHIP_TYPES.MENTOR,
-            [RELATIONSHIP_TYPES.ALLY]: RELATIONSHIP_TYPES.ALLY,
-            [RELATIONSHIP_TYPES.RIVAL]: RELATIONSHIP_TYPES.RIVAL,
-            [RELATIONSHIP_TYPES.SPOUSE]: RELATIONSHIP_TYPES.SPOUSE,
-            [RELATIONSHIP_TYPES.SIBLING]: RELATIONSHIP_TYPES.SIBLING,
-            [RELATIONSHIP_TYPES.EXTENDED_FAMILY]: RELATIONSHIP_TYPES.EXTENDED_FAMILY
-        };
-        
-        return reciprocals[relationshipType] || relationshipType;
+    function getOptionalModule(globalName, path) {
+        if (typeof window !== 'undefined' && window[globalName]) {
+            return window[globalName];
+        }
+
+        if (typeof require !== 'undefined') {
+            try {
+                return require(path);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return null;
     }
 
     /**
-     * Gets the strength value for a relationship type
-     * @param {string} relationshipType - Relationship type
-     * @returns {number} Strength value (1-10)
+     * Reads a birth or death date into a DateValue ("c. 1800 BC", "before
+     * the Flood", a bare year). Without date-value.js loaded, only numeric
+     * years are understood.
+     * @param {*} value - Date text, year, GEDCOM date or DateValue
+     * @returns {Object} Date value with type, year, min and max
      */
-    function getRelationshipStrength(relationshipType) {
-        const strengths = {
-            [RELATIONSHIP_TYPES.PARENT]: 10,
-            [RELATIONSHIP_TYPES.CHILD]: 10,
-            [RELATIONSHIP_TYPES.SPOUSE]: 9,
-            [RELATIONSHIP_TYPES.SIBLING]: 8,
-            [RELATIONSHIP_TYPES.ANCESTOR]: 7,
-            [RELATIONSHIP_TYPES.DESCENDANT]: 7,
-            [RELATIONSHIP_TYPES.EXTENDED_FAMILY]: 5,
-            [RELATIONSHIP_TYPES.MENTOR]: 6,
-            [RELATIONSHIP_TYPES.DISCIPLE]: 6,
-            [RELATIONSHIP_TYPES.ALLY]: 4,
-            [RELATIONSHIP_TYPES.RIVAL]: 3
-        };
-        
-        return strengths[relationshipType] || 1;
+    function toDateValue(value) {
+        const dateValue = getOptionalModule('DateValue', './date-value.js');
+        if (dateValue) {
+            return dateValue.parse(value);
+        }
+
+        const year = typeof value === 'object' && value !== null ? value.year : parseInt(value, 10);
+        return typeof year === 'number' && !isNaN(year) ?
+            { type: 'exact', year, min: year, max: year, text: null } :
+            { type: 'unknown', year: null, min: null, max: null, text: null };
     }
 
     /**
-     * Calculates the generation based on birth year
-     * @param {number|string} birthYear - Birth year
-     * @returns {number} Generation number
+     * Gets the representative year of a date or year value: the stated year,
+     * the middle of a range, or the known bound of an open-ended date
+     * @param {*} value - Date text, year or DateValue
+     * @returns {number|null} Signed year, or null if unknown
      */
-    function calculateGeneration(birthYear) {
-        if (birthYear === undefined || birthYear === null) {
-            return 0;
+    function getDateYear(value) {
+        const date = toDateValue(value);
+        if (date.year !== null && date.year !== undefined) {
+            return date.year;
         }
-        
-        const birthYearNum = parseInt(birthYear);
-        if (isNaN(birthYearNum)) {
-            return 0;
+        if (date.min !== null && date.max !== null) {
+            return (date.min + date.max) / 2;
         }
-        
-        return Math.floor((birthYearNum - config.generations.startYear) / config.generations.yearSpan);
+        return date.min !== null ? date.min : date.max;
     }
 
     /**
-     * Determines the era based on a year
-     * @param {number|string} year - Year to check
-     * @returns {string} Era identifier
+     * Reads a person's birth and death into birthDate/deathDate values and
+     * keeps birthYear/deathYear as their representative years
+     * @param {Object} person - Person node, updated in place
+     * @returns {Object} The same person
      */
-    function determineEra(year) {
-        if (year === undefined || year === null) {
-            return config.defaultEra;
+    function normalizeLifeDates(person) {
+        [['birthDate', 'birthYear'], ['deathDate', 'deathYear']].forEach(([dateField, yearField]) => {
+            const source = person[dateField] !== undefined && person[dateField] !== null ?
+                person[dateField] : person[yearField];
+            const date = toDateValue(source);
+            person[dateField] = date;
+            person[yearField] = getDateYear(date);
+        });
+        return person;
+    }
+
+    /**
+     * Gets a person's lifespan: the stated age, or the years between their
+     * birth and death dates
+     * @param {Object} person - Person node
+     * @returns {number|null} Lifespan in years, or null if unknown
+     */
+    function getLifespan(person) {
+        if (typeof person.age === 'number') {
+            return person.age;
         }
-        
-        const yearNum = parseInt(year);
-        if (isNaN(yearNum)) {
-            return config.defaultEra;
+
+        const birth = getDateYear(person.birthDate || person.birthYear);
+        const death = getDateYear(person.deathDate || person.deathYear);
+        return birth !== null && death !== null ? death - birth : null;
+    }
+
+    /**
+     * Gets the ScriptureReferences module if it is available
+     * @returns {Object|null} ScriptureReferences module
+     */
+    function getScriptureReferences() {
+        return getOptionalModule('ScriptureReferences', './scripture-references.js');
+    }
+
+    // Free-text search fields and their ranking weights
+    const SEARCH_FIELDS = {
+        fullName: 10,
+        alternateNames: 7,
+        occupation: 4,
+        birthplace: 3,
+        biblicalReferences: 3,
+        significance: 2
+    };
+
+    // Field scopes accepted in queries (e.g. occupation:king) mapped to person fields
+    const SEARCH_SCOPES = {
+        name: ['fullName', 'alternateNames'],
+        alt: ['alternateNames'],
+        occupation: ['occupation'],
+        place: ['birthplace'],
+        significance: ['significance'],
+        ref: ['biblicalReferences']
+    };
+
+    /**
+     * Splits text into lowercase word tokens with their character offsets
+     * @param {string} text - Text to tokenize
+     * @returns {Array<Object>} Tokens as { token, start, end }
+     */
+    function tokenizeSearchText(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            tokens.push({
+                token: match[0].toLowerCase(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
         }
-        
-        for (const era of config.eras) {
-            if (yearNum >= era.startYear && yearNum <= era.endYear) {
-                return era.id;
+
+        return tokens;
+    }
+
+    /**
+     * Gets the searchable values of a person field as an array of strings
+     * @param {Object} person - Person record
+     * @param {string} field - Field name
+     * @returns {Array<string>} Field values
+     */
+    function getSearchFieldValues(person, field) {
+        const value = field === 'fullName' ? (person.fullName || person.name) : person[field];
+        return [].concat(value || []).filter(item => typeof item === 'string' && item.trim());
+    }
+
+    /**
+     * Parses a search query into free-text terms and field-scoped filters.
+     * Supports quoted phrases and scopes such as tribe:judah, era:patriarchs
+     * and ref:"Genesis 5".
+     * @param {string} query - Raw query
+     * @returns {Object} Parsed query with terms and filters
+     */
+    function parseSearchQuery(query) {
+        const parsed = { terms: [], filters: [] };
+        const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            const scope = match[1] ? match[1].toLowerCase() : null;
+            const value = (match[2] !== undefined ? match[2] : match[3]).trim();
+
+            if (!value) {
+                continue;
+            }
+
+            if (scope && (scope === 'tribe' || scope === 'era' || scope === 'generation' || SEARCH_SCOPES[scope])) {
+                parsed.filters.push({ scope, value });
+            } else {
+                // Unknown scopes are searched as plain text
+                tokenizeSearchText(match[0]).forEach(({ token }) => parsed.terms.push(token));
             }
         }
-        
-        return config.defaultEra;
+
+        return parsed;
     }
 
     /**
-     * Checks if a person is a key biblical figure
-     * @param {string} id - Person ID
-     * @returns {boolean} Whether the person is a key figure
+     * Checks whether a text token matches a query term. Words match by prefix;
+     * numbers must match exactly so "5" does not find chapter 50.
+     * @param {string} token - Lowercase text token
+     * @param {string} term - Lowercase query term
+     * @returns {boolean} True if the token matches
      */
-    function isKeyBiblicalFigure(id) {
-        return config.keyFigures.includes(id);
+    function tokenMatchesTerm(token, term) {
+        return token === term || (!/^\d+$/.test(term) && token.startsWith(term));
     }
 
     /**
-     * Validates the structure of genealogy data
-     * @param {Object} data - The genealogy data to validate
-     * @returns {Object} - Validation result with valid flag and any errors
+     * Finds the scripture references of a person that start with a reference
+     * phrase, e.g. "Gen. 5" matches "Gen. 5" and "Gen. 5-10" but not "Gen. 50"
+     * @param {Object} person - Person record
+     * @param {Array<string>} phraseTerms - Lowercase tokens of the phrase
+     * @returns {Array<Object>} Matches as { field, value, offsets }
      */
-    function validateGenealogyData(data) {
-        const errors = [];
-        
-        // Check that data is an object
-        if (!data || typeof data !== 'object') {
-            return { valid: false, errors: ['Data must be a valid object'] };
-        }
-        
-        // Check for essential arrays
-        if (!data.people && !data.nodes) {
-            errors.push('Missing people or nodes array');
-        } else {
-            const peopleArray = data.people || data.nodes;
-            if (!Array.isArray(peopleArray)) {
-                errors.push('People or nodes must be an array');
-            } else {
-                // Check each person
-                peopleArray.forEach((person, index) => {
-                    if (!person.id) {
-                        errors.push(`Person at index ${index} is missing an id`);
-                    }
-                    if (!person.name && !person.fullName) {
-                        errors.push(`Person at index ${index} (id: ${person.id || 'unknown'}) is missing a name`);
-                    }
+    function matchReferencePhrase(person, phraseTerms) {
+        const matches = [];
+
+        getSearchFieldValues(person, 'biblicalReferences').forEach(value => {
+            const tokens = tokenizeSearchText(value);
+            const isMatch = phraseTerms.length <= tokens.length &&
+                phraseTerms.every((term, i) => i === phraseTerms.length - 1 ?
+                    tokenMatchesTerm(tokens[i].token, term) :
+                    tokens[i].token === term);
+
+            if (isMatch) {
+                matches.push({
+                    field: 'biblicalReferences',
+                    value,
+                    offsets: [{ start: tokens[0].start, end: tokens[phraseTerms.length - 1].end }]
                 });
             }
-        }
-        
-        if (!data.relationships && !data.links) {
-            errors.push('Missing relationships or links array');
-        } else {
-            const relationshipsArray = data.relationships || data.links;
-            if (!Array.isArray(relationshipsArray)) {
-                errors.push('Relationships or links must be an array');
-            } else {
-                // Check each relationship
-                relationshipsArray.forEach((rel, index) => {
-                    if (!rel.from && !rel.source) {
-                        errors.push(`Relationship at index ${index} is missing from/source`);
+        });
+
+        return matches;
+    }
+
+    /**
+     * Looks up people whose indexed tokens match a term exactly or by prefix
+     * @param {Object} tokenIndex - Token index from indexGenealogyData
+     * @param {string} term - Lowercase query term
+     * @param {Array<string>} [fields] - Restrict matches to these fields
+     * @returns {Object} Map of person id to best score for the term
+     */
+    function matchSearchTerm(tokenIndex, term, fields) {
+        const scores = {};
+
+        Object.keys(tokenIndex).forEach(token => {
+            if (!tokenMatchesTerm(token, term)) {
+                return;
+            }
+
+            const factor = token === term ? 1 : 0.6;
+
+            tokenIndex[token].forEach(entry => {
+                if (fields && !fields.includes(entry.field)) {
+                    return;
+                }
+
+                const score = SEARCH_FIELDS[entry.field] * factor;
+                if (!scores[entry.id] || scores[entry.id] < score) {
+                    scores[entry.id] = score;
+                }
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Computes highlight offsets of the query terms within a person's fields
+     * @param {Object} person - Person record
+     * @param {Array<string>} terms - Lowercase query terms
+     * @param {Array<string>} fields - Fields to inspect
+     * @returns {Array<Object>} Matches as { field, value, offsets: [{ start, end }] }
+     */
+    function getSearchHighlights(person, terms, fields) {
+        const matches = [];
+
+        fields.forEach(field => {
+            getSearchFieldValues(person, field).forEach(value => {
+                const offsets = [];
+
+                tokenizeSearchText(value).forEach(({ token, start }) => {
+                    const length = terms.reduce((best, term) =>
+                        tokenMatchesTerm(token, term) ? Math.max(best, term.length) : best, 0);
+                    if (length > 0) {
+                        offsets.push({ start, end: start + length });
                     }
-                    if (!rel.to && !rel.target) {
-                        errors.push(`Relationship at index ${index} is missing to/target`);
+                });
+
+                if (offsets.length > 0) {
+                    matches.push({ field, value, offsets });
+                }
+            });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Searches people by free text and field-scoped filters. Free-text terms
+     * are matched by word prefix against the token index built by
+     * indexGenealogyData and ranked by field weight; every term must match.
+     * Filters (tribe:, era:, generation:, name:, alt:, occupation:, place:,
+     * significance:, ref:) narrow the results.
+     * @param {Object} data - Processed genealogy data
+     * @param {string} query - Search query
+     * @param {Object} [options={}] - Search options
+     * @param {number} [options.limit=50] - Maximum number of results
+     * @returns {Array<Object>} Ranked results with highlight offsets
+     */
+    function searchGenealogyData(data, query, options = {}) {
+        const { limit = 50 } = options;
+
+        if (!data || (!data.nodes && !data.people)) {
+            return [];
+        }
+
+        // Older index objects have no token index, so rebuild them on demand
+        if (!data.indices || !data.indices.byToken) {
+            data.indices = indexGenealogyData(data);
+        }
+
+        const indices = data.indices;
+        const { terms, filters } = parseSearchQuery(query);
+
+        if (terms.length === 0 && filters.length === 0) {
+            return [];
+        }
+
+        let candidates = null;
+        const scores = {};
+        const highlightTerms = {};
+        const scopedMatches = {};
+
+        const intersect = (ids) => {
+            candidates = candidates === null ?
+                new Set(ids) :
+                new Set(ids.filter(id => candidates.has(id)));
+        };
+
+        const addScore = (id, score) => {
+            scores[id] = (scores[id] || 0) + score;
+        };
+
+        filters.forEach(({ scope, value }) => {
+            const lowerValue = value.toLowerCase();
+
+            if (scope === 'tribe' || scope === 'era' || scope === 'generation') {
+                const index = scope === 'tribe' ? indices.byTribe :
+                    scope === 'era' ? indices.byEra : indices.byGeneration;
+                // Eras also match by alias or name ("era:patriarchs")
+                const eraId = scope === 'era' ? resolveEra(value) : null;
+                const ids = [];
+                Object.keys(index).forEach(key => {
+                    if (eraId ? key === eraId : String(key).toLowerCase() === lowerValue) {
+                        index[key].forEach(person => ids.push(person.id));
                     }
-                    if (!rel.type) {
-                        errors.push(`Relationship at index ${index} is missing type`);
+                });
+                intersect(ids);
+                return;
+            }
+
+            const fields = SEARCH_SCOPES[scope];
+            const valueTerms = tokenizeSearchText(value).map(({ token }) => token);
+
+            // With the scripture index, ref: finds every reference overlapping the passage
+            const scripture = getScriptureReferences();
+            if (scope === 'ref' && scripture && indices.byScripture && scripture.parseReference(value).valid) {
+                const found = scripture.findPeopleInPassage(indices.byScripture, value);
+                found.forEach(({ id, references }) => {
+                    scopedMatches[id] = (scopedMatches[id] || []).concat(references.map(reference => ({
+                        field: 'biblicalReferences',
+                        value: reference,
+                        offsets: [{ start: 0, end: reference.length }]
+                    })));
+                    addScore(id, SEARCH_FIELDS.biblicalReferences * references.length);
+                });
+                intersect(found.map(({ id }) => id));
+                return;
+            }
+
+            // Otherwise references match as a phrase within a single reference
+            if (scope === 'ref') {
+                const firstTerm = valueTerms[0];
+                const ids = firstTerm ?
+                    Object.keys(matchSearchTerm(indices.byToken, firstTerm, fields)) : [];
+                const matchedIds = ids.filter(id => {
+                    const matches = matchReferencePhrase(indices.byId[id], valueTerms);
+                    if (matches.length > 0) {
+                        scopedMatches[id] = (scopedMatches[id] || []).concat(matches);
+                        addScore(id, SEARCH_FIELDS.biblicalReferences * valueTerms.length);
                     }
+                    return matches.length > 0;
                 });
+                intersect(matchedIds);
+                return;
             }
-        }
-        
-        return { valid: errors.length === 0, errors };
+
+            // Scoped text: every token of the value must match within the scope
+            let scopeIds = null;
+            const scopeScores = {};
+
+            valueTerms.forEach(term => {
+                const termScores = matchSearchTerm(indices.byToken, term, fields);
+                const ids = Object.keys(termScores);
+                scopeIds = scopeIds === null ? ids : scopeIds.filter(id => termScores[id] !== undefined);
+                ids.forEach(id => {
+                    scopeScores[id] = (scopeScores[id] || 0) + termScores[id];
+                });
+            });
+
+            intersect(scopeIds || []);
+            (scopeIds || []).forEach(id => {
+                addScore(id, scopeScores[id]);
+                fields.forEach(field => {
+                    highlightTerms[field] = (highlightTerms[field] || []).concat(valueTerms);
+                });
+            });
+        });
+
+        terms.forEach(term => {
+            const termScores = matchSearchTerm(indices.byToken, term);
+            intersect(Object.keys(termScores));
+            Object.keys(termScores).forEach(id => addScore(id, termScores[id]));
+        });
+
+        const freeFields = Object.keys(SEARCH_FIELDS);
+
+        const results = Array.from(candidates || []).map(id => {
+            const person = indices.byId[id];
+            const name = person.fullName || person.name || id;
+            let score = scores[id] || 1;
+
+            // Prefer exact full-name matches
+            if (terms.length > 0 && name.toLowerCase() === terms.join(' ')) {
+                score += 20;
+            }
+
+            const matches = getSearchHighlights(person, terms, freeFields).concat(scopedMatches[id] || []);
+            Object.keys(highlightTerms).forEach(field => {
+                getSearchHighlights(person, highlightTerms[field], [field]).forEach(match => {
+                    const existing = matches.find(m => m.field === match.field && m.value === match.value);
+                    if (existing) {
+                        existing.offsets = existing.offsets.concat(match.offsets)
+                            .sort((a, b) => a.start - b.start);
+                    } else {
+                        matches.push(match);
+                    }
+                });
+            });
+
+            return {
+                id,
+                name,
+                birthYear: person.birthYear,
+                deathYear: person.deathYear,
+                tribe: person.tribe,
+                era: person.era,
+                role: person.role,
+                score,
+                matches
+            };
+        });
+
+        results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+        return results.slice(0, limit);
     }
 
     /**
-     * Enriches a genealogy dataset with computed fields
-     * @param {Object} data - The genealogy data to enrich
-     * @returns {Object} - The enriched data
+     * Builds relationship links from relationship data
+     * @param {Object} data - Genealogy data
+     * @returns {Array} Array of relationship links
      */
-    function enrichDataset(data) {
-        if (!data || !data.people) {
-            console.error("Invalid data provided to enrichDataset");
-            return data;
-        }
-        
-        // Clone data to avoid modifying original
-        const enriched = JSON.parse(JSON.stringify(data));
+    function buildRelationships(data) {
+        const relationships = data.relationships || [];
+        const links = [];
         
-        // Add computed fields to people
-        enriched.people.forEach(person => {
-            // Calculate age if birth and death years are available
-            if (person.birthYear && person.deathYear) {
-                person.age = parseInt(person.deathYear) - parseInt(person.birthYear);
-            }
-            
-            // Set era based on birth year
-            if (!person.era && person.birthYear) {
-                person.era = determineEra(person.birthYear);
+        relationships.forEach(rel => {
+            if (!rel.from || !rel.to || !rel.type) {
+                return;
             }
             
-            // Set generation based on birth year
-            if (!person.generation && person.birthYear) {
-                person.generation = calculateGeneration(person.birthYear);
-            }
+            links.push({
+                source: rel.from,
+                target: rel.to,
+                type: rel.type,
+                strength: getRelationshipStrength(rel.type),
+                ...rel
+            });
             
-            // Flag key figures
-            if (!person.isKeyFigure) {
-                person.isKeyFigure = isKeyBiblicalFigure(person.id);
+            // Add reciprocal relationship if needed
+            if (rel.bidirectional) {
+                links.push({
+                    source: rel.to,
+                    target: rel.from,
+                    type: getReciprocalRelationship(rel.type),
+                    strength: getRelationshipStrength(rel.type),
+                    ...rel
+                });
             }
         });
         
-        return enriched;
+        return links;
     }
 
+    // Inference rules. Derived rules only restate facts already implied by
+    // other links, so exporters can leave them out.
+    const INFERENCE_RULES = {
+        CHILDREN_ARRAY: { id: 'children-array', derived: false },
+        RECIPROCAL_SPOUSE: { id: 'reciprocal-spouse', derived: true },
+        SHARED_PARENTS: { id: 'shared-parents', derived: true },
+        HALF_SIBLING: { id: 'half-sibling', derived: true },
+        GRANDPARENT: { id: 'grandparent', derived: true },
+        ANCESTOR_CLOSURE: { id: 'ancestor-closure', derived: true }
+    };
+
     /**
-     * Finds a relationship path between two people
-     * @param {Object} data - Genealogy data
-     * @param {string} fromId - Starting person ID
-     * @param {string} toId - Target person ID
-     * @param {Object} options - Search options
-     * @returns {Object|null} Path object or null if no path exists
+     * Checks whether a link was inferred by a derived rule
+     * @param {Object} link - Relationship link
+     * @returns {boolean} True if the link only restates other links
      */
-    function findRelationshipPath(data, fromId, toId, options = {}) {
-        const defaultOptions = {
-            maxDepth: 10,
-            excludeTypes: []
+    function isDerivedLink(link) {
+        return Boolean(link && link.inferred &&
+            Object.values(INFERENCE_RULES).some(rule => rule.id === link.rule && rule.derived));
+    }
+
+    /**
+     * Derives relationships that the data implies but does not state:
+     * parent links from `children` arrays, reciprocal spouse links, sibling
+     * and half-sibling links from shared parents, and grandparent/ancestor
+     * closure. Inferred links are flagged `inferred: true` with the `rule`
+     * that produced them; stated links are never duplicated. Parent links
+     * join data.links, while links from derived rules go to
+     * data.inferredLinks so that anything reading data.links sees each
+     * relationship once.
+     * @param {Object} data - Data with nodes and links
+     * @returns {Array} Inferred links
+     */
+    function inferRelationships(data) {
+        const nodes = data.nodes || [];
+        const links = data.links || (data.links = []);
+        const derivedLinks = data.inferredLinks = [];
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const inferred = [];
+
+        const endpoint = value => (value && typeof value === 'object') ? value.id : value;
+        const existing = new Set();
+        const linkKey = (type, source, target) => `${type}:${source}>${target}`;
+
+        links.forEach(link => {
+            existing.add(linkKey(link.type, endpoint(link.source), endpoint(link.target)));
+        });
+
+        const hasLink = (type, source, target, symmetric) =>
+            existing.has(linkKey(type, source, target)) ||
+            (symmetric && existing.has(linkKey(type, target, source)));
+
+        const addLink = (source, target, type, rule, extra = {}) => {
+            if (!nodeIds.has(source) || !nodeIds.has(target) || source === target) {
+                return;
+            }
+            const link = {
+                source,
+                target,
+                type,
+                strength: getRelationshipStrength(type),
+                inferred: true,
+                rule: rule.id,
+                ...extra
+            };
+            existing.add(linkKey(type, source, target));
+            (rule.derived ? derivedLinks : links).push(link);
+            inferred.push(link);
         };
-        
-        const opts = { ...defaultOptions, ...options };
-        
-        if (!data || !data.links || !Array.isArray(data.links)) {
-            return null;
-        }
-        
-        // Check if IDs exist
-        const nodes = data.nodes || data.people || [];
-        const nodeMap = {};
-        
+
+        // Parent links from children arrays
         nodes.forEach(node => {
-            nodeMap[node.id] = node;
+            (Array.isArray(node.children) ? node.children : []).forEach(childId => {
+                if (!hasLink(RELATIONSHIP_TYPES.PARENT, node.id, childId) &&
+                    !hasLink(RELATIONSHIP_TYPES.CHILD, childId, node.id)) {
+                    addLink(node.id, childId, RELATIONSHIP_TYPES.PARENT, INFERENCE_RULES.CHILDREN_ARRAY);
+                }
+            });
         });
-        
-        if (!nodeMap[fromId] || !nodeMap[toId]) {
-            return null;
-        }
-        
-        // Breadth-first search for shortest path
-        const queue = [{ id: fromId, path: [], visited: new Set([fromId]) }];
-        
-        while (queue.length > 0) {
-            const { id, path, visited } = queue.shift();
-            
-            // Don't exceed max depth
-            if (path.length >= opts.maxDepth) {
-                continue;
+
+        // Reciprocal spouse links
+        links.filter(link => link.type === RELATIONSHIP_TYPES.SPOUSE && !link.inferred).forEach(link => {
+            const source = endpoint(link.source);
+            const target = endpoint(link.target);
+            if (!hasLink(RELATIONSHIP_TYPES.SPOUSE, target, source)) {
+                addLink(target, source, RELATIONSHIP_TYPES.SPOUSE, INFERENCE_RULES.RECIPROCAL_SPOUSE);
             }
-            
-            // Find all direct connections
-            const connections = data.links.filter(link => {
-                const sourceId = link.source.id || link.source;
-                const targetId = link.target.id || link.target;
-                
-                return (
-                    (sourceId === id || targetId === id) && 
-                    !opts.excludeTypes.includes(link.type)
-                );
+        });
+
+        // Parent lookup over stated and inferred parent/child links
+        const parentsOf = {};
+        const childrenOf = {};
+        links.forEach(link => {
+            let parent = null;
+            let child = null;
+            if (link.type === RELATIONSHIP_TYPES.PARENT) {
+                parent = endpoint(link.source);
+                child = endpoint(link.target);
+            } else if (link.type === RELATIONSHIP_TYPES.CHILD) {
+                parent = endpoint(link.target);
+                child = endpoint(link.source);
+            }
+            if (parent && child && parent !== child) {
+                (parentsOf[child] = parentsOf[child] || new Set()).add(parent);
+                (childrenOf[parent] = childrenOf[parent] || new Set()).add(child);
+            }
+        });
+
+        // Siblings and half-siblings from shared parents
+        const siblingPairs = new Set();
+        Object.keys(childrenOf).forEach(parentId => {
+            const children = Array.from(childrenOf[parentId]);
+            children.forEach((a, i) => {
+                children.slice(i + 1).forEach(b => {
+                    const [first, second] = [a, b].sort();
+                    const pairKey = `${first}+${second}`;
+                    if (siblingPairs.has(pairKey) || hasLink(RELATIONSHIP_TYPES.SIBLING, first, second, true)) {
+                        return;
+                    }
+                    siblingPairs.add(pairKey);
+
+                    const parentsA = Array.from(parentsOf[first]);
+                    const parentsB = Array.from(parentsOf[second]);
+                    const shared = parentsA.filter(id => parentsB.includes(id));
+                    const othersA = parentsA.filter(id => !shared.includes(id));
+                    const othersB = parentsB.filter(id => !shared.includes(id));
+
+                    // Half only when both have a recorded other parent and those differ
+                    if (shared.length === 1 && othersA.length > 0 && othersB.length > 0) {
+                        addLink(first, second, RELATIONSHIP_TYPES.SIBLING, INFERENCE_RULES.HALF_SIBLING,
+                            { subtype: 'half-sibling', sharedParents: shared });
+                    } else {
+                        addLink(first, second, RELATIONSHIP_TYPES.SIBLING, INFERENCE_RULES.SHARED_PARENTS,
+                            { sharedParents: shared });
+                    }
+                });
             });
-            
-            for (const connection of connections) {
-                const sourceId = connection.source.id || connection.source;
-                const targetId = connection.target.id || connection.target;
-                const nextId = sourceId === id ? targetId : sourceId;
-                
-                if (visited.has(nextId)) {
-                    continue;
-                }
-                
-                const newPath = [...path, {
-                    from: sourceId,
-                    to: targetId,
-                    type: connection.type,
-                    relationship: connection
-                }];
-                
-                if (nextId === toId) {
-                    // Found path
-                    return {
-                        path: newPath,
-                        length: newPath.length,
-                        fromPerson: nodeMap[fromId],
-                        toPerson: nodeMap[toId],
-                        description: describeRelationship(newPath, nodeMap)
-                    };
-                }
-                
-                const newVisited = new Set(visited);
-                newVisited.add(nextId);
-                
-                queue.push({
-                    id: nextId,
-                    path: newPath,
-                    visited: newVisited
+        });
+
+        // Grandparent and ancestor closure (nearest path only)
+        nodes.forEach(node => {
+            const depths = new Map([[node.id, 0]]);
+            const queue = [node.id];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                (parentsOf[current] || []).forEach(parentId => {
+                    if (depths.has(parentId)) {
+                        return;
+                    }
+                    const generations = depths.get(current) + 1;
+                    depths.set(parentId, generations);
+                    queue.push(parentId);
+
+                    if (generations >= 2 && !hasLink(RELATIONSHIP_TYPES.ANCESTOR, parentId, node.id) &&
+                        !hasLink(RELATIONSHIP_TYPES.DESCENDANT, node.id, parentId)) {
+                        const rule = generations === 2 ? INFERENCE_RULES.GRANDPARENT : INFERENCE_RULES.ANCESTOR_CLOSURE;
+                        addLink(parentId, node.id, RELATIONSHIP_TYPES.ANCESTOR, rule, { generations });
+                    }
                 });
             }
-        }
-        
-        return null;
+        });
+
+        return inferred;
     }
 
     /**
-     * Generates a human-readable description of a relationship path
-     * @param {Array} path - Relationship path
-     * @param {Object} nodeMap - Map of nodes by ID
-     * @returns {string} Relationship description
+     * Numbers generations from the parent graph: the root(s) are generation 1
+     * and each child is one generation below its parent. People outside the
+     * roots' descendancy are placed from their relatives (parent, child, then
+     * spouse), and any remaining families are numbered from their own
+     * topmost ancestors and reported as unanchored. When two lines of descent
+     * give a person different depths the shallowest wins and the other is
+     * reported as a conflict.
+     * @param {Object} data - Data with nodes and links
+     * @param {Object} [options={}] - Options
+     * @param {Array<string>} [options.roots=config.generations.roots] - Root person ids
+     * @returns {Object} { generations, roots, conflicts, unanchored }
      */
-    function describeRelationship(path, nodeMap) {
-        if (!path || path.length === 0) {
-            return "No relationship found";
+    function computeGenerations(data, options = {}) {
+        const nodes = data.nodes || [];
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const endpoint = value => (value && typeof value === 'object') ? value.id : value;
+        const parentsOf = {};
+        const childrenOf = {};
+        const spousesOf = {};
+        const add = (map, key, value) => {
+            (map[key] = map[key] || []).push(value);
+        };
+
+        (data.links || []).forEach(link => {
+            const source = endpoint(link.source);
+            const target = endpoint(link.target);
+            if (!nodeIds.has(source) || !nodeIds.has(target) || source === target) {
+                return;
+            }
+
+            if (link.type === RELATIONSHIP_TYPES.PARENT) {
+                add(childrenOf, source, target);
+                add(parentsOf, target, source);
+            } else if (link.type === RELATIONSHIP_TYPES.CHILD) {
+                add(childrenOf, target, source);
+                add(parentsOf, source, target);
+            } else if (link.type === RELATIONSHIP_TYPES.SPOUSE) {
+                add(spousesOf, source, target);
+                add(spousesOf, target, source);
+            }
+        });
+
+        const generations = {};
+        const requestedRoots = options.roots || config.generations.roots || [];
+        let roots = requestedRoots.filter(id => nodeIds.has(id));
+
+        // Without a usable root, start from everyone who has no recorded parent
+        if (roots.length === 0) {
+            roots = nodes.filter(node => !parentsOf[node.id] && childrenOf[node.id]).map(node => node.id);
         }
-        
-        if (path.length === 1) {
-            const rel = path[0];
-            const fromPerson = nodeMap[rel.from];
-            const toPerson = nodeMap[rel.to];
-            
-            switch (rel.type) {
-                case RELATIONSHIP_TYPES.PARENT:
-                    return `${fromPerson.name} is the parent of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.CHILD:
-                    return `${fromPerson.name} is the child of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.SPOUSE:
-                    return `${fromPerson.name} is the spouse of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.SIBLING:
-                    return `${fromPerson.name} is the sibling of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.ANCESTOR:
-                    return `${fromPerson.name} is an ancestor of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.DESCENDANT:
-                    return `${fromPerson.name} is a descendant of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.MENTOR:
-                    return `${fromPerson.name} is a mentor of ${toPerson.name}`;
-                case RELATIONSHIP_TYPES.DISCIPLE:
-                    return `${fromPerson.name} is a disciple of ${toPerson.name}`;
-                default:
-                    return `${fromPerson.name} is ${rel.type} to ${toPerson.name}`;
+
+        const descend = (startIds) => {
+            const queue = [...startIds];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                (childrenOf[id] || []).forEach(childId => {
+                    if (generations[childId] === undefined) {
+                        generations[childId] = generations[id] + 1;
+                        queue.push(childId);
+                    }
+                });
             }
+        };
+
+        roots.forEach(id => {
+            generations[id] = 1;
+        });
+        descend(roots);
+
+        // Place people outside the roots' line from their nearest relatives
+        let changed = true;
+        while (changed) {
+            changed = false;
+            nodes.forEach(node => {
+                if (generations[node.id] !== undefined) {
+                    return;
+                }
+
+                const child = (childrenOf[node.id] || []).find(id => generations[id] !== undefined);
+                const parent = (parentsOf[node.id] || []).find(id => generations[id] !== undefined);
+                const spouse = (spousesOf[node.id] || []).find(id => generations[id] !== undefined);
+
+                if (parent !== undefined) {
+                    generations[node.id] = generations[parent] + 1;
+                } else if (child !== undefined) {
+                    generations[node.id] = Math.max(1, generations[child] - 1);
+                } else if (spouse !== undefined) {
+                    generations[node.id] = generations[spouse];
+                } else {
+                    return;
+                }
+
+                descend([node.id]);
+                changed = true;
+            });
         }
-        
-        // Complex relationship
-        const fromPerson = nodeMap[path[0].from];
-        const toPerson = nodeMap[path[path.length - 1].to];
-        
-        let description = `${fromPerson.name} is connected to ${toPerson.name} through ${path.length} relationships: `;
-        
-        path.forEach((rel, index) => {
-            const fromName = nodeMap[rel.from].name;
-            const toName = nodeMap[rel.to].name;
-            
-            description += `${fromName} (${rel.type}) ${toName}`;
-            
-            if (index < path.length - 1) {
-                description += " → ";
+
+        // Remaining families are numbered from their own topmost ancestors
+        const unanchored = [];
+        nodes.forEach(node => {
+            if (generations[node.id] !== undefined || parentsOf[node.id]) {
+                return;
             }
+            generations[node.id] = 1;
+            unanchored.push(node.id);
+            descend([node.id]);
         });
-        
-        return description;
+
+        // A child should sit exactly one generation below every recorded parent
+        const conflicts = [];
+        Object.keys(parentsOf).forEach(childId => {
+            parentsOf[childId].forEach(parentId => {
+                const expected = generations[parentId] + 1;
+                if (generations[childId] !== undefined && generations[parentId] !== undefined &&
+                    generations[childId] !== expected) {
+                    conflicts.push({
+                        id: childId,
+                        generation: generations[childId],
+                        alternative: expected,
+                        via: parentId
+                    });
+                }
+            });
+        });
+
+        return { generations, roots, conflicts, unanchored };
     }
 
     /**
-     * Generates color scheme for data categories
-     * @param {Array} categories - Array of category names
-     * @param {Object} options - Color options
-     * @returns {Object} Map of categories to colors
+     * Checks whether a generation number falls in a filter range such as
+     * "1-5", "21+" or "7"
+     * @param {number} generation - Generation number
+     * @param {string} range - Range expression ('all' matches everything)
+     * @returns {boolean} True if the generation is in range
      */
-    function generateCategoryColors(categories, options = {}) {
-        const colorSchemes = {
-            standard: [
-                '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
-                '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
-            ],
-            pastel: [
-                '#c6dbef', '#fdd0a2', '#c7e9c0', '#fcbba1', '#dadaeb',
-                '#e6d8c9', '#fde0ef', '#d9d9d9', '#ffffcc', '#ccffff'
-            ],
-            biblical: [
-                '#CD853F', '#8B4513', '#BC8F8F', '#F4A460', '#DAA520',
-                '#B8860B', '#D2B48C', '#BDB76B', '#6B8E23', '#556B2F'
-            ]
-        };
-        
-        const opts = {
-            scheme: 'biblical',
-            shuffle: false,
-            ...options
-        };
-        
-        const colors = colorSchemes[opts.scheme] || colorSchemes.standard;
-        
-        // Shuffle colors if requested
-        if (opts.shuffle) {
-            for (let i = colors.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [colors[i], colors[j]] = [colors[j], colors[i]];
-            }
+    function isGenerationInRange(generation, range) {
+        if (!range || range === 'all') {
+            return true;
         }
-        
-        // Create color mapping
-        const colorMap = {};
-        categories.forEach((category, index) => {
-            colorMap[category] = colors[index % colors.length];
-        });
-        
-        return colorMap;
+
+        if (typeof generation !== 'number') {
+            return false;
+        }
+
+        const text = String(range).trim();
+        let match = text.match(/^(\d+)\s*-\s*(\d+)$/);
+        if (match) {
+            return generation >= parseInt(match[1], 10) && generation <= parseInt(match[2], 10);
+        }
+
+        match = text.match(/^(\d+)\s*\+$/);
+        if (match) {
+            return generation >= parseInt(match[1], 10);
+        }
+
+        return generation === parseInt(text, 10);
     }
 
     /**
-     * Creates a subgraph from the main genealogy data
-     * @param {Object} data - Original genealogy data
-     * @param {Array} centerIds - IDs of central people for the subgraph
-     * @param {Object} options - Filtering options
-     * @returns {Object} Filtered subgraph
+     * Gets the reciprocal relationship type
+     * @param {string} relationshipType - Original relationship type
+     * @returns {string} Reciprocal relationship type
      */
-    function createSubgraph(data, centerIds, options = {}) {
-        const defaultOptions = {
-            depth: 2,
-            includeTypes: Object.values(RELATIONSHIP_TYPES),
-            exclusions: [],
-            includePropertiesFilter: null
+    function getReciprocalRelationship(relationshipType) {
+        const reciprocals = {
+            [RELATIONSHIP_TYPES.PARENT]: RELATIONSHIP_TYPES.CHILD,
+            [RELATIONSHIP_TYPES.CHILD]: RELATIONSHIP_TYPES.PARENT,
+            [RELATIONSHIP_TYPES.ANCESTOR]: RELATIONSHIP_TYPES.DESCENDANT,
+            [RELATIONSHIP_TYPES.DESCENDANT]: RELATIONSHIP_TYPES.ANCESTOR,
+            [RELATIONSHIP_TYPES.MENTOR]: RELATIONSHIP_TYPES.DISCIPLE,
+            [RELATIONSHIP_TYPES.DISCIPLE]: RELATIONSHIP_TYPES.MENTOR,
+            [RELATIONSHIP_TYPES.ALLY]: RELATIONSHIP_TYPES.ALLY,
+            [RELATIONSHIP_TYPES.RIVAL]: RELATIONSHIP_TYPES.RIVAL,
+            [RELATIONSHIP_TYPES.SPOUSE]: RELATIONSHIP_TYPES.SPOUSE,
+            [RELATIONSHIP_TYPES.SIBLING]: RELATIONSHIP_TYPES.SIBLING,
+            [RELATIONSHIP_TYPES.EXTENDED_FAMILY]: RELATIONSHIP_TYPES.EXTENDED_FAMILY
         };
         
-        const opts = { ...defaultOptions, ...options };
+        return reciprocals[relationshipType] || relationshipType;
+    }
+
+    /**
+     * Gets the strength value for a relationship type
+     * @param {string} relationshipType - Relationship type
+     * @returns {number} Strength value (1-10)
+     */
+    function getRelationshipStrength(relationshipType) {
+        const strengths = {
+            [RELATIONSHIP_TYPES.PARENT]: 10,
+            [RELATIONSHIP_TYPES.CHILD]: 10,
+            [RELATIONSHIP_TYPES.SPOUSE]: 9,
+            [RELATIONSHIP_TYPES.SIBLING]: 8,
+            [RELATIONSHIP_TYPES.ANCESTOR]: 7,
+            [RELATIONSHIP_TYPES.DESCENDANT]: 7,
+            [RELATIONSHIP_TYPES.EXTENDED_FAMILY]: 5,
+            [RELATIONSHIP_TYPES.MENTOR]: 6,
+            [RELATIONSHIP_TYPES.DISCIPLE]: 6,
+            [RELATIONSHIP_TYPES.ALLY]: 4,
+            [RELATIONSHIP_TYPES.RIVAL]: 3
+        };
         
-        // Validate inputs
-        if (!data || !data.nodes || !data.links || !Array.isArray(centerIds) || centerIds.length === 0) {
-            return null;
+        return strengths[relationshipType] || 1;
+    }
+
+    /**
+     * Calculates the generation based on birth year
+     * @param {number|string} birthYear - Birth year
+     * @returns {number} Generation number
+     */
+    function calculateGeneration(birthYear) {
+        if (birthYear === undefined || birthYear === null) {
+            return 0;
         }
         
-        // Find nodes within desired depth
-        const includedNodeIds = new Set(centerIds);
-        const nodeMap = {};
+        const birthYearNum = parseInt(birthYear);
+        if (isNaN(birthYearNum)) {
+            return 0;
+        }
         
-        data.nodes.forEach(node => {
-            nodeMap[node.id] = node;
-        });
+        return Math.floor((birthYearNum - config.generations.startYear) / config.generations.yearSpan);
+    }
+
+    /**
+     * Checks if a person is a key biblical figure
+     * @param {string} id - Person ID
+     * @returns {boolean} Whether the person is a key figure
+     */
+    function isKeyBiblicalFigure(id) {
+        return config.keyFigures.includes(id);
+    }
+
+    /**
+     * Validates genealogy data against the dataset schema (see DatasetSchema)
+     * and checks its records for consistency (see checkConsistency)
+     * @param {Object|Array} data - The genealogy data to validate
+     * @param {Object} [options={}] - Options, also passed to checkConsistency
+     * @param {Object} [options.validation] - strictMode and requiredFields, as in settings.json
+     * @returns {Object} - Validation result with valid flag, errors, warnings, schema issues and consistency findings
+     */
+    function validateGenealogyData(data, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const issues = [];
+        const validation = { ...config.processing.validation, ...(options.validation || {}) };
         
-        // BFS to find all nodes within depth
-        let frontier = [...centerIds];
+        // Check that data is an object
+        if (!data || typeof data !== 'object') {
+            return { valid: false, errors: ['Data must be a valid object'], warnings, issues, findings: [] };
+        }
         
-        for (let currentDepth = 1; currentDepth <= opts.depth; currentDepth++) {
-            const nextFrontier = [];
-            
-            for (const nodeId of frontier) {
-                const connections = data.links.filter(link => {
-                    const sourceId = link.source.id || link.source;
-                    const targetId = link.target.id || link.target;
-                    
-                    return (
-                        (sourceId === nodeId || targetId === nodeId) &&
-                        opts.includeTypes.includes(link.type) &&
-                        !opts.exclusions.includes(sourceId) &&
-                        !opts.exclusions.includes(targetId)
-                    );
-                });
-                
-                for (const connection of connections) {
-                    const sourceId = connection.source.id || connection.source;
-                    const targetId = connection.target.id || connection.target;
-                    const connectedId = sourceId === nodeId ? targetId : sourceId;
-                    
-                    if (!includedNodeIds.has(connectedId) && !opts.exclusions.includes(connectedId)) {
-                        includedNodeIds.add(connectedId);
-                        nextFrontier.push(connectedId);
-                    }
+        // Check the records against the schema in the shape they were written in
+        const datasetSchema = getOptionalModule('DatasetSchema', './dataset-schema.js');
+        if (datasetSchema) {
+            const result = datasetSchema.validateDataset(data, {
+                strictMode: validation.strictMode,
+                requiredFields: validation.requiredFields,
+                vocabulary: {
+                    relationshipTypes: Object.values(RELATIONSHIP_TYPES),
+                    personRelationshipTypes: Object.keys(PERSON_RELATIONSHIP_TYPES),
+                    eras: [...new Set([
+                        ...config.eras.flatMap(era => [era.id, ...(era.aliases || [])]),
+                        config.defaultEra
+                    ])]
+                },
+                // Eras are checked as the registry reads them, ignoring case
+                normalizeEra: value => resolveEra(value) || value
+            });
+            result.errors.forEach(issue => {
+                issues.push({ ...issue, severity: 'error' });
+                errors.push(issue.message);
+            });
+            result.warnings.forEach(issue => {
+                issues.push({ ...issue, severity: 'warning' });
+                warnings.push(issue.message);
+            });
+        }
+        
+        if (isPersonRecordDataset(data)) {
+            data = adaptPersonRecordDataset(data);
+        }
+        
+        // Without the schema module, check the basic structure only
+        if (!datasetSchema) {
+            // Check for essential arrays
+            if (!data.people && !data.nodes) {
+                errors.push('Missing people or nodes array');
+            } else {
+                const peopleArray = data.people || data.nodes;
+                if (!Array.isArray(peopleArray)) {
+                    errors.push('People or nodes must be an array');
+                } else {
+                    // Check each person
+                    peopleArray.forEach((person, index) => {
+                        if (!person.id) {
+                            errors.push(`Person at index ${index} is missing an id`);
+                        }
+                        if (!person.name && !person.fullName) {
+                            errors.push(`Person at index ${index} (id: ${person.id || 'unknown'}) is missing a name`);
+                        }
+                    });
+                }
+            }
+        
+            if (!data.relationships && !data.links) {
+                errors.push('Missing relationships or links array');
+            } else {
+                const relationshipsArray = data.relationships || data.links;
+                if (!Array.isArray(relationshipsArray)) {
+                    errors.push('Relationships or links must be an array');
+                } else {
+                    // Check each relationship
+                    relationshipsArray.forEach((rel, index) => {
+                        if (!rel.from && !rel.source) {
+                            errors.push(`Relationship at index ${index} is missing from/source`);
+                        }
+                        if (!rel.to && !rel.target) {
+                            errors.push(`Relationship at index ${index} is missing to/target`);
+                        }
+                        if (!rel.type) {
+                            errors.push(`Relationship at index ${index} is missing type`);
+                        }
+                    });
                 }
             }
-            
-            frontier = nextFrontier;
         }
         
-        // Filter nodes and links
-        const filteredNodes = data.nodes.filter(node => {
-            if (!includedNodeIds.has(node.id)) {
-                return false;
+        const findings = errors.length === 0 ? checkConsistency(data, options) : [];
+        findings.forEach(finding => {
+            (finding.severity === 'error' ? errors : warnings).push(finding.message);
+        });
+        
+        return { valid: errors.length === 0, errors, warnings, issues, findings };
+    }
+
+    // Semantic checks run by checkConsistency, with the severity of their findings
+    const CONSISTENCY_RULES = {
+        CHILD_BEFORE_PARENT: { id: 'child-born-before-parent', severity: 'error' },
+        PARENT_DIED_BEFORE_BIRTH: { id: 'parent-died-before-birth', severity: 'error' },
+        AGE_MISMATCH: { id: 'age-mismatch', severity: 'warning' },
+        ANCESTRY_CYCLE: { id: 'ancestry-cycle', severity: 'error' },
+        OWN_ANCESTOR: { id: 'own-ancestor', severity: 'error' },
+        PARENT_CHILDREN_MISMATCH: { id: 'parent-children-mismatch', severity: 'warning' }
+    };
+
+    /**
+     * Checks a dataset for records that are biologically or chronologically
+     * impossible: children born before a parent, parents who died too long
+     * before a child's birth, stated ages that disagree with the dates,
+     * cycles in the ancestry graph, people recorded as their own ancestor,
+     * and father/mother fields that disagree with the parent's children.
+     * Years filled in by the chronology engine are not checked, since they
+     * are not part of the records.
+     * @param {Object|Array} data - Processed data, people/relationships or per-person records
+     * @param {Object} [options={}] - Options
+     * @param {Array<string>} [options.rules] - Rule ids to run (default: all)
+     * @param {number} [options.ageTolerance=config.consistency.ageTolerance] - Allowed age difference in years
+     * @returns {Array<Object>} Findings of { rule, severity, ids, message, suggestion }
+     */
+    function checkConsistency(data, options = {}) {
+        const source = isPersonRecordDataset(data) ? adaptPersonRecordDataset(data) : (data || {});
+        const people = (source.nodes || source.people || []).filter(person => person && person.id);
+        const byId = new Map(people.map(person => [person.id, person]));
+        const settings = { ...config.consistency, ...options };
+        const enabled = rule => !options.rules || options.rules.includes(rule.id);
+        const findings = [];
+
+        const report = (rule, ids, message, suggestion) => {
+            if (enabled(rule)) {
+                findings.push({ rule: rule.id, severity: rule.severity, ids, message, suggestion });
             }
-            
-            if (opts.includePropertiesFilter && typeof opts.includePropertiesFilter === 'function') {
-                return opts.includePropertiesFilter(node);
+        };
+
+        const label = id => {
+            const person = byId.get(id);
+            return person ? `${person.fullName || person.name || id} (${id})` : id;
+        };
+
+        // Earliest and latest possible year of a recorded (not derived) date
+        const dateBounds = (person, dateField, yearField) => {
+            const value = person[dateField] !== undefined && person[dateField] !== null ?
+                person[dateField] : person[yearField];
+            if (person[`${yearField}Derived`] || (value && value.derived)) {
+                return null;
             }
-            
-            return true;
+            const date = toDateValue(value);
+            return date.min === null && date.max === null ? null : { min: date.min, max: date.max };
+        };
+        const births = new Map(people.map(person => [person.id, dateBounds(person, 'birthDate', 'birthYear')]));
+        const deaths = new Map(people.map(person => [person.id, dateBounds(person, 'deathDate', 'deathYear')]));
+
+        // Parent edges from links and from the records' own fields
+        const endpoint = value => (value && typeof value === 'object') ? value.id : value;
+        const childrenOf = new Map();
+        const addParent = (parentId, childId) => {
+            if (!byId.has(parentId) || !byId.has(childId)) {
+                return;
+            }
+            if (!childrenOf.has(parentId)) {
+                childrenOf.set(parentId, new Set());
+            }
+            childrenOf.get(parentId).add(childId);
+        };
+
+        (source.links || source.relationships || []).forEach(link => {
+            const from = endpoint(link.source !== undefined ? link.source : link.from);
+            const to = endpoint(link.target !== undefined ? link.target : link.to);
+            if (link.type === RELATIONSHIP_TYPES.PARENT) {
+                addParent(from, to);
+            } else if (link.type === RELATIONSHIP_TYPES.CHILD) {
+                addParent(to, from);
+            }
+        });
+        people.forEach(person => {
+            [person.father, person.mother].forEach(parentId => addParent(parentId, person.id));
+            (Array.isArray(person.children) ? person.children : []).forEach(childId => addParent(person.id, childId));
+        });
+
+        // Birth and death order along each parent edge
+        childrenOf.forEach((children, parentId) => {
+            const parent = byId.get(parentId);
+            const parentBirth = births.get(parentId);
+            const parentDeath = deaths.get(parentId);
+            const role = parent.gender === 'female' ? 'mother' : 'father';
+            const allowance = settings.posthumousBirthYears[role] || 0;
+
+            children.forEach(childId => {
+                const childBirth = births.get(childId);
+                if (childId === parentId || !childBirth) {
+                    return;
+                }
+
+                if (parentBirth && childBirth.max !== null && parentBirth.min !== null &&
+                    childBirth.max <= parentBirth.min) {
+                    report(CONSISTENCY_RULES.CHILD_BEFORE_PARENT, [childId, parentId],
+                        `${label(childId)} is born ${formatDisplayDate(childBirth.max)}, no later than their ${role} ${label(parentId)} (${formatDisplayDate(parentBirth.min)})`,
+                        `Check both birth dates, or whether ${label(parentId)} is the right ${role}`);
+                }
+
+                if (parentDeath && parentDeath.max !== null && childBirth.min !== null &&
+                    childBirth.min - parentDeath.max > allowance) {
+                    report(CONSISTENCY_RULES.PARENT_DIED_BEFORE_BIRTH, [childId, parentId],
+                        `${label(childId)} is born ${formatDisplayDate(childBirth.min)}, ${childBirth.min - parentDeath.max} years after their ${role} ${label(parentId)} died (${formatDisplayDate(parentDeath.max)})`,
+                        `Check ${label(parentId)}'s death date, or whether the link belongs to another person of the same name`);
+                }
+            });
+        });
+
+        // Stated ages against the recorded dates
+        people.forEach(person => {
+            const birth = births.get(person.id);
+            const death = deaths.get(person.id);
+            if (typeof person.age !== 'number' || !birth || !death ||
+                [birth.min, birth.max, death.min, death.max].includes(null)) {
+                return;
+            }
+
+            const shortest = death.min - birth.max;
+            const longest = death.max - birth.min;
+            if (person.age < shortest - settings.ageTolerance || person.age > longest + settings.ageTolerance) {
+                const span = shortest === longest ? `${shortest}` : `${shortest}-${longest}`;
+                report(CONSISTENCY_RULES.AGE_MISMATCH, [person.id],
+                    `${label(person.id)} has a stated age of ${person.age}, but their dates give ${span} years`,
+                    `Set age to ${span} or correct the birth and death dates`);
+            }
+        });
+
+        // People recorded as their own parent
+        childrenOf.forEach((children, parentId) => {
+            if (children.has(parentId)) {
+                report(CONSISTENCY_RULES.OWN_ANCESTOR, [parentId],
+                    `${label(parentId)} is recorded as their own parent`,
+                    `Remove ${parentId} from their own father, mother or children fields`);
+            }
+        });
+
+        // Longer loops of descent (strongly connected components of the parent graph)
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        let counter = 0;
+
+        const visit = (id) => {
+            index.set(id, counter);
+            lowLink.set(id, counter);
+            counter++;
+            stack.push(id);
+            onStack.add(id);
+
+            (childrenOf.get(id) || new Set()).forEach(childId => {
+                if (!index.has(childId)) {
+                    visit(childId);
+                    lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(childId)));
+                } else if (onStack.has(childId)) {
+                    lowLink.set(id, Math.min(lowLink.get(id), index.get(childId)));
+                }
+            });
+
+            if (lowLink.get(id) === index.get(id)) {
+                const members = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    members.push(member);
+                } while (member !== id);
+
+                if (members.length > 1) {
+                    members.reverse();
+                    report(CONSISTENCY_RULES.ANCESTRY_CYCLE, members,
+                        `Ancestry cycle through ${members.map(label).join(', ')}: each of them is recorded as their own ancestor`,
+                        'Remove the parent link that closes the loop, usually a mistyped father, mother or children entry');
+                }
+            }
+        };
+        people.forEach(person => {
+            if (!index.has(person.id)) {
+                visit(person.id);
+            }
+        });
+
+        // father/mother fields against the parents' children arrays
+        people.forEach(person => {
+            ['father', 'mother'].forEach(field => {
+                const parent = byId.get(person[field]);
+                if (parent && parent.id !== person.id && Array.isArray(parent.children) &&
+                    !parent.children.includes(person.id)) {
+                    report(CONSISTENCY_RULES.PARENT_CHILDREN_MISMATCH, [person.id, parent.id],
+                        `${label(person.id)} names ${label(parent.id)} as ${field}, but ${parent.id}'s children do not include ${person.id}`,
+                        `Add ${person.id} to ${parent.id}'s children, or correct ${person.id}'s ${field}`);
+                }
+            });
+
+            (Array.isArray(person.children) ? person.children : []).forEach(childId => {
+                const child = byId.get(childId);
+                const field = person.gender === 'female' ? 'mother' : 'father';
+                if (!child || childId === person.id || child.father === person.id || child.mother === person.id) {
+                    return;
+                }
+                const stated = child[field] ? `names ${label(child[field])} as ${field}` : `has no ${field}`;
+                report(CONSISTENCY_RULES.PARENT_CHILDREN_MISMATCH, [childId, person.id],
+                    `${label(person.id)} lists ${childId} as a child, but ${label(childId)} ${stated}`,
+                    child[field] ?
+                        `Remove ${childId} from ${person.id}'s children, or correct ${childId}'s ${field}` :
+                        `Set ${childId}'s ${field} to ${person.id}`);
+            });
         });
+
+        return findings;
+    }
+
+    /**
+     * Enriches a genealogy dataset with computed fields
+     * @param {Object} data - The genealogy data to enrich
+     * @returns {Object} - The enriched data
+     */
+    function enrichDataset(data) {
+        if (!data || !data.people) {
+            console.error("Invalid data provided to enrichDataset");
+            return data;
+        }
         
-        const filteredLinks = data.links.filter(link => {
-            const sourceId = link.source.id || link.source;
-            const targetId = link.target.id || link.target;
+        // Clone data to avoid modifying original
+        const enriched = JSON.parse(JSON.stringify(data));
+        
+        // Add computed fields to people
+        enriched.people.forEach(person => {
+            const birth = person.birthDate || person.birthYear;
             
-            return (
-                includedNodeIds.has(sourceId) &&
-                includedNodeIds.has(targetId) &&
-                opts.includeTypes.includes(link.type)
-            );
+            // Derive age from birth and death dates unless scripture states it
+            if (typeof person.age !== 'number') {
+                const age = getLifespan(person);
+                if (age !== null) {
+                    person.age = age;
+                }
+            }
+            
+            // Set era based on birth date
+            if (!person.era && getDateYear(birth) !== null) {
+                person.era = determineEra(birth);
+            }
+            
+            // Set generation based on birth date
+            if (!person.generation && getDateYear(birth) !== null) {
+                person.generation = calculateGeneration(birth);
+            }
+            
+            // Flag key figures
+            if (!person.isKeyFigure) {
+                person.isKeyFigure = isKeyBiblicalFigure(person.id);
+            }
         });
         
-        return {
-            nodes: filteredNodes,
-            links: filteredLinks,
-            centerIds: centerIds,
-            metadata: {
-                filteredFrom: data.metadata || {},
-                filterOptions: opts,
-                nodeCount: filteredNodes.length,
-                linkCount: filteredLinks.length
-            }
-        };
+        return enriched;
+    }
+
+    /**
+     * Computes centrality (degree, betweenness, closeness, eigenvector,
+     * PageRank), connected components, diameter, articulation points and
+     * bridges with the network metrics module. Links that only restate
+     * others (grandparent, ancestor closure) are left out unless
+     * options.excludeLink says otherwise.
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} [options={}] - NetworkMetrics options
+     * @returns {Object|null} Metrics, or null if network-metrics.js is not loaded
+     */
+    function calculateNetworkMetrics(data, options = {}) {
+        const networkMetrics = getOptionalModule('NetworkMetrics', './network-metrics.js');
+
+        if (!networkMetrics || !data) {
+            return null;
+        }
+
+        return networkMetrics.computeMetrics(data, { excludeLink: isDerivedLink, ...options });
     }
 
-    /**
-     * Determines the era based on a year
-     * @param {number} year - Year to check
-     * @returns {string} Era ID
-     */
-    function determineEra(year) {
-        const numYear = parseInt(year);
-        
-        if (isNaN(numYear)) {
-            return config.defaultEra;
+    /**
+     * Names how one person is related to another using the kinship engine:
+     * lowest common ancestors over parent links, cousin degree and removal,
+     * half relationships and relationships by marriage
+     * @param {Object} data - Genealogy data
+     * @param {string} fromId - Person being described
+     * @param {string} toId - Person they are described relative to
+     * @returns {Object|null} Kinship result, or null if kinship.js is not loaded
+     */
+    function calculateKinship(data, fromId, toId) {
+        const kinship = getOptionalModule('Kinship', './kinship.js');
+
+        if (!kinship || !data) {
+            return null;
+        }
+
+        return kinship.calculateKinship(data, fromId, toId);
+    }
+
+    /**
+     * Lists the named lineages
+     * @returns {Array<Object>} Copies of the lineage definitions
+     */
+    function getLineages() {
+        return config.lineages.map(lineage => ({ ...lineage, via: [...(lineage.via || [])] }));
+    }
+
+    /**
+     * Replaces the named lineages, e.g. with data.lineages from settings.json.
+     * A definition that reuses an existing id keeps that lineage's fields it
+     * does not set.
+     * @param {Array<Object>} definitions - Lineages of { id, name, root, direction, via, flag }
+     * @returns {Array<Object>} The lineages now in use
+     */
+    function configureLineages(definitions) {
+        if (Array.isArray(definitions) && definitions.length > 0) {
+            const current = new Map(config.lineages.map(lineage => [lineage.id, lineage]));
+            config.lineages = definitions
+                .filter(definition => definition && definition.id)
+                .map(definition => ({ ...(current.get(definition.id) || {}), ...definition }));
+        }
+        return getLineages();
+    }
+
+    /**
+     * Finds the members of a named lineage with the lineage engine
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {string} lineageId - Lineage id
+     * @returns {Object|null} { id, name, members, derived, missing, warnings }
+     *     with members as an array of ids, or null if the lineage or
+     *     lineage.js is missing
+     */
+    function getLineageMembers(data, lineageId) {
+        const lineageEngine = getOptionalModule('Lineage', './lineage.js');
+        const lineage = config.lineages.find(item => item.id === lineageId);
+
+        if (!lineageEngine || !lineage || !data) {
+            return null;
+        }
+
+        const result = lineageEngine.resolveLineage(lineageEngine.buildParentGraph(data), lineage);
+        return { ...result, members: [...result.members] };
+    }
+
+    /**
+     * Sets the membership flags named by the lineages (isAncestorOfDavid,
+     * isAncestorOfJesus) from the parent links, and keeps a report of each
+     * lineage as data.lineageReport
+     * @param {Object} data - Genealogy data with nodes and links
+     * @returns {Object|null} Report keyed by lineage id, or null if lineage.js is not loaded
+     */
+    function deriveLineages(data) {
+        const lineageEngine = getOptionalModule('Lineage', './lineage.js');
+
+        if (!lineageEngine || !data) {
+            return null;
+        }
+
+        const graph = lineageEngine.buildParentGraph(data);
+        const changed = lineageEngine.deriveFlags(graph, config.lineages);
+        const report = {};
+        config.lineages.forEach(lineage => {
+            const result = lineageEngine.resolveLineage(graph, lineage);
+            report[lineage.id] = {
+                members: result.members.size,
+                derived: result.derived,
+                missing: result.missing,
+                warnings: result.warnings,
+                changedFlags: changed[lineage.id] || []
+            };
+        });
+
+        data.lineageReport = report;
+        return report;
+    }
+
+    /**
+     * Detects communities (clans) with the community module: each person
+     * gets a community id in config.communities.attribute, the communities
+     * are kept as data.communities and the modularity as data.communityReport
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} [options={}] - Overrides for config.communities
+     * @returns {Object|null} { communities, modularity }, or null if communities.js is not loaded
+     */
+    function detectCommunities(data, options = {}) {
+        const communityEngine = getOptionalModule('Communities', './communities.js');
+
+        if (!communityEngine || !data || !data.nodes) {
+            return null;
+        }
+
+        const settings = { ...config.communities, ...options };
+        const result = communityEngine.detectCommunities(data, {
+            attribute: settings.attribute,
+            resolution: settings.resolution,
+            weight: link => getRelationshipStrength(link.type),
+            excludeLink: isDerivedLink
+        });
+
+        data.communities = result.communities;
+        data.communityReport = { modularity: result.modularity, resolution: settings.resolution };
+        return result;
+    }
+
+    /**
+     * Gets the pedigree analysis module with a parent graph of the data
+     * @param {Object} data - Genealogy data with nodes and links
+     * @returns {Object|null} { pedigree, graph }, or null if pedigree.js or lineage.js is not loaded
+     */
+    function getPedigreeGraph(data) {
+        const pedigree = getOptionalModule('Pedigree', './pedigree.js');
+        const lineageEngine = getOptionalModule('Lineage', './lineage.js');
+
+        if (!pedigree || !lineageEngine || !data) {
+            return null;
+        }
+
+        return { pedigree, graph: lineageEngine.buildParentGraph(data) };
+    }
+
+    /**
+     * Finds every common ancestor of two or more people, with the number
+     * of lines of descent from each person to each ancestor
+     * @param {Object} data - Genealogy data
+     * @param {Array<string>} ids - Person ids
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object|null} { people, ancestors, truncated }, or null if pedigree.js is not loaded
+     */
+    function findCommonAncestors(data, ids, options = {}) {
+        const analysis = getPedigreeGraph(data);
+        return analysis ? analysis.pedigree.findCommonAncestors(analysis.graph, ids, options) : null;
+    }
+
+    /**
+     * Computes Wright's coefficient of relationship between two people
+     * @param {Object} data - Genealogy data
+     * @param {string} fromId - First person
+     * @param {string} toId - Second person
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object|null} { from, to, coefficient, coancestry, contributions, truncated },
+     *     or null if pedigree.js is not loaded
+     */
+    function calculateRelationshipCoefficient(data, fromId, toId, options = {}) {
+        const analysis = getPedigreeGraph(data);
+        return analysis ? analysis.pedigree.relationshipCoefficient(analysis.graph, fromId, toId, options) : null;
+    }
+
+    /**
+     * Computes Wright's inbreeding coefficient of a person
+     * @param {Object} data - Genealogy data
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object|null} { id, coefficient, parents, contributions, truncated },
+     *     or null if pedigree.js is not loaded
+     */
+    function calculateInbreedingCoefficient(data, id, options = {}) {
+        const analysis = getPedigreeGraph(data);
+        return analysis ? analysis.pedigree.inbreedingCoefficient(analysis.graph, id, options) : null;
+    }
+
+    /**
+     * Measures a person's pedigree collapse: unique ancestors against the
+     * slots of each generation
+     * @param {Object} data - Genealogy data
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object|null} { id, generations, totals, truncated }, or null if pedigree.js is not loaded
+     */
+    function calculatePedigreeCollapse(data, id, options = {}) {
+        const analysis = getPedigreeGraph(data);
+        return analysis ? analysis.pedigree.pedigreeCollapse(analysis.graph, id, options) : null;
+    }
+
+    /**
+     * Analyzes a person's pedigree: inbreeding, pedigree collapse, and
+     * relationship and closest common ancestors with each spouse
+     * @param {Object} data - Genealogy data
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object|null} { id, name, inbreeding, collapse, spouses }, or null if pedigree.js is not loaded
+     */
+    function analyzePedigree(data, id, options = {}) {
+        const analysis = getPedigreeGraph(data);
+        return analysis ? analysis.pedigree.analyzePerson(analysis.graph, id, options) : null;
+    }
+
+    /**
+     * Dates people from begetting ages and lifespans with the chronology
+     * engine. Years are written onto nodes with no recorded year, and the
+     * tradition, anchor and warnings are kept as data.chronology.
+     * @param {Object} data - Genealogy data
+     * @param {string} [tradition='masoretic'] - Text tradition or alias ('hebrew', 'lxx')
+     * @returns {Object|null} Chronology result, or null if chronology.js is not loaded
+     */
+    function deriveChronology(data, tradition) {
+        const chronology = getOptionalModule('Chronology', './chronology.js');
+
+        if (!chronology || !data) {
+            return null;
+        }
+
+        const result = chronology.deriveChronology(data, {
+            tradition: tradition || config.processing.transformation.textTradition
+        });
+        chronology.applyChronology(data, result);
+
+        // Derived years replace unknown dates with their uncertainty range
+        (data.nodes || []).forEach(node => {
+            const entry = result.people[node.id];
+            [['birth', 'birthDate', 'birthYearDerived'], ['death', 'deathDate', 'deathYearDerived']].forEach(([event, dateField, flag]) => {
+                if (node[flag] && entry && entry[event]) {
+                    const { year, min, max } = entry[event];
+                    node[dateField] = { ...toDateValue({ year, min, max }), derived: true };
+                } else if (node[dateField] && node[dateField].derived) {
+                    node[dateField] = toDateValue(null);
+                }
+            });
+        });
+        data.chronology = {
+            tradition: result.tradition,
+            traditionName: result.traditionName,
+            anchors: result.anchors,
+            contradictions: result.contradictions,
+            warnings: result.warnings
+        };
+
+        if (result.contradictions.length > 0) {
+            console.warn(`Chronology found ${result.contradictions.length} contradiction(s)`,
+                result.contradictions.map(contradiction => contradiction.message));
+        }
+
+        // "before the Flood" and era boundaries follow the resolved anchors
+        const dateValue = getOptionalModule('DateValue', './date-value.js');
+        if (dateValue) {
+            Object.values(result.anchors).forEach(anchor => {
+                if (anchor.kind === 'event') {
+                    const existing = dateValue.EVENTS[anchor.id] || {};
+                    dateValue.registerEvent(anchor.id, {
+                        name: anchor.name,
+                        ...existing,
+                        year: anchor.year,
+                        min: anchor.min,
+                        max: anchor.max,
+                        reference: anchor.sources.join('; ')
+                    });
+                }
+            });
+        }
+        resolveEraAnchors(result);
+
+        return result;
+    }
+
+    /**
+     * Moves era boundaries tied to an anchor ("flood", "birth:abraham") to
+     * the year the chronology resolved it to. An era ends the year before
+     * its end anchor.
+     * @param {Object} chronology - Result of Chronology.deriveChronology
+     */
+    function resolveEraAnchors(chronology) {
+        const anchorYear = id => {
+            if (chronology.anchors[id]) {
+                return chronology.anchors[id].year;
+            }
+            const [event, personId] = id.split(':');
+            const entry = chronology.people[personId];
+            return entry && entry[event] ? entry[event].year : null;
+        };
+
+        config.eras.forEach(era => {
+            const start = era.startAnchor ? anchorYear(era.startAnchor) : null;
+            const end = era.endAnchor ? anchorYear(era.endAnchor) : null;
+            if (start !== null) {
+                era.startYear = start;
+            }
+            if (end !== null) {
+                era.endYear = end - 1;
+            }
+        });
+    }
+
+    /**
+     * Finds a relationship path between two people
+     * @param {Object} data - Genealogy data
+     * @param {string} fromId - Starting person ID
+     * @param {string} toId - Target person ID
+     * @param {Object} options - Search options
+     * @returns {Object|null} Path object or null if no path exists
+     */
+    function findRelationshipPath(data, fromId, toId, options = {}) {
+        const defaultOptions = {
+            maxDepth: 10,
+            excludeTypes: []
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        
+        if (!data || !data.links || !Array.isArray(data.links)) {
+            return null;
+        }
+        
+        // Check if IDs exist
+        const nodes = data.nodes || data.people || [];
+        const nodeMap = {};
+        
+        nodes.forEach(node => {
+            nodeMap[node.id] = node;
+        });
+        
+        if (!nodeMap[fromId] || !nodeMap[toId]) {
+            return null;
+        }
+        
+        // Breadth-first search for shortest path
+        const queue = [{ id: fromId, path: [], visited: new Set([fromId]) }];
+        
+        while (queue.length > 0) {
+            const { id, path, visited } = queue.shift();
+            
+            // Don't exceed max depth
+            if (path.length >= opts.maxDepth) {
+                continue;
+            }
+            
+            // Find all direct connections
+            const connections = data.links.filter(link => {
+                const sourceId = link.source.id || link.source;
+                const targetId = link.target.id || link.target;
+                
+                return (
+                    (sourceId === id || targetId === id) && 
+                    !opts.excludeTypes.includes(link.type)
+                );
+            });
+            
+            for (const connection of connections) {
+                const sourceId = connection.source.id || connection.source;
+                const targetId = connection.target.id || connection.target;
+                const nextId = sourceId === id ? targetId : sourceId;
+                
+                if (visited.has(nextId)) {
+                    continue;
+                }
+                
+                const newPath = [...path, {
+                    from: sourceId,
+                    to: targetId,
+                    type: connection.type,
+                    relationship: connection
+                }];
+                
+                if (nextId === toId) {
+                    // Found path; name it genealogically when the kinship engine can
+                    const kinship = calculateKinship(data, fromId, toId);
+                    return {
+                        path: newPath,
+                        length: newPath.length,
+                        fromPerson: nodeMap[fromId],
+                        toPerson: nodeMap[toId],
+                        kinship,
+                        description: kinship && kinship.type !== 'none' ?
+                            kinship.description :
+                            describeRelationship(newPath, nodeMap)
+                    };
+                }
+                
+                const newVisited = new Set(visited);
+                newVisited.add(nextId);
+                
+                queue.push({
+                    id: nextId,
+                    path: newPath,
+                    visited: newVisited
+                });
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Generates a human-readable description of a relationship path
+     * @param {Array} path - Relationship path
+     * @param {Object} nodeMap - Map of nodes by ID
+     * @returns {string} Relationship description
+     */
+    function describeRelationship(path, nodeMap) {
+        if (!path || path.length === 0) {
+            return "No relationship found";
+        }
+        
+        if (path.length === 1) {
+            const rel = path[0];
+            const fromPerson = nodeMap[rel.from];
+            const toPerson = nodeMap[rel.to];
+            
+            switch (rel.type) {
+                case RELATIONSHIP_TYPES.PARENT:
+                    return `${fromPerson.name} is the parent of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.CHILD:
+                    return `${fromPerson.name} is the child of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.SPOUSE:
+                    return `${fromPerson.name} is the spouse of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.SIBLING:
+                    return `${fromPerson.name} is the sibling of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.ANCESTOR:
+                    return `${fromPerson.name} is an ancestor of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.DESCENDANT:
+                    return `${fromPerson.name} is a descendant of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.MENTOR:
+                    return `${fromPerson.name} is a mentor of ${toPerson.name}`;
+                case RELATIONSHIP_TYPES.DISCIPLE:
+                    return `${fromPerson.name} is a disciple of ${toPerson.name}`;
+                default:
+                    return `${fromPerson.name} is ${rel.type} to ${toPerson.name}`;
+            }
+        }
+        
+        // Complex relationship
+        const fromPerson = nodeMap[path[0].from];
+        const toPerson = nodeMap[path[path.length - 1].to];
+        
+        let description = `${fromPerson.name} is connected to ${toPerson.name} through ${path.length} relationships: `;
+        
+        path.forEach((rel, index) => {
+            const fromName = nodeMap[rel.from].name;
+            const toName = nodeMap[rel.to].name;
+            
+            description += `${fromName} (${rel.type}) ${toName}`;
+            
+            if (index < path.length - 1) {
+                description += " → ";
+            }
+        });
+        
+        return description;
+    }
+
+    /**
+     * Generates color scheme for data categories
+     * @param {Array} categories - Array of category names
+     * @param {Object} options - Color options
+     * @returns {Object} Map of categories to colors
+     */
+    function generateCategoryColors(categories, options = {}) {
+        const colorSchemes = {
+            standard: [
+                '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+                '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+            ],
+            pastel: [
+                '#c6dbef', '#fdd0a2', '#c7e9c0', '#fcbba1', '#dadaeb',
+                '#e6d8c9', '#fde0ef', '#d9d9d9', '#ffffcc', '#ccffff'
+            ],
+            biblical: [
+                '#CD853F', '#8B4513', '#BC8F8F', '#F4A460', '#DAA520',
+                '#B8860B', '#D2B48C', '#BDB76B', '#6B8E23', '#556B2F'
+            ]
+        };
+        
+        const opts = {
+            scheme: 'biblical',
+            shuffle: false,
+            ...options
+        };
+        
+        const colors = colorSchemes[opts.scheme] || colorSchemes.standard;
+        
+        // Shuffle colors if requested
+        if (opts.shuffle) {
+            for (let i = colors.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [colors[i], colors[j]] = [colors[j], colors[i]];
+            }
+        }
+        
+        // Create color mapping
+        const colorMap = {};
+        categories.forEach((category, index) => {
+            colorMap[category] = colors[index % colors.length];
+        });
+        
+        return colorMap;
+    }
+
+    /**
+     * Creates a subgraph from the main genealogy data
+     * @param {Object} data - Original genealogy data
+     * @param {Array} centerIds - IDs of central people for the subgraph
+     * @param {Object} options - Filtering options
+     * @returns {Object} Filtered subgraph
+     */
+    function createSubgraph(data, centerIds, options = {}) {
+        const defaultOptions = {
+            depth: 2,
+            includeTypes: Object.values(RELATIONSHIP_TYPES),
+            exclusions: [],
+            includePropertiesFilter: null
+        };
+        
+        const opts = { ...defaultOptions, ...options };
+        
+        // Validate inputs
+        if (!data || !data.nodes || !data.links || !Array.isArray(centerIds) || centerIds.length === 0) {
+            return null;
+        }
+        
+        // Find nodes within desired depth
+        const includedNodeIds = new Set(centerIds);
+        const nodeMap = {};
+        
+        data.nodes.forEach(node => {
+            nodeMap[node.id] = node;
+        });
+        
+        // BFS to find all nodes within depth
+        let frontier = [...centerIds];
+        
+        for (let currentDepth = 1; currentDepth <= opts.depth; currentDepth++) {
+            const nextFrontier = [];
+            
+            for (const nodeId of frontier) {
+                const connections = data.links.filter(link => {
+                    const sourceId = link.source.id || link.source;
+                    const targetId = link.target.id || link.target;
+                    
+                    return (
+                        (sourceId === nodeId || targetId === nodeId) &&
+                        opts.includeTypes.includes(link.type) &&
+                        !opts.exclusions.includes(sourceId) &&
+                        !opts.exclusions.includes(targetId)
+                    );
+                });
+                
+                for (const connection of connections) {
+                    const sourceId = connection.source.id || connection.source;
+                    const targetId = connection.target.id || connection.target;
+                    const connectedId = sourceId === nodeId ? targetId : sourceId;
+                    
+                    if (!includedNodeIds.has(connectedId) && !opts.exclusions.includes(connectedId)) {
+                        includedNodeIds.add(connectedId);
+                        nextFrontier.push(connectedId);
+                    }
+                }
+            }
+            
+            frontier = nextFrontier;
+        }
+        
+        // Filter nodes and links
+        const filteredNodes = data.nodes.filter(node => {
+            if (!includedNodeIds.has(node.id)) {
+                return false;
+            }
+            
+            if (opts.includePropertiesFilter && typeof opts.includePropertiesFilter === 'function') {
+                return opts.includePropertiesFilter(node);
+            }
+            
+            return true;
+        });
+        
+        const filteredLinks = data.links.filter(link => {
+            const sourceId = link.source.id || link.source;
+            const targetId = link.target.id || link.target;
+            
+            return (
+                includedNodeIds.has(sourceId) &&
+                includedNodeIds.has(targetId) &&
+                opts.includeTypes.includes(link.type)
+            );
+        });
+        
+        return {
+            nodes: filteredNodes,
+            links: filteredLinks,
+            centerIds: centerIds,
+            metadata: {
+                filteredFrom: data.metadata || {},
+                filterOptions: opts,
+                nodeCount: filteredNodes.length,
+                linkCount: filteredLinks.length
+            }
+        };
+    }
+
+    /**
+     * Normalizes an era name for comparison ("Exile & Return", "exile_return")
+     * @param {*} value - Era id, alias or name
+     * @returns {string} Lowercase key, or '' for anything that is not a string
+     */
+    function eraKey(value) {
+        return typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s_]+/g, '-') : '';
+    }
+
+    /**
+     * Finds an era in the registry by id, alias or display name, ignoring
+     * case, so "pre-flood", "Antediluvian Period" and "antediluvian" are one era
+     * @param {string|Object} value - Era id, alias, name, or an era
+     * @returns {Object|null} Era definition, or null if no era has that name
+     */
+    function getEra(value) {
+        const key = eraKey(value && typeof value === 'object' ? value.id : value);
+        if (!key) {
+            return null;
+        }
+        return config.eras.find(era =>
+            [era.id, era.name, ...(era.aliases || [])].some(name => eraKey(name) === key)) || null;
+    }
+
+    /**
+     * Gets the registry id of an era
+     * @param {string} value - Era id, alias or name
+     * @returns {string|null} Era id, config.defaultEra for the default era,
+     *     or null if the registry does not know the era
+     */
+    function resolveEra(value) {
+        const era = getEra(value);
+        if (era) {
+            return era.id;
+        }
+        return eraKey(value) && eraKey(value) === eraKey(config.defaultEra) ? config.defaultEra : null;
+    }
+
+    /**
+     * Orders two eras as the registry does. The default era and eras the
+     * registry does not know come last.
+     * @param {string} a - Era id, alias or name
+     * @param {string} b - Era id, alias or name
+     * @returns {number} Negative if a comes first, positive if b does
+     */
+    function compareEras(a, b) {
+        const position = value => {
+            const era = getEra(value);
+            return era ? config.eras.indexOf(era) : config.eras.length;
+        };
+        return position(a) - position(b);
+    }
+
+    /**
+     * Lists the eras in order, with the boundaries the last chronology resolved
+     * @returns {Array<Object>} Copies of the era definitions
+     */
+    function getEras() {
+        return config.eras.map(era => ({ ...era, aliases: [...(era.aliases || [])] }));
+    }
+
+    /**
+     * Replaces the era registry, e.g. with data.eras from settings.json. A
+     * definition that reuses an existing id keeps that era's fields it does
+     * not set, so settings can just add aliases or rename an era.
+     * @param {Object} [eraSettings={}] - { default, definitions }
+     * @returns {Array<Object>} The eras now in use
+     */
+    function configureEras(eraSettings = {}) {
+        if (Array.isArray(eraSettings.definitions) && eraSettings.definitions.length > 0) {
+            const current = new Map(config.eras.map(era => [era.id, era]));
+            config.eras = eraSettings.definitions
+                .filter(definition => definition && definition.id)
+                .map(definition => ({ ...(current.get(definition.id) || {}), ...definition }));
+        }
+        if (eraSettings.default) {
+            config.defaultEra = eraSettings.default;
+        }
+        return getEras();
+    }
+
+    /**
+     * Determines the era based on a year
+     * @param {number|Object} year - Year or date value to check
+     * @returns {string} Era ID
+     */
+    function determineEra(year) {
+        const numYear = getDateYear(year);
+        
+        if (numYear === null) {
+            return config.defaultEra;
+        }
+        
+        for (const era of config.eras) {
+            if (numYear >= era.startYear && numYear <= era.endYear) {
+                return era.id;
+            }
+        }
+        
+        return config.defaultEra;
+    }
+
+    /**
+     * Calculate generation based on birth year
+     * @param {number|Object} birthYear - Year or date value of birth
+     * @returns {number} Generation number
+     */
+    function calculateGeneration(birthYear) {
+        const numYear = getDateYear(birthYear);
+        
+        if (numYear === null) {
+            return 0;
+        }
+        
+        const yearsSinceStart = numYear - config.generations.startYear;
+        return Math.floor(yearsSinceStart / config.generations.yearSpan);
+    }
+
+    /**
+     * Checks if a person is a key biblical figure
+     * @param {string} id - Person ID
+     * @returns {boolean} True if key figure
+     */
+    function isKeyBiblicalFigure(id) {
+        return config.keyFigures.includes(id.toLowerCase());
+    }
+
+    /**
+     * Computes statistics about a genealogy dataset
+     * @param {Object} data - The genealogy data
+     * @returns {Object} Statistics about the dataset
+     */
+    function computeStatistics(data) {
+        if (!data || !data.nodes || !data.links) {
+            console.error("Invalid data provided to computeStatistics");
+            return {};
+        }
+        
+        const stats = {
+            nodeCount: data.nodes.length,
+            linkCount: data.links.length,
+            generations: new Set(),
+            eras: new Set(),
+            types: new Set(),
+            relationshipTypes: new Set(),
+            avgConnections: 0,
+            keyFigures: 0,
+            connectivityDensity: 0,
+            longestLife: { age: 0, person: null },
+            mostConnected: { connections: 0, person: null },
+            communityCount: Array.isArray(data.communities) ? data.communities.length : 0,
+            modularity: data.communityReport ? data.communityReport.modularity : null
+        };
+        
+        // Node-based statistics
+        const connectionCounts = {};
+        
+        data.nodes.forEach(node => {
+            if (node.generation) {
+                stats.generations.add(node.generation);
+            }
+            
+            if (node.era) {
+                stats.eras.add(node.era);
+            }
+            
+            if (node.type) {
+                stats.types.add(node.type);
+            }
+            
+            if (isKeyBiblicalFigure(node.id)) {
+                stats.keyFigures++;
+            }
+            
+            const age = getLifespan(node);
+            if (age !== null) {
+                if (age > stats.longestLife.age) {
+                    stats.longestLife = { age, person: node };
+                }
+            }
+            
+            connectionCounts[node.id] = 0;
+        });
+        
+        // Link-based statistics
+        data.links.forEach(link => {
+            if (link.type) {
+                stats.relationshipTypes.add(link.type);
+            }
+            
+            const sourceId = link.source.id || link.source;
+            const targetId = link.target.id || link.target;
+            
+            connectionCounts[sourceId] = (connectionCounts[sourceId] || 0) + 1;
+            connectionCounts[targetId] = (connectionCounts[targetId] || 0) + 1;
+        });
+        
+        // Compute derived statistics
+        let totalConnections = 0;
+        
+        Object.keys(connectionCounts).forEach(id => {
+            const count = connectionCounts[id];
+            totalConnections += count;
+            
+            if (count > stats.mostConnected.connections) {
+                stats.mostConnected = {
+                    connections: count,
+                    person: data.nodes.find(node => node.id === id)
+                };
+            }
+        });
+        
+        stats.avgConnections = totalConnections / data.nodes.length;
+        stats.connectivityDensity = data.links.length / (data.nodes.length * (data.nodes.length - 1) / 2);
+        
+        // Convert sets to arrays for easier use
+        stats.generations = Array.from(stats.generations).sort((a, b) => a - b);
+        stats.eras = Array.from(stats.eras);
+        stats.types = Array.from(stats.types);
+        stats.relationshipTypes = Array.from(stats.relationshipTypes);
+        
+        return stats;
+    }
+
+    // Formats handled by the module itself; custom transformers may not reuse these names
+    const BUILT_IN_FORMATS = ['d3', 'gedcom', 'gramps', 'custom'];
+
+    // Custom transformers registered through registerTransformer, keyed by lower-case name
+    const customTransformers = {};
+
+    /**
+     * Transforms data between different genealogy formats
+     * @param {Object} data - Source data
+     * @param {string} targetFormat - Target format ('d3', 'gedcom', 'gramps', 'custom'
+     *     or the name of a registered custom transformer)
+     * @param {Object} [options={}] - Options passed to custom transformers
+     * @returns {Object|string} Transformed data
+     */
+    function transformGenealogyData(data, targetFormat = 'd3', options = {}) {
+        if (!data) {
+            return null;
+        }
+        
+        const format = targetFormat.toLowerCase();
+        
+        switch (format) {
+            case 'd3':
+                return transformToD3Format(data);
+            case 'gedcom':
+                return transformToGedcomFormat(data);
+            case 'gramps':
+                return transformToGrampsFormat(data);
+            case 'custom':
+                return transformToCustomFormat(data, options);
+            default:
+                if (customTransformers[format]) {
+                    return transformToCustomFormat(data, { ...options, transformer: format });
+                }
+                return data;
+        }
+    }
+
+    /**
+     * Transform data to D3.js format
+     * @param {Object} data - Source data
+     * @returns {Object} D3 formatted data
+     */
+    function transformToD3Format(data) {
+        if (!data) return null;
+        
+        // If already in D3 format (nodes/links)
+        if (data.nodes && data.links) {
+            return JSON.parse(JSON.stringify(data));
+        }
+        
+        // Convert from people/relationships format
+        if (data.people && data.relationships) {
+            return {
+                nodes: data.people.map(person => ({
+                    id: person.id,
+                    name: person.name || person.fullName,
+                    group: person.type || person.group || 1,
+                    ...person
+                })),
+                links: data.relationships.map(rel => ({
+                    source: rel.from || rel.source,
+                    target: rel.to || rel.target,
+                    type: rel.type,
+                    value: rel.strength || 1,
+                    ...rel
+                }))
+            };
+        }
+        
+        return null;
+    }
+
+    // REFN type that GEDCOM exports keep each person's dataset id under
+    const GEDCOM_ID_REFERENCE_TYPE = 'Dataset id';
+
+    /**
+     * Formats a year as a GEDCOM date value. Negative years are written as B.C.
+     * @param {number} year - Year (negative for BC)
+     * @param {string} [qualifier] - 'about', 'before', 'after' or 'exact'
+     * @returns {string} GEDCOM DATE value
+     */
+    function formatGedcomYear(year, qualifier) {
+        const prefixes = { about: 'ABT ', before: 'BEF ', after: 'AFT ' };
+        const value = year < 0 ? `${Math.abs(year)} B.C.` : String(year);
+        return (prefixes[qualifier] || '') + value;
+    }
+
+    /**
+     * Formats a birth or death date as a GEDCOM DATE value: qualified years
+     * ("ABT 1800 B.C.", "BET ... AND ...") or a date phrase for dates that
+     * only make sense as words ("(before the Flood)")
+     * @param {*} value - Date text, year or DateValue
+     * @returns {string|null} GEDCOM DATE value, or null if unknown
+     */
+    function formatGedcomDate(value) {
+        const dateValue = getOptionalModule('DateValue', './date-value.js');
+        if (dateValue) {
+            return dateValue.toGedcom(dateValue.parse(value));
+        }
+
+        const year = getDateYear(value);
+        return year === null ? null : formatGedcomYear(year, value && value.qualifier);
+    }
+
+    /**
+     * Formats a date for display ("c. 1800 BC", "2000–1950 BC")
+     * @param {*} value - Date text, year or DateValue
+     * @returns {string} Display text, empty if unknown
+     */
+    function formatDisplayDate(value) {
+        const dateValue = getOptionalModule('DateValue', './date-value.js');
+        if (dateValue) {
+            const date = dateValue.parse(value);
+            return dateValue.isKnown(date) || date.text ? dateValue.format(date) : '';
+        }
+
+        const year = getDateYear(value);
+        return year === null ? '' : (year < 0 ? `${-year} BC` : `AD ${year}`);
+    }
+
+    /**
+     * Builds the GEDCOM lines for a tag, folding newlines into CONT lines and
+     * long values into CONC lines
+     * @param {number} level - Line level
+     * @param {string} tag - GEDCOM tag
+     * @param {*} [value] - Line value
+     * @param {string} [xref] - Cross-reference id for level 0 records
+     * @returns {Array<string>} GEDCOM lines
+     */
+    function gedcomLines(level, tag, value, xref) {
+        const maxValueLength = 200;
+        const prefix = xref ? `${level} @${xref}@ ${tag}` : `${level} ${tag}`;
+
+        if (value === undefined || value === null || value === '') {
+            return [prefix];
+        }
+
+        const lines = [];
+        const withValue = (head, text) => text ? `${head} ${text}` : head;
+
+        String(value).split(/\r\n|\r|\n/).forEach((segment, segmentIndex) => {
+            const chunks = [];
+            for (let i = 0; i < segment.length; i += maxValueLength) {
+                chunks.push(segment.slice(i, i + maxValueLength));
+            }
+            if (chunks.length === 0) {
+                chunks.push('');
+            }
+
+            chunks.forEach((chunk, chunkIndex) => {
+                if (segmentIndex === 0 && chunkIndex === 0) {
+                    lines.push(withValue(prefix, chunk));
+                } else {
+                    const continuation = chunkIndex === 0 ? 'CONT' : 'CONC';
+                    lines.push(withValue(`${level + 1} ${continuation}`, chunk));
+                }
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Groups parent and spouse links into family units for the family-based
+     * export formats (GEDCOM, Gramps). Couples share one family, a child of a
+     * known couple belongs to the couple's family, and any other parent gets a
+     * single-parent family so no marriage is implied. Remaining relationship
+     * types are returned as associations.
+     * @param {Object} data - Source data
+     * @param {Array<string>} [reservedIds=[]] - Ids family ids must not collide with
+     * @returns {Object} People, families and lookup tables
+     */
+    function buildFamilyGroups(data, reservedIds = []) {
+        // Processed nodes and links carry edits and derived years, so they
+        // win over the people and relationships they were built from
+        const people = (data.nodes || data.people).filter(person => person && person.id);
+        const relationships = data.links || data.relationships || [];
+        const peopleById = {};
+        people.forEach(person => {
+            peopleById[person.id] = person;
+        });
+
+        const endpoint = value => (value && typeof value === 'object') ? value.id : value;
+        const genderOf = id => ((peopleById[id] || {}).gender || '').toLowerCase();
+
+        // Families are keyed by their sorted partner ids so every couple gets one record
+        const families = [];
+        const familyByKey = {};
+        const familiesAsChild = {};
+        const familiesAsSpouse = {};
+        let familyCount = 1;
+
+        const nextFamilyId = () => {
+            let familyId;
+            do {
+                familyId = `F${familyCount++}`;
+            } while (peopleById[familyId] || reservedIds.includes(familyId));
+            return familyId;
+        };
+
+        const getFamily = (partners) => {
+            const key = [...partners].sort().join('+');
+
+            if (!familyByKey[key]) {
+                let [husband, wife] = partners;
+                if (genderOf(husband).startsWith('f') || genderOf(wife).startsWith('m')) {
+                    [husband, wife] = [wife, husband];
+                }
+
+                const family = { id: nextFamilyId(), husband, wife, children: [] };
+                familyByKey[key] = family;
+                families.push(family);
+
+                partners.forEach(partnerId => {
+                    (familiesAsSpouse[partnerId] = familiesAsSpouse[partnerId] || []).push(family.id);
+                });
+            }
+
+            return familyByKey[key];
+        };
+
+        const parentsByChild = {};
+        const couples = new Set();
+        const associations = [];
+        const associationKeys = new Set();
+
+        relationships.forEach(rel => {
+            const sourceId = endpoint(rel.source || rel.from);
+            const targetId = endpoint(rel.target || rel.to);
+
+            // Links derived by inference are rebuilt on import
+            if (!peopleById[sourceId] || !peopleById[targetId] || sourceId === targetId || isDerivedLink(rel)) {
+                return;
+            }
+
+            if (rel.type === 'spouse') {
+                getFamily([sourceId, targetId]);
+                couples.add([sourceId, targetId].sort().join('+'));
+            } else if (rel.type === 'parent' || rel.type === 'child') {
+                const parentId = rel.type === 'parent' ? sourceId : targetId;
+                const childId = rel.type === 'parent' ? targetId : sourceId;
+                const parents = parentsByChild[childId] = parentsByChild[childId] || [];
+                if (!parents.includes(parentId)) {
+                    parents.push(parentId);
+                }
+            } else {
+                const ends = SYMMETRIC_RELATIONSHIP_TYPES.includes(rel.type) ?
+                    [sourceId, targetId].sort() : [sourceId, targetId];
+                const key = `${rel.type}:${rel.subtype || ''}:${ends.join('>')}`;
+                if (!associationKeys.has(key)) {
+                    associationKeys.add(key);
+                    associations.push({ from: sourceId, to: targetId, type: rel.type, subtype: rel.subtype });
+                }
+            }
+        });
+
+        // A child of a known couple belongs to the couple's family; otherwise
+        // each parent gets a single-parent family so no marriage is implied
+        people.forEach(person => {
+            const parents = parentsByChild[person.id];
+            if (!parents) {
+                return;
+            }
+
+            const childFamilies = parents.length === 2 && couples.has([...parents].sort().join('+')) ?
+                [getFamily(parents)] :
+                parents.map(parentId => getFamily([parentId]));
+
+            childFamilies.forEach(family => {
+                family.children.push(person.id);
+                (familiesAsChild[person.id] = familiesAsChild[person.id] || []).push(family.id);
+            });
+        });
+
+        return { people, peopleById, families, familiesAsChild, familiesAsSpouse, associations };
+    }
+
+    /**
+     * Transform to GEDCOM 5.5.1. Couples share a single FAM record, children
+     * are attached to the family of their parents with FAMC/FAMS back-pointers,
+     * and scripture references are written as citations of a Bible SOUR record.
+     * Relationships GEDCOM has no family structure for (siblings, extended
+     * family, ...) are written as ASSO associations so a re-import restores them.
+     * Individuals get the cross-reference ids I1, I2, ..., since dataset ids
+     * may hold characters GEDCOM does not allow there; each id is kept in a
+     * REFN of type GEDCOM_ID_REFERENCE_TYPE, which GedcomParser reads back.
+     * @param {Object} data - Source data
+     * @returns {string} GEDCOM formatted data
+     */
+    function transformToGedcomFormat(data) {
+        if (!data || (!data.nodes && !data.people)) {
+            return '';
+        }
+        
+        const BIBLE_SOURCE_ID = 'BIBLE';
+        const {
+            people,
+            families,
+            familiesAsChild,
+            familiesAsSpouse,
+            associations
+        } = buildFamilyGroups(data, [BIBLE_SOURCE_ID]);
+
+        const xrefs = {};
+        people.forEach((person, index) => {
+            xrefs[person.id] = `I${index + 1}`;
+        });
+
+        const lines = [
+            '0 HEAD',
+            '1 GEDC',
+            '2 VERS 5.5.1',
+            '2 FORM LINEAGE-LINKED',
+            '1 CHAR UTF-8',
+            '1 SUBM @SUBM@',
+            '0 @SUBM@ SUBM',
+            '1 NAME Biblical Genealogy Exporter'
+        ];
+
+        let citesBible = false;
+
+        people.forEach(person => {
+            const name = person.fullName || person.name || 'Unknown';
+            lines.push(...gedcomLines(0, 'INDI', null, xrefs[person.id]));
+            lines.push(...gedcomLines(1, 'REFN', person.id));
+            lines.push(...gedcomLines(2, 'TYPE', GEDCOM_ID_REFERENCE_TYPE));
+            lines.push(...gedcomLines(1, 'NAME', name));
+
+            (person.alternateNames || []).forEach(alternateName => {
+                if (alternateName && alternateName !== name) {
+                    lines.push(...gedcomLines(1, 'NAME', alternateName));
+                }
+            });
+
+            const gender = (person.gender || '').toLowerCase();
+            if (gender.startsWith('m') || gender.startsWith('f')) {
+                lines.push(`1 SEX ${gender.charAt(0).toUpperCase()}`);
+            }
+
+            [
+                { tag: 'BIRT', date: person.birthDate || person.birthYear, place: person.birthplace },
+                { tag: 'DEAT', date: person.deathDate || person.deathYear, place: person.deathplace }
+            ].forEach(event => {
+                const date = formatGedcomDate(event.date);
+                if (!date && !event.place) {
+                    return;
+                }
+
+                lines.push(`1 ${event.tag}`);
+                if (date) {
+                    lines.push(...gedcomLines(2, 'DATE', date));
+                }
+                if (event.place) {
+                    lines.push(...gedcomLines(2, 'PLAC', event.place));
+                }
+            });
+
+            [].concat(person.occupation || []).forEach(occupation => {
+                lines.push(...gedcomLines(1, 'OCCU', occupation));
+            });
+
+            if (person.era) {
+                lines.push(...gedcomLines(1, '_ERA', person.era));
+            }
+
+            if (person.description) {
+                lines.push(...gedcomLines(1, 'NOTE', person.description));
+            }
+
+            (person.biblicalReferences || []).forEach(reference => {
+                citesBible = true;
+                lines.push(`1 SOUR @${BIBLE_SOURCE_ID}@`);
+                lines.push(...gedcomLines(2, 'PAGE', reference));
+            });
+
+            (familiesAsChild[person.id] || []).forEach(familyId => {
+                lines.push(`1 FAMC @${familyId}@`);
+            });
+
+            (familiesAsSpouse[person.id] || []).forEach(familyId => {
+                lines.push(`1 FAMS @${familyId}@`);
+            });
+
+            associations.filter(association => association.from === person.id).forEach(association => {
+                const relation = association.subtype ?
+                    `${association.type} (${association.subtype})` : association.type;
+                lines.push(`1 ASSO @${xrefs[association.to]}@`);
+                lines.push(...gedcomLines(2, 'RELA', relation));
+            });
+        });
+
+        families.forEach(family => {
+            lines.push(`0 @${family.id}@ FAM`);
+            if (family.husband) {
+                lines.push(`1 HUSB @${xrefs[family.husband]}@`);
+            }
+            if (family.wife) {
+                lines.push(`1 WIFE @${xrefs[family.wife]}@`);
+            }
+            family.children.forEach(childId => {
+                lines.push(`1 CHIL @${xrefs[childId]}@`);
+            });
+        });
+
+        if (citesBible) {
+            lines.push(`0 @${BIBLE_SOURCE_ID}@ SOUR`);
+            lines.push('1 TITL The Holy Bible');
+        }
+
+        lines.push('0 TRLR');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Escapes text for use in XML content and attribute values
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Transform to Gramps XML (grampsxml 1.7.1) with people, families, events,
+     * places, notes and scripture citations. Negative (BC) years are written as
+     * text dates since Gramps does not store years before 1 AD as date values.
+     * @param {Object} data - Source data
+     * @returns {string} Gramps XML document
+     */
+    function transformToGrampsFormat(data) {
+        if (!data || (!data.nodes && !data.people)) {
+            return '';
+        }
+
+        const {
+            people,
+            families,
+            familiesAsChild,
+            familiesAsSpouse,
+            associations
+        } = buildFamilyGroups(data);
+
+        const counters = {};
+        const nextHandle = (prefix) => {
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            const number = String(counters[prefix]).padStart(4, '0');
+            return { handle: `_${prefix.toLowerCase()}${number}`, id: `${prefix}${number}` };
+        };
+
+        const personHandles = {};
+        people.forEach(person => {
+            personHandles[person.id] = nextHandle('I').handle;
+        });
+
+        const familyHandles = {};
+        families.forEach(family => {
+            familyHandles[family.id] = nextHandle('F');
+        });
+
+        const events = [];
+        const places = {};
+        const citations = {};
+        const notes = [];
+        const bibleSource = { handle: '_s0001', id: 'S0001', title: 'The Holy Bible' };
+
+        const getPlace = (name) => {
+            if (!places[name]) {
+                places[name] = { ...nextHandle('P'), name };
+            }
+            return places[name];
+        };
+
+        const getCitation = (page) => {
+            if (!citations[page]) {
+                citations[page] = { ...nextHandle('C'), page };
+            }
+            return citations[page];
+        };
+
+        const formatDate = (value) => {
+            const date = toDateValue(value);
+            const pad = year => String(year).padStart(4, '0');
+
+            if (date.min === null && date.max === null) {
+                return date.text && date.text.toLowerCase() !== 'unknown' ?
+                    `<datestr val="${escapeXml(date.text)}"/>` : null;
+            }
+            // Gramps has no BC calendar years, so those and relative dates stay text
+            if (date.min < 0 || date.max < 0 || date.event || date.type === 'regnal') {
+                return `<datestr val="${escapeXml(formatGedcomDate(date))}"/>`;
+            }
+            if (date.type === 'range') {
+                return `<daterange start="${pad(date.min)}" stop="${pad(date.max)}"/>`;
+            }
+            if (date.type === 'approximate') {
+                return `<dateval val="${pad(date.year)}" type="about"/>`;
+            }
+            if (date.type === 'before' || date.type === 'after') {
+                return `<dateval val="${pad(date.year)}" type="${date.type}"/>`;
+            }
+            return `<dateval val="${pad(date.year)}"/>`;
+        };
+
+        const xml = [];
+        const peopleXml = [];
+
+        people.forEach(person => {
+            const lines = [];
+            const name = person.fullName || person.name || 'Unknown';
+            const gender = (person.gender || '').toLowerCase();
+            const eventHandles = [];
+
+            [
+                { type: 'Birth', date: person.birthDate || person.birthYear, place: person.birthplace },
+                { type: 'Death', date: person.deathDate || person.deathYear, place: person.deathplace }
+            ].forEach(event => {
+                const dateXml = formatDate(event.date);
+                if (!dateXml && !event.place) {
+                    return;
+                }
+                const eventObject = { ...nextHandle('E'), type: event.type, dateXml };
+                if (event.place) {
+                    eventObject.place = getPlace(event.place).handle;
+                }
+                events.push(eventObject);
+                eventHandles.push(eventObject.handle);
+            });
+
+            [].concat(person.occupation || []).forEach(occupation => {
+                const eventObject = { ...nextHandle('E'), type: 'Occupation', description: occupation };
+                events.push(eventObject);
+                eventHandles.push(eventObject.handle);
+            });
+
+            lines.push(`    <person handle="${personHandles[person.id]}" id="${escapeXml(person.id)}">`);
+            lines.push(`      <gender>${gender.startsWith('m') ? 'M' : gender.startsWith('f') ? 'F' : 'U'}</gender>`);
+            lines.push(`      <name type="Birth Name">`);
+            lines.push(`        <first>${escapeXml(name)}</first>`);
+            lines.push(`      </name>`);
+
+            (person.alternateNames || []).forEach(alternateName => {
+                if (alternateName && alternateName !== name) {
+                    lines.push(`      <name alt="1" type="Also Known As">`);
+                    lines.push(`        <first>${escapeXml(alternateName)}</first>`);
+                    lines.push(`      </name>`);
+                }
+            });
+
+            eventHandles.forEach(handle => {
+                lines.push(`      <eventref hlink="${handle}" role="Primary"/>`);
+            });
+
+            if (person.era) {
+                lines.push(`      <attribute type="Era" value="${escapeXml(person.era)}"/>`);
+            }
+
+            (familiesAsChild[person.id] || []).forEach(familyId => {
+                lines.push(`      <childof hlink="${familyHandles[familyId].handle}"/>`);
+            });
+
+            (familiesAsSpouse[person.id] || []).forEach(familyId => {
+                lines.push(`      <parentin hlink="${familyHandles[familyId].handle}"/>`);
+            });
+
+            associations.filter(association => association.from === person.id).forEach(association => {
+                const relation = association.subtype ?
+                    `${association.type} (${association.subtype})` : association.type;
+                lines.push(`      <personref hlink="${personHandles[association.to]}" rel="${escapeXml(relation)}"/>`);
+            });
+
+            if (person.description) {
+                const note = { ...nextHandle('N'), text: person.description };
+                notes.push(note);
+                lines.push(`      <noteref hlink="${note.handle}"/>`);
+            }
+
+            (person.biblicalReferences || []).forEach(reference => {
+                lines.push(`      <citationref hlink="${getCitation(reference).handle}"/>`);
+            });
+
+            lines.push('    </person>');
+            peopleXml.push(...lines);
+        });
+
+        xml.push('<?xml version="1.0" encoding="UTF-8"?>');
+        xml.push('<!DOCTYPE database PUBLIC "-//Gramps//DTD Gramps XML 1.7.1//EN"');
+        xml.push('"http://gramps-project.org/xml/1.7.1/grampsxml.dtd">');
+        xml.push('<database xmlns="http://gramps-project.org/xml/1.7.1/">');
+        xml.push('  <header>');
+        xml.push(`    <created date="${new Date().toISOString().slice(0, 10)}" version="5.1.0"/>`);
+        xml.push('    <researcher>');
+        xml.push('      <resname>Biblical Genealogy Exporter</resname>');
+        xml.push('    </researcher>');
+        xml.push('  </header>');
+
+        if (events.length > 0) {
+            xml.push('  <events>');
+            events.forEach(event => {
+                xml.push(`    <event handle="${event.handle}" id="${event.id}">`);
+                xml.push(`      <type>${event.type}</type>`);
+                if (event.dateXml) {
+                    xml.push(`      ${event.dateXml}`);
+                }
+                if (event.place) {
+                    xml.push(`      <place hlink="${event.place}"/>`);
+                }
+                if (event.description) {
+                    xml.push(`      <description>${escapeXml(event.description)}</description>`);
+                }
+                xml.push('    </event>');
+            });
+            xml.push('  </events>');
+        }
+
+        xml.push('  <people>');
+        xml.push(...peopleXml);
+        xml.push('  </people>');
+
+        if (families.length > 0) {
+            xml.push('  <families>');
+            families.forEach(family => {
+                const { handle, id } = familyHandles[family.id];
+                const isCouple = Boolean(family.husband && family.wife);
+                xml.push(`    <family handle="${handle}" id="${id}">`);
+                xml.push(`      <rel type="${isCouple ? 'Married' : 'Unknown'}"/>`);
+                if (family.husband) {
+                    xml.push(`      <father hlink="${personHandles[family.husband]}"/>`);
+                }
+                if (family.wife) {
+                    xml.push(`      <mother hlink="${personHandles[family.wife]}"/>`);
+                }
+                family.children.forEach(childId => {
+                    xml.push(`      <childref hlink="${personHandles[childId]}"/>`);
+                });
+                xml.push('    </family>');
+            });
+            xml.push('  </families>');
+        }
+
+        const citationList = Object.values(citations);
+        if (citationList.length > 0) {
+            xml.push('  <citations>');
+            citationList.forEach(citation => {
+                xml.push(`    <citation handle="${citation.handle}" id="${citation.id}">`);
+                xml.push(`      <page>${escapeXml(citation.page)}</page>`);
+                xml.push('      <confidence>2</confidence>');
+                xml.push(`      <sourceref hlink="${bibleSource.handle}"/>`);
+                xml.push('    </citation>');
+            });
+            xml.push('  </citations>');
+            xml.push('  <sources>');
+            xml.push(`    <source handle="${bibleSource.handle}" id="${bibleSource.id}">`);
+            xml.push(`      <stitle>${bibleSource.title}</stitle>`);
+            xml.push('    </source>');
+            xml.push('  </sources>');
+        }
+
+        const placeList = Object.values(places);
+        if (placeList.length > 0) {
+            xml.push('  <places>');
+            placeList.forEach(place => {
+                xml.push(`    <placeobj handle="${place.handle}" id="${place.id}" type="Unknown">`);
+                xml.push(`      <ptitle>${escapeXml(place.name)}</ptitle>`);
+                xml.push(`      <pname value="${escapeXml(place.name)}"/>`);
+                xml.push('    </placeobj>');
+            });
+            xml.push('  </places>');
         }
-        
-        for (const era of config.eras) {
-            if (numYear >= era.startYear && numYear <= era.endYear) {
-                return era.id;
-            }
+
+        if (notes.length > 0) {
+            xml.push('  <notes>');
+            notes.forEach(note => {
+                xml.push(`    <note handle="${note.handle}" id="${note.id}" type="Person Note">`);
+                xml.push(`      <text>${escapeXml(note.text)}</text>`);
+                xml.push('    </note>');
+            });
+            xml.push('  </notes>');
         }
-        
-        return config.defaultEra;
+
+        xml.push('</database>');
+        return xml.join('\n') + '\n';
     }
 
     /**
-     * Calculate generation based on birth year
-     * @param {number} birthYear - Year of birth
-     * @returns {number} Generation number
+     * Registers a named transformer for the "custom" target. The transformer
+     * receives a copy of the data and the options passed to
+     * transformGenealogyData, and its return value is passed back unchanged.
+     * A transformer can then be selected with
+     * transformGenealogyData(data, 'custom', { transformer: name }) or
+     * directly with transformGenealogyData(data, name).
+     * @param {string} name - Transformer name
+     * @param {Function} transformer - Function (data, options) => result
+     * @param {Object} [options={}] - Registration options
+     * @param {boolean} [options.overwrite=false] - Replace an existing transformer of the same name
+     * @returns {boolean} True when registered
      */
-    function calculateGeneration(birthYear) {
-        const numYear = parseInt(birthYear);
-        
-        if (isNaN(numYear)) {
-            return 0;
+    function registerTransformer(name, transformer, options = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Transformer name must be a non-empty string');
         }
-        
-        const yearsSinceStart = numYear - config.generations.startYear;
-        return Math.floor(yearsSinceStart / config.generations.yearSpan);
-    }
 
-    /**
-     * Checks if a person is a key biblical figure
-     * @param {string} id - Person ID
-     * @returns {boolean} True if key figure
-     */
-    function isKeyBiblicalFigure(id) {
-        return config.keyFigures.includes(id.toLowerCase());
+        if (typeof transformer !== 'function') {
+            throw new Error(`Transformer "${name}" must be a function`);
+        }
+
+        const key = name.trim().toLowerCase();
+
+        if (BUILT_IN_FORMATS.includes(key)) {
+            throw new Error(`"${name}" is a built-in format and cannot be registered`);
+        }
+
+        if (customTransformers[key] && !options.overwrite) {
+            handleError(
+                ERROR_TYPES.CONFIGURATION,
+                `Transformer "${name}" is already registered`,
+                { name }
+            );
+            return false;
+        }
+
+        customTransformers[key] = transformer;
+        return true;
     }
 
     /**
-     * Computes statistics about a genealogy dataset
-     * @param {Object} data - The genealogy data
-     * @returns {Object} Statistics about the dataset
+     * Removes a registered custom transformer
+     * @param {string} name - Transformer name
+     * @returns {boolean} True if a transformer was removed
      */
-    function computeStatistics(data) {
-        if (!data || !data.nodes || !data.links) {
-            console.error("Invalid data provided to computeStatistics");
-            return {};
+    function unregisterTransformer(name) {
+        const key = String(name || '').trim().toLowerCase();
+
+        if (!customTransformers[key]) {
+            return false;
         }
-        
-        const stats = {
-            nodeCount: data.nodes.length,
-            linkCount: data.links.length,
-            generations: new Set(),
-            eras: new Set(),
-            types: new Set(),
-            relationshipTypes: new Set(),
-            avgConnections: 0,
-            keyFigures: 0,
-            connectivityDensity: 0,
-            longestLife: { age: 0, person: null },
-            mostConnected: { connections: 0, person: null }
-        };
-        
-        // Node-based statistics
-        const connectionCounts = {};
-        
-        data.nodes.forEach(node => {
-            if (node.generation) {
-                stats.generations.add(node.generation);
-            }
-            
-            if (node.era) {
-                stats.eras.add(node.era);
-            }
-            
-            if (node.type) {
-                stats.types.add(node.type);
-            }
-            
-            if (isKeyBiblicalFigure(node.id)) {
-                stats.keyFigures++;
-            }
-            
-            if (node.birthYear && node.deathYear) {
-                const age = parseInt(node.deathYear) - parseInt(node.birthYear);
-                if (age > stats.longestLife.age) {
-                    stats.longestLife = { age, person: node };
-                }
-            }
-            
-            connectionCounts[node.id] = 0;
-        });
-        
-        // Link-based statistics
-        data.links.forEach(link => {
-            if (link.type) {
-                stats.relationshipTypes.add(link.type);
-            }
-            
-            const sourceId = link.source.id || link.source;
-            const targetId = link.target.id || link.target;
-            
-            connectionCounts[sourceId] = (connectionCounts[sourceId] || 0) + 1;
-            connectionCounts[targetId] = (connectionCounts[targetId] || 0) + 1;
-        });
-        
-        // Compute derived statistics
-        let totalConnections = 0;
-        
-        Object.keys(connectionCounts).forEach(id => {
-            const count = connectionCounts[id];
-            totalConnections += count;
-            
-            if (count > stats.mostConnected.connections) {
-                stats.mostConnected = {
-                    connections: count,
-                    person: data.nodes.find(node => node.id === id)
-                };
-            }
-        });
-        
-        stats.avgConnections = totalConnections / data.nodes.length;
-        stats.connectivityDensity = data.links.length / (data.nodes.length * (data.nodes.length - 1) / 2);
-        
-        // Convert sets to arrays for easier use
-        stats.generations = Array.from(stats.generations).sort((a, b) => a - b);
-        stats.eras = Array.from(stats.eras);
-        stats.types = Array.from(stats.types);
-        stats.relationshipTypes = Array.from(stats.relationshipTypes);
-        
-        return stats;
+
+        delete customTransformers[key];
+        return true;
     }
 
     /**
-     * Transforms data between different genealogy formats
-     * @param {Object} data - Source data
-     * @param {string} targetFormat - Target format ('d3', 'gedcom', 'gramps', 'custom')
-     * @returns {Object} Transformed data
+     * Lists the names of the registered custom transformers
+     * @returns {Array<string>} Transformer names
      */
-    function transformGenealogyData(data, targetFormat = 'd3') {
-        if (!data) {
-            return null;
-        }
-        
-        switch (targetFormat.toLowerCase()) {
-            case 'd3':
-                return transformToD3Format(data);
-            case 'gedcom':
-                return transformToGedcomFormat(data);
-            case 'gramps':
-                return transformToGrampsFormat(data);
-            case 'custom':
-                return transformToCustomFormat(data);
-            default:
-                return data;
-        }
+    function getRegisteredTransformers() {
+        return Object.keys(customTransformers);
     }
 
     /**
-     * Transform data to D3.js format
+     * Runs a registered custom transformer
      * @param {Object} data - Source data
-     * @returns {Object} D3 formatted data
+     * @param {Object} [options={}] - Options; options.transformer names the transformer
+     * @returns {*} Transformer result, or null if no transformer matched or it failed
      */
-    function transformToD3Format(data) {
-        if (!data) return null;
-        
-        // If already in D3 format (nodes/links)
-        if (data.nodes && data.links) {
-            return JSON.parse(JSON.stringify(data));
+    function transformToCustomFormat(data, options = {}) {
+        const key = String(options.transformer || '').trim().toLowerCase();
+        const transformer = customTransformers[key];
+
+        if (!transformer) {
+            handleError(
+                ERROR_TYPES.CONFIGURATION,
+                key ? `No custom transformer registered as "${options.transformer}"` :
+                    'The custom target requires options.transformer',
+                { available: getRegisteredTransformers() }
+            );
+            return null;
         }
-        
-        // Convert from people/relationships format
-        if (data.people && data.relationships) {
-            return {
-                nodes: data.people.map(person => ({
-                    id: person.id,
-                    name: person.name || person.fullName,
-                    group: person.type || person.group || 1,
-                    ...person
-                })),
-                links: data.relationships.map(rel => ({
-                    source: rel.from || rel.source,
-                    target: rel.to || rel.target,
-                    type: rel.type,
-                    value: rel.strength || 1,
-                    ...rel
-                }))
-            };
+
+        try {
+            return transformer(JSON.parse(JSON.stringify(data)), options);
+        } catch (error) {
+            handleError(
+                ERROR_TYPES.PROCESSING,
+                `Custom transformer "${key}" failed: ${error.message}`,
+                { error }
+            );
+            return null;
         }
-        
-        return null;
     }
 
+    // Fields of a person record in Genealogy-dataset.json, in file order
+    const PERSON_RECORD_FIELDS = [
+        'id', 'fullName', 'alternateNames', 'gender', 'birthYear', 'deathYear', 'birthDate', 'deathDate',
+        'age', 'birthplace', 'deathplace', 'location', 'occupation', 'tribe', 'father', 'mother',
+        'spouses', 'children', 'biblicalReferences', 'significance', 'isAncestorOfDavid',
+        'isAncestorOfJesus', 'era', 'relationships', 'citations', 'claims'
+    ];
+
     /**
-     * Transform to GEDCOM format (simplified)
-     * @param {Object} data - Source data
-     * @returns {string} GEDCOM formatted data
+     * Turns a processed node back into a person record as the dataset file
+     * writes it: stated values only, without years the chronology engine
+     * derived, tradition-specific values or display fields
+     * @param {Object} node - Person node
+     * @returns {Object} Person record
      */
-    function transformToGedcomFormat(data) {
-        if (!data || (!data.nodes && !data.people)) {
-            return '';
-        }
-        
-        const people = data.people || data.nodes;
-        const relationships = data.relationships || data.links;
+    function toPersonRecord(node) {
+        const stated = node.statedFacts || {};
+        const record = {};
         
-        let gedcom = "0 HEAD\n1 GEDC\n2 VERS 5.5.1\n1 CHAR UTF-8\n0 @SUBM@ SUBM\n1 NAME Biblical Genealogy Exporter\n";
-        
-        // Add people
-        people.forEach(person => {
-            gedcom += `0 @${person.id}@ INDI\n`;
-            gedcom += `1 NAME ${person.name || person.fullName || 'Unknown'}\n`;
-            
-            if (person.birthYear) {
-                gedcom += "1 BIRT\n2 DATE " + person.birthYear + "\n";
-            }
+        PERSON_RECORD_FIELDS.forEach(field => {
+            let value = field in stated ? stated[field] : node[field];
             
-            if (person.deathYear) {
-                gedcom += "1 DEAT\n2 DATE " + person.deathYear + "\n";
+            if (field === 'fullName') {
+                value = value || node.name;
+            } else if ((field === 'birthYear' || field === 'deathYear') && node[`${field}Derived`]) {
+                value = null;
+            } else if ((field === 'birthDate' || field === 'deathDate') && value && typeof value === 'object') {
+                // Keep the date as it was written; a plain year is already in birthYear/deathYear
+                value = value.text && String(value.text) !== String(value.year) && !value.derived ? value.text : undefined;
             }
             
-            if (person.gender) {
-                gedcom += `1 SEX ${person.gender.charAt(0)}\n`;
-            }
-            
-            if (person.description) {
-                gedcom += `1 NOTE ${person.description}\n`;
-            }
-        });
-        
-        // Add families
-        let familyCount = 1;
-        const familyMap = {};
-        
-        relationships.forEach(rel => {
-            if (rel.type === 'spouse') {
-                const sourceId = rel.source || rel.from;
-                const targetId = rel.target || rel.to;
-                
-                const famId = `F${familyCount++}`;
-                familyMap[famId] = { husb: null, wife: null, children: [] };
-                
-                const sourcePerson = people.find(p => p.id === sourceId);
-                const targetPerson = people.find(p => p.id === targetId);
-                
-                if (sourcePerson && targetPerson) {
-                    const sourceGender = sourcePerson.gender || '';
-                    const targetGender = targetPerson.gender || '';
-                    
-                    if (sourceGender.toLowerCase().startsWith('m')) {
-                        familyMap[famId].husb = sourceId;
-                        familyMap[famId].wife = targetId;
-                    } else {
-                        familyMap[famId].husb = targetId;
-                        familyMap[famId].wife = sourceId;
-                    }
-                    
-                    gedcom += `0 @${famId}@ FAM\n`;
-                    gedcom += `1 HUSB @${familyMap[famId].husb}@\n`;
-                    gedcom += `1 WIFE @${familyMap[famId].wife}@\n`;
-                }
+            if (value !== undefined) {
+                record[field] = JSON.parse(JSON.stringify(value));
             }
         });
         
-        // Add parent-child relationships
-        relationships.forEach(rel => {
-            if (rel.type === 'parent' || rel.type === 'child') {
-                const parentId = rel.type === 'parent' ? rel.source || rel.from : rel.target || rel.to;
-                const childId = rel.type === 'parent' ? rel.target || rel.to : rel.source || rel.from;
-                
-                // Find family for this parent
-                let familyId = null;
-                
-                Object.keys(familyMap).forEach(famId => {
-                    if (familyMap[famId].husb === parentId || familyMap[famId].wife === parentId) {
-                        familyId = famId;
-                        if (!familyMap[famId].children.includes(childId)) {
-                            familyMap[famId].children.push(childId);
-                        }
-                    }
-                });
-                
-                // Create new family if none exists
-                if (!familyId) {
-                    familyId = `F${familyCount++}`;
-                    
-                    const parentPerson = people.find(p => p.id === parentId);
-                    
-                    if (parentPerson) {
-                        const parentGender = (parentPerson.gender || '').toLowerCase().startsWith('m');
-                        
-                        familyMap[familyId] = {
-                            husb: parentGender ? parentId : null,
-                            wife: parentGender ? null : parentId,
-                            children: [childId]
-                        };
-                        
-                        gedcom += `0 @${familyId}@ FAM\n`;
-                        
-                        if (parentGender) {
-                            gedcom += `1 HUSB @${parentId}@\n`;
-                        } else {
-                            gedcom += `1 WIFE @${parentId}@\n`;
-                        }
-                    }
-                }
-                
-                // Add reference to individual record
-                const personIndex = people.findIndex(p => p.id === childId);
-                if (personIndex >= 0) {
-                    gedcom += `1 CHIL @${childId}@\n`;
-                }
-            }
-        });
+        return record;
+    }
+
+    /**
+     * Builds a dataset file from processed data, in the per-person record
+     * shape of Genealogy-dataset.json, with lastUpdated set to today
+     * @param {Object} data - Processed genealogy data
+     * @returns {Array<Object>} Record dataset: one block of { metadata, people }
+     */
+    function toPersonRecordDataset(data) {
+        const metadata = {
+            ...(data.metadata || {}),
+            lastUpdated: new Date().toISOString().slice(0, 10)
+        };
+        delete metadata.mergedSources;
         
-        gedcom += "0 TRLR\n";
-        return gedcom;
+        return [{
+            metadata,
+            people: (data.nodes || data.people || []).map(toPersonRecord)
+        }];
     }
 
     /**
      * Export genealogy data to various formats
      * @param {Object} data - Data to export
-     * @param {string} format - Export format ('json', 'csv', 'gedcom')
+     * @param {string} format - Export format ('json', 'records', 'csv', 'gedcom', 'gramps');
+     *     'records' writes a dataset file that can be loaded in place of Genealogy-dataset.json
      * @returns {string} Exported data
      */
     function exportGenealogyData(data, format = 'json') {
@@ -1282,12 +3895,18 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
             case 'json':
                 return JSON.stringify(data, null, 2);
             
+            case 'records':
+                return JSON.stringify(toPersonRecordDataset(data), null, 4);
+            
             case 'csv':
                 return exportToCSV(data);
             
             case 'gedcom':
                 return transformToGedcomFormat(data);
             
+            case 'gramps':
+                return transformToGrampsFormat(data);
+            
             default:
                 return JSON.stringify(data);
         }
@@ -1303,22 +3922,38 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
             return '';
         }
         
-        const people = data.people || data.nodes;
-        const relationships = data.relationships || data.links;
+        // Prefer the processed nodes and links, as buildFamilyGroups does
+        const people = data.nodes || data.people;
+        const relationships = data.links || data.relationships || [];
+        const endpoint = value => (value && typeof value === 'object') ? value.id : value;
+        
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const csvDate = (date, year) => {
+            const value = toDateValue(date || year);
+            const representative = getDateYear(value);
+            return {
+                year: representative === null ? '' : representative,
+                text: value.type === 'exact' || (value.type === 'unknown' && !value.text) ? '' : quote(formatDisplayDate(value))
+            };
+        };
         
-        // People CSV
-        let peopleCSV = 'id,name,birth_year,death_year,gender,type,era,generation\n';
+        // People CSV; *_date carries the recorded form of uncertain dates
+        let peopleCSV = 'id,name,birth_year,death_year,gender,type,era,generation,birth_date,death_date\n';
         
         people.forEach(person => {
+            const birth = csvDate(person.birthDate, person.birthYear);
+            const death = csvDate(person.deathDate, person.deathYear);
             peopleCSV += [
                 person.id,
-                `"${(person.name || person.fullName || '').replace(/"/g, '""')}"`,
-                person.birthYear || '',
-                person.deathYear || '',
+                quote(person.name || person.fullName || ''),
+                birth.year,
+                death.year,
                 person.gender || '',
                 person.type || '',
                 person.era || '',
-                person.generation || ''
+                person.generation || '',
+                birth.text,
+                death.text
             ].join(',') + '\n';
         });
         
@@ -1327,8 +3962,8 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         
         relationships.forEach(rel => {
             relCSV += [
-                rel.source || rel.from,
-                rel.target || rel.to,
+                endpoint(rel.source || rel.from),
+                endpoint(rel.target || rel.to),
                 rel.type || '',
                 `"${(rel.description || '').replace(/"/g, '""')}"`
             ].join(',') + '\n';
@@ -1424,7 +4059,12 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         if (data.people && Array.isArray(data.people) && data.relationships && Array.isArray(data.relationships)) {
             return true;
         }
-        
+
+        // Check for per-person record array (Genealogy-dataset.json format)
+        if (isPersonRecordDataset(data)) {
+            return true;
+        }
+
         return false;
     }
 
@@ -1436,17 +4076,56 @@ window.GenealogyDataUtils = window.GenealogyDataUtils || (function() {
         return {
             RELATIONSHIP_TYPES,
             loadGenealogyData,
+            loadGenealogySources,
             loadGenealogyDataFromFileInput,
             validateGenealogyData,
+            checkConsistency,
             processGenealogyData,
+            deriveGenealogyData,
+            adaptPersonRecordDataset,
+            updateIndices,
+            searchGenealogyData,
+            inferRelationships,
+            computeGenerations,
+            isGenerationInRange,
             enrichDataset,
             findRelationshipPath,
             describeRelationship,
+            calculateKinship,
+            calculateNetworkMetrics,
+            getRelationshipStrength,
+            isDerivedLink,
+            getLineages,
+            configureLineages,
+            getLineageMembers,
+            deriveLineages,
+            detectCommunities,
+            findCommonAncestors,
+            calculateRelationshipCoefficient,
+            calculateInbreedingCoefficient,
+            calculatePedigreeCollapse,
+            analyzePedigree,
+            deriveChronology,
+            toDateValue,
+            getDateYear,
+            formatDisplayDate,
+            getEra,
+            getEras,
+            resolveEra,
+            compareEras,
+            configureEras,
+            determineEra,
+            getLifespan,
             generateCategoryColors,
             createSubgraph,
             computeStatistics,
             transformGenealogyData,
+            registerTransformer,
+            unregisterTransformer,
+            getRegisteredTransformers,
             exportGenealogyData,
+            toPersonRecord,
+            toPersonRecordDataset,
             analyzeDataset,
             getFallbackData
         };
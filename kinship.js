@@ -0,0 +1,478 @@
+/**
+ * Biblical Genealogy Kinship Calculator
+ * Names the relationship between two people from their lowest common
+ * ancestors over parent links ("second cousin once removed", "half-brother"),
+ * falling back to relationships by marriage ("father-in-law", "uncle by marriage").
+ */
+const Kinship = (function() {
+    // Gendered terms: [male, female, unknown]
+    const TERMS = {
+        self: ['self', 'self', 'self'],
+        parent: ['father', 'mother', 'parent'],
+        child: ['son', 'daughter', 'child'],
+        sibling: ['brother', 'sister', 'sibling'],
+        pibling: ['uncle', 'aunt', 'uncle or aunt'],
+        nibling: ['nephew', 'niece', 'nephew or niece'],
+        cousin: ['cousin', 'cousin', 'cousin'],
+        spouse: ['husband', 'wife', 'spouse'],
+        stepparent: ['stepfather', 'stepmother', 'stepparent'],
+        stepchild: ['stepson', 'stepdaughter', 'stepchild']
+    };
+
+    const ORDINAL_WORDS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+    /**
+     * Gets the id of a link endpoint, which D3 may have replaced with the node
+     * @param {string|Object} endpoint - Link source or target
+     * @returns {string} Node id
+     */
+    function endpointId(endpoint) {
+        return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+    }
+
+    /**
+     * Builds parent, spouse and sibling lookups from the data's links
+     * @param {Object} data - Genealogy data with nodes and links
+     * @returns {Object} Graph with nodes, parents, spouses and siblings maps
+     */
+    function buildKinshipGraph(data) {
+        const graph = { nodes: {}, parents: {}, spouses: {}, siblings: {} };
+        const add = (map, key, value) => {
+            (map[key] = map[key] || new Set()).add(value);
+        };
+
+        (data.nodes || data.people || []).forEach(node => {
+            graph.nodes[node.id] = node;
+        });
+
+        (data.links || []).forEach(link => {
+            const source = endpointId(link.source);
+            const target = endpointId(link.target);
+
+            if (!source || !target || source === target) {
+                return;
+            }
+
+            switch (link.type) {
+                case 'parent':
+                    add(graph.parents, target, source);
+                    break;
+                case 'child':
+                    add(graph.parents, source, target);
+                    break;
+                case 'spouse':
+                    add(graph.spouses, source, target);
+                    add(graph.spouses, target, source);
+                    break;
+                case 'sibling':
+                    add(graph.siblings, source, { id: target, subtype: link.subtype });
+                    add(graph.siblings, target, { id: source, subtype: link.subtype });
+                    break;
+            }
+        });
+
+        return graph;
+    }
+
+    /**
+     * Finds every ancestor of a person with the fewest generations to reach it
+     * @param {Object} graph - Kinship graph
+     * @param {string} id - Person id
+     * @returns {Map<string, number>} Ancestor id to generations (the person is 0)
+     */
+    function getAncestorDepths(graph, id) {
+        const depths = new Map([[id, 0]]);
+        const queue = [id];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (graph.parents[current] || []).forEach(parentId => {
+                if (!depths.has(parentId)) {
+                    depths.set(parentId, depths.get(current) + 1);
+                    queue.push(parentId);
+                }
+            });
+        }
+
+        return depths;
+    }
+
+    /**
+     * Finds the lowest common ancestors of two people. A person counts as
+     * their own ancestor at depth 0, so direct lines are found too.
+     * @param {Object} graph - Kinship graph
+     * @param {string} fromId - First person
+     * @param {string} toId - Second person
+     * @returns {Object|null} { ancestors, fromGenerations, toGenerations } or null
+     */
+    function findLowestCommonAncestors(graph, fromId, toId) {
+        const fromDepths = getAncestorDepths(graph, fromId);
+        const toDepths = getAncestorDepths(graph, toId);
+        let best = null;
+
+        fromDepths.forEach((fromDepth, ancestorId) => {
+            if (!toDepths.has(ancestorId)) {
+                return;
+            }
+
+            const toDepth = toDepths.get(ancestorId);
+            const total = fromDepth + toDepth;
+
+            if (!best || total < best.total) {
+                best = { total, fromGenerations: fromDepth, toGenerations: toDepth, ancestors: [ancestorId] };
+            } else if (total === best.total && fromDepth === best.fromGenerations) {
+                best.ancestors.push(ancestorId);
+            }
+        });
+
+        if (!best) {
+            return null;
+        }
+
+        return {
+            ancestors: best.ancestors,
+            fromGenerations: best.fromGenerations,
+            toGenerations: best.toGenerations
+        };
+    }
+
+    /**
+     * Finds the child of an ancestor on the line leading down to a person
+     * @param {Object} graph - Kinship graph
+     * @param {string} ancestorId - Common ancestor
+     * @param {string} personId - Descendant
+     * @param {number} generations - Generations between them
+     * @returns {string|null} The ancestor's child on that line
+     */
+    function findLineChild(graph, ancestorId, personId, generations) {
+        let line = [personId];
+
+        for (let depth = 1; depth < generations; depth++) {
+            const next = [];
+            line.forEach(id => (graph.parents[id] || []).forEach(parentId => next.push(parentId)));
+            line = next;
+        }
+
+        return line.find(id => (graph.parents[id] || new Set()).has(ancestorId)) || null;
+    }
+
+    /**
+     * Decides whether a collateral relationship is through half-siblings:
+     * only one common ancestor, and the two lines descend from children with
+     * a different recorded other parent
+     * @param {Object} graph - Kinship graph
+     * @param {Object} lca - Result of findLowestCommonAncestors
+     * @param {string} fromId - First person
+     * @param {string} toId - Second person
+     * @returns {boolean} True for half relationships
+     */
+    function isHalfRelationship(graph, lca, fromId, toId) {
+        if (lca.ancestors.length !== 1) {
+            return false;
+        }
+
+        const ancestorId = lca.ancestors[0];
+        const fromChild = findLineChild(graph, ancestorId, fromId, lca.fromGenerations);
+        const toChild = findLineChild(graph, ancestorId, toId, lca.toGenerations);
+
+        if (!fromChild || !toChild) {
+            return false;
+        }
+
+        const otherParents = (childId) => Array.from(graph.parents[childId] || []).filter(id => id !== ancestorId);
+        const fromOthers = otherParents(fromChild);
+        const toOthers = otherParents(toChild);
+
+        return fromOthers.length > 0 && toOthers.length > 0 &&
+            !fromOthers.some(id => toOthers.includes(id));
+    }
+
+    /**
+     * Picks the gendered form of a term
+     * @param {string} kind - Key of TERMS
+     * @param {Object} person - Person the term describes
+     * @returns {string} Term
+     */
+    function gendered(kind, person) {
+        const gender = ((person && person.gender) || '').toLowerCase();
+        const index = gender.startsWith('m') ? 0 : gender.startsWith('f') ? 1 : 2;
+        return TERMS[kind][index];
+    }
+
+    /**
+     * Builds the "great-" prefix for a number of extra generations
+     * @param {number} count - Number of greats
+     * @returns {string} Prefix such as "great-great-" or "4th great-"
+     */
+    function greats(count) {
+        if (count <= 0) {
+            return '';
+        }
+        if (count <= 3) {
+            return 'great-'.repeat(count);
+        }
+        return `${ordinalNumber(count)} great-`;
+    }
+
+    /**
+     * Formats a number as a numeric ordinal (1st, 2nd, 3rd, 4th, ...)
+     * @param {number} n - Number
+     * @returns {string} Ordinal
+     */
+    function ordinalNumber(n) {
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' :
+            ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix}`;
+    }
+
+    /**
+     * Names a cousin relationship
+     * @param {number} degree - Cousin degree (1 = first cousin)
+     * @param {number} removal - Generations removed
+     * @returns {string} Term such as "second cousin once removed"
+     */
+    function cousinTerm(degree, removal) {
+        const ordinal = ORDINAL_WORDS[degree] || ordinalNumber(degree);
+        const removed = removal === 0 ? '' :
+            removal === 1 ? ' once removed' :
+            removal === 2 ? ' twice removed' :
+            ` ${removal} times removed`;
+        return `${ordinal} cousin${removed}`;
+    }
+
+    /**
+     * Names a blood relationship from the generations on each side of the
+     * lowest common ancestor
+     * @param {number} fromGenerations - Generations from the described person up to the ancestor
+     * @param {number} toGenerations - Generations from the other person up to the ancestor
+     * @param {Object} person - The described person (for gendered terms)
+     * @param {boolean} half - Whether the lines meet through half-siblings
+     * @returns {Object} { type, term, cousinDegree, removal }
+     */
+    function nameBloodRelationship(fromGenerations, toGenerations, person, half) {
+        const a = fromGenerations;
+        const b = toGenerations;
+        const halfPrefix = half ? 'half-' : '';
+        // "half-uncle", but "half great-uncle" as with "half first cousin"
+        const withHalf = (generations, base) => (half && generations > 0 ?
+            `half ${greats(generations)}${base}` : `${halfPrefix}${greats(generations)}${base}`);
+
+        if (a === 0 && b === 0) {
+            return { type: 'self', term: 'self' };
+        }
+
+        if (a === 0) {
+            const base = gendered('parent', person);
+            const term = b === 1 ? base : `${greats(b - 2)}grand${base}`;
+            return { type: 'ancestor', term };
+        }
+
+        if (b === 0) {
+            const base = gendered('child', person);
+            const term = a === 1 ? base : `${greats(a - 2)}grand${base}`;
+            return { type: 'descendant', term };
+        }
+
+        if (a === 1 && b === 1) {
+            return { type: 'sibling', term: `${halfPrefix}${gendered('sibling', person)}` };
+        }
+
+        if (a === 1) {
+            return { type: 'uncle-aunt', term: withHalf(b - 2, gendered('pibling', person)) };
+        }
+
+        if (b === 1) {
+            return { type: 'nephew-niece', term: withHalf(a - 2, gendered('nibling', person)) };
+        }
+
+        const cousinDegree = Math.min(a, b) - 1;
+        const removal = Math.abs(a - b);
+        return {
+            type: 'cousin',
+            term: `${half ? 'half ' : ''}${cousinTerm(cousinDegree, removal)}`,
+            cousinDegree,
+            removal
+        };
+    }
+
+    /**
+     * Computes the blood relationship between two people, if any
+     * @param {Object} graph - Kinship graph
+     * @param {string} fromId - Described person
+     * @param {string} toId - Reference person
+     * @returns {Object|null} Kinship result or null if not related by blood
+     */
+    function bloodKinship(graph, fromId, toId) {
+        const lca = findLowestCommonAncestors(graph, fromId, toId);
+
+        if (!lca) {
+            // Siblings recorded without parents can still be named
+            const sibling = Array.from(graph.siblings[fromId] || []).find(entry => entry.id === toId);
+            if (sibling) {
+                const half = sibling.subtype === 'half-sibling';
+                return {
+                    ...nameBloodRelationship(1, 1, graph.nodes[fromId], half),
+                    half,
+                    generations: { from: 1, to: 1 },
+                    commonAncestors: []
+                };
+            }
+            return null;
+        }
+
+        const collateral = lca.fromGenerations > 0 && lca.toGenerations > 0;
+        const half = collateral && isHalfRelationship(graph, lca, fromId, toId);
+        const named = nameBloodRelationship(lca.fromGenerations, lca.toGenerations, graph.nodes[fromId], half);
+
+        return {
+            ...named,
+            half,
+            generations: { from: lca.fromGenerations, to: lca.toGenerations },
+            commonAncestors: lca.ancestors
+        };
+    }
+
+    /**
+     * Names a relationship by marriage, given the blood relationship on the
+     * other side of the marriage
+     * @param {Object} blood - Blood kinship across the marriage
+     * @param {Object} person - The described person
+     * @param {boolean} throughOwnSpouse - True when the described person's spouse is the blood relative
+     * @returns {Object} { type, term }
+     */
+    function nameMarriageRelationship(blood, person, throughOwnSpouse) {
+        if (throughOwnSpouse) {
+            // The described person married the other's relative
+            switch (blood.type) {
+                case 'ancestor':
+                    return blood.generations.to === 1 ?
+                        { type: 'step', term: gendered('stepparent', person) } :
+                        { type: 'by-marriage', term: `step-${blood.term.replace(/(father|mother|parent)$/, gendered('parent', person))}` };
+                case 'sibling':
+                    return { type: 'in-law', term: `${gendered('sibling', person)}-in-law` };
+                case 'descendant':
+                    return blood.generations.from === 1 ?
+                        { type: 'in-law', term: `${gendered('child', person)}-in-law` } :
+                        { type: 'by-marriage', term: `${blood.term.replace(/(son|daughter|child)$/, gendered('child', person))}-in-law` };
+                default: {
+                    const base = blood.term
+                        .replace(/(uncle or aunt|uncle|aunt)$/, gendered('pibling', person))
+                        .replace(/(nephew or niece|nephew|niece)$/, gendered('nibling', person));
+                    return { type: 'by-marriage', term: `${base} by marriage` };
+                }
+            }
+        }
+
+        // The described person is a relative of the other's spouse
+        switch (blood.type) {
+            case 'ancestor':
+                return blood.generations.to === 1 ?
+                    { type: 'in-law', term: `${blood.term}-in-law` } :
+                    { type: 'by-marriage', term: `${blood.term}-in-law` };
+            case 'sibling':
+                return { type: 'in-law', term: `${blood.term}-in-law` };
+            case 'descendant':
+                return blood.generations.from === 1 ?
+                    { type: 'step', term: gendered('stepchild', person) } :
+                    { type: 'by-marriage', term: `step-${blood.term}` };
+            default:
+                return { type: 'by-marriage', term: `${blood.term} by marriage` };
+        }
+    }
+
+    /**
+     * Calculates how one person is related to another: by blood through the
+     * lowest common ancestors, as spouses, or through a marriage
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {string} fromId - Person being described
+     * @param {string} toId - Person they are described relative to
+     * @param {Object} [graph] - Prebuilt graph from buildKinshipGraph
+     * @returns {Object} Kinship with type, term, description, generations,
+     *     commonAncestors, half and, for cousins, cousinDegree and removal
+     */
+    function calculateKinship(data, fromId, toId, graph = buildKinshipGraph(data)) {
+        const fromPerson = graph.nodes[fromId];
+        const toPerson = graph.nodes[toId];
+        const nameOf = (person, id) => (person && (person.name || person.fullName)) || id;
+
+        const result = {
+            from: fromId,
+            to: toId,
+            type: 'none',
+            term: null,
+            generations: null,
+            commonAncestors: [],
+            half: false,
+            via: null
+        };
+
+        const describe = (kinship) => {
+            Object.assign(result, kinship);
+            result.description = `${nameOf(fromPerson, fromId)} is the ${result.term} of ${nameOf(toPerson, toId)}`;
+            return result;
+        };
+
+        if (!fromPerson || !toPerson) {
+            result.description = 'Unknown person';
+            return result;
+        }
+
+        const blood = bloodKinship(graph, fromId, toId);
+        if (blood) {
+            if (blood.type === 'self') {
+                result.type = 'self';
+                result.term = 'self';
+                result.description = `${nameOf(fromPerson, fromId)} is the same person`;
+                return result;
+            }
+            return describe(blood);
+        }
+
+        if ((graph.spouses[fromId] || new Set()).has(toId)) {
+            return describe({ type: 'spouse', term: gendered('spouse', fromPerson) });
+        }
+
+        // Relative of the other person's spouse (e.g. father-in-law)
+        for (const spouseId of graph.spouses[toId] || []) {
+            const acrossMarriage = bloodKinship(graph, fromId, spouseId);
+            if (acrossMarriage && acrossMarriage.type !== 'self') {
+                return describe({
+                    ...acrossMarriage,
+                    ...nameMarriageRelationship(acrossMarriage, fromPerson, false),
+                    via: spouseId
+                });
+            }
+        }
+
+        // Spouse of the other person's relative (e.g. uncle by marriage)
+        for (const spouseId of graph.spouses[fromId] || []) {
+            const acrossMarriage = bloodKinship(graph, spouseId, toId);
+            if (acrossMarriage && acrossMarriage.type !== 'self') {
+                return describe({
+                    ...acrossMarriage,
+                    ...nameMarriageRelationship(acrossMarriage, fromPerson, true),
+                    via: spouseId
+                });
+            }
+        }
+
+        result.description = `No family relationship found between ${nameOf(fromPerson, fromId)} and ${nameOf(toPerson, toId)}`;
+        return result;
+    }
+
+    return {
+        buildKinshipGraph,
+        getAncestorDepths,
+        findLowestCommonAncestors,
+        calculateKinship
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Kinship;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Kinship; });
+} else if (typeof window !== 'undefined') {
+    window.Kinship = Kinship;
+}
@@ -0,0 +1,217 @@
+/**
+ * Biblical Genealogy Lineage Engine
+ * Ancestor and descendant closures over parent links, and named lineages
+ * ("Seth's Line", "Messianic Line") defined as a root person, a direction
+ * and optional people the line has to pass through:
+ *
+ *     { "id": "abraham", "name": "Abraham's Line", "root": "abraham", "direction": "descendants", "via": ["isaac"] }
+ *
+ * A lineage can name a boolean person field (isAncestorOfDavid) that its
+ * membership derives. When the root or a via person is not in the data,
+ * people with that field stated true stand in for the computed members.
+ */
+const Lineage = (function() {
+    const DIRECTIONS = {
+        ancestors: 'descendants',
+        descendants: 'ancestors'
+    };
+
+    /**
+     * Gets the id of a link endpoint, which D3 may have replaced with the node
+     * @param {string|Object} endpoint - Link source or target
+     * @returns {string} Node id
+     */
+    function endpointId(endpoint) {
+        return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+    }
+
+    /**
+     * Builds parent and child lookups from parent/child links and the
+     * father and mother fields
+     * @param {Object} data - Genealogy data with nodes (or people) and links
+     * @returns {Object} Graph of { nodes, parents, children } maps
+     */
+    function buildParentGraph(data) {
+        const graph = { nodes: new Map(), parents: new Map(), children: new Map() };
+        const add = (parentId, childId) => {
+            if (!parentId || !childId || parentId === childId) {
+                return;
+            }
+            if (!graph.parents.has(childId)) {
+                graph.parents.set(childId, new Set());
+            }
+            if (!graph.children.has(parentId)) {
+                graph.children.set(parentId, new Set());
+            }
+            graph.parents.get(childId).add(parentId);
+            graph.children.get(parentId).add(childId);
+        };
+
+        const nodes = data.nodes || data.people || [];
+        nodes.forEach(node => {
+            graph.nodes.set(node.id, node);
+        });
+        nodes.forEach(node => {
+            add(node.father, node.id);
+            add(node.mother, node.id);
+        });
+
+        (data.links || []).forEach(link => {
+            if (link.type === 'parent') {
+                add(endpointId(link.source), endpointId(link.target));
+            } else if (link.type === 'child') {
+                add(endpointId(link.target), endpointId(link.source));
+            }
+        });
+
+        return graph;
+    }
+
+    /**
+     * Finds everyone reachable from a person along parent edges in one direction
+     * @param {Object} graph - Graph from buildParentGraph
+     * @param {string} id - Person id
+     * @param {string} direction - 'ancestors' or 'descendants'
+     * @returns {Set<string>} Person ids, including the person
+     */
+    function getClosure(graph, id, direction) {
+        const edges = direction === 'ancestors' ? graph.parents : graph.children;
+        const reached = new Set([id]);
+        const queue = [id];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (edges.get(current) || []).forEach(next => {
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return reached;
+    }
+
+    /**
+     * Finds a person's ancestors
+     * @param {Object} graph - Graph from buildParentGraph
+     * @param {string} id - Person id
+     * @returns {Set<string>} Ancestor ids, including the person
+     */
+    function getAncestors(graph, id) {
+        return getClosure(graph, id, 'ancestors');
+    }
+
+    /**
+     * Finds a person's descendants
+     * @param {Object} graph - Graph from buildParentGraph
+     * @param {string} id - Person id
+     * @returns {Set<string>} Descendant ids, including the person
+     */
+    function getDescendants(graph, id) {
+        return getClosure(graph, id, 'descendants');
+    }
+
+    /**
+     * Finds the members of a named lineage. The line runs from the root in
+     * its direction through each via person in turn: everyone on a line of
+     * descent between two consecutive stops is a member, and so is everyone
+     * past the last stop.
+     * @param {Object} graph - Graph from buildParentGraph
+     * @param {Object} lineage - { id, name, root, direction, via, flag }
+     * @returns {Object} { id, name, members, derived, missing, warnings }; derived
+     *     is false when the members come from the lineage's stated flag
+     */
+    function resolveLineage(graph, lineage) {
+        const direction = DIRECTIONS[lineage.direction] ? lineage.direction : 'descendants';
+        const stops = [lineage.root, ...(lineage.via || [])].filter(Boolean);
+        const result = {
+            id: lineage.id,
+            name: lineage.name || lineage.id,
+            members: new Set(),
+            derived: false,
+            missing: stops.filter(id => !graph.nodes.has(id)),
+            warnings: []
+        };
+
+        if (stops.length === 0 || result.missing.length > 0) {
+            if (lineage.flag) {
+                graph.nodes.forEach(node => {
+                    if (node[lineage.flag] === true) {
+                        result.members.add(node.id);
+                    }
+                });
+                result.warnings.push(`${result.name}: ${result.missing.join(', ') || 'root'} not found; using the stated ${lineage.flag} values`);
+            } else {
+                result.warnings.push(`${result.name}: ${result.missing.join(', ') || 'root'} not found`);
+            }
+            return result;
+        }
+
+        for (let index = 0; index < stops.length - 1; index++) {
+            const forward = getClosure(graph, stops[index], direction);
+            if (!forward.has(stops[index + 1])) {
+                result.warnings.push(`${result.name}: ${stops[index + 1]} is not among the ${direction} of ${stops[index]}`);
+                return result;
+            }
+            const backward = getClosure(graph, stops[index + 1], DIRECTIONS[direction]);
+            forward.forEach(id => {
+                if (backward.has(id)) {
+                    result.members.add(id);
+                }
+            });
+        }
+        getClosure(graph, stops[stops.length - 1], direction).forEach(id => result.members.add(id));
+
+        result.derived = true;
+        return result;
+    }
+
+    /**
+     * Sets each lineage's flag field from its computed members. The root is
+     * not flagged, since nobody is their own ancestor. Lineages whose
+     * members could not be computed leave the stated values alone.
+     * @param {Object} graph - Graph from buildParentGraph
+     * @param {Array<Object>} lineages - Lineage definitions
+     * @returns {Object} Ids whose flag changed, keyed by lineage id
+     */
+    function deriveFlags(graph, lineages) {
+        const changed = {};
+
+        lineages.filter(lineage => lineage.flag).forEach(lineage => {
+            const result = resolveLineage(graph, lineage);
+            if (!result.derived) {
+                return;
+            }
+
+            changed[lineage.id] = [];
+            graph.nodes.forEach(node => {
+                const value = result.members.has(node.id) && node.id !== lineage.root;
+                if (Boolean(node[lineage.flag]) !== value) {
+                    changed[lineage.id].push(node.id);
+                }
+                node[lineage.flag] = value;
+            });
+        });
+
+        return changed;
+    }
+
+    return {
+        DIRECTIONS,
+        buildParentGraph,
+        getAncestors,
+        getDescendants,
+        resolveLineage,
+        deriveFlags
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lineage;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Lineage; });
+} else if (typeof window !== 'undefined') {
+    window.Lineage = Lineage;
+}
@@ -0,0 +1,397 @@
+/**
+ * Biblical Genealogy Network Metrics
+ * Centrality and structure of the genealogy as an undirected graph: every
+ * pair of people joined by at least one relationship link is one edge, so
+ * distances count relationships, not generations.
+ *
+ *     const metrics = NetworkMetrics.computeMetrics(data);
+ *     metrics.nodes.abraham.betweenness;   // share of shortest paths through Abraham
+ *     metrics.articulationPoints;          // people whose removal splits the tree
+ *
+ * Node metrics are betweenness, closeness, eigenvector and PageRank (all
+ * scaled to 0..1) plus degree; graph metrics are connected components,
+ * diameter, articulation points and bridges.
+ */
+const NetworkMetrics = (function() {
+    const NODE_METRICS = ['degree', 'betweenness', 'closeness', 'eigenvector', 'pagerank'];
+
+    const DEFAULT_OPTIONS = {
+        damping: 0.85,
+        maxIterations: 100,
+        tolerance: 1e-6,
+        excludeLink: null // link => boolean, e.g. links that only restate others
+    };
+
+    /**
+     * Gets the id of a link endpoint, which D3 may have replaced with the node
+     * @param {string|Object} endpoint - Link source or target
+     * @returns {string} Node id
+     */
+    function endpointId(endpoint) {
+        return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+    }
+
+    /**
+     * Builds an undirected simple graph from nodes and links
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} options - { excludeLink }
+     * @returns {Object} { ids, neighbors } where neighbors[i] is an array of node indices
+     */
+    function buildGraph(data, options) {
+        const ids = (data.nodes || []).map(node => node.id);
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const sets = ids.map(() => new Set());
+
+        (data.links || []).forEach(link => {
+            if (options.excludeLink && options.excludeLink(link)) {
+                return;
+            }
+            const source = index.get(endpointId(link.source));
+            const target = index.get(endpointId(link.target));
+            if (source === undefined || target === undefined || source === target) {
+                return;
+            }
+            sets[source].add(target);
+            sets[target].add(source);
+        });
+
+        return { ids, neighbors: sets.map(set => Array.from(set)) };
+    }
+
+    /**
+     * Breadth-first distances from one node
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @param {number} start - Start node index
+     * @returns {Object} { distance, order, sigma, predecessors } for Brandes' algorithm
+     */
+    function breadthFirst(neighbors, start) {
+        const distance = new Array(neighbors.length).fill(-1);
+        const sigma = new Array(neighbors.length).fill(0);
+        const predecessors = neighbors.map(() => []);
+        const order = [];
+        const queue = [start];
+        distance[start] = 0;
+        sigma[start] = 1;
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            order.push(current);
+            neighbors[current].forEach(next => {
+                if (distance[next] < 0) {
+                    distance[next] = distance[current] + 1;
+                    queue.push(next);
+                }
+                if (distance[next] === distance[current] + 1) {
+                    sigma[next] += sigma[current];
+                    predecessors[next].push(current);
+                }
+            });
+        }
+
+        return { distance, order, sigma, predecessors };
+    }
+
+    /**
+     * Betweenness, closeness and eccentricity from one breadth-first search
+     * per node (Brandes' algorithm)
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @returns {Object} { betweenness, closeness, eccentricity, farthest }
+     */
+    function pathMetrics(neighbors) {
+        const size = neighbors.length;
+        const betweenness = new Array(size).fill(0);
+        const closeness = new Array(size).fill(0);
+        const eccentricity = new Array(size).fill(0);
+        const farthest = new Array(size).fill(-1);
+
+        for (let start = 0; start < size; start++) {
+            const { distance, order, sigma, predecessors } = breadthFirst(neighbors, start);
+
+            // Closeness within the component, scaled by the share of the
+            // graph reached (Wasserman and Faust) so small components rank low
+            let total = 0;
+            order.forEach(node => {
+                total += distance[node];
+                if (distance[node] > eccentricity[start]) {
+                    eccentricity[start] = distance[node];
+                    farthest[start] = node;
+                }
+            });
+            const reached = order.length - 1;
+            closeness[start] = total > 0 && size > 1 ? (reached / (size - 1)) * (reached / total) : 0;
+
+            const dependency = new Array(size).fill(0);
+            for (let i = order.length - 1; i > 0; i--) {
+                const node = order[i];
+                predecessors[node].forEach(previous => {
+                    dependency[previous] += (sigma[previous] / sigma[node]) * (1 + dependency[node]);
+                });
+                betweenness[node] += dependency[node];
+            }
+        }
+
+        // Each pair was counted from both ends
+        const pairs = (size - 1) * (size - 2);
+        for (let i = 0; i < size; i++) {
+            betweenness[i] = pairs > 0 ? betweenness[i] / pairs : 0;
+        }
+
+        return { betweenness, closeness, eccentricity, farthest };
+    }
+
+    /**
+     * Eigenvector centrality by power iteration, scaled so the most central
+     * person scores 1
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @param {Object} options - { maxIterations, tolerance }
+     * @returns {Array<number>} Score per node
+     */
+    function eigenvector(neighbors, options) {
+        let scores = neighbors.map(() => 1);
+
+        for (let iteration = 0; iteration < options.maxIterations; iteration++) {
+            // Adding the previous score keeps bipartite graphs (parents and
+            // children) from oscillating without changing the eigenvector
+            const next = scores.map((score, i) => neighbors[i].reduce((sum, j) => sum + scores[j], score));
+            const max = next.reduce((largest, score) => Math.max(largest, score), 0);
+            if (max === 0) {
+                return scores.map(() => 0);
+            }
+            const normalized = next.map(score => score / max);
+            const change = normalized.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+            scores = normalized;
+            if (change < options.tolerance) {
+                break;
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * PageRank over the undirected graph; people without relationships
+     * spread their rank evenly
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @param {Object} options - { damping, maxIterations, tolerance }
+     * @returns {Array<number>} Rank per node, summing to 1
+     */
+    function pagerank(neighbors, options) {
+        const size = neighbors.length;
+        let ranks = neighbors.map(() => 1 / size);
+
+        for (let iteration = 0; iteration < options.maxIterations; iteration++) {
+            let dangling = 0;
+            neighbors.forEach((list, i) => {
+                if (list.length === 0) {
+                    dangling += ranks[i];
+                }
+            });
+
+            const base = (1 - options.damping) / size + options.damping * dangling / size;
+            const next = new Array(size).fill(base);
+            neighbors.forEach((list, i) => {
+                list.forEach(j => {
+                    next[j] += options.damping * ranks[i] / list.length;
+                });
+            });
+
+            const change = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+            ranks = next;
+            if (change < options.tolerance) {
+                break;
+            }
+        }
+
+        return ranks;
+    }
+
+    /**
+     * Articulation points and bridges with an iterative depth-first search
+     * (Tarjan's low-link method)
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @returns {Object} { articulation: Set<number>, bridges: Array<[number, number]> }
+     */
+    function cutStructure(neighbors) {
+        const size = neighbors.length;
+        const discovered = new Array(size).fill(-1);
+        const low = new Array(size).fill(0);
+        const articulation = new Set();
+        const bridges = [];
+        let time = 0;
+
+        for (let root = 0; root < size; root++) {
+            if (discovered[root] >= 0) {
+                continue;
+            }
+
+            discovered[root] = low[root] = time++;
+            let rootChildren = 0;
+            const stack = [{ node: root, parent: -1, next: 0 }];
+
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const { node, parent } = frame;
+
+                if (frame.next < neighbors[node].length) {
+                    const child = neighbors[node][frame.next++];
+                    if (discovered[child] < 0) {
+                        discovered[child] = low[child] = time++;
+                        if (node === root) {
+                            rootChildren++;
+                        }
+                        stack.push({ node: child, parent: node, next: 0 });
+                    } else if (child !== parent) {
+                        low[node] = Math.min(low[node], discovered[child]);
+                    }
+                    continue;
+                }
+
+                stack.pop();
+                if (parent >= 0) {
+                    low[parent] = Math.min(low[parent], low[node]);
+                    if (low[node] > discovered[parent]) {
+                        bridges.push([parent, node]);
+                    }
+                    if (parent !== root && low[node] >= discovered[parent]) {
+                        articulation.add(parent);
+                    }
+                }
+            }
+
+            if (rootChildren > 1) {
+                articulation.add(root);
+            }
+        }
+
+        return { articulation, bridges };
+    }
+
+    /**
+     * Connected components, largest first
+     * @param {Array<Array<number>>} neighbors - Adjacency lists
+     * @returns {Array<Array<number>>} Node indices of each component
+     */
+    function findComponents(neighbors) {
+        const seen = new Array(neighbors.length).fill(false);
+        const components = [];
+
+        neighbors.forEach((list, start) => {
+            if (seen[start]) {
+                return;
+            }
+            seen[start] = true;
+            const members = [start];
+            for (let head = 0; head < members.length; head++) {
+                neighbors[members[head]].forEach(next => {
+                    if (!seen[next]) {
+                        seen[next] = true;
+                        members.push(next);
+                    }
+                });
+            }
+            components.push(members);
+        });
+
+        return components.sort((a, b) => b.length - a.length || a[0] - b[0]);
+    }
+
+    /**
+     * Computes node centrality and graph structure metrics
+     * @param {Object} data - Genealogy data with nodes and links
+     * @param {Object} [options={}] - { damping, maxIterations, tolerance, excludeLink }
+     * @returns {Object} { nodes, ranges, components, diameter, articulationPoints, bridges }:
+     *     nodes maps each id to its NODE_METRICS values, ranges gives each
+     *     metric's { min, max }, and diameter is the longest shortest path
+     *     { length, from, to } over all components
+     */
+    function computeMetrics(data, options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const { ids, neighbors } = buildGraph(data, settings);
+        const paths = pathMetrics(neighbors);
+        const values = {
+            degree: neighbors.map(list => list.length),
+            betweenness: paths.betweenness,
+            closeness: paths.closeness,
+            eigenvector: eigenvector(neighbors, settings),
+            pagerank: ids.length > 0 ? pagerank(neighbors, settings) : []
+        };
+
+        const nodes = {};
+        ids.forEach((id, i) => {
+            nodes[id] = {};
+            NODE_METRICS.forEach(metric => {
+                nodes[id][metric] = values[metric][i];
+            });
+        });
+
+        const ranges = {};
+        NODE_METRICS.forEach(metric => {
+            ranges[metric] = ids.length > 0 ?
+                values[metric].reduce((range, value) => ({
+                    min: Math.min(range.min, value),
+                    max: Math.max(range.max, value)
+                }), { min: Infinity, max: -Infinity }) :
+                { min: 0, max: 0 };
+        });
+
+        const diameterOf = members => members.reduce((longest, i) => (
+            paths.eccentricity[i] > longest.length ?
+                { length: paths.eccentricity[i], from: ids[i], to: ids[paths.farthest[i]] } :
+                longest
+        ), { length: 0, from: ids[members[0]], to: ids[members[0]] });
+
+        const components = findComponents(neighbors).map((members, i) => ({
+            id: `component-${i + 1}`,
+            size: members.length,
+            nodes: members.map(member => ids[member]),
+            diameter: diameterOf(members)
+        }));
+
+        const { articulation, bridges } = cutStructure(neighbors);
+
+        return {
+            nodes,
+            ranges,
+            components,
+            diameter: components.reduce((longest, component) => (
+                component.diameter.length > longest.length ? component.diameter : longest
+            ), { length: 0, from: null, to: null }),
+            articulationPoints: Array.from(articulation, i => ids[i]),
+            bridges: bridges.map(([source, target]) => ({ source: ids[source], target: ids[target] }))
+        };
+    }
+
+    /**
+     * Lists the highest-scoring people for a metric
+     * @param {Object} metrics - Result of computeMetrics
+     * @param {string} metric - One of NODE_METRICS
+     * @param {number} [limit=10] - Number of people
+     * @returns {Array<Object>} [{ id, value }], highest first
+     */
+    function rankNodes(metrics, metric, limit = 10) {
+        if (!NODE_METRICS.includes(metric)) {
+            throw new Error(`Unknown network metric: ${metric}`);
+        }
+
+        return Object.keys(metrics.nodes)
+            .map(id => ({ id, value: metrics.nodes[id][metric] }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, limit);
+    }
+
+    return {
+        NODE_METRICS,
+        DEFAULT_OPTIONS,
+        computeMetrics,
+        rankNodes
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkMetrics;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return NetworkMetrics; });
+} else if (typeof window !== 'undefined') {
+    window.NetworkMetrics = NetworkMetrics;
+}
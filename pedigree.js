@@ -0,0 +1,360 @@
+/**
+ * Biblical Genealogy Pedigree Analysis
+ * Common ancestors of two or more people with the number of lines of
+ * descent to each, pedigree collapse (unique ancestors against the slots a
+ * pedigree has per generation), and Wright's coefficients of relationship
+ * and inbreeding by path counting:
+ *
+ *     r(X,Y) = Σ (1/2)^(n1+n2) (1 + F_A) / √((1 + F_X)(1 + F_Y))
+ *     F(X)   = Σ (1/2)^(n1+n2+1) (1 + F_A)   over the paths of X's parents
+ *
+ * where each pair of paths meets only at the common ancestor A. Functions
+ * take a parent graph from Lineage.buildParentGraph.
+ */
+const Pedigree = (function() {
+    const DEFAULT_OPTIONS = {
+        // Generations followed up from each person
+        maxGenerations: 50,
+        // Lines of descent listed per person before the rest are skipped
+        maxPaths: 10000
+    };
+
+    /**
+     * Gets a person's parents from the graph
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @returns {Array<string>} Parent ids
+     */
+    function getParents(graph, id) {
+        return [...(graph.parents.get(id) || [])];
+    }
+
+    /**
+     * Gets a display name for a person in the graph
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @returns {string} Name, or the id
+     */
+    function nameOf(graph, id) {
+        const node = graph.nodes.get(id);
+        return (node && (node.fullName || node.name)) || id;
+    }
+
+    /**
+     * Lists every line of descent from a person up to each of their
+     * ancestors. A line never visits anyone twice, so a cycle in the data
+     * ends the line instead of looping.
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { paths, truncated }: paths maps each ancestor id (and
+     *     the person, with the path [id]) to lists of ids from the person up
+     */
+    function getAncestorPaths(graph, id, options = {}) {
+        const { maxGenerations, maxPaths } = { ...DEFAULT_OPTIONS, ...options };
+        const paths = new Map();
+        let count = 0;
+        let truncated = false;
+
+        const walk = (path) => {
+            const current = path[path.length - 1];
+            if (!paths.has(current)) {
+                paths.set(current, []);
+            }
+            paths.get(current).push(path);
+            count++;
+
+            if (path.length > maxGenerations) {
+                return;
+            }
+            getParents(graph, current).forEach(parentId => {
+                if (count >= maxPaths) {
+                    truncated = true;
+                } else if (!path.includes(parentId)) {
+                    walk([...path, parentId]);
+                }
+            });
+        };
+
+        walk([id]);
+        return { paths, truncated };
+    }
+
+    /**
+     * Finds every common ancestor of two or more people. A person counts
+     * as their own ancestor, so someone descended from another shares them.
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {Array<string>} ids - Person ids
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { people, ancestors, truncated }; each ancestor has
+     *     { id, name, generations, pathCounts, lowest }, where generations and
+     *     pathCounts are keyed by person id and lowest means no other common
+     *     ancestor descends from them. Closest ancestors come first.
+     */
+    function findCommonAncestors(graph, ids, options = {}) {
+        const people = [...new Set(ids)];
+        if (people.length < 2) {
+            throw new Error('Common ancestors need at least two people');
+        }
+
+        const lines = people.map(id => getAncestorPaths(graph, id, options));
+        const common = [...lines[0].paths.keys()].filter(ancestorId =>
+            lines.every(line => line.paths.has(ancestorId)));
+
+        const ancestors = common.map(ancestorId => {
+            const generations = {};
+            const pathCounts = {};
+            people.forEach((id, index) => {
+                const paths = lines[index].paths.get(ancestorId);
+                generations[id] = Math.min(...paths.map(path => path.length - 1));
+                pathCounts[id] = paths.length;
+            });
+            return { id: ancestorId, name: nameOf(graph, ancestorId), generations, pathCounts };
+        });
+
+        // A common ancestor is lowest unless it is an ancestor of another one
+        const above = new Set();
+        common.forEach(ancestorId => {
+            const { paths } = getAncestorPaths(graph, ancestorId, options);
+            paths.forEach((_, id) => {
+                if (id !== ancestorId) {
+                    above.add(id);
+                }
+            });
+        });
+        ancestors.forEach(ancestor => {
+            ancestor.lowest = !above.has(ancestor.id);
+        });
+
+        const distance = ancestor => Object.values(ancestor.generations).reduce((sum, value) => sum + value, 0);
+        ancestors.sort((a, b) => distance(a) - distance(b) || a.name.localeCompare(b.name));
+
+        return { people, ancestors, truncated: lines.some(line => line.truncated) };
+    }
+
+    /**
+     * Adds up (1/2)^(n1+n2) (1 + F_A) over the pairs of lines from two people
+     * that meet only at a common ancestor A
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} fromId - First person
+     * @param {string} toId - Second person
+     * @param {Object} options - { maxGenerations, maxPaths }
+     * @param {Map} memo - Inbreeding coefficients found so far
+     * @returns {Object} { sum, contributions, truncated }
+     */
+    function sumPathPairs(graph, fromId, toId, options, memo) {
+        const from = getAncestorPaths(graph, fromId, options);
+        const to = getAncestorPaths(graph, toId, options);
+        const contributions = [];
+        let sum = 0;
+
+        from.paths.forEach((fromPaths, ancestorId) => {
+            const toPaths = to.paths.get(ancestorId);
+            if (!toPaths) {
+                return;
+            }
+            const ancestorInbreeding = inbreeding(graph, ancestorId, options, memo).coefficient;
+
+            fromPaths.forEach(fromPath => {
+                const below = new Set(fromPath.slice(0, -1));
+                toPaths.forEach(toPath => {
+                    if (toPath.slice(0, -1).some(id => below.has(id))) {
+                        return;
+                    }
+                    const generations = [fromPath.length - 1, toPath.length - 1];
+                    const value = Math.pow(0.5, generations[0] + generations[1]) * (1 + ancestorInbreeding);
+                    sum += value;
+                    contributions.push({ ancestor: ancestorId, generations, value, path: [...fromPath, ...toPath.slice(0, -1).reverse()] });
+                });
+            });
+        });
+
+        return { sum, contributions, truncated: from.truncated || to.truncated };
+    }
+
+    /**
+     * Computes an inbreeding coefficient, remembering coefficients of
+     * ancestors on the way. A person met again while their own coefficient
+     * is being worked out (a cycle in the data) counts as not inbred.
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @param {Object} options - { maxGenerations, maxPaths }
+     * @param {Map} memo - Results by person id
+     * @returns {Object} { id, coefficient, parents, contributions, truncated }
+     */
+    function inbreeding(graph, id, options, memo) {
+        if (memo.has(id)) {
+            return memo.get(id);
+        }
+
+        const parents = getParents(graph, id);
+        const result = { id, coefficient: 0, parents, contributions: [], truncated: false };
+        memo.set(id, result);
+
+        // Only a child of two recorded parents can be inbred
+        if (parents.length === 2) {
+            const pairs = sumPathPairs(graph, parents[0], parents[1], options, memo);
+            result.coefficient = pairs.sum / 2;
+            result.contributions = pairs.contributions.map(contribution => ({
+                ...contribution,
+                value: contribution.value / 2
+            }));
+            result.truncated = pairs.truncated;
+        }
+
+        return result;
+    }
+
+    /**
+     * Computes Wright's inbreeding coefficient: the probability that the
+     * two copies of a gene a person carries come from the same ancestor
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { id, coefficient, parents, contributions, truncated }
+     */
+    function inbreedingCoefficient(graph, id, options = {}) {
+        return inbreeding(graph, id, options, new Map());
+    }
+
+    /**
+     * Computes Wright's coefficient of relationship between two people
+     * (0.5 for parent and child or full siblings, 0.125 for first cousins)
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} fromId - First person
+     * @param {string} toId - Second person
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { from, to, coefficient, coancestry, contributions, truncated }
+     */
+    function relationshipCoefficient(graph, fromId, toId, options = {}) {
+        const memo = new Map();
+        if (fromId === toId) {
+            const self = inbreeding(graph, fromId, options, memo);
+            return { from: fromId, to: toId, coefficient: 1, coancestry: (1 + self.coefficient) / 2, contributions: [], truncated: false };
+        }
+
+        const pairs = sumPathPairs(graph, fromId, toId, options, memo);
+        const fromInbreeding = inbreeding(graph, fromId, options, memo).coefficient;
+        const toInbreeding = inbreeding(graph, toId, options, memo).coefficient;
+
+        return {
+            from: fromId,
+            to: toId,
+            coefficient: pairs.sum / Math.sqrt((1 + fromInbreeding) * (1 + toInbreeding)),
+            coancestry: pairs.sum / 2,
+            contributions: pairs.contributions,
+            truncated: pairs.truncated
+        };
+    }
+
+    /**
+     * Measures pedigree collapse: per generation, the slots a full pedigree
+     * has (2^n), the slots the data fills, and how many different people
+     * fill them. Collapse is the share of filled slots taken by someone who
+     * already fills another, so it is not skewed by unrecorded mothers.
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { id, generations, totals, truncated }; generations are
+     *     { generation, slots, known, unique, collapse } and totals count
+     *     unique ancestors across all generations
+     */
+    function pedigreeCollapse(graph, id, options = {}) {
+        const { paths, truncated } = getAncestorPaths(graph, id, options);
+        const byGeneration = [];
+
+        // Every line of descent fills one slot in the generation it reaches
+        paths.forEach((ancestorPaths, ancestorId) => {
+            ancestorPaths.forEach(path => {
+                const generation = path.length - 1;
+                if (generation === 0) {
+                    return;
+                }
+                if (!byGeneration[generation]) {
+                    byGeneration[generation] = { known: 0, ancestors: new Set() };
+                }
+                byGeneration[generation].known++;
+                byGeneration[generation].ancestors.add(ancestorId);
+            });
+        });
+
+        const generations = [];
+        for (let generation = 1; generation < byGeneration.length; generation++) {
+            const entry = byGeneration[generation] || { known: 0, ancestors: new Set() };
+            generations.push({
+                generation,
+                slots: Math.pow(2, generation),
+                known: entry.known,
+                unique: entry.ancestors.size,
+                collapse: entry.known > 0 ? 1 - entry.ancestors.size / entry.known : 0
+            });
+        }
+
+        const known = generations.reduce((sum, entry) => sum + entry.known, 0);
+        const unique = paths.size - 1;
+        return {
+            id,
+            generations,
+            totals: {
+                slots: generations.reduce((sum, entry) => sum + entry.slots, 0),
+                known,
+                unique,
+                collapse: known > 0 ? 1 - unique / known : 0
+            },
+            truncated
+        };
+    }
+
+    /**
+     * Analyzes one person for the details panel and export: inbreeding,
+     * pedigree collapse, and relationship to each spouse with their
+     * closest common ancestors
+     * @param {Object} graph - Graph from Lineage.buildParentGraph
+     * @param {string} id - Person id
+     * @param {Object} [options={}] - { maxGenerations, maxPaths }
+     * @returns {Object} { id, name, inbreeding, collapse, spouses }
+     */
+    function analyzePerson(graph, id, options = {}) {
+        const node = graph.nodes.get(id) || {};
+        const spouses = [...new Set(node.spouses || [])]
+            .filter(spouseId => graph.nodes.has(spouseId))
+            .map(spouseId => {
+                const relationship = relationshipCoefficient(graph, id, spouseId, options);
+                return {
+                    id: spouseId,
+                    name: nameOf(graph, spouseId),
+                    coefficient: relationship.coefficient,
+                    commonAncestors: relationship.coefficient > 0 ?
+                        findCommonAncestors(graph, [id, spouseId], options).ancestors.filter(ancestor => ancestor.lowest) : []
+                };
+            });
+
+        const inbred = inbreedingCoefficient(graph, id, options);
+        return {
+            id,
+            name: nameOf(graph, id),
+            inbreeding: { coefficient: inbred.coefficient, contributions: inbred.contributions, truncated: inbred.truncated },
+            collapse: pedigreeCollapse(graph, id, options),
+            spouses
+        };
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        getAncestorPaths,
+        findCommonAncestors,
+        inbreedingCoefficient,
+        relationshipCoefficient,
+        pedigreeCollapse,
+        analyzePerson
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pedigree;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Pedigree; });
+} else if (typeof window !== 'undefined') {
+    window.Pedigree = Pedigree;
+}
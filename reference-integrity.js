@@ -0,0 +1,365 @@
+/**
+ * Biblical Genealogy Reference Integrity
+ * Checks that the cross-references in the per-person dataset agree in both
+ * directions (father/mother against children, spouses against spouses,
+ * relationships against their reciprocal entries), that every referenced
+ * id exists and that no id is used twice. Repair mode writes the missing
+ * reciprocal entries and returns them as a JSON Patch (RFC 6902).
+ *
+ * Headless use: node reference-integrity.js [dataset.json] [--repair] [--out repaired.json]
+ */
+const ReferenceIntegrity = (function() {
+    // Issue types reported by checkReferences
+    const ISSUE_TYPES = {
+        DUPLICATE_ID: 'duplicate-id',
+        DANGLING_REFERENCE: 'dangling-reference',
+        ONE_SIDED_LINK: 'one-sided-link',
+        CONFLICTING_LINK: 'conflicting-link'
+    };
+
+    // Relationship type expected on the target's side, keyed by the stated
+    // type; gendered entries are [male, female] by the stating person's role
+    const RECIPROCAL_TYPES = {
+        'parent': 'child',
+        'child': 'parent',
+        'spouse': 'spouse',
+        'sibling': 'sibling',
+        'half-sibling': 'half-sibling',
+        'twin-sibling': 'twin-sibling',
+        'cousin': 'cousin',
+        'nephew': ['uncle', 'aunt'],
+        'niece': ['uncle', 'aunt'],
+        'uncle': ['nephew', 'niece'],
+        'aunt': ['nephew', 'niece']
+    };
+
+    /**
+     * Escapes a JSON Pointer reference token
+     * @param {string|number} token - Object key or array index
+     * @returns {string} Escaped token
+     */
+    function escapePointer(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Lists the person records of a dataset with their JSON Pointer paths.
+     * Accepts the per-person record array of Genealogy-dataset.json
+     * (including records nested in a `people` block) or { people: [...] }.
+     * @param {Array|Object} data - Dataset
+     * @returns {Array<Object>} Entries of { record, path }
+     */
+    function collectRecords(data) {
+        const entries = [];
+        const visit = (records, basePath) => {
+            records.forEach((record, index) => {
+                if (!record || typeof record !== 'object') {
+                    return;
+                }
+
+                const path = `${basePath}/${index}`;
+                if (Array.isArray(record.people)) {
+                    visit(record.people, `${path}/people`);
+                }
+                if (record.id) {
+                    entries.push({ record, path });
+                }
+            });
+        };
+
+        if (Array.isArray(data)) {
+            visit(data, '');
+        } else if (data && Array.isArray(data.people)) {
+            visit(data.people, '/people');
+        }
+        return entries;
+    }
+
+    /**
+     * Works out whether a person is recorded as a father or a mother, from
+     * their gender or from how other records refer to them
+     * @param {Object} record - Person record
+     * @param {Array<Object>} entries - All record entries
+     * @returns {number|null} 0 for male, 1 for female, null if unknown
+     */
+    function inferGenderIndex(record, entries) {
+        if (record.gender === 'male') {
+            return 0;
+        }
+        if (record.gender === 'female') {
+            return 1;
+        }
+        if (entries.some(entry => entry.record.father === record.id)) {
+            return 0;
+        }
+        if (entries.some(entry => entry.record.mother === record.id)) {
+            return 1;
+        }
+        return null;
+    }
+
+    /**
+     * Checks a dataset's cross-references. Each issue carries the record id,
+     * the field that holds the reference, its target and, when the missing
+     * reciprocal entry can be written unambiguously, the JSON Patch operation
+     * that writes it.
+     * @param {Array|Object} data - Per-person record dataset
+     * @returns {Object} { valid, records, issues, summary }
+     */
+    function checkReferences(data) {
+        const entries = collectRecords(data);
+        const byId = new Map();
+        const issues = [];
+
+        // Duplicate ids; the first record wins, as in adaptPersonRecordDataset
+        entries.forEach(entry => {
+            const first = byId.get(entry.record.id);
+            if (!first) {
+                byId.set(entry.record.id, entry);
+                return;
+            }
+            issues.push({
+                type: ISSUE_TYPES.DUPLICATE_ID,
+                id: entry.record.id,
+                path: entry.path,
+                message: `Id "${entry.record.id}" at ${entry.path} is already used at ${first.path}`,
+                repair: null
+            });
+        });
+
+        const pending = new Set();
+        const issue = (type, entry, field, target, message, repair = null) => {
+            // Two one-sided references can call for the same repair
+            const key = repair ? `${repair.path}|${JSON.stringify(repair.value)}` : null;
+            if (key && pending.has(key)) {
+                repair = null;
+            } else if (key) {
+                pending.add(key);
+            }
+            issues.push({ type, id: entry.record.id, field, target, path: entry.path, message, repair });
+        };
+
+        const exists = (entry, field, target) => {
+            if (byId.has(target)) {
+                return true;
+            }
+            issue(ISSUE_TYPES.DANGLING_REFERENCE, entry, field, target,
+                `${entry.record.id}.${field} refers to "${target}", which is not in the dataset`);
+            return false;
+        };
+
+        // Appends to an array field, creating it if it is missing
+        const created = new Set();
+        const appendOp = (entry, field, value) => {
+            const path = `${entry.path}/${escapePointer(field)}`;
+            if (Array.isArray(entry.record[field]) || created.has(path)) {
+                return { op: 'add', path: `${path}/-`, value };
+            }
+            created.add(path);
+            return { op: 'add', path, value: [value] };
+        };
+
+        entries.forEach(entry => {
+            if (byId.get(entry.record.id) !== entry) {
+                return;
+            }
+            const person = entry.record;
+
+            // father/mother must be matched by the parent's children
+            ['father', 'mother'].forEach(field => {
+                const parentId = person[field];
+                if (!parentId || !exists(entry, field, parentId)) {
+                    return;
+                }
+                const parent = byId.get(parentId);
+                if (!(parent.record.children || []).includes(person.id)) {
+                    issue(ISSUE_TYPES.ONE_SIDED_LINK, entry, field, parentId,
+                        `${person.id}.${field} is ${parentId}, but ${parentId}.children does not include ${person.id}`,
+                        appendOp(parent, 'children', person.id));
+                }
+            });
+
+            // children must name this person as father or mother
+            (person.children || []).forEach(childId => {
+                if (!exists(entry, 'children', childId)) {
+                    return;
+                }
+                const child = byId.get(childId);
+                if (child.record.father === person.id || child.record.mother === person.id) {
+                    return;
+                }
+
+                const genderIndex = inferGenderIndex(person, entries);
+                const field = genderIndex === null ? null : ['father', 'mother'][genderIndex];
+                if (field && child.record[field] && child.record[field] !== person.id) {
+                    issue(ISSUE_TYPES.CONFLICTING_LINK, entry, 'children', childId,
+                        `${person.id}.children includes ${childId}, but ${childId}.${field} is ${child.record[field]}`);
+                } else if (field) {
+                    issue(ISSUE_TYPES.ONE_SIDED_LINK, entry, 'children', childId,
+                        `${person.id}.children includes ${childId}, but ${childId}.${field} is not set`,
+                        {
+                            op: field in child.record ? 'replace' : 'add',
+                            path: `${child.path}/${field}`,
+                            value: person.id
+                        });
+                } else {
+                    issue(ISSUE_TYPES.ONE_SIDED_LINK, entry, 'children', childId,
+                        `${person.id}.children includes ${childId}, but ${childId} names no such parent ` +
+                        `(cannot tell whether ${person.id} is the father or the mother)`);
+                }
+            });
+
+            // spouses are mutual
+            (person.spouses || []).forEach(spouseId => {
+                if (!exists(entry, 'spouses', spouseId)) {
+                    return;
+                }
+                const spouse = byId.get(spouseId);
+                if (!(spouse.record.spouses || []).includes(person.id)) {
+                    issue(ISSUE_TYPES.ONE_SIDED_LINK, entry, 'spouses', spouseId,
+                        `${person.id}.spouses includes ${spouseId}, but ${spouseId}.spouses does not include ${person.id}`,
+                        appendOp(spouse, 'spouses', person.id));
+                }
+            });
+
+            // relationships need the reciprocal entry on the target
+            (person.relationships || []).forEach(rel => {
+                if (!rel || !rel.target || !exists(entry, 'relationships', rel.target)) {
+                    return;
+                }
+                const target = byId.get(rel.target);
+                const reciprocal = RECIPROCAL_TYPES[rel.type];
+                const accepted = Array.isArray(reciprocal) ? reciprocal : [reciprocal || rel.type];
+                const stated = (target.record.relationships || []).filter(other => other && other.target === person.id);
+
+                if (stated.some(other => accepted.includes(other.type))) {
+                    return;
+                }
+
+                let type = accepted.length === 1 ? accepted[0] : null;
+                if (type === null) {
+                    const genderIndex = inferGenderIndex(person, entries);
+                    type = genderIndex === null ? null : accepted[genderIndex];
+                }
+
+                const message = `${person.id} records ${rel.target} as ${rel.type}, but ${rel.target} has no ` +
+                    `${accepted.join(' or ')} entry for ${person.id}`;
+                if (stated.length > 0) {
+                    issue(ISSUE_TYPES.CONFLICTING_LINK, entry, 'relationships', rel.target,
+                        `${message} (it records ${stated.map(other => other.type).join(', ')})`);
+                } else {
+                    issue(ISSUE_TYPES.ONE_SIDED_LINK, entry, 'relationships', rel.target, message,
+                        type ? appendOp(target, 'relationships', { target: person.id, type }) : null);
+                }
+            });
+        });
+
+        const summary = {};
+        Object.values(ISSUE_TYPES).forEach(type => {
+            summary[type] = issues.filter(item => item.type === type).length;
+        });
+        summary.repairable = issues.filter(item => item.repair).length;
+
+        return {
+            valid: issues.length === 0,
+            records: entries.length,
+            issues,
+            summary
+        };
+    }
+
+    /**
+     * Applies JSON Patch "add" and "replace" operations in place
+     * @param {Array|Object} document - Document to change
+     * @param {Array<Object>} patch - Operations
+     * @returns {Array|Object} The same document
+     */
+    function applyPatch(document, patch) {
+        patch.forEach(operation => {
+            const tokens = operation.path.split('/').slice(1)
+                .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+            const key = tokens.pop();
+            const parent = tokens.reduce((node, token) => node[token], document);
+            const value = JSON.parse(JSON.stringify(operation.value));
+
+            if (Array.isArray(parent) && key === '-') {
+                parent.push(value);
+            } else {
+                parent[key] = value;
+            }
+        });
+        return document;
+    }
+
+    /**
+     * Writes the missing reciprocal entries. Duplicate ids, dangling
+     * references and conflicting links need a person to decide and are
+     * left in `remaining`.
+     * @param {Array|Object} data - Per-person record dataset (not modified)
+     * @returns {Object} { data, patch, remaining }
+     */
+    function repairReferences(data) {
+        const result = checkReferences(data);
+        const patch = result.issues.filter(item => item.repair).map(item => item.repair);
+        const repaired = applyPatch(JSON.parse(JSON.stringify(data)), patch);
+
+        return {
+            data: repaired,
+            patch,
+            remaining: checkReferences(repaired).issues
+        };
+    }
+
+    /**
+     * Runs the check from the command line. Prints the issues, or with
+     * --repair the patch, and optionally writes the repaired dataset.
+     * @param {Array<string>} args - Command-line arguments
+     * @returns {number} Exit code: 0 if no issues remain
+     */
+    function runCli(args) {
+        const fs = require('fs');
+        const path = require('path');
+        const outIndex = args.indexOf('--out');
+        const outFile = outIndex >= 0 ? args[outIndex + 1] : null;
+        const file = args.find((arg, index) => !arg.startsWith('--') && !(outIndex >= 0 && index === outIndex + 1)) ||
+            path.join(__dirname, 'Genealogy-dataset.json');
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        if (!args.includes('--repair')) {
+            const result = checkReferences(data);
+            result.issues.forEach(item => console.log(`${item.type}\t${item.message}`));
+            console.log(`${result.records} records, ${result.issues.length} issue(s), ${result.summary.repairable} repairable`);
+            return result.valid ? 0 : 1;
+        }
+
+        const repair = repairReferences(data);
+        if (outFile) {
+            fs.writeFileSync(outFile, JSON.stringify(repair.data, null, 2) + '\n');
+        }
+        console.log(JSON.stringify(repair.patch, null, 2));
+        repair.remaining.forEach(item => console.error(`${item.type}\t${item.message}`));
+        return repair.remaining.length === 0 ? 0 : 1;
+    }
+
+    return {
+        ISSUE_TYPES,
+        RECIPROCAL_TYPES,
+        collectRecords,
+        checkReferences,
+        repairReferences,
+        applyPatch,
+        runCli
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReferenceIntegrity;
+    if (require.main === module) {
+        process.exitCode = ReferenceIntegrity.runCli(process.argv.slice(2));
+    }
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return ReferenceIntegrity; });
+} else if (typeof window !== 'undefined') {
+    window.ReferenceIntegrity = ReferenceIntegrity;
+}
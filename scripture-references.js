@@ -0,0 +1,463 @@
+/**
+ * Biblical Genealogy Scripture References
+ * Parses free-text scripture references ("Gen. 16-17, 21", "1 Chronicles 1:4-27")
+ * into structured ranges with OSIS-style IDs, and indexes people by passage.
+ */
+const ScriptureReferences = (function() {
+    // Books in canonical order: [OSIS id, display name, chapter count, ...aliases].
+    // Aliases are matched lowercase with spaces and periods removed.
+    const BOOKS = [
+        ['Gen', 'Genesis', 50, 'gen', 'ge', 'gn'],
+        ['Exod', 'Exodus', 40, 'exod', 'exo', 'ex'],
+        ['Lev', 'Leviticus', 27, 'lev', 'le', 'lv'],
+        ['Num', 'Numbers', 36, 'num', 'numb', 'nu', 'nm'],
+        ['Deut', 'Deuteronomy', 34, 'deut', 'de', 'dt'],
+        ['Josh', 'Joshua', 24, 'josh', 'jos'],
+        ['Judg', 'Judges', 21, 'judg', 'jdg', 'jg'],
+        ['Ruth', 'Ruth', 4, 'ru', 'rth'],
+        ['1Sam', '1 Samuel', 31, '1sam', '1sa', '1sm'],
+        ['2Sam', '2 Samuel', 24, '2sam', '2sa', '2sm'],
+        ['1Kgs', '1 Kings', 22, '1kgs', '1ki', '1kg'],
+        ['2Kgs', '2 Kings', 25, '2kgs', '2ki', '2kg'],
+        ['1Chr', '1 Chronicles', 29, '1chron', '1chr', '1ch'],
+        ['2Chr', '2 Chronicles', 36, '2chron', '2chr', '2ch'],
+        ['Ezra', 'Ezra', 10, 'ezr'],
+        ['Neh', 'Nehemiah', 13, 'neh', 'ne'],
+        ['Esth', 'Esther', 10, 'esth', 'est', 'es'],
+        ['Job', 'Job', 42, 'jb'],
+        ['Ps', 'Psalms', 150, 'psalm', 'ps', 'psa', 'pss'],
+        ['Prov', 'Proverbs', 31, 'prov', 'pr', 'prv'],
+        ['Eccl', 'Ecclesiastes', 12, 'eccl', 'eccles', 'ecc', 'qoh'],
+        ['Song', 'Song of Solomon', 8, 'songofsongs', 'song', 'sos', 'canticles'],
+        ['Isa', 'Isaiah', 66, 'isa', 'is'],
+        ['Jer', 'Jeremiah', 52, 'jer', 'je'],
+        ['Lam', 'Lamentations', 5, 'lam', 'la'],
+        ['Ezek', 'Ezekiel', 48, 'ezek', 'eze', 'ezk'],
+        ['Dan', 'Daniel', 12, 'dan', 'da', 'dn'],
+        ['Hos', 'Hosea', 14, 'hos', 'ho'],
+        ['Joel', 'Joel', 3, 'jl'],
+        ['Amos', 'Amos', 9, 'am'],
+        ['Obad', 'Obadiah', 1, 'obad', 'ob'],
+        ['Jonah', 'Jonah', 4, 'jon', 'jnh'],
+        ['Mic', 'Micah', 7, 'mic', 'mc'],
+        ['Nah', 'Nahum', 3, 'nah', 'na'],
+        ['Hab', 'Habakkuk', 3, 'hab', 'hb'],
+        ['Zeph', 'Zephaniah', 3, 'zeph', 'zep'],
+        ['Hag', 'Haggai', 2, 'hag', 'hg'],
+        ['Zech', 'Zechariah', 14, 'zech', 'zec'],
+        ['Mal', 'Malachi', 4, 'mal', 'ml'],
+        ['Matt', 'Matthew', 28, 'matt', 'mat', 'mt'],
+        ['Mark', 'Mark', 16, 'mrk', 'mk', 'mr'],
+        ['Luke', 'Luke', 24, 'luk', 'lk'],
+        ['John', 'John', 21, 'jhn', 'jn'],
+        ['Acts', 'Acts', 28, 'ac'],
+        ['Rom', 'Romans', 16, 'rom', 'ro', 'rm'],
+        ['1Cor', '1 Corinthians', 16, '1cor', '1co'],
+        ['2Cor', '2 Corinthians', 13, '2cor', '2co'],
+        ['Gal', 'Galatians', 6, 'gal', 'ga'],
+        ['Eph', 'Ephesians', 6, 'eph'],
+        ['Phil', 'Philippians', 4, 'phil', 'php', 'pp'],
+        ['Col', 'Colossians', 4, 'col'],
+        ['1Thess', '1 Thessalonians', 5, '1thess', '1th'],
+        ['2Thess', '2 Thessalonians', 3, '2thess', '2th'],
+        ['1Tim', '1 Timothy', 6, '1tim', '1ti'],
+        ['2Tim', '2 Timothy', 4, '2tim', '2ti'],
+        ['Titus', 'Titus', 3, 'tit'],
+        ['Phlm', 'Philemon', 1, 'philem', 'phlm', 'phm'],
+        ['Heb', 'Hebrews', 13, 'heb'],
+        ['Jas', 'James', 5, 'jas', 'jm'],
+        ['1Pet', '1 Peter', 5, '1pet', '1pe', '1pt'],
+        ['2Pet', '2 Peter', 3, '2pet', '2pe', '2pt'],
+        ['1John', '1 John', 5, '1jn', '1jhn', '1jo'],
+        ['2John', '2 John', 1, '2jn', '2jhn', '2jo'],
+        ['3John', '3 John', 1, '3jn', '3jhn', '3jo'],
+        ['Jude', 'Jude', 1, 'jud'],
+        ['Rev', 'Revelation', 22, 'rev', 're', 'revelations', 'apocalypse']
+    ].map(([osis, name, chapters, ...aliases], index) => ({ osis, name, chapters, aliases, index }));
+
+    // Ordinal prefixes written out in book names ("First Kings", "II Samuel")
+    const ORDINAL_PREFIXES = {
+        i: '1', first: '1', '1st': '1',
+        ii: '2', second: '2', '2nd': '2',
+        iii: '3', third: '3', '3rd': '3'
+    };
+
+    // Verse placeholder for chapter-level ranges, larger than any real verse number
+    const WHOLE_CHAPTER_END = 999;
+
+    const bookLookup = {};
+    BOOKS.forEach(book => {
+        [book.osis, book.name, ...book.aliases].forEach(alias => {
+            bookLookup[normalizeBookName(alias)] = book;
+        });
+    });
+
+    /**
+     * Normalizes a book name for lookup: lowercase, ordinal prefixes as
+     * digits, spaces and periods removed
+     * @param {string} name - Book name or abbreviation
+     * @returns {string} Lookup key
+     */
+    function normalizeBookName(name) {
+        const words = String(name).toLowerCase().replace(/\./g, ' ').trim().split(/\s+/);
+        if (words.length > 1 && ORDINAL_PREFIXES[words[0]]) {
+            words[0] = ORDINAL_PREFIXES[words[0]];
+        }
+        return words.join('');
+    }
+
+    /**
+     * Finds a book by name, abbreviation or OSIS id
+     * @param {string} name - Book name
+     * @returns {Object|null} Book descriptor
+     */
+    function findBook(name) {
+        return bookLookup[normalizeBookName(name)] || null;
+    }
+
+    /**
+     * Builds the OSIS id of a single chapter or verse
+     * @param {Object} book - Book descriptor
+     * @param {number} chapter - Chapter number
+     * @param {number|null} verse - Verse number, or null for the whole chapter
+     * @returns {string} OSIS id such as "Gen.11" or "Gen.11.10"
+     */
+    function osisPoint(book, chapter, verse) {
+        return verse ? `${book.osis}.${chapter}.${verse}` : `${book.osis}.${chapter}`;
+    }
+
+    /**
+     * Creates a range object, validating it against the book's chapter count
+     * @param {Object} book - Book descriptor
+     * @param {Object} start - { chapter, verse }
+     * @param {Object} end - { chapter, verse }
+     * @returns {Object} Range with OSIS id and sort keys
+     */
+    function createRange(book, start, end) {
+        if (start.chapter < 1 || end.chapter > book.chapters) {
+            throw new Error(`${book.name} has ${book.chapters} chapters`);
+        }
+
+        if (sortKey(book, end.chapter, end.verse || WHOLE_CHAPTER_END) <
+            sortKey(book, start.chapter, start.verse || 0)) {
+            throw new Error('Range ends before it starts');
+        }
+
+        const startId = osisPoint(book, start.chapter, start.verse);
+        const endId = osisPoint(book, end.chapter, end.verse);
+
+        return {
+            book: book.osis,
+            bookName: book.name,
+            start: { chapter: start.chapter, verse: start.verse || null },
+            end: { chapter: end.chapter, verse: end.verse || null },
+            osis: startId === endId ? startId : `${startId}-${endId}`,
+            startKey: sortKey(book, start.chapter, start.verse || 0),
+            endKey: sortKey(book, end.chapter, end.verse || WHOLE_CHAPTER_END)
+        };
+    }
+
+    /**
+     * Computes a numeric key that orders passages canonically
+     * @param {Object} book - Book descriptor
+     * @param {number} chapter - Chapter number
+     * @param {number} verse - Verse number (0 for chapter start)
+     * @returns {number} Sort key
+     */
+    function sortKey(book, chapter, verse) {
+        return (book.index + 1) * 1000000 + chapter * 1000 + verse;
+    }
+
+    /**
+     * Parses the passage part of a reference (after the book name)
+     * @param {Object} book - Book descriptor
+     * @param {string} passage - Passage text, e.g. "16-17, 21" or "11:10-12:5"
+     * @param {Array} errors - Receives parse errors
+     * @returns {Array<Object>} Ranges
+     */
+    function parsePassage(book, passage, errors) {
+        const ranges = [];
+
+        // A book with no passage refers to the whole book
+        if (!passage.trim()) {
+            ranges.push(createRange(book, { chapter: 1 }, { chapter: book.chapters }));
+            return ranges;
+        }
+
+        // Single-chapter books are cited by verse ("Jude 14")
+        let chapter = book.chapters === 1 ? 1 : null;
+        let verseMode = book.chapters === 1;
+
+        passage.split(',').forEach(segment => {
+            const text = segment.trim().replace(/[–—]/g, '-').replace(/\s+/g, '');
+            if (!text) {
+                return;
+            }
+
+            const match = text.match(/^(\d+)(?::(\d+))?[a-z]?(?:-(\d+)(?::(\d+))?[a-z]?)?$/i);
+            if (!match) {
+                errors.push(`Unrecognized passage "${segment.trim()}" in ${book.name}`);
+                return;
+            }
+
+            const [, first, firstVerse, second, secondVerse] = match;
+            const numbers = [first, firstVerse, second, secondVerse].map(n => n === undefined ? null : parseInt(n, 10));
+
+            try {
+                if (numbers[1] !== null) {
+                    // C:V, C:V-V2 or C:V-C2:V2
+                    const start = { chapter: numbers[0], verse: numbers[1] };
+                    let end = start;
+                    if (numbers[3] !== null) {
+                        end = { chapter: numbers[2], verse: numbers[3] };
+                    } else if (numbers[2] !== null) {
+                        end = { chapter: numbers[0], verse: numbers[2] };
+                    }
+                    ranges.push(createRange(book, start, end));
+                    chapter = end.chapter;
+                    verseMode = true;
+                } else if (verseMode) {
+                    // V, V-V2 or V-C2:V2 continuing the current chapter
+                    const start = { chapter, verse: numbers[0] };
+                    let end = start;
+                    if (numbers[3] !== null) {
+                        end = { chapter: numbers[2], verse: numbers[3] };
+                    } else if (numbers[2] !== null) {
+                        end = { chapter, verse: numbers[2] };
+                    }
+                    ranges.push(createRange(book, start, end));
+                    chapter = end.chapter;
+                } else if (numbers[3] !== null) {
+                    // C-C2:V2
+                    const end = { chapter: numbers[2], verse: numbers[3] };
+                    ranges.push(createRange(book, { chapter: numbers[0] }, end));
+                    chapter = end.chapter;
+                    verseMode = true;
+                } else {
+                    // C or C-C2
+                    const end = { chapter: numbers[2] !== null ? numbers[2] : numbers[0] };
+                    ranges.push(createRange(book, { chapter: numbers[0] }, end));
+                    chapter = end.chapter;
+                }
+            } catch (error) {
+                errors.push(`${error.message}: "${book.name} ${segment.trim()}"`);
+            }
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Parses a free-text scripture reference. Several books can be separated
+     * by semicolons; a part without a book name continues the previous book.
+     * @param {string} text - Reference text such as "Gen. 16-17, 21, 25"
+     * @returns {Object} { text, ranges, osis, valid, errors }
+     */
+    function parseReference(text) {
+        const result = { text: String(text || ''), ranges: [], osis: '', valid: false, errors: [] };
+        let book = null;
+
+        result.text.split(';').forEach(part => {
+            const trimmed = part.trim();
+            if (!trimmed) {
+                return;
+            }
+
+            // Book name: everything before the first digit that follows a letter
+            const match = trimmed.match(/^((?:[1-3]\s*)?[^\d]*[A-Za-z][^\d]*?)\.?\s*(\d.*)?$/);
+            if (match && /[A-Za-z]/.test(match[1])) {
+                book = findBook(match[1]);
+                if (!book) {
+                    result.errors.push(`Unknown book "${match[1].trim()}"`);
+                    return;
+                }
+                result.ranges.push(...parsePassage(book, match[2] || '', result.errors));
+            } else if (book) {
+                result.ranges.push(...parsePassage(book, trimmed, result.errors));
+            } else {
+                result.errors.push(`Missing book name in "${trimmed}"`);
+            }
+        });
+
+        result.osis = result.ranges.map(range => range.osis).join(' ');
+        result.valid = result.ranges.length > 0 && result.errors.length === 0;
+
+        return result;
+    }
+
+    /**
+     * Formats a range for display, e.g. "Genesis 11:10–26" or "Genesis 16–17"
+     * @param {Object} range - Parsed range
+     * @returns {string} Display text
+     */
+    function formatRange(range) {
+        const { bookName, start, end } = range;
+        const point = (p) => p.verse ? `${p.chapter}:${p.verse}` : `${p.chapter}`;
+
+        if (start.chapter === end.chapter && start.verse === end.verse) {
+            return `${bookName} ${point(start)}`;
+        }
+        if (start.chapter === end.chapter && start.verse && end.verse) {
+            return `${bookName} ${start.chapter}:${start.verse}–${end.verse}`;
+        }
+        return `${bookName} ${point(start)}–${point(end)}`;
+    }
+
+    /**
+     * Orders two ranges canonically (book, chapter, verse)
+     * @param {Object} a - First range
+     * @param {Object} b - Second range
+     * @returns {number} Comparison result
+     */
+    function compareRanges(a, b) {
+        return a.startKey - b.startKey || a.endKey - b.endKey;
+    }
+
+    /**
+     * Lists the OSIS chapter ids a range touches
+     * @param {Object} range - Parsed range
+     * @returns {Array<string>} Chapter ids such as ["Gen.16", "Gen.17"]
+     */
+    function getRangeChapters(range) {
+        const chapters = [];
+        for (let chapter = range.start.chapter; chapter <= range.end.chapter; chapter++) {
+            chapters.push(`${range.book}.${chapter}`);
+        }
+        return chapters;
+    }
+
+    /**
+     * Builds an inverted index from passages to people. Entries are bucketed
+     * by chapter and verse ranges are compared on lookup, so verse-level
+     * queries work without a table of verse counts.
+     * @param {Array<Object>} people - People with biblicalReferences
+     * @returns {Object} { byChapter, byPerson, unparsed }
+     */
+    function buildReferenceIndex(people) {
+        const index = { byChapter: {}, byPerson: {}, unparsed: [] };
+
+        (people || []).forEach(person => {
+            if (!person || !person.id) {
+                return;
+            }
+
+            const entries = [];
+
+            [].concat(person.biblicalReferences || []).forEach(text => {
+                const parsed = parseReference(text);
+
+                if (parsed.errors.length > 0) {
+                    index.unparsed.push({ id: person.id, text, errors: parsed.errors });
+                }
+
+                parsed.ranges.forEach(range => {
+                    const entry = { id: person.id, text, range };
+                    entries.push(entry);
+                    getRangeChapters(range).forEach(chapterId => {
+                        if (!index.byChapter[chapterId]) {
+                            index.byChapter[chapterId] = [];
+                        }
+                        index.byChapter[chapterId].push(entry);
+                    });
+                });
+            });
+
+            index.byPerson[person.id] = entries.sort((a, b) => compareRanges(a.range, b.range));
+        });
+
+        return index;
+    }
+
+    /**
+     * Finds the people whose references overlap a passage
+     * @param {Object} index - Index from buildReferenceIndex
+     * @param {string} reference - Passage, e.g. "Genesis 11:10-26"
+     * @returns {Array<Object>} [{ id, references: [text] }] in order of first mention
+     */
+    function findPeopleInPassage(index, reference) {
+        const parsed = parseReference(reference);
+        const found = {};
+        const order = [];
+
+        parsed.ranges.forEach(query => {
+            getRangeChapters(query).forEach(chapterId => {
+                (index.byChapter[chapterId] || []).forEach(entry => {
+                    const overlaps = entry.range.startKey <= query.endKey && entry.range.endKey >= query.startKey;
+                    if (!overlaps) {
+                        return;
+                    }
+
+                    if (!found[entry.id]) {
+                        found[entry.id] = { id: entry.id, references: [], firstKey: entry.range.startKey };
+                        order.push(entry.id);
+                    }
+                    if (!found[entry.id].references.includes(entry.text)) {
+                        found[entry.id].references.push(entry.text);
+                    }
+                    found[entry.id].firstKey = Math.min(found[entry.id].firstKey, entry.range.startKey);
+                });
+            });
+        });
+
+        return order
+            .map(id => found[id])
+            .sort((a, b) => a.firstKey - b.firstKey)
+            .map(({ id, references }) => ({ id, references }));
+    }
+
+    /**
+     * Lists the chapters that mention a person, in canonical order
+     * @param {Object} index - Index from buildReferenceIndex
+     * @param {string} personId - Person id
+     * @returns {Array<string>} OSIS chapter ids
+     */
+    function getChaptersForPerson(index, personId) {
+        const chapters = [];
+
+        (index.byPerson[personId] || []).forEach(entry => {
+            getRangeChapters(entry.range).forEach(chapterId => {
+                if (!chapters.includes(chapterId)) {
+                    chapters.push(chapterId);
+                }
+            });
+        });
+
+        return chapters;
+    }
+
+    /**
+     * Gets a person's references as structured entries sorted canonically
+     * @param {Object} index - Index from buildReferenceIndex
+     * @param {string} personId - Person id
+     * @returns {Array<Object>} [{ text, osis, display, range }]
+     */
+    function getPersonReferences(index, personId) {
+        return (index.byPerson[personId] || []).map(entry => ({
+            text: entry.text,
+            osis: entry.range.osis,
+            display: formatRange(entry.range),
+            range: entry.range
+        }));
+    }
+
+    return {
+        BOOKS,
+        findBook,
+        parseReference,
+        formatRange,
+        compareRanges,
+        buildReferenceIndex,
+        findPeopleInPassage,
+        getChaptersForPerson,
+        getPersonReferences
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptureReferences;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return ScriptureReferences; });
+} else if (typeof window !== 'undefined') {
+    window.ScriptureReferences = ScriptureReferences;
+}
@@ -0,0 +1,281 @@
+/**
+ * Biblical Genealogy Source Merge
+ * Merges person records from several data sources into one per-person
+ * dataset. Records are matched by id, or by name and alternate names when
+ * the id differs, and references are rewritten to the merged ids. Where
+ * sources disagree (a different lifespan, a different father) every value
+ * is kept as an alternative with its source, and a per-source precedence
+ * policy decides which one is displayed.
+ */
+const SourceMerge = (function() {
+    // How a field is combined across sources: 'union' collects the entries
+    // of every source, anything else keeps one value and its alternatives
+    const MERGE_STRATEGIES = {
+        alternateNames: 'union',
+        spouses: 'union',
+        children: 'union',
+        biblicalReferences: 'union',
+        relationships: 'union'
+    };
+
+    // Fields that hold person ids, rewritten when records are matched by name
+    const REFERENCE_FIELDS = ['father', 'mother', 'spouses', 'children'];
+
+    // Bookkeeping fields written by the merge itself
+    const MERGE_FIELDS = ['id', 'sources', 'alternatives', 'metadata', 'people'];
+
+    /**
+     * Checks whether a field holds a value worth merging
+     * @param {*} value - Field value
+     * @returns {boolean} False for null, undefined, empty strings and empty arrays
+     */
+    function hasValue(value) {
+        return value !== null && value !== undefined && value !== '' &&
+            !(Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Normalizes a name for alias matching ("Abram" and "abram " match)
+     * @param {string} name - Name
+     * @returns {string} Lowercase letters and digits only
+     */
+    function nameKey(name) {
+        return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+    }
+
+    /**
+     * Gets the name keys a record can be matched by
+     * @param {Object} record - Person record
+     * @returns {Array<string>} Name keys
+     */
+    function aliasKeys(record) {
+        return [record.fullName, record.name, ...(record.alternateNames || [])]
+            .map(nameKey)
+            .filter(Boolean);
+    }
+
+    /**
+     * Splits a dataset into its metadata and person records. Accepts the
+     * per-person record array (with embedded people blocks) or { metadata, people }.
+     * @param {Array|Object} data - Dataset
+     * @returns {Object} { metadata, records }
+     */
+    function flattenRecords(data) {
+        const metadata = {};
+        const records = [];
+        const visit = (items) => {
+            items.forEach(item => {
+                if (!item || typeof item !== 'object') {
+                    return;
+                }
+                if (item.metadata && typeof item.metadata === 'object') {
+                    Object.assign(metadata, item.metadata);
+                }
+                if (Array.isArray(item.people)) {
+                    visit(item.people);
+                }
+                if (item.id) {
+                    records.push(item);
+                }
+            });
+        };
+
+        if (Array.isArray(data)) {
+            visit(data);
+        } else if (data && typeof data === 'object') {
+            Object.assign(metadata, data.metadata || {});
+            visit(data.people || data.nodes || []);
+        }
+        return { metadata, records };
+    }
+
+    /**
+     * Orders source ids for a field: the field's own precedence list, then
+     * the default list, then the remaining sources in load order
+     * @param {string} field - Field name
+     * @param {Array<string>} sourceIds - Source ids in load order
+     * @param {Object} [precedence={}] - { default: [ids], fields: { field: [ids] } }
+     * @returns {Array<string>} Source ids, most trusted first
+     */
+    function rankSources(field, sourceIds, precedence = {}) {
+        const fieldOrder = (precedence.fields && precedence.fields[field]) || [];
+        const defaultOrder = precedence.default || [];
+        return [...new Set([...fieldOrder, ...defaultOrder, ...sourceIds])]
+            .filter(id => sourceIds.includes(id));
+    }
+
+    /**
+     * Merges several sources into one per-person record dataset
+     * @param {Array<Object>} sources - Sources of { id, data } in load order
+     * @param {Object} [options={}] - Options
+     * @param {Object} [options.precedence] - Precedence policy (see rankSources)
+     * @returns {Object} { data, conflicts, matches, warnings }
+     */
+    function mergeSources(sources, options = {}) {
+        const sourceIds = sources.map(source => source.id);
+        const flattened = sources.map(source => ({ id: source.id, ...flattenRecords(source.data) }));
+        const matches = [];
+        const warnings = [];
+
+        // Match every record to a merged person, by id first and then by name
+        const contributions = new Map();
+        const order = [];
+        const aliasIndex = new Map();
+        const idMaps = {};
+
+        const indexAliases = (record, mergedId) => {
+            aliasKeys(record).forEach(key => {
+                if (!aliasIndex.has(key)) {
+                    aliasIndex.set(key, new Set());
+                }
+                aliasIndex.get(key).add(mergedId);
+            });
+        };
+
+        flattened.forEach(source => {
+            const idMap = idMaps[source.id] = {};
+            const pendingAliases = [];
+
+            source.records.forEach(record => {
+                let mergedId = null;
+                let matchedBy = null;
+
+                if (contributions.has(record.id)) {
+                    mergedId = record.id;
+                    matchedBy = 'id';
+                } else {
+                    const candidates = new Set();
+                    aliasKeys(record).forEach(key => {
+                        (aliasIndex.get(key) || []).forEach(id => candidates.add(id));
+                    });
+                    if (candidates.size === 1) {
+                        mergedId = [...candidates][0];
+                        matchedBy = 'alias';
+                    } else if (candidates.size > 1) {
+                        warnings.push(`${source.id}: "${record.id}" matches several people by name (${[...candidates].join(', ')}) and was kept separate`);
+                    }
+                }
+
+                if (!mergedId) {
+                    mergedId = record.id;
+                    contributions.set(mergedId, []);
+                    order.push(mergedId);
+                } else {
+                    matches.push({ id: mergedId, source: source.id, recordId: record.id, matchedBy });
+                }
+
+                idMap[record.id] = mergedId;
+                contributions.get(mergedId).push({ source: source.id, record });
+                pendingAliases.push([record, mergedId]);
+            });
+
+            // A source's own names only match records from later sources
+            pendingAliases.forEach(([record, mergedId]) => indexAliases(record, mergedId));
+        });
+
+        // Rewrite references to the merged ids
+        const remap = (sourceId, id) => (idMaps[sourceId] && idMaps[sourceId][id]) || id;
+        const remapRecord = (sourceId, record) => {
+            const copy = { ...record };
+            REFERENCE_FIELDS.forEach(field => {
+                if (Array.isArray(copy[field])) {
+                    copy[field] = copy[field].map(id => remap(sourceId, id));
+                } else if (typeof copy[field] === 'string') {
+                    copy[field] = remap(sourceId, copy[field]);
+                }
+            });
+            if (Array.isArray(copy.relationships)) {
+                copy.relationships = copy.relationships.map(rel => rel && rel.target ?
+                    { ...rel, target: remap(sourceId, rel.target) } : rel);
+            }
+            return copy;
+        };
+
+        const conflicts = [];
+        const people = order.map(mergedId => {
+            const entries = contributions.get(mergedId).map(entry => ({
+                source: entry.source,
+                record: remapRecord(entry.source, entry.record)
+            }));
+            const person = { id: mergedId };
+            const alternatives = {};
+            const fields = [...new Set(entries.flatMap(entry => Object.keys(entry.record)))]
+                .filter(field => !MERGE_FIELDS.includes(field));
+
+            fields.forEach(field => {
+                const ranked = rankSources(field, sourceIds, options.precedence)
+                    .flatMap(sourceId => entries.filter(entry => entry.source === sourceId));
+
+                if (MERGE_STRATEGIES[field] === 'union') {
+                    const seen = new Set();
+                    person[field] = [];
+                    ranked.forEach(entry => {
+                        (Array.isArray(entry.record[field]) ? entry.record[field] : []).forEach(item => {
+                            const key = JSON.stringify(item);
+                            if (!seen.has(key)) {
+                                seen.add(key);
+                                person[field].push(item);
+                            }
+                        });
+                    });
+                    return;
+                }
+
+                const stated = ranked.filter(entry => hasValue(entry.record[field]));
+                if (stated.length === 0) {
+                    person[field] = ranked.length > 0 ? ranked[0].record[field] : null;
+                    return;
+                }
+
+                person[field] = stated[0].record[field];
+                const distinct = new Set(stated.map(entry => JSON.stringify(entry.record[field])));
+                if (distinct.size > 1) {
+                    alternatives[field] = stated.map(entry => ({ value: entry.record[field], source: entry.source }));
+                    conflicts.push({
+                        id: mergedId,
+                        field,
+                        chosen: { value: person[field], source: stated[0].source },
+                        values: alternatives[field]
+                    });
+                }
+            });
+
+            person.sources = [...new Set(entries.map(entry => entry.source))];
+            if (Object.keys(alternatives).length > 0) {
+                person.alternatives = alternatives;
+            }
+            return person;
+        });
+
+        // Metadata from the most trusted source that has it
+        const metadata = {};
+        rankSources('metadata', sourceIds, options.precedence).slice().reverse().forEach(sourceId => {
+            const source = flattened.find(item => item.id === sourceId);
+            Object.assign(metadata, source.metadata);
+        });
+        metadata.mergedSources = sourceIds;
+
+        return {
+            data: [{ metadata }, ...people],
+            conflicts,
+            matches,
+            warnings
+        };
+    }
+
+    return {
+        MERGE_STRATEGIES,
+        flattenRecords,
+        rankSources,
+        mergeSources
+    };
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SourceMerge;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return SourceMerge; });
+} else if (typeof window !== 'undefined') {
+    window.SourceMerge = SourceMerge;
+}
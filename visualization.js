@@ -29,6 +29,7 @@ if (!window.GenealogyVisualization) {
               filteredLinks: [],
               visibleNodes: [],
               visibleLinks: [],
+              inferredLinks: [],
               nodeMap: new Map(),
               layoutCache: new Map()
           };
@@ -126,6 +127,9 @@ if (!window.GenealogyVisualization) {
           if ('links' in data && Array.isArray(data.links)) {
             this.data.originalLinks = [...data.links];
           }
+          if (Array.isArray(data.inferredLinks)) {
+            this.data.inferredLinks = [...data.inferredLinks];
+          }
           if (this.data.originalNodes.length === 0 && this.data.originalLinks.length === 0) {
             throw new Error('No usable nodes or links found in data object');
           }
@@ -325,9 +329,15 @@ if (!window.GenealogyVisualization) {
           window.DebugUtils.endTimer('apply-filters');
         }
         
+        // Derived links between visible people, drawn only if the renderer shows them
+        const visibleIds = new Set(this.data.visibleNodes.map(node => node.id));
+        const endpointId = endpoint => (typeof endpoint === 'object' ? endpoint.id : endpoint);
+        
         return {
           nodes: this.data.visibleNodes,
-          links: this.data.visibleLinks
+          links: this.data.visibleLinks,
+          inferredLinks: this.data.inferredLinks.filter(link =>
+            visibleIds.has(endpointId(link.source)) && visibleIds.has(endpointId(link.target)))
         };
       } catch (error) {
         if (window.DebugUtils) {
@@ -339,6 +349,110 @@ if (!window.GenealogyVisualization) {
       }
     }
     
+    /**
+     * Apply an edit from DatasetEditor without reloading: replaces the
+     * people it touched (keeping their positions), adds and removes its
+     * links, adjusts degrees and re-applies the current filters
+     * @param {Object} change - Change summary from DatasetEditor
+     * @param {Array} [inferredLinks] - Derived links recomputed after the
+     *     change, replacing the current ones
+     * @returns {Object} - Visible nodes and links
+     */
+    applyDataChange(change, inferredLinks) {
+      const linkKey = link => [
+        typeof link.source === 'object' ? link.source.id : link.source,
+        typeof link.target === 'object' ? link.target.id : link.target,
+        link.type
+      ].join('|');
+      const adjustDegrees = (link, delta) => {
+        const sourceNode = this.data.nodeMap.get(linkKey(link).split('|')[0]);
+        const targetNode = this.data.nodeMap.get(linkKey(link).split('|')[1]);
+        if (sourceNode) {
+          sourceNode.outDegree = (sourceNode.outDegree || 0) + delta;
+          sourceNode.degree = sourceNode.outDegree + (sourceNode.inDegree || 0);
+        }
+        if (targetNode) {
+          targetNode.inDegree = (targetNode.inDegree || 0) + delta;
+          targetNode.degree = (targetNode.outDegree || 0) + targetNode.inDegree;
+        }
+      };
+      
+      // Links first, while the degrees of removed people can still be adjusted
+      change.links.removed.forEach(link => {
+        const key = linkKey(link);
+        const index = this.data.links.findIndex(existing => linkKey(existing) === key);
+        const originalIndex = this.data.originalLinks.findIndex(existing => linkKey(existing) === key);
+        if (index >= 0) {
+          this.data.links.splice(index, 1);
+          adjustDegrees(link, -1);
+        }
+        if (originalIndex >= 0) {
+          this.data.originalLinks.splice(originalIndex, 1);
+        }
+      });
+      
+      change.people.forEach(({ id, after }) => {
+        const index = this.data.nodes.findIndex(node => node.id === id);
+        const previous = index >= 0 ? this.data.nodes[index] : null;
+        const originalIndex = this.data.originalNodes.findIndex(node => node.id === id);
+        
+        if (!after) {
+          if (index >= 0) this.data.nodes.splice(index, 1);
+          if (originalIndex >= 0) this.data.originalNodes.splice(originalIndex, 1);
+          this.data.nodeMap.delete(id);
+          this.viewState.selectedNodes.delete(id);
+          return;
+        }
+        
+        const node = this._prepareNode(after);
+        if (previous) {
+          Object.assign(node, {
+            x: previous.x, y: previous.y,
+            targetX: previous.targetX, targetY: previous.targetY
+          });
+        }
+        if (index >= 0) {
+          this.data.nodes[index] = node;
+          this.data.originalNodes[originalIndex] = after;
+        } else {
+          this.data.nodes.push(node);
+          this.data.originalNodes.push(after);
+        }
+        
+        const mapped = this.data.nodeMap.get(id);
+        after.inDegree = mapped ? mapped.inDegree || 0 : 0;
+        after.outDegree = mapped ? mapped.outDegree || 0 : 0;
+        after.degree = after.inDegree + after.outDegree;
+        this.data.nodeMap.set(id, after);
+      });
+      
+      change.links.added.forEach(link => {
+        this.data.links.push(this._prepareLink(link));
+        this.data.originalLinks.push(link);
+        adjustDegrees(link, 1);
+      });
+      
+      // Centrality, generations, eras and clans depend on the whole graph,
+      // so every person is rebuilt from their original, keeping positions
+      this.data.networkMetrics = undefined;
+      this.data.nodes = this.data.nodes.map(node => {
+        const original = this.data.nodeMap.get(node.id);
+        if (!original) {
+          return node;
+        }
+        return Object.assign(this._prepareNode(original), {
+          x: node.x, y: node.y,
+          targetX: node.targetX, targetY: node.targetY
+        });
+      });
+      if (Array.isArray(inferredLinks)) {
+        this.data.inferredLinks = [...inferredLinks];
+      }
+      
+      this.trigger('dataChanged', { change });
+      return this.applyFilters(this.viewState.filters);
+    }
+    
     /**
      * Select one or more nodes by ID
      * @param {string|Array} nodeIds - Node ID(s) to select
@@ -867,7 +981,8 @@ if (!window.GenealogyVisualization) {
           averageFrameTime: this.performance.frameTime
         }
       },
-      performance: { ...this.performance }
+      performance: { ...this.performance },
+      network: this._summarizeNetworkMetrics()
     };
     
     // Calculate node distributions
@@ -962,6 +1077,7 @@ if (!window.GenealogyVisualization) {
     this.data.filteredLinks = [];
     this.data.visibleNodes = [];
     this.data.visibleLinks = [];
+    this.data.inferredLinks = [];
     this.data.nodeMap.clear();
     
     // Keep layout cache
@@ -1020,41 +1136,14 @@ if (!window.GenealogyVisualization) {
     }
     
     try {
+      // Metrics of the previous data no longer apply
+      this.data.networkMetrics = undefined;
+      
       // Process nodes
-      this.data.nodes = this.data.originalNodes.map(node => ({
-        // Copy original properties
-        ...node,
-        // Add required visualization properties
-        size: node.size || this._calculateNodeSize(node),
-        color: node.color || this._calculateNodeColor(node),
-        // Position placeholders (will be set by layout)
-        x: node.x || 0,
-        y: node.y || 0,
-        targetX: node.x || 0,
-        targetY: node.y || 0,
-        // Visibility flag
-        visible: true
-      }));
+      this.data.nodes = this.data.originalNodes.map(node => this._prepareNode(node));
       
       // Process links
-      this.data.links = this.data.originalLinks.map(link => {
-        // Ensure source and target are objects, not just IDs
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        
-        return {
-          // Copy original properties
-          ...link,
-          // Ensure source and target are consistent
-          source: sourceId,
-          target: targetId,
-          // Add required visualization properties
-          width: link.width || this._calculateLinkWidth(link),
-          color: link.color || this._calculateLinkColor(link),
-          // Visibility flag
-          visible: true
-        };
-      });
+      this.data.links = this.data.originalLinks.map(link => this._prepareLink(link));
       
       // Calculate node degrees for sizing
       this._calculateNodeDegrees();
@@ -1082,6 +1171,130 @@ if (!window.GenealogyVisualization) {
     }
   }
   
+  /**
+   * Build the visualization-ready copy of a node
+   * @param {Object} node - Original node
+   * @returns {Object} - Node with size, color, position and visibility
+   * @private
+   */
+  _prepareNode(node) {
+    return {
+      // Copy original properties
+      ...node,
+      // Add required visualization properties
+      size: node.size || this._calculateNodeSize(node),
+      color: node.color || this._calculateNodeColor(node),
+      // Position placeholders (will be set by layout)
+      x: node.x || 0,
+      y: node.y || 0,
+      targetX: node.x || 0,
+      targetY: node.y || 0,
+      // Visibility flag
+      visible: true
+    };
+  }
+  
+  /**
+   * Build the visualization-ready copy of a link
+   * @param {Object} link - Original link
+   * @returns {Object} - Link with id endpoints, width, color and visibility
+   * @private
+   */
+  _prepareLink(link) {
+    // Ensure source and target are objects, not just IDs
+    const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+    const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+    
+    return {
+      // Copy original properties
+      ...link,
+      // Ensure source and target are consistent
+      source: sourceId,
+      target: targetId,
+      // Add required visualization properties
+      width: link.width || this._calculateLinkWidth(link),
+      color: link.color || this._calculateLinkColor(link),
+      // Visibility flag
+      visible: true
+    };
+  }
+  
+  /**
+   * Check a node against the active filters
+   * @param {Object} node - Node to test
+   * @param {Object} filters - Filter criteria
+   * @param {Set<string>} [lineageMembers=null] - Members of the filtered lineage
+   * @returns {boolean} - True if the node passes every filter
+   * @private
+   */
+  _nodeMatchesFilters(node, filters, lineageMembers = null) {
+    if (filters.generation && filters.generation !== 'all') {
+      const utils = window.GenealogyDataUtils;
+      if (utils && typeof utils.isGenerationInRange === 'function' &&
+          !utils.isGenerationInRange(node.generation, filters.generation)) {
+        return false;
+      }
+    }
+    
+    if (lineageMembers && !lineageMembers.has(node.id)) {
+      return false;
+    }
+    
+    // Time periods are eras of the era registry, matched by id or alias
+    if (filters.timePeriod && filters.timePeriod !== 'all') {
+      const utils = window.GenealogyDataUtils;
+      if (utils && typeof utils.resolveEra === 'function') {
+        if (utils.resolveEra(node.era) !== utils.resolveEra(filters.timePeriod)) {
+          return false;
+        }
+      } else if (node.era !== filters.timePeriod) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Rebuild filtered nodes and links from the current filters
+   * @private
+   */
+  _updateFilteredData() {
+    const filters = this.viewState.filters || {};
+    
+    // Lineage members are found once per filter pass by the lineage engine
+    const utils = window.GenealogyDataUtils;
+    const lineage = filters.lineage && filters.lineage !== 'all' && utils &&
+      typeof utils.getLineageMembers === 'function' ?
+      utils.getLineageMembers({ nodes: this.data.nodes, links: this.data.links }, filters.lineage) : null;
+    const lineageMembers = lineage ? new Set(lineage.members) : null;
+    
+    this.data.filteredNodes = this.data.nodes.filter(node => this._nodeMatchesFilters(node, filters, lineageMembers));
+    
+    const filteredIds = new Set(this.data.filteredNodes.map(node => node.id));
+    this.data.filteredLinks = this.data.links.filter(link =>
+      filteredIds.has(link.source) && filteredIds.has(link.target)
+    );
+  }
+  
+  /**
+   * Rebuild visible nodes and links from the filtered data
+   * @private
+   */
+  _updateVisibleData() {
+    const filteredIds = new Set(this.data.filteredNodes.map(node => node.id));
+    
+    this.data.nodes.forEach(node => {
+      node.visible = filteredIds.has(node.id);
+    });
+    this.data.links.forEach(link => {
+      link.visible = filteredIds.has(link.source) && filteredIds.has(link.target);
+    });
+    
+    this.data.visibleNodes = this.data.nodes.filter(node => node.visible);
+    this.data.visibleLinks = this.data.links.filter(link => link.visible);
+  }
+  
   /**
    * Calculate node degrees (in/out connections)
    * @private
@@ -1126,8 +1339,13 @@ if (!window.GenealogyVisualization) {
       return defaultSize;
     }
     
+    // Centrality metrics come from the whole graph, not from the node
+    const metrics = this._isNetworkMetric(sizeCfg.sizeAttribute) ? this._getNetworkMetrics() : null;
+    
     // Get attribute value
-    const value = node[sizeCfg.sizeAttribute];
+    const value = metrics ?
+      (metrics.nodes[node.id] || {})[sizeCfg.sizeAttribute] :
+      node[sizeCfg.sizeAttribute];
     
     // If value doesn't exist, use default
     if (value === undefined || value === null) {
@@ -1142,8 +1360,10 @@ if (!window.GenealogyVisualization) {
     
     // Map value to size range
     const sizeRange = sizeCfg.sizeRange || [5, 20];
-    const minValue = this._getMinAttributeValue(sizeCfg.sizeAttribute) || 0;
-    const maxValue = this._getMaxAttributeValue(sizeCfg.sizeAttribute) || 1;
+    const minValue = metrics ? metrics.ranges[sizeCfg.sizeAttribute].min :
+      this._getMinAttributeValue(sizeCfg.sizeAttribute) || 0;
+    const maxValue = metrics ? metrics.ranges[sizeCfg.sizeAttribute].max :
+      this._getMaxAttributeValue(sizeCfg.sizeAttribute) || 1;
     
     // Prevent division by zero
     if (minValue === maxValue) {
@@ -1279,21 +1499,14 @@ if (!window.GenealogyVisualization) {
    * @private
    */
   _getColorFromScheme(value, schemeName) {
-    // Biblical era color scheme
+    // Era colors come from the era registry, which also knows each era's aliases
+    if (schemeName === 'biblical-era') {
+      const utils = window.GenealogyDataUtils;
+      const era = utils && typeof utils.getEra === 'function' ? utils.getEra(String(value)) : null;
+      return (era && era.color) || '#607D8B'; // Blue Gray
+    }
+    
     const colorSchemes = {
-      'biblical-era': {
-        'creation': '#8BC34A',      // Green
-        'patriarchs': '#CDDC39',    // Lime
-        'exodus': '#FFC107',        // Amber
-        'judges': '#FF9800',        // Orange
-        'united-kingdom': '#F44336', // Red
-        'divided-kingdom': '#E91E63', // Pink
-        'exile': '#9C27B0',         // Purple
-        'post-exile': '#673AB7',    // Deep Purple
-        'intertestamental': '#3F51B5', // Indigo
-        'new-testament': '#2196F3',  // Blue
-        'default': '#607D8B'         // Blue Gray
-      },
       'relationship-type': {
         'father': '#3498db',        // Blue
         'mother': '#e74c3c',        // Red
@@ -1892,6 +2105,31 @@ if (!window.GenealogyVisualization) {
     return this.data.filteredNodes;
   }
   
+  /**
+   * Get a node's position in time. Year fields fall back to the matching
+   * birthDate/deathDate value so approximate and ranged dates are placed
+   * at their midpoint instead of being dropped.
+   * @param {Object} node - Node
+   * @param {string} timeField - Field holding a year or date value
+   * @returns {number|null} - Signed year, or null if unknown
+   * @private
+   */
+  _getNodeTime(node, timeField) {
+    const dateFields = { birthYear: 'birthDate', deathYear: 'deathDate' };
+    const value = node[dateFields[timeField]] || node[timeField];
+    
+    if (value === undefined || value === null) {
+      return null;
+    }
+    
+    if (window.DateValue) {
+      return window.DateValue.midpoint(window.DateValue.parse(value));
+    }
+    
+    const time = parseFloat(value);
+    return isNaN(time) ? null : time;
+  }
+  
   /**
    * Apply timeline layout
    * @param {Object} options - Layout options
@@ -1905,9 +2143,9 @@ if (!window.GenealogyVisualization) {
     const rowHeight = options.rowHeight || 100;
     const padding = options.padding || 50;
     
-    // Filter nodes that have the time field
-    const timeNodes = this.data.filteredNodes.filter(node => node[timeField] !== undefined);
-    const otherNodes = this.data.filteredNodes.filter(node => node[timeField] === undefined);
+    // Filter nodes that have a usable time value
+    const timeNodes = this.data.filteredNodes.filter(node => this._getNodeTime(node, timeField) !== null);
+    const otherNodes = this.data.filteredNodes.filter(node => this._getNodeTime(node, timeField) === null);
     
     if (timeNodes.length === 0) {
       // If no nodes have time data, fall back to force-directed layout
@@ -1919,11 +2157,9 @@ if (!window.GenealogyVisualization) {
     let maxTime = -Infinity;
     
     for (const node of timeNodes) {
-      const time = parseFloat(node[timeField]);
-      if (!isNaN(time)) {
-        minTime = Math.min(minTime, time);
-        maxTime = Math.max(maxTime, time);
-      }
+      const time = this._getNodeTime(node, timeField);
+      minTime = Math.min(minTime, time);
+      maxTime = Math.max(maxTime, time);
     }
     
     // Add padding to time range
@@ -1944,8 +2180,7 @@ if (!window.GenealogyVisualization) {
     const rowMap = new Map();
     
     for (const node of timeNodes) {
-      const time = parseFloat(node[timeField]);
-      if (isNaN(time)) continue;
+      const time = this._getNodeTime(node, timeField);
       
       // Calculate position on timeline
       const timePosition = (time - minTime) * timeScale;
@@ -1960,7 +2195,7 @@ if (!window.GenealogyVisualization) {
         // Check for collision with nodes in this row
         if (rowMap.has(row)) {
           for (const existingNode of rowMap.get(row)) {
-            const existingTime = parseFloat(existingNode[timeField]);
+            const existingTime = this._getNodeTime(existingNode, timeField);
             const existingPosition = (existingTime - minTime) * timeScale;
             const distance = Math.abs(timePosition - existingPosition);
             
@@ -2101,6 +2336,66 @@ if (!window.GenealogyVisualization) {
     return { x1: minX, y1: minY, x2: maxX, y2: maxY };
   }
   
+  /**
+   * Check whether a size or statistics attribute is a network metric
+   * computed by NetworkMetrics. 'degree' stays the node's own link count.
+   * @param {string} attribute - Attribute name
+   * @returns {boolean} - True for betweenness, closeness, eigenvector and pagerank
+   * @private
+   */
+  _isNetworkMetric(attribute) {
+    return Boolean(attribute && attribute !== 'degree' && window.NetworkMetrics &&
+      window.NetworkMetrics.NODE_METRICS.includes(attribute));
+  }
+  
+  /**
+   * Get centrality and structure metrics for the current data, computing
+   * them on first use
+   * @returns {Object|null} - NetworkMetrics result, or null if network-metrics.js is not loaded
+   * @private
+   */
+  _getNetworkMetrics() {
+    if (this.data.networkMetrics === undefined) {
+      const utils = window.GenealogyDataUtils;
+      this.data.networkMetrics = utils && utils.calculateNetworkMetrics ?
+        utils.calculateNetworkMetrics({ nodes: this.data.originalNodes, links: this.data.originalLinks }) : null;
+    }
+    return this.data.networkMetrics;
+  }
+  
+  /**
+   * Summarize the network metrics for getStatistics: graph structure, the
+   * top people for each centrality, and every person's scores
+   * @returns {Object|null} - Network statistics, or null if network-metrics.js is not loaded
+   * @private
+   */
+  _summarizeNetworkMetrics() {
+    const metrics = this._getNetworkMetrics();
+    if (!metrics) return null;
+    
+    const nameOf = id => {
+      const node = this.data.nodeMap.get(id);
+      return node ? node.name || id : id;
+    };
+    
+    const top = {};
+    window.NetworkMetrics.NODE_METRICS.forEach(metric => {
+      top[metric] = window.NetworkMetrics.rankNodes(metrics, metric, 10)
+        .map(entry => ({ ...entry, name: nameOf(entry.id) }));
+    });
+    
+    return {
+      componentCount: metrics.components.length,
+      components: metrics.components,
+      diameter: metrics.diameter,
+      articulationPoints: metrics.articulationPoints.map(id => ({ id, name: nameOf(id) })),
+      bridges: metrics.bridges,
+      top,
+      ranges: metrics.ranges,
+      byNode: metrics.nodes
+    };
+  }
+  
   /**
    * Calculate node attribute distribution for statistics
    * @param {Object} stats - Statistics object to update